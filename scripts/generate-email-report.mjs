@@ -164,6 +164,16 @@ function getStatusClass(status) {
       return "status-skipped";
     case "flaky":
       return "status-flaky";
+    case "timedout":
+      return "status-timedout";
+    case "interrupted":
+      return "status-interrupted";
+    case "expected-failure":
+      return "status-expected-failure";
+    case "unexpected-success":
+      return "status-unexpected-success";
+    case "explicitly-skipped":
+      return "status-explicitly-skipped";
     default:
       return "status-unknown";
   }
@@ -178,10 +188,92 @@ function getStatusIcon(status) {
       return "⏭️";
     case "flaky":
       return "⚠";
+    case "timedout":
+      return "⏱";
+    case "interrupted":
+      return "⛔";
+    case "expected-failure":
+      return "🎯";
+    case "unexpected-success":
+      return "❗";
+    case "explicitly-skipped":
+      return "⏩";
     default:
       return "❓";
   }
 }
+/**
+ * Lists why a run did not complete normally. Ordinary test failures are not listed.
+ * @param {object} run - The `run` object of the report.
+ * @returns {string[]} One sentence per problem, empty for a normal run.
+ */
+function getRunIssues(run) {
+  if (!run) return [];
+  const issues = [];
+  if (run.incomplete) {
+    issues.push(
+      "The run was killed before it finished. This report was rebuilt from the partial result journal, so tests that had not finished are missing.",
+    );
+  }
+  if (run.status === "interrupted") {
+    issues.push("The run was interrupted before all tests finished.");
+  } else if (run.status === "timedout") {
+    issues.push(
+      "The run reached the global timeout. Tests that had not finished are missing from this report.",
+    );
+  } else if (
+    run.status === "failed" &&
+    !(
+      (run.failed || 0) +
+      (run.timedOut || 0) +
+      (run.interrupted || 0) +
+      (run.unexpectedSuccesses || 0)
+    ) &&
+    !(run.globalErrors && run.globalErrors.length > 0)
+  ) {
+    issues.push(
+      "The run failed although no test did, for example in global setup or teardown.",
+    );
+  }
+  return issues;
+}
+/**
+ * Generates the banner shown above the summary when the run did not complete normally.
+ * Uses inline styles so it survives mail clients that strip <style> blocks.
+ * @param {object} run - The `run` object of the report.
+ * @returns {string} HTML string, empty for a normal run.
+ */
+function generateRunStatusBanner(run) {
+  const issues = getRunIssues(run);
+  const globalErrors = (run && run.globalErrors) || [];
+  if (issues.length === 0 && globalErrors.length === 0) return "";
+
+  return `<div class="run-status-banner" style="margin: 0 0 24px 0; padding: 16px 20px; background-color: #fdedec; border: 1px solid #f5b7b1; border-left: 5px solid #e74c3c; border-radius: 6px; color: #78281f;">
+            <h3 style="margin: 0 0 8px 0; font-size: 1.05em; color: #c0392b;">⚠️ This run did not complete normally${
+              run.status && run.status !== "passed"
+                ? ` (${sanitizeHTML(run.status)})`
+                : ""
+            }</h3>
+            ${issues
+              .map((issue) => `<p style="margin: 4px 0;">${sanitizeHTML(issue)}</p>`)
+              .join("")}
+            ${
+              globalErrors.length > 0
+                ? `<p style="margin: 10px 0 4px 0; font-weight: 600;">Errors outside of tests (${globalErrors.length}):</p>
+            <ul style="margin: 0; padding-left: 20px;">${globalErrors
+              .map(
+                (error) =>
+                  `<li style="font-family: monospace; font-size: 0.9em; word-break: break-word;">${sanitizeHTML(
+                    (error.message || "Unknown error")
+                      .replace(/\u001b\[[0-9;]*m/g, "")
+                      .split("\n")[0],
+                  )}</li>`,
+              )
+              .join("")}</ul>`
+                : ""
+            }
+        </div>`;
+}
 function generateMinifiedHTML(reportData) {
   const { run, results } = reportData;
   const runSummary = run || {
@@ -250,7 +342,7 @@ function generateMinifiedHTML(reportData) {
 
         // --- NEW: Retry Count Badge ---
         const unsuccessfulRetries = (test.retryHistory || []).filter(attempt => 
-          attempt.status === 'failed' || attempt.status === 'timedout' || attempt.status === 'flaky'
+          attempt.status === 'failed' || attempt.status === 'timedOut' || attempt.status === 'interrupted' || attempt.status === 'unexpected-success' || attempt.status === 'flaky'
         );
         const retryCountBadge = (unsuccessfulRetries.length > 0)
           ? `<span style="background-color: #f59e0b; border: 1px solid #d97706; font-size: 0.8em; font-weight: 700; padding: 4px 10px; border-radius: 50px; color: #fff; margin-left: 10px; white-space: nowrap; display: inline-flex; align-items: center; gap: 4px;">
@@ -320,6 +412,11 @@ function generateMinifiedHTML(reportData) {
             --medium-gray-color: #bdc3c7; /* Medium Grey */
             --dark-gray-color: #7f8c8d; /* Dark Grey */
             --flaky-color: #00ccd3; /* Cyan/Teal for Flaky */
+            --timedout-color: #f97316; /* Orange for Timed Out */
+            --interrupted-color: #8b5cf6; /* Violet for Interrupted */
+            --explicitly-skipped-color: #fbbf24; /* Amber for test.skip() / test.fixme() */
+            --expected-failure-color: #84cc16; /* Lime for test.fail() tests that failed */
+            --unexpected-success-color: #ec4899; /* Pink for test.fail() tests that passed */
             --text-color: #34495e; /* Dark Grey/Blue for text */
             --background-color: #f8f9fa;
             --card-background-color: #ffffff;
@@ -412,6 +509,16 @@ function generateMinifiedHTML(reportData) {
         .stat-card.skipped .value { color: var(--warning-color); }
         .stat-card.flaky { border-left-color: var(--flaky-color); }
         .stat-card.flaky .value { color: var(--flaky-color); }
+        .stat-card.timedout { border-left-color: var(--timedout-color); }
+        .stat-card.timedout .value { color: var(--timedout-color); }
+        .stat-card.interrupted { border-left-color: var(--interrupted-color); }
+        .stat-card.interrupted .value { color: var(--interrupted-color); }
+        .stat-card.explicitly-skipped { border-left-color: var(--explicitly-skipped-color); }
+        .stat-card.explicitly-skipped .value { color: var(--explicitly-skipped-color); }
+        .stat-card.expected-failure { border-left-color: var(--expected-failure-color); }
+        .stat-card.expected-failure .value { color: var(--expected-failure-color); }
+        .stat-card.unexpected-success { border-left-color: var(--unexpected-success-color); }
+        .stat-card.unexpected-success .value { color: var(--unexpected-success-color); }
 
         .section-title {
             font-size: 1.5em;
@@ -507,6 +614,11 @@ function generateMinifiedHTML(reportData) {
         .test-item.status-failed .test-status-label { background-color: var(--danger-color); }
         .test-item.status-skipped .test-status-label { background-color: var(--warning-color); }
         .test-item.status-flaky .test-status-label { background-color: var(--flaky-color); }
+        .test-item.status-timedout .test-status-label { background-color: var(--timedout-color); }
+        .test-item.status-interrupted .test-status-label { background-color: var(--interrupted-color); }
+        .test-item.status-expected-failure .test-status-label { background-color: var(--expected-failure-color); }
+        .test-item.status-unexpected-success .test-status-label { background-color: var(--unexpected-success-color); }
+        .test-item.status-explicitly-skipped .test-status-label { background-color: var(--explicitly-skipped-color); }
         .test-item.status-unknown .test-status-label { background-color: var(--dark-gray-color); }
         
         .no-tests {
@@ -576,6 +688,7 @@ function generateMinifiedHTML(reportData) {
             : ""
         }
         
+        ${generateRunStatusBanner(runSummary)}
         <section class="summary-section">
             <div class="summary-stats">
                 <div class="stat-card">
@@ -598,6 +711,26 @@ function generateMinifiedHTML(reportData) {
                     <h3>Flaky</h3>
                     <div class="value">${runSummary.flaky || 0}</div>
                 </div>
+                <div class="stat-card timedout">
+                    <h3>Timed Out</h3>
+                    <div class="value">${runSummary.timedOut || 0}</div>
+                </div>
+                <div class="stat-card interrupted">
+                    <h3>Interrupted</h3>
+                    <div class="value">${runSummary.interrupted || 0}</div>
+                </div>
+                <div class="stat-card explicitly-skipped">
+                    <h3>Explicitly Skipped</h3>
+                    <div class="value">${runSummary.explicitlySkipped || 0}</div>
+                </div>
+                <div class="stat-card expected-failure">
+                    <h3>Expected Failure</h3>
+                    <div class="value">${runSummary.expectedFailures || 0}</div>
+                </div>
+                <div class="stat-card unexpected-success">
+                    <h3>Unexpected Success</h3>
+                    <div class="value">${runSummary.unexpectedSuccesses || 0}</div>
+                </div>
             </div>
         </section>
 
@@ -628,6 +761,11 @@ function generateMinifiedHTML(reportData) {
                     <option value="failed">❌ Failed</option>
                     <option value="skipped">⏭️ Skipped</option>
                     <option value="flaky">⚠ Flaky</option>
+                    <option value="timedout">⏱ Timed Out</option>
+                    <option value="interrupted">⛔ Interrupted</option>
+                    <option value="expected-failure">🎯 Expected Failure</option>
+                    <option value="unexpected-success">❗ Unexpected Success</option>
+                    <option value="explicitly-skipped">⏩ Explicitly Skipped</option>
                 </select>
                 <select id="filter-min-browser">
                     <option value="">All Browsers</option>
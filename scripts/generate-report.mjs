@@ -8,6 +8,7 @@ import { fileURLToPath } from "url";
 import { getReporterConfig } from "./config-reader.mjs";
 import { animate } from "./terminal-logo.mjs";
 import { mergeSequentialReportsIfNeeded } from "./merge-sequential-reports.mjs";
+import { recoverJournalIfNeeded } from "./recover-journal.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -191,6 +192,24 @@ function sanitizeHTML(str) {
     return replacements[match] || match;
   });
 }
+// Files in the content-addressed store (attachments/sha256/) are named by hash
+function getAttachmentFileName(filePath, name) {
+  const baseName = path.basename(filePath);
+  return /(^|[\\/])sha256[\\/]/.test(filePath)
+    ? `${name}${path.extname(baseName)}`
+    : baseName;
+}
+// Screenshots are inlined as data URIs when the reporter runs with base64Images
+function isDataUri(value) {
+  return typeof value === "string" && value.startsWith("data:");
+}
+// Soft assertions can fail a test several times; reports from older versions only have errorMessage
+function getTestErrors(test) {
+  if (Array.isArray(test.errors) && test.errors.length > 0) return test.errors;
+  return test.errorMessage
+    ? [{ message: test.errorMessage, stack: test.stackTrace, snippet: test.snippet }]
+    : [];
+}
 function capitalize(str) {
   if (!str) return "";
   return str[0].toUpperCase() + str.slice(1).toLowerCase();
@@ -283,6 +302,24 @@ function formatDuration(ms, options = {}) {
     return parts.join(" ");
   }
 }
+// Trend points are labelled with the commit they ran against when the run recorded one
+function getTrendPointLabel(run, index) {
+  return run.commit ? `Run ${index + 1} · ${run.commit}` : `Run ${index + 1}`;
+}
+// The tooltips are rendered with useHTML, so every value in them is escaped here
+function getTrendCommitInfo(run) {
+  if (!run.commit) return "";
+  const escape = (value) => escapeSourceText(String(value));
+  let info = `Commit: <b>${escape(run.commit)}</b>`;
+  if (run.branch) info += ` (${escape(run.branch)})`;
+  if (run.commitMessage) info += `<br>${escape(run.commitMessage)}`;
+  if (run.author) info += `<br>Author: ${escape(run.author)}`;
+  return info;
+}
+// Keeps values like "</script>" from ending the inline script they are embedded in
+function toScriptJSON(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
 function generateTestTrendsChart(trendData) {
   if (!trendData || !trendData.overall || trendData.overall.length === 0) {
     return '<div class="no-data">No overall trend data available for test counts.</div>';
@@ -328,16 +365,47 @@ function generateTestTrendsChart(trendData) {
       color: "#00ccd3",
       marker: { symbol: "circle" },
     },
+    {
+      name: "Timed Out",
+      data: runs.map((r) => r.timedOut || 0),
+      color: "#f97316",
+      marker: { symbol: "circle" },
+    },
+    {
+      name: "Interrupted",
+      data: runs.map((r) => r.interrupted || 0),
+      color: "#8b5cf6",
+      marker: { symbol: "circle" },
+    },
+    {
+      name: "Expected Failure",
+      data: runs.map((r) => r.expectedFailures || 0),
+      color: "#84cc16",
+      marker: { symbol: "circle" },
+    },
+    {
+      name: "Unexpected Success",
+      data: runs.map((r) => r.unexpectedSuccesses || 0),
+      color: "#ec4899",
+      marker: { symbol: "circle" },
+    },
+    {
+      name: "Explicitly Skipped",
+      data: runs.map((r) => r.explicitlySkipped || 0),
+      color: "#fbbf24",
+      marker: { symbol: "circle" },
+    },
   ];
   const runsForTooltip = runs.map((r) => ({
-    runId: r.runId,
+    runId: r.runId && escapeSourceText(String(r.runId)),
     timestamp: r.timestamp,
     duration: r.duration,
+    commitInfo: getTrendCommitInfo(r),
   }));
 
-  const categoriesString = JSON.stringify(runs.map((run, i) => `Run ${i + 1}`));
+  const categoriesString = toScriptJSON(runs.map(getTrendPointLabel));
   const seriesString = JSON.stringify(series);
-  const runsForTooltipString = JSON.stringify(runsForTooltip);
+  const runsForTooltipString = toScriptJSON(runsForTooltip);
 
   return `
       <div id="${chartId}" class="trend-chart-container lazy-load-chart" data-render-function-name="${renderFunctionName}">
@@ -363,7 +431,7 @@ function generateTestTrendsChart(trendData) {
                                   const runsData = ${runsForTooltipString};
                                   const pointIndex = this.points[0].point.x;
                                   const run = runsData[pointIndex];
-                                  let tooltip = '<strong>Run ' + (run.runId || pointIndex + 1) + '</strong><br>' + 'Date: ' + new Date(run.timestamp).toLocaleString() + '<br><br>';
+                                  let tooltip = '<strong>Run ' + (run.runId || pointIndex + 1) + '</strong><br>' + 'Date: ' + new Date(run.timestamp).toLocaleString() + '<br>' + (run.commitInfo ? run.commitInfo + '<br>' : '') + '<br>';
                                   this.points.forEach(point => { tooltip += '<span style="color:' + point.color + '">●</span> ' + point.series.name + ': <b>' + point.y + '</b><br>'; });
                                   tooltip += '<br>Duration: ' + formatDuration(run.duration);
                                   return tooltip;
@@ -399,14 +467,15 @@ function generateDurationTrendChart(trendData) {
   const runs = trendData.overall;
 
   const chartDataString = JSON.stringify(runs.map((run) => run.duration));
-  const categoriesString = JSON.stringify(runs.map((run, i) => `Run ${i + 1}`));
+  const categoriesString = toScriptJSON(runs.map(getTrendPointLabel));
   const runsForTooltip = runs.map((r) => ({
-    runId: r.runId,
+    runId: r.runId && escapeSourceText(String(r.runId)),
     timestamp: r.timestamp,
     duration: r.duration,
     totalTests: r.totalTests,
+    commitInfo: getTrendCommitInfo(r),
   }));
-  const runsForTooltipString = JSON.stringify(runsForTooltip);
+  const runsForTooltipString = toScriptJSON(runsForTooltip);
 
   const seriesStringForRender = `[{
       name: 'Duration',
@@ -446,7 +515,7 @@ function generateDurationTrendChart(trendData) {
                                   const runsData = ${runsForTooltipString};
                                   const pointIndex = this.points[0].point.x;
                                   const run = runsData[pointIndex];
-                                  let tooltip = '<strong>Run ' + (run.runId || pointIndex + 1) + '</strong><br>' + 'Date: ' + new Date(run.timestamp).toLocaleString() + '<br>';
+                                  let tooltip = '<strong>Run ' + (run.runId || pointIndex + 1) + '</strong><br>' + 'Date: ' + new Date(run.timestamp).toLocaleString() + '<br>' + (run.commitInfo ? run.commitInfo + '<br>' : '');
                                   this.points.forEach(point => { tooltip += '<span style="color:' + point.series.color + '">●</span> ' + point.series.name + ': <b>' + formatDuration(point.y) + '</b><br>'; });
                                   tooltip += '<br>Tests: ' + run.totalTests;
                                   return tooltip;
@@ -517,6 +586,21 @@ function generateTestHistoryChart(history) {
       case "flaky":
         color = "var(--neutral-500)";
         break;
+      case "timedout":
+        color = "#f97316";
+        break;
+      case "interrupted":
+        color = "#8b5cf6";
+        break;
+      case "expected-failure":
+        color = "#84cc16";
+        break;
+      case "unexpected-success":
+        color = "#ec4899";
+        break;
+      case "explicitly-skipped":
+        color = "#fbbf24";
+        break;
       default:
         color = "var(--dark-gray-color)";
     }
@@ -577,6 +661,11 @@ function generateTestHistoryChart(history) {
                                       case 'passed': statusBadgeHtml += 'var(--success-color)'; break;
                                       case 'failed': statusBadgeHtml += 'var(--danger-color)'; break;
                                       case 'skipped': statusBadgeHtml += 'var(--warning-color)'; break;
+                                      case 'timedout': statusBadgeHtml += '#f97316'; break;
+                                      case 'interrupted': statusBadgeHtml += '#8b5cf6'; break;
+                                      case 'expected-failure': statusBadgeHtml += '#84cc16'; break;
+                                      case 'unexpected-success': statusBadgeHtml += '#ec4899'; break;
+                                      case 'explicitly-skipped': statusBadgeHtml += '#fbbf24'; break;
                                       default: statusBadgeHtml += 'var(--dark-gray-color)';
                                   }
                                   statusBadgeHtml += ';">' + String(pointData.status).toUpperCase() + '</span>';
@@ -598,6 +687,146 @@ function generateTestHistoryChart(history) {
       </script>
   `;
 }
+function isMetricRegression(value, metric) {
+  if (typeof metric.threshold !== "number") return false;
+  return metric.higherIsBetter
+    ? value < metric.threshold
+    : value > metric.threshold;
+}
+function formatMetricValue(value, unit) {
+  const rounded = Number.isInteger(value) ? value : Number(value.toFixed(2));
+  return unit ? `${rounded} ${unit}` : String(rounded);
+}
+/**
+ * Collects the values of every metric recorded with pulse.metric() across a test's history.
+ * The unit and threshold of the latest run apply to the whole series.
+ * @param {Array<object>} history - The test's history entries, oldest first.
+ * @returns {Array<{name: string, unit?: string, threshold?: number, higherIsBetter?: boolean, points: Array<{runId: number, label: string, value: number}>, regressed: boolean}>}
+ *   One entry per metric; `regressed` is true when its latest value is beyond the threshold.
+ */
+function getMetricHistory(history) {
+  const metrics = new Map();
+  (history || []).forEach((run, index) => {
+    (run.metrics || []).forEach((metric) => {
+      if (!metric || !metric.name || typeof metric.value !== "number") return;
+      if (!metrics.has(metric.name)) {
+        metrics.set(metric.name, { name: metric.name, points: [] });
+      }
+      const entry = metrics.get(metric.name);
+      entry.unit = metric.unit;
+      entry.threshold = metric.threshold;
+      entry.higherIsBetter = metric.higherIsBetter;
+      // Same labels as the duration chart, so runs line up across both charts
+      entry.points.push({
+        runId: run.runId,
+        label: `R${index + 1}`,
+        value: metric.value,
+      });
+    });
+  });
+  return Array.from(metrics.values()).map((metric) => ({
+    ...metric,
+    regressed: isMetricRegression(
+      metric.points[metric.points.length - 1].value,
+      metric,
+    ),
+  }));
+}
+/**
+ * Renders the history chart of one metric, with its threshold as a dashed line.
+ * Values beyond the threshold are drawn in red.
+ * @param {object} metric - An entry returned by getMetricHistory.
+ * @returns {string} HTML string of the lazily rendered chart.
+ */
+function generateMetricHistoryChart(metric) {
+  const chartId = `metricHistoryChart-${Date.now()}-${Math.random()
+    .toString(36)
+    .substring(2, 7)}`;
+  const renderFunctionName = `renderMetricHistoryChart_${chartId.replace(
+    /-/g,
+    "_",
+  )}`;
+  const hasThreshold = typeof metric.threshold === "number";
+
+  const seriesData = metric.points.map((point) => ({
+    y: point.value,
+    runId: point.runId,
+    color: isMetricRegression(point.value, metric)
+      ? "var(--danger-color)"
+      : "var(--accent-color)",
+  }));
+  const plotLines = hasThreshold
+    ? [
+        {
+          value: metric.threshold,
+          color: "var(--danger-color)",
+          dashStyle: "Dash",
+          width: 1,
+          zIndex: 3,
+        },
+      ]
+    : [];
+  const latest = metric.points[metric.points.length - 1];
+
+  return `
+      <div class="metric-history${metric.regressed ? " metric-history-regressed" : ""}">
+        <div class="metric-history-header">
+          <span class="metric-history-name">${escapeSourceText(metric.name)}</span>
+          <span class="metric-history-value">${escapeSourceText(
+            formatMetricValue(latest.value, metric.unit),
+          )}${
+            hasThreshold
+              ? ` <span class="metric-history-threshold">(${metric.higherIsBetter ? "≥" : "≤"} ${escapeSourceText(
+                  formatMetricValue(metric.threshold, metric.unit),
+                )})</span>`
+              : ""
+          }</span>
+        </div>
+        <div id="${chartId}" style="width: 100%; height: 100px;" class="lazy-load-chart" data-render-function-name="${renderFunctionName}">
+          <div class="no-data-chart">Loading Metric...</div>
+        </div>
+      </div>
+      <script>
+          window.${renderFunctionName} = function() {
+              const chartContainer = document.getElementById('${chartId}');
+              if (!chartContainer) { console.error("Chart container ${chartId} not found for lazy loading."); return; }
+              if (typeof Highcharts !== 'undefined') {
+                  try {
+                      chartContainer.innerHTML = '';
+                      const unitSuffix = ${toScriptJSON(metric.unit ? ` ${metric.unit}` : "")};
+                      Highcharts.chart('${chartId}', {
+                          chart: { type: 'line', height: 100, backgroundColor: 'transparent', spacing: [10,10,15,10] },
+                          title: { text: null },
+                          xAxis: { categories: ${toScriptJSON(metric.points.map((point) => point.label))}, labels: { style: { fontSize: '10px', color: 'var(--text-color-secondary)' }}},
+                          yAxis: {
+                              title: { text: null },
+                              labels: { style: { fontSize: '10px', color: 'var(--text-color-secondary)' } },
+                              gridLineWidth: 0, tickAmount: 3,
+                              plotLines: ${toScriptJSON(plotLines)},
+                              ${hasThreshold ? `softMin: ${metric.threshold}, softMax: ${metric.threshold},` : ""}
+                          },
+                          legend: { enabled: false },
+                          plotOptions: { line: { lineWidth: 2, color: 'var(--accent-color)', marker: { enabled: true, radius: 3.5 } } },
+                          tooltip: {
+                              useHTML: true, backgroundColor: 'rgba(10,10,10,0.92)', borderColor: 'rgba(10,10,10,0.92)', style: { color: '#f5f5f5', padding: '8px' },
+                              formatter: function() {
+                                  return '<strong>Run ' + (this.point.runId || (this.point.index + 1)) + '</strong><br>' + ${toScriptJSON(escapeSourceText(metric.name))} + ': ' + this.point.y + unitSuffix;
+                              }
+                          },
+                          series: [{ data: ${toScriptJSON(seriesData)}, showInLegend: false }],
+                          credits: { enabled: false }
+                      });
+                  } catch (e) {
+                      console.error("Error rendering chart ${chartId} (lazy):", e);
+                      chartContainer.innerHTML = '<div class="no-data-chart">Error rendering metric chart.</div>';
+                  }
+              } else {
+                  chartContainer.innerHTML = '<div class="no-data-chart">Charting library not available for metrics.</div>';
+              }
+          };
+      </script>
+  `;
+}
 function generatePieChart(data, chartWidth = 300, chartHeight = 300) {
   const total = data.reduce((sum, d) => sum + d.value, 0);
   if (total === 0) {
@@ -632,6 +861,21 @@ function generatePieChart(data, chartWidth = 300, chartHeight = 300) {
             case "Skipped":
               color = "var(--warning-color)";
               break;
+            case "Timed Out":
+              color = "#f97316";
+              break;
+            case "Interrupted":
+              color = "#8b5cf6";
+              break;
+            case "Expected Failure":
+              color = "#84cc16";
+              break;
+            case "Unexpected Success":
+              color = "#ec4899";
+              break;
+            case "Explicitly Skipped":
+              color = "#fbbf24";
+              break;
             default:
               color = "#CCCCCC"; // A neutral default color
           }
@@ -728,7 +972,7 @@ function generatePieChart(data, chartWidth = 300, chartHeight = 300) {
       </div>
   `;
 }
-function generateEnvironmentSection(environmentData) {
+function generateEnvironmentSection(environmentData, provenance) {
   if (!environmentData) {
     return '<div class="no-data">Environment data not available.</div>';
   }
@@ -757,6 +1001,7 @@ function generateEnvironmentSection(environmentData) {
             </div>
           </div>
         </div>
+        ${generateProvenanceGrid(provenance)}
         <div class="sharded-environments-container">
           <div class="sharded-environments-wrapper">
             ${environmentData
@@ -863,10 +1108,10 @@ function generateEnvironmentSection(environmentData) {
     `;
   }
   
-  return generateEnvironmentDashboard(environmentData);
+  return generateEnvironmentDashboard(environmentData, false, provenance);
 }
 
-function generateEnvironmentDashboard(environment, hideHeader = false) {
+function generateEnvironmentDashboard(environment, hideHeader = false, provenance = null) {
   const cpuModel = environment.cpu && environment.cpu.model ? environment.cpu.model : "N/A";
   const cpuCores = environment.cpu && environment.cpu.cores ? environment.cpu.cores : "N/A";
   const cpuInfo = `model: ${cpuModel}, cores: ${cpuCores}`;
@@ -1185,11 +1430,94 @@ function generateEnvironmentDashboard(environment, hideHeader = false) {
             </div>
           </div>
         </div>
+        ${generateProvenanceGrid(provenance)}
+      </div>
+    </div>
+  `;
+}
+function generateProvenanceGrid(provenance) {
+  const { ci, git } = provenance || {};
+  if (!ci && !git) return "";
+
+  const icons = {
+    ci: '<rect width="20" height="14" x="2" y="3" rx="2"></rect><path d="M8 21h8"></path><path d="M12 17v4"></path><path d="m10 8 2 2-2 2"></path>',
+    branch: '<line x1="6" x2="6" y1="3" y2="15"></line><circle cx="18" cy="6" r="3"></circle><circle cx="6" cy="18" r="3"></circle><path d="M18 9a9 9 0 0 1-9 9"></path>',
+    commit: '<circle cx="12" cy="12" r="3"></circle><line x1="3" x2="9" y1="12" y2="12"></line><line x1="15" x2="21" y1="12" y2="12"></line>',
+    author: '<path d="M19 21v-2a4 4 0 0 0-4-4H9a4 4 0 0 0-4 4v2"></path><circle cx="12" cy="7" r="4"></circle>',
+    message: '<path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>',
+    tree: '<path d="M14.5 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7.5L14.5 2z"></path><polyline points="14 2 14 8 20 8"></polyline>',
+  };
+  const items = [];
+  if (ci) {
+    items.push({ icon: "ci", label: "CI Provider", value: ci.provider });
+    const build = ci.buildNumber || ci.buildId;
+    if (build) {
+      items.push({ icon: "ci", label: "Build", value: `#${build}`, href: ci.buildUrl });
+    }
+    const pipeline = [ci.pipeline, ci.job].filter(Boolean).join(" / ");
+    if (pipeline) items.push({ icon: "ci", label: "Pipeline", value: pipeline });
+  }
+  if (git) {
+    if (git.branch) items.push({ icon: "branch", label: "Branch", value: git.branch });
+    items.push({ icon: "commit", label: "Commit", value: git.shortSha, title: git.sha });
+    if (git.author) {
+      items.push({ icon: "author", label: "Author", value: git.author, title: git.authorEmail || git.author });
+    }
+    if (git.message) items.push({ icon: "message", label: "Commit Message", value: git.message });
+    if (git.dirty !== undefined) {
+      items.push({ icon: "tree", label: "Working Tree", value: git.dirty ? "Uncommitted changes" : "Clean" });
+    }
+  }
+
+  return `
+    <div class="env-provenance">
+      <style>
+        .env-provenance {
+          border-top: 1px solid #e2e8f0;
+          margin-top: 12px;
+          padding-top: 12px;
+        }
+        .env-provenance-title {
+          font-size: 12px;
+          font-weight: 600;
+          color: #64748b;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          margin: 0 8px 4px;
+        }
+        .env-item-value a {
+          color: inherit;
+          text-decoration: underline;
+        }
+        .env-item-value.dirty {
+          color: var(--warning-color, #f59e0b);
+        }
+      </style>
+      <p class="env-provenance-title">Build &amp; Source</p>
+      <div class="env-items-grid">
+        ${items
+          .map(
+            (item) => `
+          <div class="env-item">
+            <div class="env-item-icon">
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${icons[item.icon]}</svg>
+            </div>
+            <div class="env-item-content">
+              <p class="env-item-label">${item.label}</p>
+              <div class="env-item-value${item.label === "Working Tree" && git.dirty ? " dirty" : ""}" title="${escapeHTMLAttribute(item.title || item.value)}">${
+                item.href
+                  ? renderExternalLink(item.href, item.value, "env-item-link")
+                  : escapeSourceText(String(item.value))
+              }</div>
+            </div>
+          </div>`,
+          )
+          .join("")}
       </div>
     </div>
   `;
 }
-function generateWorkerDistributionChart(results) {
+function generateWorkerDistributionChart(results, workerRestarts = []) {
   if (!results || results.length === 0) {
     return '<div class="no-data">No test results data available to display worker distribution.</div>';
   }
@@ -1205,11 +1533,32 @@ function generateWorkerDistributionChart(results) {
     const workerId =
       typeof test.workerId !== "undefined" ? test.workerId : "N/A";
     if (!acc[workerId]) {
-      acc[workerId] = { passed: 0, failed: 0, skipped: 0, flaky: 0, tests: [] };
+      acc[workerId] = {
+        passed: 0,
+        failed: 0,
+        skipped: 0,
+        flaky: 0,
+        timedout: 0,
+        interrupted: 0,
+        "expected-failure": 0,
+        "unexpected-success": 0,
+        "explicitly-skipped": 0,
+        tests: [],
+      };
     }
 
     const status = String(test.status).toLowerCase();
-    if (status === "passed" || status === "failed" || status === "skipped" || status === "flaky") {
+    if (
+      status === "passed" ||
+      status === "failed" ||
+      status === "skipped" ||
+      status === "flaky" ||
+      status === "timedout" ||
+      status === "interrupted" ||
+      status === "expected-failure" ||
+      status === "unexpected-success" ||
+      status === "explicitly-skipped"
+    ) {
       acc[workerId][status]++;
     }
 
@@ -1217,7 +1566,11 @@ function generateWorkerDistributionChart(results) {
     const testTitle =
       testTitleParts[testTitleParts.length - 1] || "Unnamed Test";
     // Store both name and status for each test
-    acc[workerId].tests.push({ name: testTitle, status: status });
+    acc[workerId].tests.push({
+      name: testTitle,
+      status: status,
+      workerIndex: test.workerIndex,
+    });
 
     return acc;
   }, {});
@@ -1241,20 +1594,51 @@ function generateWorkerDistributionChart(results) {
   )}`;
   const modalJsNamespace = `modal_funcs_${chartId.replace(/-/g, "_")}`;
 
+  // Restarts are recorded on the run with the same worker numbers as the results
+  const restartsByWorker = (workerRestarts || []).reduce((acc, restart) => {
+    const key = String(restart.workerId);
+    if (!acc[key]) acc[key] = [];
+    acc[key].push({
+      previousWorkerIndex: restart.previousWorkerIndex,
+      workerIndex: restart.workerIndex,
+      afterFailure: restart.afterFailure,
+      name: (restart.triggeredBy?.name || "").split(" > ").pop() || "Unnamed Test",
+      status: restart.triggeredBy?.status,
+      retry: restart.triggeredBy?.retry || 0,
+    });
+    return acc;
+  }, {});
+
   // The categories now just need the name for the axis labels
-  const categories = workerIds.map((id) => `Worker ${id}`);
+  const categories = workerIds.map((id) =>
+    restartsByWorker[id]
+      ? `Worker ${id} (↻ ${restartsByWorker[id].length})`
+      : `Worker ${id}`,
+  );
 
   // We pass the full data separately to the script
   const fullWorkerData = workerIds.map((id) => ({
     id: id,
     name: `Worker ${id}`,
     tests: workerData[id].tests,
+    restarts: restartsByWorker[id] || [],
   }));
 
   const passedData = workerIds.map((id) => workerData[id].passed);
   const failedData = workerIds.map((id) => workerData[id].failed);
   const skippedData = workerIds.map((id) => workerData[id].skipped);
   const flakyData = workerIds.map((id) => workerData[id].flaky);
+  const timedOutData = workerIds.map((id) => workerData[id].timedout);
+  const interruptedData = workerIds.map((id) => workerData[id].interrupted);
+  const expectedFailureData = workerIds.map(
+    (id) => workerData[id]["expected-failure"],
+  );
+  const unexpectedSuccessData = workerIds.map(
+    (id) => workerData[id]["unexpected-success"],
+  );
+  const explicitlySkippedData = workerIds.map(
+    (id) => workerData[id]["explicitly-skipped"],
+  );
 
   const categoriesString = JSON.stringify(categories);
   const fullDataString = JSON.stringify(fullWorkerData);
@@ -1263,6 +1647,11 @@ function generateWorkerDistributionChart(results) {
     { name: "Failed", data: failedData, color: "var(--danger-color)" },
     { name: "Flaky", data: flakyData, color: "#00ccd3" },
     { name: "Skipped", data: skippedData, color: "var(--warning-color)" },
+    { name: "Timed Out", data: timedOutData, color: "#f97316" },
+    { name: "Interrupted", data: interruptedData, color: "#8b5cf6" },
+    { name: "Expected Failure", data: expectedFailureData, color: "#84cc16" },
+    { name: "Unexpected Success", data: unexpectedSuccessData, color: "#ec4899" },
+    { name: "Explicitly Skipped", data: explicitlySkippedData, color: "#fbbf24" },
   ]);
 
   // The HTML now includes the chart container, the modal, and styles for the modal
@@ -1364,16 +1753,33 @@ function generateWorkerDistributionChart(results) {
                 else if (test.status === 'failed') color = 'var(--danger-color)';
                 else if (test.status === 'skipped') color = 'var(--warning-color)';
                 else if (test.status === 'flaky') color = '#00ccd3';
+                else if (test.status === 'timedout') color = '#f97316';
+                else if (test.status === 'interrupted') color = '#8b5cf6';
+                else if (test.status === 'expected-failure') color = '#84cc16';
+                else if (test.status === 'unexpected-success') color = '#ec4899';
+                else if (test.status === 'explicitly-skipped') color = '#fbbf24';
 
                 // Updated escaping logic
                 const escapedName = test.name.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-                testListHtml += \`<li style="color: \${color};"><span style="color: \${color}">[\${test.status.toUpperCase()}]</span> \${escapedName}</li>\`;
+                const processLabel = test.workerIndex >= 0 ? ' <small style="opacity: 0.6;">(process #' + test.workerIndex + ')</small>' : '';
+                testListHtml += \`<li style="color: \${color};"><span style="color: \${color}">[\${test.status.toUpperCase()}]</span> \${escapedName}\${processLabel}</li>\`;
             });
           } else {
             testListHtml += '<li>No detailed test data available for this worker.</li>';
           }
           testListHtml += '</ul>';
 
+          if (worker.restarts && worker.restarts.length > 0) {
+            testListHtml += '<h4 style="margin: 20px 0 0;">Worker restarts (' + worker.restarts.length + ')</h4><ul>';
+            worker.restarts.forEach(restart => {
+              const escapedName = restart.name.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+              testListHtml += '<li><span>↻</span> Process #' + restart.previousWorkerIndex + ' → #' + restart.workerIndex +
+                (restart.afterFailure ? ' after <strong>' : ' after ') + escapedName + (restart.afterFailure ? '</strong>' : '') +
+                ' (' + String(restart.status || 'unknown') + (restart.retry > 0 ? ', retry ' + restart.retry : '') + ')</li>';
+            });
+            testListHtml += '</ul>';
+          }
+
           modalBody.innerHTML = testListHtml;
           modal.style.display = 'flex';
         };
@@ -1526,6 +1932,7 @@ function generateTestHistoryContent(trendData) {
               testRunForThisOverallRun.timestamp ||
               overallRun.timestamp ||
               new Date(),
+            metrics: testRunForThisOverallRun.metrics,
           });
         }
       });
@@ -1543,6 +1950,11 @@ function generateTestHistoryContent(trendData) {
         <option value="failed">Failed</option>
         <option value="flaky">Flaky</option>
         <option value="skipped">Skipped</option>
+        <option value="timedOut">Timed Out</option>
+        <option value="interrupted">Interrupted</option>
+        <option value="expected-failure">Expected Failure</option>
+        <option value="unexpected-success">Unexpected Success</option>
+        <option value="explicitly-skipped">Explicitly Skipped</option>
     </select>
     <button id="clear-history-filters" class="clear-filters-btn">Clear Filters</button>
 </div>
@@ -1554,6 +1966,10 @@ function generateTestHistoryContent(trendData) {
               test.history.length > 0
                 ? test.history[test.history.length - 1]
                 : { status: "unknown" };
+            const metricHistory = getMetricHistory(test.history);
+            const regressedMetrics = metricHistory.filter(
+              (metric) => metric.regressed,
+            );
             return `
             <div class="test-history-card" data-test-name="${sanitizeHTML(
               test.testTitle.toLowerCase(),
@@ -1566,9 +1982,17 @@ function generateTestHistoryContent(trendData) {
                   ${String(latestRun.status).toUpperCase()}
                 </span>
               </div>
+              ${
+                regressedMetrics.length > 0
+                  ? `<div class="metric-regression-banner">📉 Regression: ${regressedMetrics
+                      .map((metric) => escapeSourceText(metric.name))
+                      .join(", ")}</div>`
+                  : ""
+              }
               <div class="test-history-trend">
                 ${generateTestHistoryChart(test.history)} 
               </div>
+              ${metricHistory.map(generateMetricHistoryChart).join("")}
               <details class="test-history-details-collapsible">
                 <summary>Show Run Details (${test.history.length})</summary>
                 <div class="test-history-details">
@@ -1611,6 +2035,16 @@ function getStatusClass(status) {
       return "status-skipped";
     case "flaky":
       return "status-flaky";
+    case "timedout":
+      return "status-timedout";
+    case "interrupted":
+      return "status-interrupted";
+    case "expected-failure":
+      return "status-expected-failure";
+    case "unexpected-success":
+      return "status-unexpected-success";
+    case "explicitly-skipped":
+      return "status-explicitly-skipped";
     default:
       return "status-unknown";
   }
@@ -1625,6 +2059,16 @@ function getStatusIcon(status) {
       return "⏭️";
     case "flaky":
       return "⚠️";
+    case "timedout":
+      return "⏱️";
+    case "interrupted":
+      return "⛔";
+    case "expected-failure":
+      return "🎯";
+    case "unexpected-success":
+      return "❗";
+    case "explicitly-skipped":
+      return "⏩";
     default:
       return "❓";
   }
@@ -1662,6 +2106,11 @@ function getSuitesData(results) {
         failed: 0,
         flaky: 0,
         skipped: 0,
+        timedout: 0,
+        interrupted: 0,
+        "expected-failure": 0,
+        "unexpected-success": 0,
+        "explicitly-skipped": 0,
         count: 0,
         statusOverall: "passed",
       });
@@ -1673,7 +2122,13 @@ function getSuitesData(results) {
     if (currentStatus && suite[currentStatus] !== undefined) {
       suite[currentStatus]++;
     }
-    if (currentStatus === "failed") suite.statusOverall = "failed";
+    if (
+      currentStatus === "failed" ||
+      currentStatus === "timedout" ||
+      currentStatus === "interrupted" ||
+      currentStatus === "unexpected-success"
+    )
+      suite.statusOverall = "failed";
     else if (currentStatus === "flaky" && suite.statusOverall !== "failed")
         suite.statusOverall = "flaky";
     else if (currentStatus === "skipped" && suite.statusOverall !== "failed" && suite.statusOverall !== "flaky")
@@ -1734,6 +2189,46 @@ function generateSuitesWidget(suitesData) {
                  <svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 16 16"><path d="M8.982 1.566a1.13 1.13 0 0 0-1.96 0L.165 13.233c-.457.778.091 1.767.98 1.767h13.713c.889 0 1.438-.99.98-1.767L8.982 1.566zM8 5c.535 0 .954.462.9.995l-.35 3.507a.552.552 0 0 1-1.1 0L7.1 5.995A.905.905 0 0 1 8 5zm.002 6a1 1 0 1 1 0 2 1 1 0 0 1 0-2z"/></svg>
                  ${suite.skipped}
               </span>
+              ${
+                suite.timedout
+                  ? `<span class="stat-pill timedout" title="Timed Out">
+                      <svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 16 16"><path d="M8 3.5a.5.5 0 0 0-1 0V9a.5.5 0 0 0 .252.434l3.5 2a.5.5 0 0 0 .496-.868L8 8.71V3.5z"/><path d="M8 16A8 8 0 1 0 8 0a8 8 0 0 0 0 16zm7-8A7 7 0 1 1 1 8a7 7 0 0 1 14 0z"/></svg>
+                      ${suite.timedout}
+                    </span>`
+                  : ""
+              }
+              ${
+                suite.interrupted
+                  ? `<span class="stat-pill interrupted" title="Interrupted">
+                      <svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 16 16"><path d="M16 8A8 8 0 1 1 0 8a8 8 0 0 1 16 0zM6.5 5A1.5 1.5 0 0 0 5 6.5v3A1.5 1.5 0 0 0 6.5 11h3A1.5 1.5 0 0 0 11 9.5v-3A1.5 1.5 0 0 0 9.5 5h-3z"/></svg>
+                      ${suite.interrupted}
+                    </span>`
+                  : ""
+              }
+              ${
+                suite["expected-failure"]
+                  ? `<span class="stat-pill expected-failure" title="Expected Failure">
+                      <svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 16 16"><path d="M8 16A8 8 0 1 0 8 0a8 8 0 0 0 0 16zm0-3a5 5 0 1 1 0-10 5 5 0 0 1 0 10zm0-2a3 3 0 1 0 0-6 3 3 0 0 0 0 6z"/></svg>
+                      ${suite["expected-failure"]}
+                    </span>`
+                  : ""
+              }
+              ${
+                suite["unexpected-success"]
+                  ? `<span class="stat-pill unexpected-success" title="Unexpected Success">
+                      <svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 16 16"><path d="M16 8A8 8 0 1 1 0 8a8 8 0 0 1 16 0zM8 4a.905.905 0 0 0-.9.995l.35 3.507a.552.552 0 0 0 1.1 0l.35-3.507A.905.905 0 0 0 8 4zm.002 6a1 1 0 1 0 0 2 1 1 0 0 0 0-2z"/></svg>
+                      ${suite["unexpected-success"]}
+                    </span>`
+                  : ""
+              }
+              ${
+                suite["explicitly-skipped"]
+                  ? `<span class="stat-pill explicitly-skipped" title="Explicitly Skipped">
+                      <svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 16 16"><path d="M7.596 7.304a.802.802 0 0 1 0 1.392l-6.363 3.692C.713 12.69 0 12.345 0 11.692V4.308c0-.653.713-.998 1.233-.696l6.363 3.692zm7.5 0a.802.802 0 0 1 0 1.392l-6.363 3.692C8.713 12.69 8 12.345 8 11.692V4.308c0-.653.713-.998 1.233-.696l6.363 3.692z"/></svg>
+                      ${suite["explicitly-skipped"]}
+                    </span>`
+                  : ""
+              }
             </div>
           </div>
         </div>`,
@@ -1743,6 +2238,196 @@ function generateSuitesWidget(suitesData) {
   </div>
 </div>`;
 }
+/**
+ * Lists why a run did not complete normally. Ordinary test failures are not listed.
+ * @param {object} run - The `run` object of the report.
+ * @returns {string[]} One sentence per problem, empty for a normal run.
+ */
+function getRunIssues(run) {
+  if (!run) return [];
+  const issues = [];
+  if (run.incomplete) {
+    issues.push(
+      "The run was killed before it finished. This report was rebuilt from the partial result journal, so tests that had not finished are missing.",
+    );
+  }
+  if (run.status === "interrupted") {
+    issues.push("The run was interrupted before all tests finished.");
+  } else if (run.status === "timedout") {
+    issues.push(
+      "The run reached the global timeout. Tests that had not finished are missing from this report.",
+    );
+  } else if (
+    run.status === "failed" &&
+    !(
+      (run.failed || 0) +
+      (run.timedOut || 0) +
+      (run.interrupted || 0) +
+      (run.unexpectedSuccesses || 0)
+    ) &&
+    !(run.globalErrors && run.globalErrors.length > 0)
+  ) {
+    issues.push(
+      "The run failed although no test did, for example in global setup or teardown.",
+    );
+  }
+  return issues;
+}
+/**
+ * Generates the banner shown above the dashboard when the run was interrupted,
+ * timed out, was recovered from a journal or reported errors outside of tests.
+ * @param {object} run - The `run` object of the report.
+ * @returns {string} HTML string, empty for a normal run.
+ */
+function generateRunStatusBanner(run) {
+  const issues = getRunIssues(run);
+  const globalErrors = (run && run.globalErrors) || [];
+  if (issues.length === 0 && globalErrors.length === 0) return "";
+
+  return `
+    <div class="run-status-banner" role="alert">
+      <div class="run-status-banner-icon">⚠️</div>
+      <div class="run-status-banner-body">
+        <h3>This run did not complete normally${
+          run.status && run.status !== "passed"
+            ? ` <span class="run-status-badge">${sanitizeHTML(run.status)}</span>`
+            : ""
+        }</h3>
+        ${issues.map((issue) => `<p>${sanitizeHTML(issue)}</p>`).join("")}
+        ${
+          globalErrors.length > 0
+            ? `<div class="run-status-banner-errors">
+          <h4>Errors outside of tests (${globalErrors.length})</h4>
+          ${globalErrors
+            .map(
+              (error) => `<details class="global-error">
+            <summary>${sanitizeHTML(
+              (error.message || "Unknown error")
+                .replace(/\u001b\[[0-9;]*m/g, "")
+                .split("\n")[0],
+            )}${
+              error.location
+                ? ` <span class="test-error-location">${sanitizeHTML(
+                    `${error.location.file.split(/[\\/]/).pop()}:${error.location.line}`,
+                  )}</span>`
+                : ""
+            }</summary>
+            <div class="stack-trace">${formatPlaywrightError(
+              error.stack || error.message || "",
+            )}</div>
+          </details>`,
+            )
+            .join("")}
+        </div>`
+            : ""
+        }
+      </div>
+    </div>`;
+}
+/**
+ * Groups --repeat-each iterations of the same test and computes how often each one passed.
+ * Only tests that were actually repeated are returned, least stable first.
+ * @param {Array<object>} results - Array of test result objects.
+ * @returns {Array<object>} One entry per repeated test.
+ */
+function getRepeatStabilityData(results) {
+  const groups = new Map();
+  (results || []).forEach((test) => {
+    if (!groups.has(test.name)) groups.set(test.name, []);
+    groups.get(test.name).push(test);
+  });
+
+  return Array.from(groups.values())
+    .filter(
+      (iterations) =>
+        iterations.length > 1 &&
+        iterations.some((test) => test.repeatEachIndex > 0),
+    )
+    .map((iterations) => {
+      iterations.sort(
+        (a, b) => (a.repeatEachIndex || 0) - (b.repeatEachIndex || 0),
+      );
+      const outcomes = iterations.map((test) =>
+        test.outcome === "flaky" ? "flaky" : test.final_status || test.status,
+      );
+      const passed = outcomes.filter(
+        (status) => status === "passed" || status === "expected-failure",
+      ).length;
+      const skipped = outcomes.filter(
+        (status) => status === "skipped" || status === "explicitly-skipped",
+      ).length;
+      const executed = outcomes.length - skipped;
+      const titleParts = iterations[0].name.split(" > ");
+      return {
+        name: iterations[0].name,
+        title: titleParts[titleParts.length - 1] || "Unnamed Test",
+        browser: iterations[0].browser || "unknown",
+        iterations: outcomes.length,
+        passed,
+        skipped,
+        // Flaky iterations passed only after a retry, so they do not count as stable passes
+        passRatio: executed > 0 ? passed / executed : null,
+        outcomes,
+      };
+    })
+    .sort((a, b) => (a.passRatio ?? 2) - (b.passRatio ?? 2));
+}
+/**
+ * Renders the Repeat Stability table shown when tests ran with --repeat-each.
+ * @param {Array<object>} results - Array of test result objects.
+ * @returns {string} HTML string, empty when nothing was repeated.
+ */
+function generateRepeatStabilityWidget(results) {
+  const stabilityData = getRepeatStabilityData(results);
+  if (stabilityData.length === 0) return "";
+
+  const unstableCount = stabilityData.filter(
+    (entry) => entry.passRatio !== null && entry.passRatio < 1,
+  ).length;
+  return `
+<div class="repeat-stability-widget">
+  <div class="suites-header">
+    <h2>Repeat Stability</h2>
+    <span class="summary-badge">${stabilityData.length} repeated tests • ${unstableCount} unstable</span>
+  </div>
+  <table class="repeat-stability-table">
+    <thead><tr><th>Test</th><th>Iterations</th><th>Pass Ratio</th><th>Outcomes</th></tr></thead>
+    <tbody>
+      ${stabilityData
+        .map((entry) => {
+          const ratioPercent =
+            entry.passRatio === null ? null : Math.round(entry.passRatio * 100);
+          const ratioClass =
+            ratioPercent === null
+              ? "skipped"
+              : ratioPercent === 100
+                ? "stable"
+                : ratioPercent >= 50
+                  ? "unstable"
+                  : "broken";
+          return `
+      <tr>
+        <td><span class="repeat-test-title" title="${escapeHTMLAttribute(entry.name)}">${escapeSourceText(entry.title)}</span> <span class="test-case-browser">(${escapeSourceText(entry.browser)})</span></td>
+        <td>${entry.iterations}${entry.skipped > 0 ? ` <span class="repeat-skipped">(${entry.skipped} skipped)</span>` : ""}</td>
+        <td>
+          <div class="repeat-ratio repeat-ratio-${ratioClass}">
+            <div class="repeat-ratio-bar"><div class="repeat-ratio-fill" style="width: ${ratioPercent ?? 0}%;"></div></div>
+            <span>${ratioPercent === null ? "N/A" : `${ratioPercent}%`}</span>
+          </div>
+        </td>
+        <td class="repeat-outcomes">${entry.outcomes
+          .map(
+            (status, index) =>
+              `<span class="repeat-outcome ${getStatusClass(status)}" title="Iteration ${index + 1}: ${escapeHTMLAttribute(status)}"></span>`,
+          )
+          .join("")}</td>
+      </tr>`;
+        })
+        .join("")}
+    </tbody>
+  </table>
+</div>`;
+}
 function getAttachmentIcon(contentType) {
   if (!contentType) return "📎"; // Handle undefined/null
 
@@ -1756,9 +2441,12 @@ function getAttachmentIcon(contentType) {
   if (normalizedType.startsWith("text/")) return "📝";
   return "📎";
 }
-function generateAIFailureAnalyzerTab(results) {
+function generateAIFailureAnalyzerTab(results, sources = {}) {
   const failedTests = (results || []).filter(
-    (test) => test.status === "failed",
+    (test) =>
+      test.status === "failed" ||
+      test.status === "timedOut" ||
+      test.status === "interrupted",
   );
 
   if (failedTests.length === 0) {
@@ -1798,7 +2486,7 @@ function generateAIFailureAnalyzerTab(results) {
       ${failedTests
         .map((test) => {
           const testTitle = test.name.split(" > ").pop() || "Unnamed Test";
-          const testJson = btoa(JSON.stringify(test)); // Base64 encode the test object
+          const testJson = btoa(JSON.stringify(withSourceContext(test, sources))); // Base64 encode the test object
           const truncatedError =
             (test.errorMessage || "No error message").slice(0, 150) +
             (test.errorMessage && test.errorMessage.length > 150 ? "..." : "");
@@ -1840,10 +2528,26 @@ function generateAIFailureAnalyzerTab(results) {
             <div class="full-error-details" style="display: none;">
                 <div class="full-error-content">
                     ${formatPlaywrightError(
-                      test.errorMessage ||
+                      getTestErrors(test)
+                        .map((error) => error.message)
+                        .join("\n\n") ||
                         "No detailed error message available",
                     )}
                 </div>
+                ${[
+                  ...new Map(
+                    getTestErrors(test)
+                      .filter((error) => error.sourceRef && sources[error.sourceRef])
+                      .map((error) => [error.sourceRef, error]),
+                  ).values(),
+                ]
+                  .map((error) =>
+                    generateSourcePanelHTML(
+                      sources[error.sourceRef],
+                      error.location?.column,
+                    ),
+                  )
+                  .join("")}
             </div>
             <div class="ai-suggestion-container" style="display: none;">
                 <div class="ai-suggestion-content">
@@ -1982,7 +2686,10 @@ function generateDescribeDurationChart(results) {
 
   results.forEach((test) => {
     if (test.describe) {
-      const describeName = test.describe;
+      // Key by the full path so inner blocks with the same title in different parents stay apart
+      const describeName = test.describePath
+        ? test.describePath.join(" > ")
+        : test.describe;
       // Filter out invalid describe blocks
       if (
         !describeName ||
@@ -1992,133 +2699,1484 @@ function generateDescribeDurationChart(results) {
         return;
       }
 
-      foundAnyDescribe = true;
-      const fileName = test.spec_file || "Unknown File";
-      const key = fileName + "::" + describeName;
+      foundAnyDescribe = true;
+      const fileName = test.file || test.spec_file || "Unknown File";
+      const key = fileName + "::" + describeName;
+
+      if (!describeMap.has(key)) {
+        describeMap.set(key, {
+          duration: 0,
+          file: fileName,
+          describe: describeName,
+        });
+      }
+      describeMap.get(key).duration += test.duration;
+    }
+  });
+
+  if (!foundAnyDescribe) {
+    return '<div class="no-data">No valid test describe blocks found.</div>';
+  }
+
+  const categories = [];
+  const data = [];
+
+  for (const [key, val] of describeMap.entries()) {
+    categories.push(val.describe);
+    data.push({
+      y: val.duration,
+      name: val.describe,
+      custom: {
+        fileName: val.file,
+        describeName: val.describe,
+      },
+    });
+  }
+
+  const chartId = `descDurChart-${Date.now()}-${Math.random()
+    .toString(36)
+    .substring(2, 7)}`;
+  const renderFunctionName = `renderDescDurChart_${chartId.replace(/-/g, "_")}`;
+
+  const categoriesStr = JSON.stringify(categories);
+  const dataStr = JSON.stringify(data);
+
+  return `
+    <div id="${chartId}" class="trend-chart-container lazy-load-chart" data-render-function-name="${renderFunctionName}">
+        <div class="no-data">Loading Describe Duration Chart...</div>
+    </div>
+    <script>
+        window.${renderFunctionName} = function() {
+            const chartContainer = document.getElementById('${chartId}');
+            if (!chartContainer) return;
+            if (typeof Highcharts !== 'undefined' && typeof formatDuration !== 'undefined') {
+                try {
+                    chartContainer.innerHTML = '';
+                    Highcharts.chart('${chartId}', {
+                        chart: { 
+                            type: 'column', // 1. CHANGED: 'bar' -> 'column' for vertical bars
+                            height: 400,    // 2. CHANGED: Fixed height works better for vertical charts
+                            backgroundColor: 'transparent' 
+                        },
+                        title: { text: null },
+                        xAxis: { 
+                            categories: ${categoriesStr}, 
+                            visible: false, // Hidden as requested
+                            title: { text: null },
+                            crosshair: true
+                        },
+                        yAxis: { 
+                            min: 0, 
+                            title: { text: 'Total Duration', style: { color: 'var(--text-color)' } },
+                            labels: { formatter: function() { return formatDuration(this.value); }, style: { color: 'var(--text-color-secondary)' } }
+                        },
+                        legend: { enabled: false },
+                        plotOptions: { 
+                            series: { 
+                                borderRadius: 4, 
+                                borderWidth: 0,
+                                states: { hover: { brightness: 0.1 }} 
+                            },
+                            column: { pointPadding: 0.2, groupPadding: 0.1 } // Adjust spacing for columns
+                        },
+                        tooltip: {
+                            shared: true, 
+                            useHTML: true, 
+                            backgroundColor: 'rgba(10,10,10,0.92)', 
+                            borderColor: 'rgba(10,10,10,0.92)', 
+                            style: { color: '#f5f5f5' },
+                            formatter: function() {
+                                const point = this.points ? this.points[0].point : this.point;
+                                const file = (point.custom && point.custom.fileName) ? point.custom.fileName : 'Unknown';
+                                const desc = point.name || 'Unknown'; 
+                                const color = point.color || point.series.color;
+                                
+                                return '<span style="color:' + color + '">●</span> <b>Describe: ' + desc + '</b><br/>' +
+                                  '<span style="opacity: 0.8; font-size: 0.9em; color: #ddd;">File: ' + file + '</span><br/>' +
+                                  'Duration: <b>' + formatDuration(point.y) + '</b>';
+                            }
+                        },
+                        series: [{
+                            name: 'Duration',
+                            data: ${dataStr},
+                            colorByPoint: true,
+                            colors: [
+                                '#9333ea',
+                                '#6366f1',
+                                '#0ea5e9',
+                                '#10b981',
+                                '#84cc16',
+                                '#eab308',
+                                '#f97316',
+                                '#ef4444',
+                                '#ec4899',
+                                '#8b5cf6',
+                                '#06b6d4',
+                                '#14b8a6',
+                                '#a3e635',
+                                '#fbbf24',
+                                '#fb923c',
+                                '#f87171'
+                            ],
+                        }],
+                        credits: { enabled: false }
+                    });
+                } catch (e) { console.error("Error rendering describe chart:", e); }
+            }
+        };
+    </script>
+  `;
+}
+/**
+ * Returns the file > describe nodes above a test.
+ * Uses `describePath` when present and falls back to the single `describe` title of older reports.
+ * @param {object} test - The test result object.
+ * @returns {Array<{title: string, kind: string}>} The nodes, outermost first.
+ */
+function getTestFilePath(test) {
+  const file = test.file || test.spec_file || "Unknown File";
+  const describePath =
+    test.describePath ||
+    (test.describe && test.describe.trim().toLowerCase() !== "n/a"
+      ? [test.describe]
+      : []);
+  return [
+    { title: file, kind: "file" },
+    ...describePath.map((title) => ({ title, kind: "describe" })),
+  ];
+}
+/**
+ * Returns the epic > feature > story nodes above a test, set with pulse.epic/feature/story().
+ * @param {object} test - The test result object.
+ * @returns {Array<{title: string, kind: string}>} The nodes, outermost first.
+ */
+function getTestFeaturePath(test) {
+  return [
+    test.epic && { title: test.epic, kind: "epic" },
+    { title: test.feature || "(no feature)", kind: "feature" },
+    test.story && { title: test.story, kind: "story" },
+  ].filter(Boolean);
+}
+/**
+ * Groups results into a tree, by default file > describe > test.
+ * @param {Array<object>} results - Array of test result objects.
+ * @param {(test: object) => Array<{title: string, kind: string}>} [getPath] - The nodes above each test, outermost first.
+ * @returns {{children: Map<string, object>, tests: Array<{test: object, index: number}>}} The root node.
+ */
+function buildTestTree(results, getPath = getTestFilePath) {
+  const root = { children: new Map(), tests: [] };
+  (results || []).forEach((test, index) => {
+    let node = root;
+    getPath(test).forEach(({ title, kind }) => {
+      if (!node.children.has(title)) {
+        node.children.set(title, {
+          title,
+          kind,
+          children: new Map(),
+          tests: [],
+        });
+      }
+      node = node.children.get(title);
+    });
+    node.tests.push({ test, index });
+  });
+  return root;
+}
+const TREE_NODE_ICONS = {
+  file: "📄",
+  describe: "📁",
+  group: "🏷️",
+  epic: "🗺️",
+  feature: "🧩",
+  story: "📖",
+};
+/**
+ * Renders the collapsible tree of the Test Run Summary tab.
+ * Every node shows the status counts and total duration of the tests below it.
+ * @param {Array<object>} results - Array of test result objects.
+ * @param {(test: object) => Array<{title: string, kind: string}>} [getPath] - See buildTestTree.
+ * @returns {string} HTML string of the tree.
+ */
+function generateTestTreeHTML(results, getPath) {
+  if (!results || results.length === 0)
+    return '<div class="no-tests">No test results found in this run.</div>';
+
+  const getTestStatus = (test) =>
+    test.outcome === "flaky" || test.status === "flaky"
+      ? "flaky"
+      : test.retryHistory && test.retryHistory.length > 0 && test.final_status
+        ? test.final_status
+        : test.status;
+  const getBucket = (status) => {
+    switch (status) {
+      case "passed":
+      case "expected-failure":
+        return "passed";
+      case "flaky":
+        return "flaky";
+      case "skipped":
+      case "explicitly-skipped":
+        return "skipped";
+      default:
+        return "failed";
+    }
+  };
+  const getOverallStatus = (counts) =>
+    counts.failed > 0
+      ? "failed"
+      : counts.flaky > 0
+        ? "flaky"
+        : counts.passed > 0
+          ? "passed"
+          : "skipped";
+
+  const renderLeaf = ({ test, index }) => {
+    const status = getTestStatus(test);
+    // Same value the list uses, so both views react to the status filter alike
+    const filterStatus =
+      test.retryHistory && test.retryHistory.length > 0 && test.final_status
+        ? test.final_status
+        : test.status;
+    const browser = test.browser || "unknown";
+    const titleParts = test.name.split(" > ");
+    const title = titleParts[titleParts.length - 1] || "Unnamed Test";
+    return `
+      <div class="tree-leaf" role="button" tabindex="0" data-test-index="${index}" data-status="${filterStatus}" data-browser="${escapeHTMLAttribute(
+        browser,
+      )}" data-name="${escapeHTMLAttribute(test.name)}" data-custom-fields="${getCustomFieldTokens(
+        test,
+      )}">
+        <span class="tree-leaf-icon">${getStatusIcon(status)}</span>
+        <span class="tree-leaf-title">${escapeSourceText(title)}</span>
+        <span class="tree-leaf-browser">(${escapeSourceText(browser)})</span>
+        <span class="tree-node-duration">${formatDuration(test.duration)}</span>
+      </div>`;
+  };
+
+  const renderNode = (node, depth) => {
+    const counts = { passed: 0, failed: 0, flaky: 0, skipped: 0 };
+    let duration = 0;
+    const parts = [];
+    for (const child of node.children.values()) {
+      const rendered = renderNode(child, depth + 1);
+      Object.keys(counts).forEach((key) => (counts[key] += rendered.counts[key]));
+      duration += rendered.duration;
+      parts.push(rendered.html);
+    }
+    node.tests.forEach((entry) => {
+      counts[getBucket(getTestStatus(entry.test))]++;
+      duration += entry.test.duration || 0;
+      parts.push(renderLeaf(entry));
+    });
+
+    const countChips = Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(
+        ([bucket, count]) =>
+          `<span class="tree-count tree-count-${bucket}" title="${capitalize(bucket)}">${getStatusIcon(bucket)} ${count}</span>`,
+      )
+      .join("");
+    const html = `
+      <details class="tree-node tree-node-${node.kind}" data-status="${getOverallStatus(counts)}"${depth === 0 ? " open" : ""}>
+        <summary class="tree-node-header">
+          <span class="tree-node-icon">${TREE_NODE_ICONS[node.kind] || "📁"}</span>
+          <span class="tree-node-title" title="${escapeHTMLAttribute(node.title)}">${escapeSourceText(node.title)}</span>
+          <span class="tree-node-counts">${countChips}</span>
+          <span class="tree-node-duration">${formatDuration(duration)}</span>
+        </summary>
+        <div class="tree-node-children">${parts.join("")}</div>
+      </details>`;
+    return { html, counts, duration };
+  };
+
+  const root = buildTestTree(results, getPath);
+  return Array.from(root.children.values())
+    .map((topNode) => renderNode(topNode, 0).html)
+    .join("");
+}
+/**
+ * Renders the metrics a test recorded with pulse.metric() for the test details.
+ * @param {Array<object>} [metrics] - The test's metrics.
+ * @returns {string} HTML string of the table, empty when there are no metrics.
+ */
+function generateTestMetricsHTML(metrics) {
+  if (!metrics || metrics.length === 0) return "";
+  return `<div class="test-metrics">
+            <h4>Metrics</h4>
+            <table class="test-metrics-table">
+              <thead><tr><th>Metric</th><th>Value</th><th>Threshold</th></tr></thead>
+              <tbody>${metrics
+                .map(
+                  (metric) =>
+                    `<tr${isMetricRegression(metric.value, metric) ? ' class="metric-regressed"' : ""}><td>${escapeSourceText(
+                      metric.name,
+                    )}</td><td>${escapeSourceText(
+                      formatMetricValue(metric.value, metric.unit),
+                    )}</td><td>${
+                      typeof metric.threshold === "number"
+                        ? `${metric.higherIsBetter ? "≥" : "≤"} ${escapeSourceText(
+                            formatMetricValue(metric.threshold, metric.unit),
+                          )}`
+                        : "—"
+                    }</td></tr>`,
+                )
+                .join("")}</tbody>
+            </table>
+          </div>`;
+}
+/**
+ * Renders the inputs a test recorded with pulse.parameter() for the test details.
+ * @param {Array<object>} [parameters] - The test's parameters.
+ * @returns {string} HTML string of the table, empty when there are no parameters.
+ */
+function generateTestParametersHTML(parameters) {
+  if (!parameters || parameters.length === 0) return "";
+  return `<div class="test-parameters">
+            <h4>Parameters</h4>
+            <table class="test-parameters-table"><tbody>${parameters
+              .map(
+                (parameter) =>
+                  `<tr><th>${escapeSourceText(parameter.name)}</th><td${
+                    parameter.masked ? ' class="parameter-masked" title="Masked"' : ""
+                  }>${escapeSourceText(parameter.value)}</td></tr>`,
+              )
+              .join("")}</tbody></table>
+          </div>`;
+}
+/**
+ * Returns the title of a test with every parameter value replaced by `{name}`,
+ * e.g. "login as admin" becomes "login as {user}".
+ * @param {object} test - The test result object.
+ * @returns {string} The title template.
+ */
+function getParameterisedTitle(test) {
+  const titleParts = test.name.split(" > ");
+  let title = titleParts[titleParts.length - 1] || "Unnamed Test";
+  [...(test.parameters || [])]
+    // Longer values first, so "admin-2" is not replaced as "{user}-2"
+    .sort((a, b) => b.value.length - a.value.length)
+    .forEach((parameter) => {
+      if (!parameter.masked && parameter.value) {
+        title = title.split(parameter.value).join(`{${parameter.name}}`);
+      }
+    });
+  return title;
+}
+/**
+ * Finds the tests that share a title template, file, describe blocks and browser.
+ * Only tests with parameters are grouped, and only when at least two share a template.
+ * @param {Array<object>} results - Array of test result objects.
+ * @returns {Map<number, {title: string, indices: number[]}>} The group of every grouped test index.
+ */
+function getParameterisedGroups(results) {
+  const groupsByKey = new Map();
+  (results || []).forEach((test, index) => {
+    if (!test.parameters || test.parameters.length === 0) return;
+    const title = getParameterisedTitle(test);
+    const key = [
+      ...test.name.split(" > ").slice(0, -1),
+      test.browser || "unknown",
+      title,
+    ].join("\u0000");
+    if (!groupsByKey.has(key)) groupsByKey.set(key, { title, indices: [] });
+    groupsByKey.get(key).indices.push(index);
+  });
+  const groupByIndex = new Map();
+  groupsByKey.forEach((group) => {
+    if (group.indices.length < 2) return;
+    group.indices.forEach((index) => groupByIndex.set(index, group));
+  });
+  return groupByIndex;
+}
+/**
+ * Renders the test cases from `start` to `end`, folding the tests of each parameterised group
+ * into one expandable row with the outcome of every parameter set.
+ * A group is rendered in place of its first test, so all of its tests are rendered together.
+ * @param {Array<object>} results - Array of test result objects.
+ * @param {number} start - Index of the first test to render.
+ * @param {number} end - Index after the last test to render.
+ * @param {(test: object, index: number) => string} renderTestCase - Renders one test case.
+ * @returns {string} HTML string of the test cases.
+ */
+function renderTestCasesWithParameterGroups(results, start, end, renderTestCase) {
+  const groupByIndex = getParameterisedGroups(results);
+  const html = [];
+  for (let index = start; index < end; index++) {
+    const group = groupByIndex.get(index);
+    if (!group) {
+      html.push(renderTestCase(results[index], index));
+    } else if (group.indices[0] === index) {
+      html.push(generateParameterisedGroupHTML(results, group, renderTestCase));
+    }
+  }
+  return html.join("");
+}
+function generateParameterisedGroupHTML(results, group, renderTestCase) {
+  const tests = group.indices.map((index) => ({ index, test: results[index] }));
+  const parameterNames = [
+    ...new Set(
+      tests.flatMap(({ test }) => test.parameters.map((parameter) => parameter.name)),
+    ),
+  ];
+  const getStatus = (test) =>
+    test.outcome === "flaky" || test.status === "flaky"
+      ? "flaky"
+      : test.retryHistory && test.retryHistory.length > 0 && test.final_status
+        ? test.final_status
+        : test.status;
+  const counts = {};
+  tests.forEach(({ test }) => {
+    const status = getStatus(test);
+    counts[status] = (counts[status] || 0) + 1;
+  });
+  const hasFailures = Object.keys(counts).some(
+    (status) => !["passed", "skipped", "explicitly-skipped", "expected-failure"].includes(status),
+  );
+  const totalDuration = tests.reduce((sum, { test }) => sum + (test.duration || 0), 0);
+
+  return `
+      <details class="parameterised-group${hasFailures ? " parameterised-group-failed" : ""}">
+        <summary class="parameterised-group-header">
+          <span class="parameterised-group-title" title="${escapeHTMLAttribute(
+            group.title,
+          )}">${escapeSourceText(group.title)}</span>
+          <span class="parameterised-group-meta">${tests.length} parameter sets</span>
+          <span class="parameterised-group-counts">${Object.entries(counts)
+            .map(
+              ([status, count]) =>
+                `<span class="parameterised-group-count" title="${capitalize(status)}">${getStatusIcon(status)} ${count}</span>`,
+            )
+            .join("")}</span>
+          <span class="test-duration">${formatDuration(totalDuration)}</span>
+        </summary>
+        <div class="parameterised-group-body">
+          <table class="parameterised-group-table">
+            <thead><tr>${parameterNames
+              .map((parameterName) => `<th>${escapeSourceText(parameterName)}</th>`)
+              .join("")}<th>Status</th><th>Duration</th></tr></thead>
+            <tbody>${tests
+              .map(({ index, test }) => {
+                const status = getStatus(test);
+                return `<tr class="parameter-set" role="button" tabindex="0" data-test-index="${index}">${parameterNames
+                  .map((parameterName) => {
+                    const parameter = test.parameters.find((p) => p.name === parameterName);
+                    return `<td${parameter && parameter.masked ? ' class="parameter-masked"' : ""}>${
+                      parameter ? escapeSourceText(parameter.value) : "—"
+                    }</td>`;
+                  })
+                  .join("")}<td><span class="status-badge-small ${getStatusClass(status)}">${String(
+                  status,
+                ).toUpperCase()}</span></td><td>${formatDuration(test.duration)}</td></tr>`;
+              })
+              .join("")}</tbody>
+          </table>
+          <div class="parameterised-group-tests">${tests
+            .map(({ index, test }) => renderTestCase(test, index))
+            .join("")}</div>
+        </div>
+      </details>`;
+}
+function formatCustomFieldValue(value) {
+  return value === undefined || value === null ? "(not set)" : String(value);
+}
+/**
+ * Encodes a test's custom fields as space-separated `key=value` tokens for the filters.
+ * Keys and values are URI-encoded, so they may contain spaces and "=".
+ * @param {object} test - The test result object.
+ * @returns {string} The tokens, empty when the test has no custom fields.
+ */
+function getCustomFieldTokens(test) {
+  return Object.entries(test.customFields || {})
+    .map(
+      ([key, value]) =>
+        `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`,
+    )
+    .join(" ");
+}
+/**
+ * Collects every custom field key of the run with its distinct values, both sorted.
+ * @param {Array<object>} results - Array of test result objects.
+ * @returns {Array<{key: string, values: string[]}>}
+ */
+function getCustomFieldKeys(results) {
+  const valuesByKey = new Map();
+  (results || []).forEach((test) => {
+    Object.entries(test.customFields || {}).forEach(([key, value]) => {
+      if (!valuesByKey.has(key)) valuesByKey.set(key, new Set());
+      valuesByKey.get(key).add(String(value));
+    });
+  });
+  return Array.from(valuesByKey.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, values]) => ({
+      key,
+      values: Array.from(values).sort((a, b) => a.localeCompare(b)),
+    }));
+}
+/**
+ * Renders the custom field filter and the "Group by" select of the Test Run Summary.
+ * Renders nothing when no test has custom fields.
+ * @param {Array<object>} results - Array of test result objects.
+ * @returns {string} HTML string of the two selects.
+ */
+function generateCustomFieldControlsHTML(results) {
+  const customFieldKeys = getCustomFieldKeys(results);
+  if (customFieldKeys.length === 0) return "";
+  const filterOptions = customFieldKeys
+    .map(
+      ({ key, values }) =>
+        `<optgroup label="${escapeHTMLAttribute(key)}">${values
+          .map(
+            (value) =>
+              `<option value="${encodeURIComponent(key)}=${encodeURIComponent(
+                value,
+              )}">${escapeSourceText(key)}: ${escapeSourceText(value)}</option>`,
+          )
+          .join("")}</optgroup>`,
+    )
+    .join("");
+  const groupOptions = customFieldKeys
+    .map(
+      ({ key }) =>
+        `<option value="${encodeURIComponent(key)}">Group by ${escapeSourceText(key)}</option>`,
+    )
+    .join("");
+  return `<select id="filter-custom-field"><option value="">All Custom Fields</option>${filterOptions}</select>
+                <select id="group-by-custom-field"><option value="">No Grouping</option>${groupOptions}</select>`;
+}
+/**
+ * Renders one hidden tree per custom field key, shown by the "Group by" select.
+ * @param {Array<object>} results - Array of test result objects.
+ * @returns {string} HTML string of the grouped trees.
+ */
+function generateGroupedTestTreesHTML(results) {
+  return getCustomFieldKeys(results)
+    .map(
+      ({ key }) =>
+        `<div class="test-tree test-tree-grouped" data-group-by="${encodeURIComponent(
+          key,
+        )}" style="display: none;">${generateTestTreeHTML(results, (test) => [
+          {
+            title: `${key}: ${formatCustomFieldValue(test.customFields?.[key])}`,
+            kind: "group",
+          },
+          ...getTestFilePath(test),
+        ])}</div>`,
+    )
+    .join("");
+}
+function hasFeatureHierarchy(results) {
+  return (results || []).some((test) => test.epic || test.feature || test.story);
+}
+/**
+ * Renders the Features view of the Test Run Summary: epic > feature > story > test.
+ * @param {Array<object>} results - Array of test result objects.
+ * @returns {string} HTML string of the hidden tree, empty when no test sets a feature hierarchy.
+ */
+function generateFeatureTreeHTML(results) {
+  if (!hasFeatureHierarchy(results)) return "";
+  return `<div class="test-tree test-tree-features" style="display: none;">${generateTestTreeHTML(
+    results,
+    getTestFeaturePath,
+  )}</div>`;
+}
+function escapeHTMLAttribute(text) {
+  return escapeSourceText(String(text)).replace(/"/g, "&quot;");
+}
+function renderExternalLink(url, text, className) {
+  return /^https?:\/\//i.test(url || "")
+    ? `<a class="${className}" href="${escapeHTMLAttribute(url)}" target="_blank" rel="noopener noreferrer">${escapeSourceText(text)}</a>`
+    : `<span class="${className}">${escapeSourceText(text)}</span>`;
+}
+/**
+ * Renders the Markdown subset used in test descriptions: headings, lists, fenced code, paragraphs,
+ * `code`, **bold**, *italic* and [links](https://...). Any HTML in the text is escaped.
+ * @param {string} markdown - The description set with pulse.description().
+ * @returns {string} HTML string.
+ */
+function renderMarkdown(markdown) {
+  const renderInline = (text) =>
+    text
+      .split(/(`[^`]+`)/)
+      .map((part, index) =>
+        index % 2 === 1
+          ? `<code>${escapeSourceText(part.slice(1, -1))}</code>`
+          : escapeSourceText(part)
+              .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+              .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, "$1<em>$2</em>")
+              .replace(
+                /\[([^\]]+)\]\((https?:\/\/[^\s)"]+)\)/g,
+                '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>',
+              ),
+      )
+      .join("");
+
+  const lines = String(markdown).replace(/\r\n?/g, "\n").split("\n");
+  const html = [];
+  let paragraph = [];
+  let list = null;
+  const flush = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${renderInline(paragraph.join(" "))}</p>`);
+      paragraph = [];
+    }
+    if (list) {
+      html.push(
+        `<${list.tag}>${list.items.map((item) => `<li>${renderInline(item)}</li>`).join("")}</${list.tag}>`,
+      );
+      list = null;
+    }
+  };
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim().startsWith("```")) {
+      flush();
+      const code = [];
+      while (++i < lines.length && !lines[i].trim().startsWith("```")) {
+        code.push(lines[i]);
+      }
+      html.push(`<pre><code>${escapeSourceText(code.join("\n"))}</code></pre>`);
+      continue;
+    }
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+    if (heading) {
+      flush();
+      // The description sits inside the test details, so "#" starts below their own headings
+      const level = heading[1].length + 3;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+    } else if (item) {
+      const tag = item[1] ? "ul" : "ol";
+      if (paragraph.length > 0 || (list && list.tag !== tag)) flush();
+      if (!list) list = { tag, items: [] };
+      list.items.push(item[2]);
+    } else if (line.trim() === "") {
+      flush();
+    } else {
+      if (list) flush();
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+  return html.join("");
+}
+/**
+ * Renders the owner, feature hierarchy, issues, links and description set with the pulse helper.
+ * @param {object} testData - The test result or retry to render.
+ * @returns {string} HTML string, empty when none of them are set.
+ */
+function generateTestMetadataHTML(testData) {
+  const rows = [];
+  const addRow = (label, valueHTML) =>
+    rows.push(
+      `<div class="test-meta-row"><span class="test-meta-label">${label}</span><span class="test-meta-value">${valueHTML}</span></div>`,
+    );
+  if (testData.owner) {
+    addRow("Owner", `👤 ${escapeSourceText(testData.owner)}`);
+  }
+  const featurePath = [testData.epic, testData.feature, testData.story].filter(
+    Boolean,
+  );
+  if (featurePath.length > 0) {
+    addRow(
+      "Feature",
+      featurePath
+        .map((title) => escapeSourceText(title))
+        .join(' <span class="test-meta-separator">›</span> '),
+    );
+  }
+  if (testData.issues && testData.issues.length > 0) {
+    addRow(
+      "Issues",
+      testData.issues
+        .map((issue) => renderExternalLink(issue.url, issue.id, "test-meta-issue"))
+        .join(""),
+    );
+  }
+  if (testData.links && testData.links.length > 0) {
+    addRow(
+      "Links",
+      testData.links
+        .map((link) =>
+          renderExternalLink(link.url, link.label || link.url, "test-meta-link"),
+        )
+        .join(""),
+    );
+  }
+  const description = testData.description
+    ? `<div class="test-description">${renderMarkdown(testData.description)}</div>`
+    : "";
+  if (rows.length === 0 && !description) return "";
+  return `<div class="test-meta">${rows.join("")}${description}</div>`;
+}
+/**
+ * Renders the key/value table of a test's custom fields for the test details.
+ * @param {Record<string, string|number|boolean>} [customFields] - The test's custom fields.
+ * @returns {string} HTML string of the table, empty when there are no fields.
+ */
+function generateCustomFieldsHTML(customFields) {
+  const entries = Object.entries(customFields || {});
+  if (entries.length === 0) return "";
+  return `<div class="custom-fields">
+            <h4>Custom Fields</h4>
+            <table class="custom-fields-table"><tbody>${entries
+              .map(
+                ([key, value]) =>
+                  `<tr><th>${escapeSourceText(key)}</th><td>${escapeSourceText(
+                    String(value),
+                  )}</td></tr>`,
+              )
+              .join("")}</tbody></table>
+          </div>`;
+}
+const SOURCE_KEYWORDS = new Set(
+  (
+    "async await break case catch class const continue default delete do else export extends " +
+    "false finally for from function if import in instanceof let new null of return static super " +
+    "switch this throw true try typeof undefined var void while yield"
+  ).split(" "),
+);
+function escapeSourceText(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+/**
+ * Highlights one line of JavaScript/TypeScript source. Block comments and template
+ * literals spanning several lines are only recognised on the line they start on.
+ * @param {string} code - The source line.
+ * @returns {string} Escaped HTML with token spans.
+ */
+function highlightSourceLine(code) {
+  const tokenPattern =
+    /(\/\/.*$|\/\*.*?(?:\*\/|$))|("(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?|`(?:[^`\\]|\\.)*`?)|\b(\d+(?:\.\d+)?)\b|([A-Za-z_$][\w$]*)/g;
+  let html = "";
+  let lastIndex = 0;
+  let match;
+  while ((match = tokenPattern.exec(code)) !== null) {
+    html += escapeSourceText(code.slice(lastIndex, match.index));
+    lastIndex = tokenPattern.lastIndex;
+    const [token, comment, string, number, identifier] = match;
+    let tokenClass = "";
+    if (comment) tokenClass = "token-comment";
+    else if (string) tokenClass = "token-string";
+    else if (number) tokenClass = "token-number";
+    else if (SOURCE_KEYWORDS.has(identifier)) tokenClass = "token-keyword";
+    else if (/^\s*\(/.test(code.slice(lastIndex))) tokenClass = "token-function";
+    html += tokenClass
+      ? `<span class="${tokenClass}">${escapeSourceText(token)}</span>`
+      : escapeSourceText(token);
+  }
+  return html + escapeSourceText(code.slice(lastIndex));
+}
+// Locations are stored as "file:line:column"
+function getLocationColumn(codeLocation) {
+  const match = /:(\d+)$/.exec(codeLocation || "");
+  return match ? Number(match[1]) : undefined;
+}
+// Keeps tabs in front of the caret so it lines up with tab-indented code
+function getCaretPrefix(line, column) {
+  return line
+    .slice(0, Math.max(0, column - 1))
+    .replace(/[^\t]/g, " ");
+}
+/**
+ * Formats a stored source snippet as numbered plain text, the way Playwright prints
+ * error snippets, for the AI analyzer prompt.
+ * @param {object} source - Entry of the report's `sources`.
+ * @param {number} [column] - Column to mark on the referenced line.
+ * @returns {string} The numbered source lines.
+ */
+function formatSourceContext(source, column) {
+  const width = String(source.startLine + source.lines.length - 1).length;
+  return source.lines
+    .flatMap((line, offset) => {
+      const lineNumber = source.startLine + offset;
+      const isTarget = lineNumber === source.line;
+      const row = `${isTarget ? ">" : " "} ${String(lineNumber).padStart(width)} | ${line}`;
+      return isTarget && column
+        ? [row, `  ${" ".repeat(width)} | ${getCaretPrefix(line, column)}^`]
+        : [row];
+    })
+    .join("\n");
+}
+/**
+ * Generates a syntax-highlighted source panel with line numbers, the referenced
+ * line highlighted and its column marked.
+ * @param {object} source - Entry of the report's `sources`.
+ * @param {number} [column] - Column to mark on the referenced line.
+ * @returns {string} HTML string of the panel.
+ */
+function generateSourcePanelHTML(source, column) {
+  const rows = source.lines
+    .map((line, offset) => {
+      const lineNumber = source.startLine + offset;
+      const isTarget = lineNumber === source.line;
+      const row = `<span class="source-line${
+        isTarget ? " source-line-target" : ""
+      }"><span class="source-line-number">${lineNumber}</span><span class="source-line-code">${highlightSourceLine(
+        line,
+      )}</span></span>`;
+      return isTarget && column
+        ? `${row}<span class="source-line source-line-caret"><span class="source-line-number"></span><span class="source-line-code">${getCaretPrefix(
+            line,
+            column,
+          )}^</span></span>`
+        : row;
+    })
+    .join("");
+  return `<div class="source-panel"><div class="source-panel-header">${sanitizeHTML(
+    `${source.file}:${source.line}${column ? `:${column}` : ""}`,
+  )}</div><pre class="source-panel-code">${rows}</pre></div>`;
+}
+// Longer runs of unchanged diff lines are folded so large objects stay readable
+const DIFF_FOLD_THRESHOLD = 8;
+const DIFF_FOLD_CONTEXT = 3;
+const VALUE_FOLD_THRESHOLD = 12;
+function foldDiffRows(rows, renderRow) {
+  const html = [];
+  let index = 0;
+  while (index < rows.length) {
+    if (!rows[index].common) {
+      html.push(renderRow(rows[index++]));
+      continue;
+    }
+    let end = index;
+    while (end < rows.length && rows[end].common) end++;
+    const run = rows.slice(index, end);
+    if (run.length > DIFF_FOLD_THRESHOLD) {
+      const hidden = run.slice(DIFF_FOLD_CONTEXT, run.length - DIFF_FOLD_CONTEXT);
+      html.push(
+        ...run.slice(0, DIFF_FOLD_CONTEXT).map(renderRow),
+        `<details class="matcher-diff-fold"><summary>${hidden.length} unchanged lines</summary>${hidden
+          .map(renderRow)
+          .join("")}</details>`,
+        ...run.slice(run.length - DIFF_FOLD_CONTEXT).map(renderRow),
+      );
+    } else {
+      html.push(...run.map(renderRow));
+    }
+    index = end;
+  }
+  return html.join("");
+}
+// Pairs removed and added lines so both sides of the split view stay aligned
+function getSplitDiffRows(diffLines) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ common: false, left: removed[i], right: added[i] });
+    }
+    removed = [];
+    added = [];
+  };
+  diffLines.forEach((line) => {
+    if (line.startsWith("@@")) {
+      flush();
+      rows.push({ common: false, hunk: true, left: line, right: line });
+    } else if (line.startsWith("-")) removed.push(line.slice(2));
+    else if (line.startsWith("+")) added.push(line.slice(2));
+    else {
+      flush();
+      rows.push({ common: true, left: line.slice(2), right: line.slice(2) });
+    }
+  });
+  flush();
+  return rows;
+}
+function generateMatcherValueHTML(value) {
+  if (value === undefined) return '<div class="matcher-diff-empty">Not printed</div>';
+  const lines = value.split("\n");
+  const code = `<div class="matcher-diff-code">${lines
+    .map((line) => `<div class="diff-line">${escapeSourceText(line) || " "}</div>`)
+    .join("")}</div>`;
+  return lines.length > VALUE_FOLD_THRESHOLD
+    ? `<details class="matcher-diff-fold"><summary>${lines.length} lines</summary>${code}</details>`
+    : code;
+}
+/**
+ * Generates the expected/received view of a failed expect matcher: a unified or
+ * side-by-side diff when Playwright printed one, otherwise both values side by side.
+ * @param {object} failure - The `matcherFailure` of a test error.
+ * @returns {string} HTML string of the diff view.
+ */
+function generateMatcherDiffHTML(failure) {
+  const diffLines = failure.diff ? failure.diff.split("\n") : null;
+  const title = `<span class="matcher-diff-title">expect(${sanitizeHTML(
+    failure.subject || "received",
+  )}).${sanitizeHTML(failure.matcher)}</span>`;
+
+  if (!diffLines) {
+    return `
+      <div class="matcher-diff" data-view="split">
+        <div class="matcher-diff-header">${title}</div>
+        <div class="matcher-diff-split">
+          <div class="matcher-diff-pane matcher-diff-expected"><div class="matcher-diff-pane-title">Expected</div>${generateMatcherValueHTML(
+            failure.expected,
+          )}</div>
+          <div class="matcher-diff-pane matcher-diff-received"><div class="matcher-diff-pane-title">Received</div>${generateMatcherValueHTML(
+            failure.received,
+          )}</div>
+        </div>
+      </div>`;
+  }
+
+  // Playwright only prints the changed parts of large values, starting each with an "@@" hunk header
+  const lineClass = (line) =>
+    line.startsWith("@@")
+      ? "diff-hunk"
+      : line.startsWith("-")
+        ? "diff-removed"
+        : line.startsWith("+")
+          ? "diff-added"
+          : "";
+  const unified = foldDiffRows(
+    diffLines.map((line) => ({ common: lineClass(line) === "", line })),
+    ({ line }) =>
+      `<div class="diff-line ${lineClass(line)}">${escapeSourceText(line) || " "}</div>`,
+  );
+  const splitRows = getSplitDiffRows(diffLines);
+  const splitSide = (side, changeClass) =>
+    foldDiffRows(splitRows, (row) =>
+      row[side] === undefined
+        ? '<div class="diff-line diff-filler"> </div>'
+        : `<div class="diff-line ${row.hunk ? "diff-hunk" : row.common ? "" : changeClass}">${
+            escapeSourceText(row[side]) || " "
+          }</div>`,
+    );
+
+  return `
+    <div class="matcher-diff" data-view="unified">
+      <div class="matcher-diff-header">${title}
+        <span class="matcher-diff-legend"><span class="diff-removed">- Expected</span> <span class="diff-added">+ Received</span></span>
+        <span class="matcher-diff-toggle">
+          <button type="button" class="active" onclick="switchMatcherDiffView(this, 'unified')">Unified</button>
+          <button type="button" onclick="switchMatcherDiffView(this, 'split')">Side by side</button>
+        </span>
+      </div>
+      <div class="matcher-diff-unified"><div class="matcher-diff-code">${unified}</div></div>
+      <div class="matcher-diff-split">
+        <div class="matcher-diff-pane matcher-diff-expected"><div class="matcher-diff-pane-title">Expected</div><div class="matcher-diff-code">${splitSide(
+          "left",
+          "diff-removed",
+        )}</div></div>
+        <div class="matcher-diff-pane matcher-diff-received"><div class="matcher-diff-pane-title">Received</div><div class="matcher-diff-code">${splitSide(
+          "right",
+          "diff-added",
+        )}</div></div>
+      </div>
+    </div>`;
+}
+// The AI analyzer only receives the test object, so the source context travels inside its errors
+function withSourceContext(test, sources) {
+  return {
+    ...test,
+    errors: getTestErrors(test).map((error) => {
+      const source = error.sourceRef && sources[error.sourceRef];
+      return source
+        ? { ...error, sourceContext: formatSourceContext(source, error.location?.column) }
+        : error;
+    }),
+  };
+}
+// Playwright step categories, in the order they are listed in the waterfall legend
+const STEP_CATEGORY_LABELS = {
+  hook: "Hook",
+  fixture: "Fixture",
+  "pw:api": "API Call",
+  expect: "Expect",
+  "test.step": "Step",
+  "test.attach": "Attach",
+};
+// Reports written before step categories were recorded only know hooks apart
+function getStepCategory(step) {
+  return step.category || (step.isHook ? "hook" : "test.step");
+}
+function getStepCategoryClass(category) {
+  return `category-${String(category).replace(/[^a-z0-9]+/gi, "-").toLowerCase()}`;
+}
+function generateStepCategoryChip(step) {
+  const category = getStepCategory(step);
+  if (category === "test.step") return "";
+  return `<span class="step-category-chip ${getStepCategoryClass(category)}">${sanitizeHTML(
+    STEP_CATEGORY_LABELS[category] || category,
+  )}</span>`;
+}
+/**
+ * Generates the step waterfall of one test attempt: every step, nested ones indented,
+ * as a bar on a shared time axis so slow hooks, fixtures and API calls stand out.
+ * @param {object} testData - A test result or one of its retry attempts.
+ * @returns {string} HTML string of the waterfall, empty when the attempt has no steps.
+ */
+function generateStepWaterfallHTML(testData) {
+  const rows = [];
+  const collect = (steps, depth) =>
+    (steps || []).forEach((step) => {
+      const start = new Date(step.startTime).getTime();
+      if (!Number.isNaN(start)) {
+        rows.push({ step, depth, start, end: start + Math.max(0, step.duration || 0) });
+      }
+      collect(step.steps, depth + 1);
+    });
+  collect(testData.steps, 0);
+  if (rows.length === 0) return "";
+
+  const testStart = new Date(testData.startTime).getTime();
+  const start = Math.min(
+    ...rows.map((row) => row.start),
+    ...(Number.isNaN(testStart) ? [] : [testStart]),
+  );
+  const end = Math.max(
+    ...rows.map((row) => row.end),
+    ...(Number.isNaN(testStart) ? [] : [testStart + (testData.duration || 0)]),
+  );
+  const span = Math.max(1, end - start);
+  const categories = [...new Set(rows.map((row) => getStepCategory(row.step)))];
+  const legendCategories = [
+    ...Object.keys(STEP_CATEGORY_LABELS).filter((category) =>
+      categories.includes(category),
+    ),
+    ...categories.filter((category) => !(category in STEP_CATEGORY_LABELS)),
+  ];
 
-      if (!describeMap.has(key)) {
-        describeMap.set(key, {
-          duration: 0,
-          file: fileName,
-          describe: describeName,
-        });
+  return `
+    <details class="step-waterfall">
+      <summary>Step Waterfall <span class="step-waterfall-meta">${rows.length} step${
+        rows.length === 1 ? "" : "s"
+      } over ${formatDuration(span)}</span></summary>
+      <div class="step-waterfall-legend">
+        ${legendCategories
+          .map(
+            (category) =>
+              `<span class="step-waterfall-legend-item"><span class="step-waterfall-swatch ${getStepCategoryClass(
+                category,
+              )}"></span>${sanitizeHTML(STEP_CATEGORY_LABELS[category] || category)}</span>`,
+          )
+          .join("")}
+      </div>
+      <div class="step-waterfall-rows">
+        ${rows
+          .map(({ step, depth, start: stepStart, end: stepEnd }) => {
+            const category = getStepCategory(step);
+            const failed = step.status === "failed";
+            return `
+        <div class="step-waterfall-row${failed ? " step-waterfall-row-failed" : ""}">
+          <div class="step-waterfall-label" style="padding-left: ${depth * 14}px;" title="${sanitizeHTML(
+            step.title,
+          )}">${sanitizeHTML(step.title)}</div>
+          <div class="step-waterfall-track">
+            <div class="step-waterfall-bar ${getStepCategoryClass(category)}" style="left: ${(
+              ((stepStart - start) / span) *
+              100
+            ).toFixed(3)}%; width: ${(((stepEnd - stepStart) / span) * 100).toFixed(
+              3,
+            )}%;" title="${sanitizeHTML(
+              `${step.title}\n${STEP_CATEGORY_LABELS[category] || category}${
+                step.hookType ? ` (${step.hookType})` : ""
+              } · ${formatDuration(step.duration)}\nStarted at +${formatDuration(
+                stepStart - start,
+              )}`,
+            )}"></div>
+          </div>
+          <div class="step-waterfall-duration">${formatDuration(step.duration)}</div>
+        </div>`;
+          })
+          .join("")}
+      </div>
+    </details>`;
+}
+const LOG_TIMELINE_LEVELS = ["step", "info", "warn", "error", "stdout", "stderr"];
+/**
+ * Generates the log timeline of one test attempt: its steps and its log entries
+ * (pulse.log and stdout/stderr) in time order, with a filter per level.
+ * @param {object} testData - A test result or one of its retry attempts.
+ * @returns {string} HTML string of the timeline, empty when the attempt has no timestamped logs.
+ */
+function generateLogTimelineHTML(testData) {
+  const logs = (testData.logs || []).filter(
+    (entry) => !Number.isNaN(new Date(entry.timestamp).getTime()),
+  );
+  if (logs.length === 0) return "";
+
+  const entries = [];
+  const collect = (steps, depth) =>
+    (steps || []).forEach((step) => {
+      const time = new Date(step.startTime).getTime();
+      if (!Number.isNaN(time)) {
+        entries.push({ level: "step", time, depth, step });
       }
-      describeMap.get(key).duration += test.duration;
-    }
-  });
+      collect(step.steps, depth + 1);
+    });
+  collect(testData.steps, 0);
+  logs.forEach((entry) =>
+    entries.push({
+      level: entry.level,
+      time: new Date(entry.timestamp).getTime(),
+      entry,
+    }),
+  );
+  // Stable sort keeps a step ahead of the logs written at the same millisecond
+  entries.sort((a, b) => a.time - b.time);
 
-  if (!foundAnyDescribe) {
-    return '<div class="no-data">No valid test describe blocks found.</div>';
-  }
+  const testStart = new Date(testData.startTime).getTime();
+  const origin = Number.isNaN(testStart) ? entries[0].time : testStart;
+  const counts = {};
+  entries.forEach(({ level }) => (counts[level] = (counts[level] || 0) + 1));
+  const levels = LOG_TIMELINE_LEVELS.filter((level) => counts[level]);
 
-  const categories = [];
-  const data = [];
+  return `
+    <details class="log-timeline" open>
+      <summary>Log Timeline <span class="log-timeline-meta">${logs.length} log entr${
+        logs.length === 1 ? "y" : "ies"
+      }, ${counts.step || 0} step${counts.step === 1 ? "" : "s"}</span></summary>
+      <div class="log-timeline-filters">
+        <button type="button" class="active" onclick="filterLogTimeline(this, '')">All</button>
+        ${levels
+          .map(
+            (level) =>
+              `<button type="button" onclick="filterLogTimeline(this, '${level}')">${capitalize(
+                level,
+              )} (${counts[level]})</button>`,
+          )
+          .join("")}
+      </div>
+      <div class="log-timeline-entries">
+        ${entries
+          .map(({ level, time, depth, step, entry }) => {
+            const offset = `+${((time - origin) / 1000).toFixed(3)}s`;
+            const message = step
+              ? `<span class="log-timeline-step${
+                  step.status === "failed" ? " log-timeline-step-failed" : ""
+                }" style="padding-left: ${depth * 14}px;">${escapeSourceText(
+                  step.title,
+                )} <span class="log-timeline-duration">${formatDuration(step.duration)}</span></span>`
+              : `<span class="log-timeline-text">${escapeSourceText(entry.message)}</span>${
+                  entry.data !== undefined
+                    ? `<pre class="log-timeline-data">${escapeSourceText(
+                        typeof entry.data === "string"
+                          ? entry.data
+                          : JSON.stringify(entry.data, null, 2),
+                      )}</pre>`
+                    : ""
+                }`;
+            return `
+        <div class="log-timeline-entry" data-level="${level}">
+          <span class="log-timeline-time">${offset}</span>
+          <span class="log-timeline-level log-level-${level}">${level}</span>
+          <div class="log-timeline-message">${message}</div>
+        </div>`;
+          })
+          .join("")}
+      </div>
+    </details>`;
+}
+/**
+ * Formats when a captured browser event happened, relative to the start of the test attempt.
+ * @param {string|Date} timestamp - When the event happened.
+ * @param {object} testData - A test result or one of its retry attempts.
+ * @returns {string} e.g. "+1.250s", or an empty string without timing data.
+ */
+function formatCaptureOffset(timestamp, testData) {
+  const time = new Date(timestamp).getTime();
+  const testStart = new Date(testData.startTime).getTime();
+  if (Number.isNaN(time) || Number.isNaN(testStart)) return "";
+  return `+${((time - testStart) / 1000).toFixed(3)}s`;
+}
+/**
+ * Generates the Browser Console panel: console messages and uncaught page errors
+ * recorded by the Pulse fixtures. It starts open when the page logged an error.
+ * @param {object} testData - A test result or one of its retry attempts.
+ * @returns {string} HTML string of the panel, empty when nothing was captured.
+ */
+function generateBrowserConsoleHTML(testData) {
+  const entries = testData.browserConsole || [];
+  if (entries.length === 0) return "";
+  const errorCount = entries.filter(
+    (entry) => entry.type === "error" || entry.type === "pageerror",
+  ).length;
 
-  for (const [key, val] of describeMap.entries()) {
-    categories.push(val.describe);
-    data.push({
-      y: val.duration,
-      name: val.describe,
-      custom: {
-        fileName: val.file,
-        describeName: val.describe,
-      },
+  return `
+    <details class="capture-panel browser-console"${errorCount > 0 ? " open" : ""}>
+      <summary>Browser Console <span class="capture-panel-meta">${entries.length} message${
+        entries.length === 1 ? "" : "s"
+      }${errorCount > 0 ? `, ${errorCount} error${errorCount === 1 ? "" : "s"}` : ""}</span></summary>
+      <div class="capture-panel-entries">
+        ${entries
+          .map(
+            (entry) => `
+        <div class="browser-console-entry console-type-${escapeHTMLAttribute(entry.type)}">
+          <span class="capture-panel-time">${formatCaptureOffset(entry.timestamp, testData)}</span>
+          <span class="browser-console-type">${escapeSourceText(
+            entry.type === "pageerror" ? "page error" : entry.type,
+          )}</span>
+          <div class="browser-console-message">${escapeSourceText(entry.text)}${
+            entry.location
+              ? `<span class="browser-console-location">${escapeSourceText(entry.location)}</span>`
+              : ""
+          }${
+            entry.stack
+              ? `<pre class="browser-console-stack">${escapeSourceText(entry.stack)}</pre>`
+              : ""
+          }</div>
+        </div>`,
+          )
+          .join("")}
+      </div>
+    </details>`;
+}
+/**
+ * Generates the Network panel: failed requests and 4xx/5xx responses recorded by the Pulse fixtures.
+ * @param {object} testData - A test result or one of its retry attempts.
+ * @returns {string} HTML string of the panel, empty when nothing was captured.
+ */
+function generateNetworkHTML(testData) {
+  const entries = testData.network || [];
+  if (entries.length === 0) return "";
+
+  return `
+    <details class="capture-panel network-panel" open>
+      <summary>Network <span class="capture-panel-meta">${entries.length} failed request${
+        entries.length === 1 ? "" : "s"
+      }</span></summary>
+      <div class="capture-panel-entries">
+        <table class="network-table">
+          <thead><tr><th>Time</th><th>Method</th><th>Status</th><th>Type</th><th>URL</th></tr></thead>
+          <tbody>${entries
+            .map(
+              (entry) => `<tr>
+            <td class="capture-panel-time">${formatCaptureOffset(entry.timestamp, testData)}</td>
+            <td>${escapeSourceText(entry.method)}</td>
+            <td class="${entry.status >= 500 || !entry.status ? "network-status-error" : "network-status-warning"}">${
+              entry.status
+                ? `${entry.status}${entry.statusText ? ` ${escapeSourceText(entry.statusText)}` : ""}`
+                : escapeSourceText(entry.failure || "Failed")
+            }</td>
+            <td>${escapeSourceText(entry.resourceType || "")}</td>
+            <td class="network-url" title="${escapeHTMLAttribute(entry.url)}">${escapeSourceText(entry.url)}</td>
+          </tr>`,
+            )
+            .join("")}</tbody>
+        </table>
+      </div>
+    </details>`;
+}
+/**
+ * Lays every test attempt out on its worker lane for the Timeline tab.
+ * Merged reports get one group of lanes per shard, ordered like `run.subRunIds`.
+ * @param {Array<object>} results - Array of test result objects.
+ * @param {string[]} [subRunIds] - Ids of the merged shard runs, if any.
+ * @returns {object|null} Lane groups with bars, idle gaps and utilization, or null without timing data.
+ */
+function getTimelineData(results, subRunIds = []) {
+  const runOrder = [...(subRunIds || [])];
+  const bars = [];
+  (results || []).forEach((test, index) => {
+    const titleParts = test.name.split(" > ");
+    const title = titleParts[titleParts.length - 1] || "Unnamed Test";
+    [test, ...(test.retryHistory || [])].forEach((attempt) => {
+      const workerId = Number(attempt.workerId);
+      const start = new Date(attempt.startTime).getTime();
+      // Worker -1 holds tests that never ran (skipped before a worker picked them up)
+      if (!Number.isFinite(workerId) || workerId < 1 || Number.isNaN(start)) return;
+      const runId = test.runId || "run";
+      if (!runOrder.includes(runId)) runOrder.push(runId);
+      bars.push({
+        index,
+        runId,
+        workerId,
+        start,
+        end: start + Math.max(0, attempt.duration || 0),
+        status: attempt.status,
+        retry: attempt.retries || 0,
+        title,
+        totalWorkers: Number(attempt.totalWorkers) || 0,
+      });
     });
-  }
+  });
+  if (bars.length === 0) return null;
+
+  const globalStart = Math.min(...bars.map((bar) => bar.start));
+  const globalEnd = Math.max(...bars.map((bar) => bar.end));
+  const span = Math.max(1, globalEnd - globalStart);
+  // Shorter pauses are scheduling noise, not idle time worth pointing out
+  const gapThreshold = Math.max(50, span * 0.005);
+
+  const groups = runOrder
+    .map((runId, runIndex) => {
+      const runBars = bars.filter((bar) => bar.runId === runId);
+      if (runBars.length === 0) return null;
+      const groupStart = Math.min(...runBars.map((bar) => bar.start));
+      const groupEnd = Math.max(...runBars.map((bar) => bar.end));
+      const slotCount = Math.max(
+        ...runBars.map((bar) => bar.workerId),
+        ...runBars.map((bar) => bar.totalWorkers),
+      );
 
-  const chartId = `descDurChart-${Date.now()}-${Math.random()
-    .toString(36)
-    .substring(2, 7)}`;
-  const renderFunctionName = `renderDescDurChart_${chartId.replace(/-/g, "_")}`;
+      const lanes = [];
+      for (let workerId = 1; workerId <= slotCount; workerId++) {
+        const laneBars = runBars
+          .filter((bar) => bar.workerId === workerId)
+          .sort((a, b) => a.start - b.start);
+        const gaps = [];
+        let cursor = groupStart;
+        let busy = 0;
+        laneBars.forEach((bar) => {
+          if (bar.start - cursor > gapThreshold) {
+            gaps.push({ start: cursor, end: bar.start });
+          }
+          busy += Math.max(0, bar.end - Math.max(bar.start, cursor));
+          cursor = Math.max(cursor, bar.end);
+        });
+        if (groupEnd - cursor > gapThreshold) {
+          gaps.push({ start: cursor, end: groupEnd });
+        }
+        lanes.push({ workerId, bars: laneBars, gaps, busy });
+      }
 
-  const categoriesStr = JSON.stringify(categories);
-  const dataStr = JSON.stringify(data);
+      const capacity = lanes.length * Math.max(1, groupEnd - groupStart);
+      const busy = lanes.reduce((sum, lane) => sum + lane.busy, 0);
+      return {
+        label: runOrder.length > 1 ? `Shard ${runIndex + 1}` : "",
+        start: groupStart,
+        end: groupEnd,
+        lanes,
+        busy,
+        capacity,
+      };
+    })
+    .filter(Boolean);
+
+  const busy = groups.reduce((sum, group) => sum + group.busy, 0);
+  const capacity = groups.reduce((sum, group) => sum + group.capacity, 0);
+  return {
+    start: globalStart,
+    end: globalEnd,
+    span,
+    groups,
+    busy,
+    idle: Math.max(0, capacity - busy),
+    utilization: capacity > 0 ? busy / capacity : 0,
+    laneCount: groups.reduce((sum, group) => sum + group.lanes.length, 0),
+  };
+}
+/**
+ * Generates the Timeline tab: one lane per worker (per shard in merged reports)
+ * with every test attempt as a bar coloured by status and idle gaps highlighted.
+ * @param {Array<object>} results - Array of test result objects.
+ * @param {string[]} [subRunIds] - Ids of the merged shard runs, if any.
+ * @returns {string} HTML string of the timeline.
+ */
+function generateTimelineHTML(results, subRunIds = []) {
+  const timeline = getTimelineData(results, subRunIds);
+  if (!timeline) {
+    return '<div class="no-data">No test timing data available to draw the timeline.</div>';
+  }
 
+  const toPercent = (time) =>
+    (((time - timeline.start) / timeline.span) * 100).toFixed(3);
+  const toWidth = (from, to) =>
+    (((to - from) / timeline.span) * 100).toFixed(3);
+  const percent = (value) => `${Math.round(value * 100)}%`;
+
+  const axisTicks = [0, 0.25, 0.5, 0.75, 1]
+    .map(
+      (fraction) =>
+        `<span class="timeline-tick" style="left: ${fraction * 100}%;">${formatDuration(
+          timeline.span * fraction,
+        )}</span>`,
+    )
+    .join("");
+
+  const lanesHTML = timeline.groups
+    .map(
+      (group) => `
+      ${
+        group.label
+          ? `<div class="timeline-group-label">${sanitizeHTML(group.label)} · ${percent(
+              group.capacity > 0 ? group.busy / group.capacity : 0,
+            )} utilization</div>`
+          : ""
+      }
+      ${group.lanes
+        .map(
+          (lane) => `
+      <div class="timeline-lane">
+        <div class="timeline-lane-label">Worker ${lane.workerId}<small>${percent(
+          lane.busy / Math.max(1, group.end - group.start),
+        )}</small></div>
+        <div class="timeline-track">
+          ${lane.gaps
+            .map(
+              (gap) =>
+                `<div class="timeline-gap" style="left: ${toPercent(gap.start)}%; width: ${toWidth(
+                  gap.start,
+                  gap.end,
+                )}%;" title="Idle for ${formatDuration(gap.end - gap.start)}"></div>`,
+            )
+            .join("")}
+          ${lane.bars
+            .map(
+              (bar) =>
+                `<div class="timeline-bar ${getStatusClass(bar.status)}" data-test-index="${bar.index}" style="left: ${toPercent(
+                  bar.start,
+                )}%; width: ${toWidth(bar.start, bar.end)}%;" title="${sanitizeHTML(
+                  `${bar.title}\n${bar.status} · ${formatDuration(bar.end - bar.start)}${
+                    bar.retry > 0 ? ` · retry ${bar.retry}` : ""
+                  }\nStarted at +${formatDuration(bar.start - timeline.start)}`,
+                )}"></div>`,
+            )
+            .join("")}
+        </div>
+      </div>`,
+        )
+        .join("")}`,
+    )
+    .join("");
+
+  const legendStatuses = [
+    ["passed", "Passed"],
+    ["failed", "Failed"],
+    ["flaky", "Flaky"],
+    ["timedOut", "Timed Out"],
+    ["interrupted", "Interrupted"],
+    ["skipped", "Skipped"],
+  ];
   return `
-    <div id="${chartId}" class="trend-chart-container lazy-load-chart" data-render-function-name="${renderFunctionName}">
-        <div class="no-data">Loading Describe Duration Chart...</div>
+    <div class="timeline-summary">
+      <div class="timeline-stat"><span class="timeline-stat-value">${percent(
+        timeline.utilization,
+      )}</span><span class="timeline-stat-label">Worker Utilization</span></div>
+      <div class="timeline-stat"><span class="timeline-stat-value">${formatDuration(
+        timeline.span,
+      )}</span><span class="timeline-stat-label">Wall Time</span></div>
+      <div class="timeline-stat"><span class="timeline-stat-value">${formatDuration(
+        timeline.busy,
+      )}</span><span class="timeline-stat-label">Busy Worker Time</span></div>
+      <div class="timeline-stat"><span class="timeline-stat-value">${formatDuration(
+        timeline.idle,
+      )}</span><span class="timeline-stat-label">Idle Worker Time</span></div>
+      <div class="timeline-stat"><span class="timeline-stat-value">${
+        timeline.laneCount
+      }</span><span class="timeline-stat-label">Worker Lanes</span></div>
     </div>
-    <script>
-        window.${renderFunctionName} = function() {
-            const chartContainer = document.getElementById('${chartId}');
-            if (!chartContainer) return;
-            if (typeof Highcharts !== 'undefined' && typeof formatDuration !== 'undefined') {
-                try {
-                    chartContainer.innerHTML = '';
-                    Highcharts.chart('${chartId}', {
-                        chart: { 
-                            type: 'column', // 1. CHANGED: 'bar' -> 'column' for vertical bars
-                            height: 400,    // 2. CHANGED: Fixed height works better for vertical charts
-                            backgroundColor: 'transparent' 
-                        },
-                        title: { text: null },
-                        xAxis: { 
-                            categories: ${categoriesStr}, 
-                            visible: false, // Hidden as requested
-                            title: { text: null },
-                            crosshair: true
-                        },
-                        yAxis: { 
-                            min: 0, 
-                            title: { text: 'Total Duration', style: { color: 'var(--text-color)' } },
-                            labels: { formatter: function() { return formatDuration(this.value); }, style: { color: 'var(--text-color-secondary)' } }
-                        },
-                        legend: { enabled: false },
-                        plotOptions: { 
-                            series: { 
-                                borderRadius: 4, 
-                                borderWidth: 0,
-                                states: { hover: { brightness: 0.1 }} 
-                            },
-                            column: { pointPadding: 0.2, groupPadding: 0.1 } // Adjust spacing for columns
-                        },
-                        tooltip: {
-                            shared: true, 
-                            useHTML: true, 
-                            backgroundColor: 'rgba(10,10,10,0.92)', 
-                            borderColor: 'rgba(10,10,10,0.92)', 
-                            style: { color: '#f5f5f5' },
-                            formatter: function() {
-                                const point = this.points ? this.points[0].point : this.point;
-                                const file = (point.custom && point.custom.fileName) ? point.custom.fileName : 'Unknown';
-                                const desc = point.name || 'Unknown'; 
-                                const color = point.color || point.series.color;
-                                
-                                return '<span style="color:' + color + '">●</span> <b>Describe: ' + desc + '</b><br/>' +
-                                  '<span style="opacity: 0.8; font-size: 0.9em; color: #ddd;">File: ' + file + '</span><br/>' +
-                                  'Duration: <b>' + formatDuration(point.y) + '</b>';
-                            }
-                        },
-                        series: [{
-                            name: 'Duration',
-                            data: ${dataStr},
-                            colorByPoint: true,
-                            colors: [
-                                '#9333ea',
-                                '#6366f1',
-                                '#0ea5e9',
-                                '#10b981',
-                                '#84cc16',
-                                '#eab308',
-                                '#f97316',
-                                '#ef4444',
-                                '#ec4899',
-                                '#8b5cf6',
-                                '#06b6d4',
-                                '#14b8a6',
-                                '#a3e635',
-                                '#fbbf24',
-                                '#fb923c',
-                                '#f87171'
-                            ],
-                        }],
-                        credits: { enabled: false }
-                    });
-                } catch (e) { console.error("Error rendering describe chart:", e); }
-            }
-        };
-    </script>
-  `;
+    <div class="timeline-legend">
+      ${legendStatuses
+        .map(
+          ([status, label]) =>
+            `<span class="timeline-legend-item"><span class="timeline-legend-swatch timeline-bar ${getStatusClass(
+              status,
+            )}"></span>${label}</span>`,
+        )
+        .join("")}
+      <span class="timeline-legend-item"><span class="timeline-legend-swatch timeline-gap"></span>Idle</span>
+    </div>
+    <div class="timeline-chart">
+      <div class="timeline-lane timeline-axis">
+        <div class="timeline-lane-label"></div>
+        <div class="timeline-track">${axisTicks}</div>
+      </div>
+      ${lanesHTML}
+    </div>`;
 }
 /**
  * Generates a stacked column chart showing test results distributed by severity.
@@ -2136,6 +4194,11 @@ function generateSeverityDistributionChart(results) {
     failed: [0, 0, 0, 0, 0],
     flaky: [0, 0, 0, 0, 0],
     skipped: [0, 0, 0, 0, 0],
+    timedOut: [0, 0, 0, 0, 0],
+    interrupted: [0, 0, 0, 0, 0],
+    expectedFailure: [0, 0, 0, 0, 0],
+    unexpectedSuccess: [0, 0, 0, 0, 0],
+    explicitlySkipped: [0, 0, 0, 0, 0],
   };
 
   results.forEach((test) => {
@@ -2147,12 +4210,18 @@ function generateSeverityDistributionChart(results) {
 
     if (status === "passed") {
       data.passed[index]++;
-    } else if (
-      status === "failed" ||
-      status === "timedout" ||
-      status === "interrupted"
-    ) {
+    } else if (status === "failed") {
       data.failed[index]++;
+    } else if (status === "timedout") {
+      data.timedOut[index]++;
+    } else if (status === "interrupted") {
+      data.interrupted[index]++;
+    } else if (status === "expected-failure") {
+      data.expectedFailure[index]++;
+    } else if (status === "unexpected-success") {
+      data.unexpectedSuccess[index]++;
+    } else if (status === "explicitly-skipped") {
+      data.explicitlySkipped[index]++;
     } else if (status === "flaky") {
         data.flaky[index]++;
     } else {
@@ -2170,6 +4239,11 @@ function generateSeverityDistributionChart(results) {
     { name: "Failed", data: data.failed, color: "var(--danger-color)" },
     { name: "Flaky", data: data.flaky, color: "#00ccd3" },
     { name: "Skipped", data: data.skipped, color: "var(--warning-color)" },
+    { name: "Timed Out", data: data.timedOut, color: "#f97316" },
+    { name: "Interrupted", data: data.interrupted, color: "#8b5cf6" },
+    { name: "Expected Failure", data: data.expectedFailure, color: "#84cc16" },
+    { name: "Unexpected Success", data: data.unexpectedSuccess, color: "#ec4899" },
+    { name: "Explicitly Skipped", data: data.explicitlySkipped, color: "#fbbf24" },
   ];
 
   const seriesDataStr = JSON.stringify(seriesData);
@@ -2266,6 +4340,7 @@ function generateSeverityDistributionChart(results) {
  */
 function generateHTML(reportData, trendData = null) {
   const { run, results } = reportData;
+  const sources = reportData.sources || {};
   const suitesData = getSuitesData(reportData.results || []);
   const runSummary = run || {
     totalTests: 0,
@@ -2297,7 +4372,7 @@ function generateHTML(reportData, trendData = null) {
       // Filter out any "passed" or "skipped" entries in the history
       // We only count attempts that actually failed or timed out, triggering a retry.
       const unsuccessfulRetries = test.retryHistory.filter(attempt => 
-        attempt.status === 'failed' || attempt.status === 'timedout' || attempt.status === 'flaky'
+        attempt.status === 'failed' || attempt.status === 'timedOut' || attempt.status === 'interrupted' || attempt.status === 'unexpected-success' || attempt.status === 'flaky'
       );
       if (unsuccessfulRetries.length > 0) {
         retriedTestsCount++;
@@ -2312,6 +4387,11 @@ function generateHTML(reportData, trendData = null) {
   let calculatedFailed = 0;
   let calculatedSkipped = 0;
   let calculatedFlaky = 0;
+  let calculatedTimedOut = 0;
+  let calculatedInterrupted = 0;
+  let calculatedExpectedFailures = 0;
+  let calculatedUnexpectedSuccesses = 0;
+  let calculatedExplicitlySkipped = 0;
   let calculatedTotal = 0;
 
   (results || []).forEach(test => {
@@ -2334,7 +4414,12 @@ function generateHTML(reportData, trendData = null) {
       if (s === 'passed') calculatedPassed++;
       else if (s === 'skipped') calculatedSkipped++;
       else if (s === 'flaky') calculatedFlaky++;
-      else calculatedFailed++; // failed, timedout, interrupted
+      else if (s === 'timedout') calculatedTimedOut++;
+      else if (s === 'interrupted') calculatedInterrupted++;
+      else if (s === 'expected-failure') calculatedExpectedFailures++;
+      else if (s === 'unexpected-success') calculatedUnexpectedSuccesses++;
+      else if (s === 'explicitly-skipped') calculatedExplicitlySkipped++;
+      else calculatedFailed++;
   });
 
   // Override runSummary counts with our calculated ones if results exist
@@ -2343,6 +4428,11 @@ function generateHTML(reportData, trendData = null) {
       runSummary.failed = calculatedFailed;
       runSummary.skipped = calculatedSkipped;
       runSummary.flaky = calculatedFlaky;
+      runSummary.timedOut = calculatedTimedOut;
+      runSummary.interrupted = calculatedInterrupted;
+      runSummary.expectedFailures = calculatedExpectedFailures;
+      runSummary.unexpectedSuccesses = calculatedUnexpectedSuccesses;
+      runSummary.explicitlySkipped = calculatedExplicitlySkipped;
       runSummary.totalTests = calculatedTotal;
   }
 
@@ -2353,6 +4443,19 @@ function generateHTML(reportData, trendData = null) {
     ((runSummary.skipped || 0) / totalTestsOr1) * 100,
   );
   const flakyPercentage = Math.round(((runSummary.flaky || 0) / totalTestsOr1) * 100);
+  const timedOutPercentage = Math.round(
+    ((runSummary.timedOut || 0) / totalTestsOr1) * 100,
+  );
+  const interruptedPercentage = Math.round(
+    ((runSummary.interrupted || 0) / totalTestsOr1) * 100,
+  );
+  const unexpectedSuccessPercentage = Math.round(
+    ((runSummary.unexpectedSuccesses || 0) / totalTestsOr1) * 100,
+  );
+  const expectedOutcomes = [
+    { label: "Expected Failures", count: runSummary.expectedFailures || 0 },
+    { label: "Explicitly Skipped", count: runSummary.explicitlySkipped || 0 },
+  ];
 
 
   // Calculate browser distribution
@@ -2377,8 +4480,7 @@ function generateHTML(reportData, trendData = null) {
   function generateTestCasesHTML() {
     if (!results || results.length === 0)
       return '<div class="no-tests">No test results found in this run.</div>';
-    return results
-      .map((test, index) => {
+    const renderTestCase = (test, index) => {
         const browser = test.browser || "unknown";
         const testFileParts = test.name.split(" > ");
         const testTitle =
@@ -2402,13 +4504,18 @@ function generateHTML(reportData, trendData = null) {
                 ? `step-hook step-hook-${step.hookType}`
                 : "";
               const failedStepClass = isFailedStep ? " failed-step-highlight" : "";
-              const hookIndicator = isHook ? ` (${step.hookType} hook)` : "";
+              // Hooks with a custom title do not say which kind of hook they are
+              const hookIndicator =
+                isHook &&
+                !step.title.toLowerCase().includes(step.hookType.toLowerCase())
+                  ? ` (${step.hookType} hook)`
+                  : "";
               const failedStepIndicator = isFailedStep ? ` <span class="failed-step-marker">⚠️ Failed at this step</span>` : "";
               return `
           <div class="step-item${failedStepClass}" style="--depth: ${depth};">
             <div class="step-header ${stepClass}" role="button" aria-expanded="false">
               <span class="step-icon">${getStatusIcon(step.status)}</span>
-              <span class="step-title">${sanitizeHTML(
+              <span class="step-title">${generateStepCategoryChip(step)}${sanitizeHTML(
                 step.title,
               )}${hookIndicator}${failedStepIndicator}</span>
               <span class="step-duration">${formatDuration(
@@ -2424,11 +4531,16 @@ function generateHTML(reportData, trendData = null) {
                   : ""
               }
               ${
-                step.codeSnippet
-                  ? `<div class="code-snippet-section"><pre class="code-snippet">${sanitizeHTML(
-                      step.codeSnippet,
-                    )}</pre></div>`
-                  : ""
+                step.sourceRef && sources[step.sourceRef]
+                  ? generateSourcePanelHTML(
+                      sources[step.sourceRef],
+                      getLocationColumn(step.codeLocation),
+                    )
+                  : step.codeSnippet
+                    ? `<div class="code-snippet-section"><pre class="code-snippet">${sanitizeHTML(
+                        step.codeSnippet,
+                      )}</pre></div>`
+                    : ""
               }
               ${
                 step.errorMessage
@@ -2486,6 +4598,11 @@ function generateHTML(reportData, trendData = null) {
             else if(s === 'failed') colorVar = 'var(--danger-color)';
             else if(s === 'skipped') colorVar = 'var(--warning-color)';
             else if(s === 'flaky') colorVar = '#00ccd3';
+            else if(s === 'timedout') colorVar = '#f97316';
+            else if(s === 'interrupted') colorVar = '#8b5cf6';
+            else if(s === 'expected-failure') colorVar = '#84cc16';
+            else if(s === 'unexpected-success') colorVar = '#ec4899';
+            else if(s === 'explicitly-skipped') colorVar = '#fbbf24';
             
             return `<span style="
                 display: inline-block; 
@@ -2503,6 +4620,7 @@ function generateHTML(reportData, trendData = null) {
           const logId = `stdout-log-${test.id || index}-${runSuffix}`;
           return `
           <p><strong>Full Path:</strong> ${sanitizeHTML(testData.name)}</p>
+          ${generateTestMetadataHTML(testData)}
           ${
             testData.annotations && testData.annotations.length > 0
               ? `<div class="annotations-section" style="margin: 12px 0; padding: 12px; background-color: rgba(139, 92, 246, 0.1); border: 1px solid rgba(139, 92, 246, 0.3); border-left: 4px solid #8b5cf6; border-radius: 4px;">
@@ -2547,14 +4665,35 @@ function generateHTML(reportData, trendData = null) {
           }
           <p><strong>Test run Worker ID:</strong> ${sanitizeHTML(
             testData.workerId,
-          )} [<strong>Total No. of Workers:</strong> ${sanitizeHTML(
+          )}${
+            testData.workerIndex >= 0
+              ? ` (process #${sanitizeHTML(testData.workerIndex)})`
+              : ""
+          } [<strong>Total No. of Workers:</strong> ${sanitizeHTML(
             testData.totalWorkers,
           )}]</p>
-          ${
-            testData.errorMessage
-              ? `<div class="test-error-summary"><div class="stack-trace">${formatPlaywrightError(
-                  testData.errorMessage,
-                )}</div>
+          ${generateTestParametersHTML(testData.parameters)}
+          ${generateCustomFieldsHTML(testData.customFields)}
+          ${generateTestMetricsHTML(testData.metrics)}
+          ${getTestErrors(testData)
+            .map(
+              (error, index, errors) => `<div class="test-error-summary">${
+                errors.length > 1
+                  ? `<div class="test-error-heading">Error ${index + 1} of ${errors.length}${
+                      error.location
+                        ? ` <span class="test-error-location">${sanitizeHTML(
+                            `${error.location.file.split(/[\\/]/).pop()}:${error.location.line}`,
+                          )}</span>`
+                        : ""
+                    }</div>`
+                  : ""
+              }<div class="stack-trace">${formatPlaywrightError(
+                error.message || "",
+              )}</div>${
+                error.matcherFailure
+                  ? generateMatcherDiffHTML(error.matcherFailure)
+                  : ""
+              }
                 <button 
                         class="copy-error-btn" 
                         onclick="copyErrorToClipboard(this)"
@@ -2576,18 +4715,26 @@ function generateHTML(reportData, trendData = null) {
                       > 
                         Copy Error Prompt
                       </button>
-                </div>`
-              : ""
-          }
-          ${
-            testData.snippet
-              ? `<div class="code-section"><h4>Error Snippet</h4><pre><code>${formatPlaywrightError(
-                  testData.snippet,
-                )}</code></pre></div>`
-              : ""
-          }
+                </div>${
+                  error.sourceRef && sources[error.sourceRef]
+                    ? `<div class="code-section"><h4>Source</h4>${generateSourcePanelHTML(
+                        sources[error.sourceRef],
+                        error.location?.column,
+                      )}</div>`
+                    : error.snippet
+                    ? `<div class="code-section"><h4>Error Snippet</h4><pre><code>${formatPlaywrightError(
+                        error.snippet,
+                      )}</code></pre></div>`
+                    : ""
+                }`,
+            )
+            .join("")}
           <h4>Steps</h4>
           <div class="steps-list">${generateStepsHTML(testData.steps)}</div>
+          ${generateStepWaterfallHTML(testData)}
+          ${generateLogTimelineHTML(testData)}
+          ${generateBrowserConsoleHTML(testData)}
+          ${generateNetworkHTML(testData)}
           ${(() => {
             if (!testData.stdout || testData.stdout.length === 0) return "";
             return `<div class="console-output-section">
@@ -2617,25 +4764,31 @@ function generateHTML(reportData, trendData = null) {
                 <h4>Screenshots</h4>
                 <div class="attachments-grid">
                 ${testData.screenshots
-                  .map(
-                    (screenshot, screenshotIndex) => `
+                  .map((screenshot, screenshotIndex) => {
+                    // Data URIs are already self-contained, no path to resolve
+                    const inline = isDataUri(screenshot);
+                    const src = inline ? screenshot : fixPath(screenshot);
+                    const extension = inline
+                      ? (screenshot.match(/^data:image\/(\w+)/) || [])[1] || "png"
+                      : "png";
+                    return `
                     <div class="attachment-item">
-                    <img src="${fixPath(screenshot)}" alt="Screenshot ${
+                    <img src="${src}" alt="Screenshot ${
                       screenshotIndex + 1
                     }">
                     <div class="attachment-info">
                         <div class="trace-actions">
-                        <a href="${fixPath(
-                          screenshot,
-                        )}" target="_blank" class="view-full">View Full Image</a>
-                        <a href="${fixPath(
-                          screenshot,
-                        )}" target="_blank" download="screenshot-${Date.now()}-${screenshotIndex}.png">Download</a>
+                        <a href="${src}" ${
+                          inline
+                            ? 'onclick="openDataUri(event, this.href)"'
+                            : 'target="_blank"'
+                        } class="view-full">View Full Image</a>
+                        <a href="${src}" target="_blank" download="screenshot-${Date.now()}-${screenshotIndex}.${extension}">Download</a>
                         </div>
                     </div>
                     </div>
-                `,
-                  )
+                `;
+                  })
                   .join("")}
                 </div>
             </div>
@@ -2690,7 +4843,7 @@ function generateHTML(reportData, trendData = null) {
                         <div class="trace-preview">
                         <span class="trace-icon">📄</span>
                         <span class="trace-name">${sanitizeHTML(
-                          path.basename(testData.tracePath),
+                          getAttachmentFileName(testData.tracePath, "trace"),
                         )}</span>
                         </div>
                         <div class="attachment-info">
@@ -2698,7 +4851,7 @@ function generateHTML(reportData, trendData = null) {
                             <a href="${sanitizeHTML(
                               fixPath(testData.tracePath),
                             )}" target="_blank" download="${sanitizeHTML(
-                              path.basename(testData.tracePath),
+                              getAttachmentFileName(testData.tracePath, "trace"),
                             )}" class="download-trace">Download Trace</a>
                         </div>
                         </div>
@@ -2764,11 +4917,11 @@ function generateHTML(reportData, trendData = null) {
           : '';
 
         return `
-      <div class="test-case" data-status="${
+      <div class="test-case" id="test-case-${index}" data-status="${
         headerStatus
       }" data-browser="${sanitizeHTML(browser)}" data-tags="${(test.tags || [])
         .join(",")
-        .toLowerCase()}">
+        .toLowerCase()}" data-custom-fields="${getCustomFieldTokens(test)}">
         <div class="test-case-header" role="button" aria-expanded="false">
           <div class="test-case-summary">
             <span class="test-case-title" title="${sanitizeHTML(
@@ -2822,8 +4975,13 @@ function generateHTML(reportData, trendData = null) {
           ` : getTestContentHTML(test, 'single')}
         </div>
       </div>`;
-      })
-      .join("");
+    };
+    return renderTestCasesWithParameterGroups(
+      results,
+      0,
+      results.length,
+      renderTestCase,
+    );
   }
   return `
 <!DOCTYPE html>
@@ -3544,6 +5702,29 @@ function generateHTML(reportData, trendData = null) {
           box-shadow: 0 4px 12px rgba(0, 204, 211, 0.2);
         }
         .summary-card.flaky-status .value { color: #00ccd3; }
+        .summary-card.status-timedout { background: rgba(249, 115, 22, 0.02); }
+        .summary-card.status-timedout:hover { 
+          background: rgba(249, 115, 22, 0.15); 
+          box-shadow: 0 4px 12px rgba(249, 115, 22, 0.2);
+        }
+        .summary-card.status-timedout .value { color: #f97316; }
+        .summary-card.status-interrupted { background: rgba(139, 92, 246, 0.02); }
+        .summary-card.status-interrupted:hover { 
+          background: rgba(139, 92, 246, 0.15); 
+          box-shadow: 0 4px 12px rgba(139, 92, 246, 0.2);
+        }
+        .summary-card.status-interrupted .value { color: #8b5cf6; }
+        .summary-card.status-unexpected-success { background: rgba(236, 72, 153, 0.02); }
+        .summary-card.status-unexpected-success:hover { 
+          background: rgba(236, 72, 153, 0.15); 
+          box-shadow: 0 4px 12px rgba(236, 72, 153, 0.2);
+        }
+        .summary-card.status-unexpected-success .value { color: #ec4899; }
+        .summary-card.status-expected-outcomes { background: rgba(132, 204, 22, 0.02); }
+        .summary-card.status-expected-outcomes:hover { 
+          background: rgba(132, 204, 22, 0.15); 
+          box-shadow: 0 4px 12px rgba(132, 204, 22, 0.2);
+        }
         .summary-card:not([class*='status-']) .value { color: #0f172a; }
         .dashboard-bottom-row { display: grid; grid-template-columns: repeat(auto-fit, minmax(350px, 1fr)); gap: 28px; align-items: start; }
         .dashboard-column { 
@@ -3583,6 +5764,11 @@ function generateHTML(reportData, trendData = null) {
         .status-badge-small-tooltip.status-passed { background-color: var(--success-color); }
         .status-badge-small-tooltip.status-failed { background-color: var(--danger-color); }
         .status-badge-small-tooltip.status-skipped { background-color: var(--warning-color); }
+        .status-badge-small-tooltip.status-timedout { background-color: #f97316; }
+        .status-badge-small-tooltip.status-interrupted { background-color: #8b5cf6; }
+        .status-badge-small-tooltip.status-expected-failure { background-color: #84cc16; }
+        .status-badge-small-tooltip.status-unexpected-success { background-color: #ec4899; }
+        .status-badge-small-tooltip.status-explicitly-skipped { background-color: #fbbf24; }
         .status-badge-small-tooltip.status-unknown { background-color: var(--dark-gray-color); }
         .suites-header {
             flex-shrink: 0;
@@ -3745,6 +5931,11 @@ function generateHTML(reportData, trendData = null) {
         .stat-pill.failed { color: var(--danger-dark); }
         .stat-pill.flaky { color: #00ccd3; }
         .stat-pill.skipped { color: var(--warning-dark); }
+        .stat-pill.timedout { color: #f97316; }
+        .stat-pill.interrupted { color: #8b5cf6; }
+        .stat-pill.expected-failure { color: #65a30d; }
+        .stat-pill.unexpected-success { color: #ec4899; }
+        .stat-pill.explicitly-skipped { color: #d97706; }
         .filters {
           display: flex;
           flex-wrap: wrap;
@@ -3917,6 +6108,11 @@ function generateHTML(reportData, trendData = null) {
         .status-badge.status-passed { background: #10b981; }
         .status-badge.status-failed { background: #ef4444; }
         .status-badge.status-skipped { background: #f59e0b; }
+        .status-badge.status-timedout { background: #f97316; }
+        .status-badge.status-interrupted { background: #8b5cf6; }
+        .status-badge.status-expected-failure { background: #84cc16; }
+        .status-badge.status-unexpected-success { background: #ec4899; }
+        .status-badge.status-explicitly-skipped { background: #fbbf24; }
         .status-badge.status-unknown { background: #64748b; }
 
         /* --- NEON GLASS SEVERITY BADGES --- */
@@ -4070,7 +6266,131 @@ function generateHTML(reportData, trendData = null) {
           flex-direction: column;
         }
         .test-error-summary h4 { color: var(--danger-color); margin-top:0;}
+        .test-error-heading { font-weight: 600; color: var(--danger-color); margin-bottom: 8px; }
+        .test-error-location { font-weight: 400; font-size: 0.9em; color: var(--text-color-secondary); font-family: monospace; margin-left: 6px; }
         .test-error-summary pre { white-space: pre-wrap; word-break: break-all; color: var(--danger-color); font-size: 0.95em;}
+        .timeline-summary { display: flex; flex-wrap: wrap; gap: 16px; padding: 24px 32px 8px; }
+        .timeline-stat { flex: 1 1 150px; padding: 16px 20px; background: var(--bg-card); border: 1px solid var(--border-light); border-radius: var(--radius-md); }
+        .timeline-stat-value { display: block; font-size: 1.6em; font-weight: 700; color: var(--text-primary); }
+        .timeline-stat-label { font-size: 0.8em; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px; color: var(--text-secondary); }
+        .timeline-legend { display: flex; flex-wrap: wrap; gap: 16px; padding: 12px 32px; font-size: 0.85em; color: var(--text-secondary); }
+        .timeline-legend-item { display: inline-flex; align-items: center; gap: 6px; }
+        .timeline-legend-swatch { position: static; display: inline-block; width: 14px; height: 14px; border-radius: 3px; }
+        .timeline-chart { padding: 8px 32px 32px; overflow-x: auto; }
+        .timeline-lane { display: flex; align-items: center; min-width: 700px; margin-bottom: 6px; }
+        .timeline-lane-label { flex: 0 0 110px; font-size: 0.85em; font-weight: 600; color: var(--text-secondary); }
+        .timeline-lane-label small { display: block; font-weight: 400; color: var(--text-tertiary); }
+        .timeline-track { position: relative; flex: 1; height: 28px; background: var(--bg-secondary); border: 1px solid var(--border-light); border-radius: 4px; }
+        .timeline-axis .timeline-track { height: 20px; background: none; border: none; }
+        .timeline-tick { position: absolute; top: 0; transform: translateX(-50%); font-size: 0.75em; color: var(--text-tertiary); white-space: nowrap; }
+        .timeline-tick:first-child { transform: none; }
+        .timeline-tick:last-child { transform: translateX(-100%); }
+        .timeline-group-label { margin: 18px 0 8px; font-weight: 700; color: var(--text-primary); }
+        .timeline-bar { position: absolute; top: 3px; bottom: 3px; min-width: 2px; border-radius: 3px; background: var(--neutral-400); cursor: pointer; }
+        .timeline-bar:hover { filter: brightness(1.15); box-shadow: 0 0 0 2px var(--text-primary); z-index: 1; }
+        .timeline-bar.status-passed, .timeline-bar.status-expected-failure { background: var(--success-color); }
+        .timeline-bar.status-failed, .timeline-bar.status-unexpected-success { background: var(--danger-color); }
+        .timeline-bar.status-flaky { background: var(--flaky-color); }
+        .timeline-bar.status-timedout { background: #f97316; }
+        .timeline-bar.status-interrupted { background: #8b5cf6; }
+        .timeline-bar.status-skipped, .timeline-bar.status-explicitly-skipped { background: var(--warning-color); }
+        .timeline-gap { position: absolute; top: 0; bottom: 0; background: repeating-linear-gradient(45deg, rgba(239, 68, 68, 0.18), rgba(239, 68, 68, 0.18) 4px, transparent 4px, transparent 8px); }
+        .timeline-legend-swatch.timeline-gap { position: static; border: 1px solid rgba(239, 68, 68, 0.4); }
+        .run-status-banner { display: flex; gap: 16px; margin: 0 0 28px; padding: 20px 24px; background: #fef2f2; border: 1px solid #fecaca; border-left: 6px solid var(--danger-color); border-radius: var(--radius-md); color: #7f1d1d; }
+        .run-status-banner-icon { font-size: 1.6em; line-height: 1; }
+        .run-status-banner-body { flex: 1; min-width: 0; }
+        .run-status-banner h3 { margin: 0 0 8px; font-size: 1.1em; color: #991b1b; }
+        .run-status-banner p { margin: 4px 0; }
+        .run-status-badge { display: inline-block; margin-left: 8px; padding: 2px 10px; border-radius: 10px; background: var(--danger-color); color: white; font-size: 0.75em; text-transform: uppercase; letter-spacing: 0.5px; vertical-align: middle; }
+        .run-status-banner-errors h4 { margin: 14px 0 6px; font-size: 0.95em; }
+        .global-error { margin: 6px 0; background: white; border: 1px solid #fecaca; border-radius: 6px; }
+        .global-error summary { padding: 8px 12px; cursor: pointer; font-weight: 600; word-break: break-word; }
+        .global-error .stack-trace { margin: 0; padding: 10px 12px; border-top: 1px solid #fecaca; font-family: monospace; font-size: 0.85em; overflow-x: auto; }
+        .repeat-stability-widget { margin-top: 28px; background: var(--bg-card); border: 1px solid var(--border-light); border-radius: var(--radius-lg); padding: 24px; overflow-x: auto; }
+        .repeat-stability-table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+        .repeat-stability-table th { text-align: left; padding: 10px 12px; color: var(--text-secondary); border-bottom: 2px solid var(--border-light); }
+        .repeat-stability-table td { padding: 10px 12px; border-bottom: 1px solid var(--border-light); vertical-align: middle; }
+        .repeat-test-title { font-weight: 600; }
+        .repeat-skipped { color: var(--text-tertiary); font-size: 0.85em; }
+        .repeat-ratio { display: flex; align-items: center; gap: 10px; min-width: 160px; }
+        .repeat-ratio-bar { flex: 1; height: 8px; background: var(--bg-tertiary); border-radius: 4px; overflow: hidden; }
+        .repeat-ratio-fill { height: 100%; background: var(--success-color); }
+        .repeat-ratio-unstable .repeat-ratio-fill { background: var(--warning-color); }
+        .repeat-ratio-broken .repeat-ratio-fill { background: var(--danger-color); }
+        .repeat-outcomes { white-space: nowrap; }
+        .repeat-outcome { display: inline-block; width: 12px; height: 12px; margin-right: 3px; border-radius: 3px; background: var(--neutral-300); }
+        .repeat-outcome.status-passed, .repeat-outcome.status-expected-failure { background: var(--success-color); }
+        .repeat-outcome.status-failed, .repeat-outcome.status-timedout, .repeat-outcome.status-interrupted, .repeat-outcome.status-unexpected-success { background: var(--danger-color); }
+        .repeat-outcome.status-flaky { background: var(--flaky-color); }
+        .view-toggle { display: flex; gap: 0; margin-left: auto; }
+        .filters .view-toggle button { background: white; color: #0f172a; border: 2px solid #e2e8f0; padding: 14px 22px; }
+        .filters .view-toggle button.active { background: #0f172a; color: white; border-color: #0f172a; }
+        .test-tree { padding: 16px 24px; }
+        .tree-node-group > .tree-node-header { border-color: var(--border-medium); font-weight: 600; }
+        .tree-node-epic > .tree-node-header, .tree-node-feature > .tree-node-header { font-weight: 600; }
+        .test-meta { margin: 12px 0; padding: 12px 16px; background: var(--bg-secondary); border: 1px solid var(--border-light); border-left: 4px solid var(--info-color); border-radius: 6px; }
+        .test-meta-row { display: flex; gap: 12px; padding: 3px 0; }
+        .test-meta-label { min-width: 70px; font-weight: 600; color: var(--text-secondary); }
+        .test-meta-value { display: flex; flex-wrap: wrap; gap: 6px 12px; }
+        .test-meta-separator { color: var(--text-tertiary); }
+        .test-meta a { color: var(--info-color); }
+        .test-description { margin-top: 8px; line-height: 1.6; }
+        .test-description > :first-child { margin-top: 0; }
+        .test-description > :last-child { margin-bottom: 0; }
+        .test-description code { background: var(--bg-tertiary); padding: 1px 5px; border-radius: 4px; }
+        .test-description pre { background: var(--bg-tertiary); padding: 10px; border-radius: 6px; overflow-x: auto; }
+        .test-metrics h4 { margin: 16px 0 8px; }
+        .test-metrics-table { border-collapse: collapse; font-size: 0.9em; }
+        .test-metrics-table th, .test-metrics-table td { text-align: left; padding: 6px 14px; border: 1px solid var(--border-light); }
+        .test-metrics-table th { background: var(--bg-secondary); font-weight: 600; }
+        .test-metrics-table tr.metric-regressed td { color: var(--danger-color); font-weight: 600; }
+        .metric-history { margin-bottom: 16px; }
+        .metric-history-header { display: flex; justify-content: space-between; gap: 10px; font-size: 0.9em; }
+        .metric-history-name { font-weight: 600; }
+        .metric-history-threshold { color: var(--text-tertiary); }
+        .metric-history-regressed .metric-history-value { color: var(--danger-color); font-weight: 600; }
+        .metric-regression-banner { margin-bottom: 14px; padding: 6px 10px; border-radius: 6px; background: rgba(239, 68, 68, 0.1); color: var(--danger-color); font-weight: 600; font-size: 0.9em; }
+        .test-parameters h4 { margin: 16px 0 8px; }
+        .test-parameters-table { border-collapse: collapse; font-size: 0.9em; }
+        .test-parameters-table th, .test-parameters-table td { text-align: left; padding: 6px 14px; border: 1px solid var(--border-light); }
+        .test-parameters-table th { background: var(--bg-secondary); font-weight: 600; }
+        .parameter-masked { color: var(--text-tertiary); font-style: italic; }
+        .parameterised-group { margin-bottom: 12px; border: 1px solid var(--border-light); border-left: 4px solid var(--info-color); border-radius: 8px; background: var(--bg-card); }
+        .parameterised-group-failed { border-left-color: var(--danger-color); }
+        .parameterised-group-header { display: flex; align-items: center; gap: 12px; padding: 14px 18px; cursor: pointer; list-style: none; }
+        .parameterised-group-header::-webkit-details-marker { display: none; }
+        .parameterised-group-header::before { content: "▸"; color: var(--text-tertiary); transition: transform 0.15s ease; }
+        .parameterised-group[open] > .parameterised-group-header::before { transform: rotate(90deg); }
+        .parameterised-group-title { font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .parameterised-group-meta { color: var(--text-secondary); font-size: 0.85em; }
+        .parameterised-group-counts { display: flex; gap: 8px; margin-left: auto; font-size: 0.85em; }
+        .parameterised-group-body { padding: 0 18px 14px; }
+        .parameterised-group-table { width: 100%; border-collapse: collapse; margin-bottom: 12px; font-size: 0.9em; }
+        .parameterised-group-table th, .parameterised-group-table td { text-align: left; padding: 6px 10px; border-bottom: 1px solid var(--border-light); }
+        .parameterised-group-table .parameter-set { cursor: pointer; }
+        .parameterised-group-table .parameter-set:hover { background: var(--bg-secondary); }
+        .custom-fields h4 { margin: 16px 0 8px; }
+        .custom-fields-table { border-collapse: collapse; font-size: 0.9em; }
+        .custom-fields-table th, .custom-fields-table td { text-align: left; padding: 6px 14px; border: 1px solid var(--border-light); }
+        .custom-fields-table th { background: var(--bg-secondary); font-weight: 600; }
+        .tree-node { margin: 4px 0; }
+        .tree-node .tree-node-children { padding-left: 22px; border-left: 1px dashed var(--border-medium); margin-left: 10px; }
+        .tree-node-header { display: flex; align-items: center; gap: 10px; padding: 10px 14px; cursor: pointer; background: var(--bg-secondary); border: 1px solid var(--border-light); border-radius: 6px; list-style: none; }
+        .tree-node-header::-webkit-details-marker { display: none; }
+        .tree-node-header::before { content: "▸"; color: var(--text-tertiary); transition: transform 0.15s ease; }
+        .tree-node[open] > .tree-node-header::before { transform: rotate(90deg); }
+        .tree-node[data-status="failed"] > .tree-node-header { border-left: 4px solid var(--danger-color); }
+        .tree-node[data-status="flaky"] > .tree-node-header { border-left: 4px solid var(--flaky-color); }
+        .tree-node[data-status="passed"] > .tree-node-header { border-left: 4px solid var(--success-color); }
+        .tree-node-title { font-weight: 600; flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .tree-node-file > .tree-node-header .tree-node-title { font-family: monospace; }
+        .tree-node-counts { display: flex; gap: 6px; }
+        .tree-count { font-size: 0.8em; font-weight: 600; padding: 2px 8px; border-radius: 10px; background: var(--bg-tertiary); }
+        .tree-node-duration { font-size: 0.85em; color: var(--text-secondary); white-space: nowrap; }
+        .tree-leaf { display: flex; align-items: center; gap: 10px; padding: 8px 14px; margin: 4px 0; cursor: pointer; border-radius: 6px; }
+        .tree-leaf:hover, .tree-leaf:focus { background: var(--bg-tertiary); outline: none; }
+        .tree-leaf-title { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .tree-leaf-browser { font-size: 0.85em; color: var(--text-secondary); }
         .steps-list { margin: 18px 0; }
         .step-item { margin-bottom: 8px; padding-left: calc(var(--depth, 0) * 28px); } 
         .step-header { display: flex; align-items: center; cursor: pointer; padding: 10px 14px; border-radius: 6px; background-color: #fff; border: 1px solid var(--light-gray-color); transition: background-color 0.2s ease, border-color 0.2s ease, box-shadow 0.2s ease; }
@@ -4080,12 +6400,113 @@ function generateHTML(reportData, trendData = null) {
         .step-duration { color: var(--dark-gray-color); font-size: 0.9em; }
         .step-details { display: none; padding: 14px; margin-top: 8px; background: #fdfdfd; border-radius: 6px; font-size: 0.95em; border: 1px solid var(--light-gray-color); }
         .step-info { margin-bottom: 8px; }
+        .matcher-diff { margin-top: 12px; border: 1px solid var(--border-light); border-radius: 6px; background: var(--bg-card); color: var(--text-primary); overflow: hidden; }
+        .matcher-diff-header { display: flex; flex-wrap: wrap; align-items: center; gap: 12px; padding: 8px 12px; background: var(--bg-secondary); border-bottom: 1px solid var(--border-light); font-size: 0.85em; }
+        .matcher-diff-title { font-family: 'Consolas', 'Monaco', 'Courier New', monospace; font-weight: 600; }
+        .matcher-diff-legend { display: inline-flex; gap: 10px; font-family: 'Consolas', 'Monaco', 'Courier New', monospace; }
+        .matcher-diff-toggle { margin-left: auto; display: inline-flex; border: 1px solid var(--border-light); border-radius: 4px; overflow: hidden; }
+        .matcher-diff-toggle button { padding: 3px 10px; border: none; background: transparent; color: var(--text-secondary); font-size: 0.95em; cursor: pointer; }
+        .matcher-diff-toggle button.active { background: var(--primary-color); color: white; }
+        .matcher-diff[data-view="unified"] .matcher-diff-split, .matcher-diff[data-view="split"] .matcher-diff-unified { display: none; }
+        .matcher-diff-split { display: grid; grid-template-columns: 1fr 1fr; }
+        .matcher-diff-pane { min-width: 0; }
+        .matcher-diff-pane + .matcher-diff-pane { border-left: 1px solid var(--border-light); }
+        .matcher-diff-pane-title { padding: 4px 12px; font-size: 0.75em; font-weight: 700; text-transform: uppercase; letter-spacing: 0.5px; color: var(--text-secondary); }
+        .matcher-diff-expected .matcher-diff-pane-title { color: #15803d; }
+        .matcher-diff-received .matcher-diff-pane-title { color: #b91c1c; }
+        .matcher-diff-code { padding: 6px 0; overflow-x: auto; font-family: 'Consolas', 'Monaco', 'Courier New', monospace; font-size: 0.85em; line-height: 1.5; }
+        .matcher-diff-code .diff-line { padding: 0 12px; white-space: pre; min-height: 1.5em; }
+        .diff-removed { color: #15803d; }
+        .diff-added { color: #b91c1c; }
+        .matcher-diff-code .diff-removed { background: rgba(34, 197, 94, 0.12); }
+        .matcher-diff-code .diff-added { background: rgba(239, 68, 68, 0.12); }
+        .matcher-diff-code .diff-filler { background: repeating-linear-gradient(45deg, transparent, transparent 4px, rgba(0, 0, 0, 0.04) 4px, rgba(0, 0, 0, 0.04) 8px); }
+        .matcher-diff-code .diff-hunk { color: var(--text-tertiary); font-style: italic; }
+        .matcher-diff-fold > summary { padding: 2px 12px; font-size: 0.9em; color: var(--text-secondary); cursor: pointer; background: var(--bg-secondary); }
+        .matcher-diff-empty { padding: 6px 12px; font-style: italic; color: var(--text-tertiary); }
+        .source-panel { margin: 12px 0; border-radius: 6px; overflow: hidden; border: 1px solid #2d2d3a; background: #1e1e2e; }
+        .source-panel-header { padding: 6px 12px; font-family: 'Consolas', 'Monaco', 'Courier New', monospace; font-size: 0.8em; color: #a6adc8; background: #181825; border-bottom: 1px solid #2d2d3a; }
+        .source-panel-code { margin: 0; padding: 8px 0; overflow-x: auto; font-family: 'Consolas', 'Monaco', 'Courier New', monospace; font-size: 0.85em; line-height: 1.5; color: #cdd6f4; background: transparent; white-space: pre; }
+        .source-line { display: flex; padding-right: 12px; }
+        .source-line-number { flex: 0 0 48px; padding-right: 12px; text-align: right; color: #6c7086; user-select: none; }
+        .source-line-code { flex: 1; tab-size: 4; }
+        .source-line-target { background: rgba(243, 139, 168, 0.15); box-shadow: inset 3px 0 0 #f38ba8; }
+        .source-line-target .source-line-number { color: #f38ba8; font-weight: 700; }
+        .source-line-caret .source-line-code { color: #f38ba8; font-weight: 700; }
+        .source-panel .token-keyword { color: #cba6f7; }
+        .source-panel .token-string { color: #a6e3a1; }
+        .source-panel .token-number { color: #fab387; }
+        .source-panel .token-comment { color: #6c7086; font-style: italic; }
+        .source-panel .token-function { color: #89b4fa; }
         .code-snippet-section { margin: 12px 0; }
         .code-snippet { background-color: #f8f9fa; border: 1px solid #e1e4e8; border-radius: 6px; padding: 12px; font-family: 'Consolas', 'Monaco', 'Courier New', monospace; font-size: 0.9em; line-height: 1.5; overflow-x: auto; color: #24292e; margin: 0; white-space: pre; }
         .test-error-summary { color: var(--danger-color); margin-top: 12px; padding: 14px; background: rgba(244,67,54,0.05); border-radius: 4px; font-size: 0.95em; border-left: 3px solid var(--danger-color); }
         .test-error-summary pre.stack-trace { margin-top: 10px; padding: 12px; background-color: rgba(0,0,0,0.03); border-radius: 4px; font-size:0.9em; max-height: 280px; overflow-y: auto; white-space: pre-wrap; word-break: break-all; }
         .step-hook { background-color: rgba(33,150,243,0.04); border-left: 3px solid var(--info-color) !important; } 
         .step-hook .step-title { font-style: italic; color: var(--info-color)}
+        .step-category-chip { display: inline-block; margin-right: 6px; padding: 1px 6px; border-radius: 4px; font-size: 0.75em; font-weight: 600; font-style: normal; color: white; vertical-align: middle; background: var(--neutral-400); }
+        .category-hook { background: #3b82f6; }
+        .category-fixture { background: #8b5cf6; }
+        .category-pw-api { background: #f59e0b; }
+        .category-expect { background: #14b8a6; }
+        .category-test-step { background: #6366f1; }
+        .category-test-attach { background: #9ca3af; }
+        .step-waterfall { margin: 12px 0 18px; border: 1px solid var(--border-light); border-radius: var(--radius-md); background: var(--bg-card); }
+        .step-waterfall > summary { padding: 10px 14px; font-weight: 600; cursor: pointer; color: var(--text-primary); }
+        .step-waterfall-meta { margin-left: 8px; font-weight: 400; font-size: 0.85em; color: var(--text-secondary); }
+        .step-waterfall-legend { display: flex; flex-wrap: wrap; gap: 14px; padding: 0 14px 10px; font-size: 0.8em; color: var(--text-secondary); }
+        .step-waterfall-legend-item { display: inline-flex; align-items: center; gap: 6px; }
+        .step-waterfall-swatch { display: inline-block; width: 12px; height: 12px; border-radius: 3px; }
+        .step-waterfall-rows { padding: 0 14px 14px; max-height: 480px; overflow: auto; }
+        .step-waterfall-row { display: grid; grid-template-columns: minmax(160px, 30%) 1fr 70px; align-items: center; gap: 10px; min-width: 560px; padding: 2px 0; font-size: 0.85em; }
+        .step-waterfall-row:hover { background: var(--bg-secondary); }
+        .step-waterfall-label { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; color: var(--text-primary); }
+        .step-waterfall-row-failed .step-waterfall-label { color: var(--danger-color); font-weight: 600; }
+        .step-waterfall-track { position: relative; height: 14px; background: var(--bg-secondary); border-radius: 3px; }
+        .step-waterfall-bar { position: absolute; top: 2px; bottom: 2px; min-width: 2px; border-radius: 2px; }
+        .step-waterfall-row-failed .step-waterfall-bar { box-shadow: 0 0 0 2px var(--danger-color); }
+        .step-waterfall-duration { text-align: right; color: var(--text-secondary); font-variant-numeric: tabular-nums; }
+        .log-timeline { margin: 12px 0 18px; border: 1px solid var(--border-light); border-radius: var(--radius-md); background: var(--bg-card); }
+        .log-timeline > summary { padding: 10px 14px; font-weight: 600; cursor: pointer; color: var(--text-primary); }
+        .log-timeline-meta { margin-left: 8px; font-weight: 400; font-size: 0.85em; color: var(--text-secondary); }
+        .log-timeline-filters { display: flex; flex-wrap: wrap; gap: 6px; padding: 0 14px 10px; }
+        .log-timeline-filters button { padding: 4px 10px; font-size: 0.8em; border: 1px solid var(--border-medium); border-radius: 4px; background: var(--bg-card); color: var(--text-secondary); cursor: pointer; }
+        .log-timeline-filters button.active { background: var(--text-primary); border-color: var(--text-primary); color: var(--bg-card); }
+        .log-timeline-entries { padding: 0 14px 14px; max-height: 480px; overflow: auto; font-size: 0.85em; }
+        .log-timeline-entry { display: grid; grid-template-columns: 80px 60px 1fr; align-items: baseline; gap: 10px; padding: 3px 0; border-bottom: 1px solid var(--bg-tertiary); }
+        .log-timeline-time { color: var(--text-tertiary); font-family: monospace; text-align: right; }
+        .log-timeline-level { font-size: 0.8em; font-weight: 700; text-transform: uppercase; }
+        .log-timeline-message { min-width: 0; white-space: pre-wrap; word-break: break-word; }
+        .log-timeline-entry:not([data-level="step"]) .log-timeline-message { font-family: monospace; }
+        .log-timeline-step { color: var(--text-secondary); }
+        .log-timeline-step-failed { color: var(--danger-color); font-weight: 600; }
+        .log-timeline-duration { color: var(--text-tertiary); font-size: 0.9em; }
+        .log-timeline-data { margin: 4px 0 0; padding: 6px 8px; background: var(--bg-secondary); border-radius: 4px; white-space: pre-wrap; }
+        .capture-panel { margin: 12px 0 18px; border: 1px solid var(--border-light); border-radius: var(--radius-md); background: var(--bg-card); }
+        .capture-panel > summary { padding: 10px 14px; font-weight: 600; cursor: pointer; color: var(--text-primary); }
+        .capture-panel-meta { margin-left: 8px; font-weight: 400; font-size: 0.85em; color: var(--text-secondary); }
+        .capture-panel-entries { padding: 0 14px 14px; max-height: 480px; overflow: auto; font-size: 0.85em; }
+        .capture-panel-time { color: var(--text-tertiary); font-family: monospace; white-space: nowrap; }
+        .browser-console-entry { display: grid; grid-template-columns: 80px 80px 1fr; align-items: baseline; gap: 10px; padding: 3px 0; border-bottom: 1px solid var(--bg-tertiary); }
+        .browser-console-entry .capture-panel-time { text-align: right; }
+        .browser-console-type { font-size: 0.8em; font-weight: 700; text-transform: uppercase; color: var(--text-tertiary); }
+        .browser-console-message { min-width: 0; font-family: monospace; white-space: pre-wrap; word-break: break-word; }
+        .browser-console-location { display: block; color: var(--text-tertiary); font-size: 0.9em; }
+        .browser-console-stack { margin: 4px 0 0; padding: 6px 8px; background: var(--bg-secondary); border-radius: 4px; white-space: pre-wrap; }
+        .console-type-warning .browser-console-type { color: var(--warning-color); }
+        .console-type-error .browser-console-type, .console-type-pageerror .browser-console-type, .console-type-pageerror .browser-console-message { color: var(--danger-color); }
+        .network-table { width: 100%; border-collapse: collapse; }
+        .network-table th, .network-table td { text-align: left; padding: 5px 8px; border-bottom: 1px solid var(--bg-tertiary); vertical-align: top; }
+        .network-table th { color: var(--text-secondary); font-weight: 600; }
+        .network-status-error { color: var(--danger-color); font-weight: 600; }
+        .network-status-warning { color: var(--warning-color); font-weight: 600; }
+        .network-url { font-family: monospace; word-break: break-all; }
+        .log-level-step { color: var(--text-tertiary); }
+        .log-level-info { color: var(--info-color); }
+        .log-level-warn { color: var(--warning-color); }
+        .log-level-error { color: var(--danger-color); }
+        .log-level-stdout { color: var(--text-secondary); }
+        .log-level-stderr { color: #f97316; }
         .failed-step-highlight { border-left: 4px solid var(--danger-color) !important; background-color: rgba(244,67,54,0.03); }
         .failed-step-highlight .step-header { background-color: rgba(244,67,54,0.05); border-color: rgba(244,67,54,0.3); }
         .failed-step-marker { display: inline-block; margin-left: 10px; padding: 2px 8px; background-color: var(--danger-color); color: white; border-radius: 4px; font-size: 0.85em; font-weight: 600; }
@@ -4141,6 +6562,11 @@ function generateHTML(reportData, trendData = null) {
         .status-badge-small.status-passed { background-color: var(--success-color); }
         .status-badge-small.status-failed { background-color: var(--danger-color); }
         .status-badge-small.status-skipped { background-color: var(--warning-color); }
+        .status-badge-small.status-timedout { background-color: #f97316; }
+        .status-badge-small.status-interrupted { background-color: #8b5cf6; }
+        .status-badge-small.status-expected-failure { background-color: #84cc16; }
+        .status-badge-small.status-unexpected-success { background-color: #ec4899; }
+        .status-badge-small.status-explicitly-skipped { background-color: #fbbf24; }
         .status-badge-small.status-unknown { background-color: var(--dark-gray-color); }
         .badge-severity { display: inline-block; padding: 4px 8px; border-radius: 4px; font-size: 11px; font-weight: 700; color: white; text-transform: uppercase; margin-right: 8px; vertical-align: middle; }
         .no-data, .no-tests, .no-steps, .no-data-chart { padding: 28px; text-align: center; color: var(--dark-gray-color); font-style: italic; font-size:1.1em; background-color: var(--light-gray-color); border-radius: var(--border-radius); margin: 18px 0; border: 1px dashed var(--medium-gray-color); }
@@ -4611,10 +7037,12 @@ function generateHTML(reportData, trendData = null) {
         <div class="tabs">
             <button class="tab-button active" data-tab="dashboard">Dashboard</button>
             <button class="tab-button" data-tab="test-runs">Test Run Summary</button>
+            <button class="tab-button" data-tab="timeline">Timeline</button>
             <button class="tab-button" data-tab="test-history">Test History</button>
             <button class="tab-button" data-tab="ai-failure-analyzer">AI Failure Analyzer</button>
         </div>
         <div id="dashboard" class="tab-content active">
+            ${generateRunStatusBanner(runSummary)}
             <div class="dashboard-grid">
                 <div class="summary-card"><h3>Total Tests</h3><div class="value">${
                   runSummary.totalTests
@@ -4630,6 +7058,29 @@ function generateHTML(reportData, trendData = null) {
                 }</div><div class="trend-percentage">${skipPercentage}%</div></div>
                 <div class="summary-card flaky-status"><h3>Flaky</h3><div class="value">${runSummary.flaky || 0}</div>
                 <div class="trend-percentage">${flakyPercentage}%</div></div>
+                <div class="summary-card status-timedout"><h3>Timed Out</h3><div class="value">${
+                  runSummary.timedOut || 0
+                }</div><div class="trend-percentage">${timedOutPercentage}%</div></div>
+                <div class="summary-card status-interrupted"><h3>Interrupted</h3><div class="value">${
+                  runSummary.interrupted || 0
+                }</div><div class="trend-percentage">${interruptedPercentage}%</div></div>
+                <div class="summary-card status-unexpected-success"><h3>Unexpected Successes</h3><div class="value">${
+                  runSummary.unexpectedSuccesses || 0
+                }</div><div class="trend-percentage">${unexpectedSuccessPercentage}%</div></div>
+                <div class="summary-card status-expected-outcomes">
+                  <h3>Expected Outcomes</h3>
+                  <div class="browser-breakdown">
+                    ${expectedOutcomes
+                      .map(
+                        (o) =>
+                          `<div class="browser-item">
+                        <span class="browser-name">${o.label}</span>
+                        <span class="browser-stats">${Math.round((o.count / totalTestsOr1) * 100)}% (${o.count})</span>
+                      </div>`,
+                      )
+                      .join("")}
+                  </div>
+                </div>
                  <div class="summary-card"><h3>Run Duration</h3><div class="value">${formatDuration(
                    runSummary.duration,
                  )}</div><div class="trend-percentage">Avg. Test Duration ${avgTestDuration}</div></div>
@@ -4669,11 +7120,16 @@ function generateHTML(reportData, trendData = null) {
                     { label: "Failed", value: runSummary.failed },
                     { label: "Flaky", value: runSummary.flaky || 0 },
                     { label: "Skipped", value: runSummary.skipped || 0 },
+                    { label: "Timed Out", value: runSummary.timedOut || 0 },
+                    { label: "Interrupted", value: runSummary.interrupted || 0 },
+                    { label: "Expected Failure", value: runSummary.expectedFailures || 0 },
+                    { label: "Unexpected Success", value: runSummary.unexpectedSuccesses || 0 },
+                    { label: "Explicitly Skipped", value: runSummary.explicitlySkipped || 0 },
                   ],
                   400,
                   390,
                 )} 
-                ${generateEnvironmentSection(runSummary.environment)}
+                ${generateEnvironmentSection(runSummary.environment, { ci: runSummary.ci, git: runSummary.git })}
               </div> 
               
               <div class="dashboard-column">
@@ -4681,11 +7137,12 @@ function generateHTML(reportData, trendData = null) {
                 ${generateSeverityDistributionChart(results)}
               </div>
             </div>
+            ${generateRepeatStabilityWidget(results)}
           </div>
         <div id="test-runs" class="tab-content">
             <div class="filters">
                 <input type="text" id="filter-name" placeholder="Filter by test name/path..." style="border-color: black; border-style: outset;">
-                <select id="filter-status"><option value="">All Statuses</option><option value="passed">Passed</option><option value="failed">Failed</option><option value="flaky">Flaky</option><option value="skipped">Skipped</option></select>
+                <select id="filter-status"><option value="">All Statuses</option><option value="passed">Passed</option><option value="failed">Failed</option><option value="flaky">Flaky</option><option value="skipped">Skipped</option><option value="timedOut">Timed Out</option><option value="interrupted">Interrupted</option><option value="expected-failure">Expected Failure</option><option value="unexpected-success">Unexpected Success</option><option value="explicitly-skipped">Explicitly Skipped</option></select>
                 <select id="filter-browser"><option value="">All Browsers</option>${Array.from(
                   new Set(
                     (results || []).map((test) => test.browser || "unknown"),
@@ -4698,10 +7155,22 @@ function generateHTML(reportData, trendData = null) {
                       )}</option>`,
                   )
                   .join("")}</select>
+                ${generateCustomFieldControlsHTML(results)}
                 <button id="clear-run-summary-filters" class="clear-filters-btn">Clear Filters</button>
+                <div class="view-toggle">
+                    <button class="view-toggle-btn active" data-view="list">List</button>
+                    <button class="view-toggle-btn" data-view="tree">Tree</button>
+                    ${hasFeatureHierarchy(results) ? '<button class="view-toggle-btn" data-view="features">Features</button>' : ""}
+                </div>
             </div>
+            <div class="test-tree" style="display: none;">${generateTestTreeHTML(results)}</div>
+            ${generateFeatureTreeHTML(results)}
+            ${generateGroupedTestTreesHTML(results)}
             <div class="test-cases-list">${generateTestCasesHTML()}</div>
         </div>
+        <div id="timeline" class="tab-content">
+            ${generateTimelineHTML(results, runSummary.subRunIds)}
+        </div>
         <div id="test-history" class="tab-content">
           <div class="trend-charts-row">
             <div class="trend-chart"><h3 class="chart-title-header">Test Volume & Outcome Trends</h3>
@@ -4732,7 +7201,7 @@ function generateHTML(reportData, trendData = null) {
           <div class="trend-charts-row">
              <div class="trend-chart">
                 <h3 class="chart-title-header">Test Distribution by Worker ${infoTooltip}</h3>
-                ${generateWorkerDistributionChart(results)}
+                ${generateWorkerDistributionChart(results, runSummary.workerRestarts)}
              </div>
           </div>
           <div class="trend-chart test-history-trend-section" style="border-bottom: none; background: none !important; box-shadow: none !important; border: none !important; border-radius: none !important;">
@@ -4747,7 +7216,7 @@ function generateHTML(reportData, trendData = null) {
           }
         </div>
         <div id="ai-failure-analyzer" class="tab-content">
-            ${generateAIFailureAnalyzerTab(results)}
+            ${generateAIFailureAnalyzerTab(results, sources)}
         </div>
         <footer style="padding: 0.5rem; box-shadow: 0 -2px 10px rgba(0, 0, 0, 0.05); text-align: center; font-family: 'Segoe UI', system-ui, sans-serif;">
             <div style="display: inline-flex; align-items: center; gap: 0.5rem; color: #333; font-size: 0.9rem; font-weight: 600; letter-spacing: 0.5px;">
@@ -4834,15 +7303,21 @@ function getAIFix(button) {
         const test = JSON.parse(atob(testJson));
 
         const testName = test.name || 'Unknown Test';
+        // Every soft-assertion failure is sent, not only the first one
+        const testErrors = (test.errors && test.errors.length > 0)
+            ? test.errors
+            : [{ message: test.errorMessage, snippet: test.snippet }];
+        const errorsForPrompt = testErrors.length > 1
+            ? testErrors.map((err, i) => 'Error ' + (i + 1) + ' of ' + testErrors.length + ':\\n' + (err.message || 'Not available.')).join('\\n\\n')
+            : 'Error Message:\\n' + (testErrors[0].message || 'Not available.');
         const failureLogsAndErrors = [
-            'Error Message:',
-            test.errorMessage || 'Not available.',
+            errorsForPrompt,
             '\\n\\n--- stdout ---',
             (test.stdout && test.stdout.length > 0) ? test.stdout.join('\\n') : 'Not available.',
             '\\n\\n--- stderr ---',
             (test.stderr && test.stderr.length > 0) ? test.stderr.join('\\n') : 'Not available.'
         ].join('\\n');
-        const codeSnippet = test.snippet || '';
+        const codeSnippet = [...new Set(testErrors.map((err) => err.sourceContext || err.snippet).filter(Boolean))].join('\\n\\n');
 
         const shortTestName = testName.split(' > ').pop();
         
@@ -4943,15 +7418,21 @@ function getAIFix(button) {
             const test = JSON.parse(atob(testJson));
 
             const testName = test.name || 'Unknown Test';
+            // Every soft-assertion failure is sent, not only the first one
+            const testErrors = (test.errors && test.errors.length > 0)
+                ? test.errors
+                : [{ message: test.errorMessage, snippet: test.snippet }];
+            const errorsForPrompt = testErrors.length > 1
+                ? testErrors.map((err, i) => 'Error ' + (i + 1) + ' of ' + testErrors.length + ':\\n' + (err.message || 'Not available.')).join('\\n\\n')
+                : 'Error Message:\\n' + (testErrors[0].message || 'Not available.');
             const failureLogsAndErrors = [
-                'Error Message:',
-                test.errorMessage || 'Not available.',
+                errorsForPrompt,
                 '\\n\\n--- stdout ---',
                 (test.stdout && test.stdout.length > 0) ? test.stdout.join('\\n') : 'Not available.',
                 '\\n\\n--- stderr ---',
                 (test.stderr && test.stderr.length > 0) ? test.stderr.join('\\n') : 'Not available.'
             ].join('\\n');
-            const codeSnippet = test.snippet || '';
+            const codeSnippet = [...new Set(testErrors.map((err) => err.sourceContext || err.snippet).filter(Boolean))].join('\\n\\n');
 
             const aiPrompt = \`You are an expert Playwright test automation engineer specializing in debugging test failures.
 
@@ -5056,11 +7537,14 @@ Code Snippet:
         const nameFilter = document.getElementById('filter-name');
         const statusFilter = document.getElementById('filter-status');
         const browserFilter = document.getElementById('filter-browser');
+        const customFieldFilter = document.getElementById('filter-custom-field');
         const clearRunSummaryFiltersBtn = document.getElementById('clear-run-summary-filters'); 
         function filterTestCases() { 
             const nameValue = nameFilter ? nameFilter.value.toLowerCase() : "";
             const statusValue = statusFilter ? statusFilter.value : "";
             const browserValue = browserFilter ? browserFilter.value : "";
+            const customFieldValue = customFieldFilter ? customFieldFilter.value : "";
+            const matchesCustomField = (element) => !customFieldValue || (element.getAttribute('data-custom-fields') || '').split(' ').includes(customFieldValue);
             document.querySelectorAll('#test-runs .test-case').forEach(testCaseElement => {
                 const titleElement = testCaseElement.querySelector('.test-case-title');
                 const fullTestName = titleElement ? titleElement.getAttribute('title').toLowerCase() : "";
@@ -5069,16 +7553,104 @@ Code Snippet:
                 const nameMatch = fullTestName.includes(nameValue);
                 const statusMatch = !statusValue || status === statusValue;
                 const browserMatch = !browserValue || browser === browserValue;
-                testCaseElement.style.display = (nameMatch && statusMatch && browserMatch) ? '' : 'none';
+                testCaseElement.style.display = (nameMatch && statusMatch && browserMatch && matchesCustomField(testCaseElement)) ? '' : 'none';
+            });
+            document.querySelectorAll('#test-runs .tree-leaf').forEach(leaf => {
+                const nameMatch = (leaf.getAttribute('data-name') || '').toLowerCase().includes(nameValue);
+                const statusMatch = !statusValue || leaf.getAttribute('data-status') === statusValue;
+                const browserMatch = !browserValue || leaf.getAttribute('data-browser') === browserValue;
+                leaf.style.display = (nameMatch && statusMatch && browserMatch && matchesCustomField(leaf)) ? '' : 'none';
+            });
+            document.querySelectorAll('#test-runs .tree-node').forEach(node => {
+                const hasVisibleLeaf = Array.from(node.querySelectorAll('.tree-leaf')).some(leaf => leaf.style.display !== 'none');
+                node.style.display = hasVisibleLeaf ? '' : 'none';
+            });
+            document.querySelectorAll('#test-runs .parameterised-group').forEach(group => {
+                let visibleSets = 0;
+                group.querySelectorAll('.parameter-set').forEach(row => {
+                    const testCase = document.getElementById('test-case-' + row.getAttribute('data-test-index'));
+                    const visible = !testCase || testCase.style.display !== 'none';
+                    row.style.display = visible ? '' : 'none';
+                    if (visible) visibleSets++;
+                });
+                group.style.display = visibleSets > 0 ? '' : 'none';
             });
         }
         if(nameFilter) nameFilter.addEventListener('input', filterTestCases);
         if(statusFilter) statusFilter.addEventListener('change', filterTestCases);
         if(browserFilter) browserFilter.addEventListener('change', filterTestCases);
+        if(customFieldFilter) customFieldFilter.addEventListener('change', filterTestCases);
         if(clearRunSummaryFiltersBtn) clearRunSummaryFiltersBtn.addEventListener('click', () => {
-            if(nameFilter) nameFilter.value = ''; if(statusFilter) statusFilter.value = ''; if(browserFilter) browserFilter.value = '';
+            if(nameFilter) nameFilter.value = ''; if(statusFilter) statusFilter.value = ''; if(browserFilter) browserFilter.value = ''; if(customFieldFilter) customFieldFilter.value = '';
             filterTestCases();
         });
+        // --- List / Tree View ---
+        const testCasesList = document.querySelector('#test-runs .test-cases-list');
+        const testTree = document.querySelector('#test-runs .test-tree:not(.test-tree-grouped):not(.test-tree-features)');
+        const featureTree = document.querySelector('#test-runs .test-tree-features');
+        const groupedTestTrees = document.querySelectorAll('#test-runs .test-tree-grouped');
+        const groupBySelect = document.getElementById('group-by-custom-field');
+        const viewToggleButtons = document.querySelectorAll('#test-runs .view-toggle-btn');
+        // view is 'list', 'tree', 'features' or 'group'; groupBy is the encoded custom field key of the grouped tree
+        function showRunSummaryView(view, groupBy) {
+            viewToggleButtons.forEach(btn => btn.classList.toggle('active', btn.getAttribute('data-view') === view));
+            if (testCasesList) testCasesList.style.display = view === 'list' ? '' : 'none';
+            if (testTree) testTree.style.display = view === 'tree' ? '' : 'none';
+            if (featureTree) featureTree.style.display = view === 'features' ? '' : 'none';
+            groupedTestTrees.forEach(tree => {
+                tree.style.display = view === 'group' && tree.getAttribute('data-group-by') === groupBy ? '' : 'none';
+            });
+            if (groupBySelect) groupBySelect.value = view === 'group' ? groupBy : '';
+        }
+        viewToggleButtons.forEach(btn => {
+            btn.addEventListener('click', () => showRunSummaryView(btn.getAttribute('data-view')));
+        });
+        if (groupBySelect) groupBySelect.addEventListener('change', () => {
+            showRunSummaryView(groupBySelect.value ? 'group' : 'list', groupBySelect.value);
+        });
+        function openTestCase(testIndex) {
+            const testCase = document.getElementById('test-case-' + testIndex);
+            if (!testCase) return;
+            showRunSummaryView('list');
+            testCase.style.display = '';
+            const parameterisedGroup = testCase.closest('.parameterised-group');
+            if (parameterisedGroup) parameterisedGroup.open = true;
+            const header = testCase.querySelector('.test-case-header');
+            if (header && header.getAttribute('aria-expanded') !== 'true') header.click();
+            testCase.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+        document.querySelectorAll('#test-runs .tree-leaf').forEach(leaf => {
+            leaf.addEventListener('click', () => openTestCase(leaf.getAttribute('data-test-index')));
+            leaf.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    openTestCase(leaf.getAttribute('data-test-index'));
+                }
+            });
+        });
+        // Parameter set rows may be appended later (static report), so clicks are delegated
+        const testRunsTab = document.getElementById('test-runs');
+        if (testRunsTab) {
+            testRunsTab.addEventListener('click', (e) => {
+                const row = e.target.closest('.parameter-set');
+                if (row) openTestCase(row.getAttribute('data-test-index'));
+            });
+            testRunsTab.addEventListener('keydown', (e) => {
+                const row = e.target.closest('.parameter-set');
+                if (row && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    openTestCase(row.getAttribute('data-test-index'));
+                }
+            });
+        }
+        // --- Timeline: clicking a bar opens the test in the Test Run Summary ---
+        const runSummaryTabButton = document.querySelector('.tab-button[data-tab="test-runs"]');
+        document.querySelectorAll('#timeline .timeline-bar[data-test-index]').forEach(bar => {
+            bar.addEventListener('click', () => {
+                if (runSummaryTabButton) runSummaryTabButton.click();
+                openTestCase(bar.getAttribute('data-test-index'));
+            });
+        });
         // --- Test History Filters ---
         const historyNameFilter = document.getElementById('history-filter-name');
         const historyStatusFilter = document.getElementById('history-filter-status');
@@ -5187,6 +7759,36 @@ Code Snippet:
     }
     document.addEventListener('DOMContentLoaded', initializeReportInteractivity);
 
+function filterLogTimeline(button, level) {
+  const timeline = button.closest('.log-timeline');
+  if (!timeline) return;
+  timeline.querySelectorAll('.log-timeline-filters button').forEach((filter) => {
+    filter.classList.toggle('active', filter === button);
+  });
+  timeline.querySelectorAll('.log-timeline-entry').forEach((entry) => {
+    entry.style.display = !level || entry.getAttribute('data-level') === level ? '' : 'none';
+  });
+}
+function switchMatcherDiffView(button, view) {
+  const container = button.closest('.matcher-diff');
+  if (!container) return;
+  container.setAttribute('data-view', view);
+  container.querySelectorAll('.matcher-diff-toggle button').forEach((toggle) => {
+    toggle.classList.toggle('active', toggle === button);
+  });
+}
+// Browsers block navigating to data: URLs, so inline screenshots open as blob URLs
+function openDataUri(event, dataUri) {
+  event.preventDefault();
+  fetch(dataUri)
+    .then((response) => response.blob())
+    .then((blob) => {
+      const blobUrl = URL.createObjectURL(blob);
+      window.open(blobUrl, '_blank');
+      setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+    })
+    .catch((error) => console.error('Failed to open screenshot:', error));
+}
 function copyErrorToClipboard(button) {
   // 1. Find the main error container, which should always be present.
   const errorContainer = button.closest('.test-error-summary');
@@ -5301,6 +7903,7 @@ async function main() {
   const outputDir = config.outputDir;
   const outputFile = config.outputFile;
   
+  await recoverJournalIfNeeded(outputDir);
   await mergeSequentialReportsIfNeeded(outputDir);
   const reportJsonPath = path.resolve(outputDir, outputFile); // Current run's main JSON
   const reportHtmlPath = path.resolve(outputDir, DEFAULT_HTML_FILE);
@@ -5475,6 +8078,15 @@ async function main() {
           failed: histRunReport.run.failed,
           skipped: histRunReport.run.skipped || 0,
           flaky: histRunReport.run.flaky || (histRunReport.results ? histRunReport.results.filter(r => r.status === 'flaky' || r.outcome === 'flaky').length : 0),
+          timedOut: histRunReport.run.timedOut || 0,
+          interrupted: histRunReport.run.interrupted || 0,
+          expectedFailures: histRunReport.run.expectedFailures || 0,
+          unexpectedSuccesses: histRunReport.run.unexpectedSuccesses || 0,
+          explicitlySkipped: histRunReport.run.explicitlySkipped || 0,
+          commit: histRunReport.run.git ? histRunReport.run.git.shortSha : undefined,
+          branch: histRunReport.run.git ? histRunReport.run.git.branch : undefined,
+          commitMessage: histRunReport.run.git ? histRunReport.run.git.message : undefined,
+          author: histRunReport.run.git ? histRunReport.run.git.author : undefined,
         });
 
         if (histRunReport.results && Array.isArray(histRunReport.results)) {
@@ -5485,6 +8097,7 @@ async function main() {
               duration: test.duration,
               status: test.final_status || test.status,
               timestamp: new Date(test.startTime),
+              metrics: test.metrics,
             }),
           );
         }
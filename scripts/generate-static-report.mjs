@@ -8,6 +8,7 @@ import { fileURLToPath } from "url";
 import { getReporterConfig } from "./config-reader.mjs";
 import { animate } from "./terminal-logo.mjs";
 import { mergeSequentialReportsIfNeeded } from "./merge-sequential-reports.mjs";
+import { recoverJournalIfNeeded } from "./recover-journal.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -201,6 +202,24 @@ function sanitizeHTML(str) {
  * @param {string} str The string to capitalize.
  * @returns {string} The capitalized string.
  */
+// Files in the content-addressed store (attachments/sha256/) are named by hash
+function getAttachmentFileName(filePath, name) {
+  const baseName = path.basename(filePath);
+  return /(^|[\\/])sha256[\\/]/.test(filePath)
+    ? `${name}${path.extname(baseName)}`
+    : baseName;
+}
+// Screenshots are inlined as data URIs when the reporter runs with base64Images
+function isDataUri(value) {
+  return typeof value === "string" && value.startsWith("data:");
+}
+// Soft assertions can fail a test several times; reports from older versions only have errorMessage
+function getTestErrors(test) {
+  if (Array.isArray(test.errors) && test.errors.length > 0) return test.errors;
+  return test.errorMessage
+    ? [{ message: test.errorMessage, stack: test.stackTrace, snippet: test.snippet }]
+    : [];
+}
 function capitalize(str) {
   if (!str) return "";
   return str[0].toUpperCase() + str.slice(1).toLowerCase();
@@ -318,6 +337,24 @@ function formatDuration(ms, options = {}) {
  * @param {Array<object>} trendData.overall An array of run objects with test statistics.
  * @returns {string} The HTML string for the test trends chart.
  */
+// Trend points are labelled with the commit they ran against when the run recorded one
+function getTrendPointLabel(run, index) {
+  return run.commit ? `Run ${index + 1} · ${run.commit}` : `Run ${index + 1}`;
+}
+// The tooltips are rendered with useHTML, so every value in them is escaped here
+function getTrendCommitInfo(run) {
+  if (!run.commit) return "";
+  const escape = (value) => escapeSourceText(String(value));
+  let info = `Commit: <b>${escape(run.commit)}</b>`;
+  if (run.branch) info += ` (${escape(run.branch)})`;
+  if (run.commitMessage) info += `<br>${escape(run.commitMessage)}`;
+  if (run.author) info += `<br>Author: ${escape(run.author)}`;
+  return info;
+}
+// Keeps values like "</script>" from ending the inline script they are embedded in
+function toScriptJSON(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
 function generateTestTrendsChart(trendData) {
   if (!trendData || !trendData.overall || trendData.overall.length === 0) {
     return '<div class="no-data">No overall trend data available for test counts.</div>';
@@ -363,16 +400,47 @@ function generateTestTrendsChart(trendData) {
       color: "#00ccd3",
       marker: { symbol: "circle" },
     },
+    {
+      name: "Timed Out",
+      data: runs.map((r) => r.timedOut || 0),
+      color: "#f97316",
+      marker: { symbol: "circle" },
+    },
+    {
+      name: "Interrupted",
+      data: runs.map((r) => r.interrupted || 0),
+      color: "#8b5cf6",
+      marker: { symbol: "circle" },
+    },
+    {
+      name: "Expected Failure",
+      data: runs.map((r) => r.expectedFailures || 0),
+      color: "#84cc16",
+      marker: { symbol: "circle" },
+    },
+    {
+      name: "Unexpected Success",
+      data: runs.map((r) => r.unexpectedSuccesses || 0),
+      color: "#ec4899",
+      marker: { symbol: "circle" },
+    },
+    {
+      name: "Explicitly Skipped",
+      data: runs.map((r) => r.explicitlySkipped || 0),
+      color: "#fbbf24",
+      marker: { symbol: "circle" },
+    },
   ];
   const runsForTooltip = runs.map((r) => ({
-    runId: r.runId,
+    runId: r.runId && escapeSourceText(String(r.runId)),
     timestamp: r.timestamp,
     duration: r.duration,
+    commitInfo: getTrendCommitInfo(r),
   }));
 
-  const categoriesString = JSON.stringify(runs.map((run, i) => `Run ${i + 1}`));
+  const categoriesString = toScriptJSON(runs.map(getTrendPointLabel));
   const seriesString = JSON.stringify(series);
-  const runsForTooltipString = JSON.stringify(runsForTooltip);
+  const runsForTooltipString = toScriptJSON(runsForTooltip);
 
   return `
       <div id="${chartId}" class="trend-chart-container lazy-load-chart" data-render-function-name="${renderFunctionName}">
@@ -398,7 +466,7 @@ function generateTestTrendsChart(trendData) {
                                   const runsData = ${runsForTooltipString};
                                   const pointIndex = this.points[0].point.x;
                                   const run = runsData[pointIndex];
-                                  let tooltip = '<strong>Run ' + (run.runId || pointIndex + 1) + '</strong><br>' + 'Date: ' + new Date(run.timestamp).toLocaleString() + '<br><br>';
+                                  let tooltip = '<strong>Run ' + (run.runId || pointIndex + 1) + '</strong><br>' + 'Date: ' + new Date(run.timestamp).toLocaleString() + '<br>' + (run.commitInfo ? run.commitInfo + '<br>' : '') + '<br>';
                                   this.points.forEach(point => { tooltip += '<span style="color:' + point.color + '">●</span> ' + point.series.name + ': <b>' + point.y + '</b><br>'; });
                                   tooltip += '<br>Duration: ' + formatDuration(run.duration);
                                   return tooltip;
@@ -440,14 +508,15 @@ function generateDurationTrendChart(trendData) {
   const runs = trendData.overall;
 
   const chartDataString = JSON.stringify(runs.map((run) => run.duration));
-  const categoriesString = JSON.stringify(runs.map((run, i) => `Run ${i + 1}`));
+  const categoriesString = toScriptJSON(runs.map(getTrendPointLabel));
   const runsForTooltip = runs.map((r) => ({
-    runId: r.runId,
+    runId: r.runId && escapeSourceText(String(r.runId)),
     timestamp: r.timestamp,
     duration: r.duration,
     totalTests: r.totalTests,
+    commitInfo: getTrendCommitInfo(r),
   }));
-  const runsForTooltipString = JSON.stringify(runsForTooltip);
+  const runsForTooltipString = toScriptJSON(runsForTooltip);
 
   const seriesStringForRender = `[{
       name: 'Duration',
@@ -487,7 +556,7 @@ function generateDurationTrendChart(trendData) {
                                   const runsData = ${runsForTooltipString};
                                   const pointIndex = this.points[0].point.x;
                                   const run = runsData[pointIndex];
-                                  let tooltip = '<strong>Run ' + (run.runId || pointIndex + 1) + '</strong><br>' + 'Date: ' + new Date(run.timestamp).toLocaleString() + '<br>';
+                                  let tooltip = '<strong>Run ' + (run.runId || pointIndex + 1) + '</strong><br>' + 'Date: ' + new Date(run.timestamp).toLocaleString() + '<br>' + (run.commitInfo ? run.commitInfo + '<br>' : '');
                                   this.points.forEach(point => { tooltip += '<span style="color:' + point.series.color + '">●</span> ' + point.series.name + ': <b>' + formatDuration(point.y) + '</b><br>'; });
                                   tooltip += '<br>Tests: ' + run.totalTests;
                                   return tooltip;
@@ -569,6 +638,21 @@ function generateTestHistoryChart(history) {
       case "flaky":
         color = "var(--neutral-500)";
         break;
+      case "timedout":
+        color = "#f97316";
+        break;
+      case "interrupted":
+        color = "#8b5cf6";
+        break;
+      case "expected-failure":
+        color = "#84cc16";
+        break;
+      case "unexpected-success":
+        color = "#ec4899";
+        break;
+      case "explicitly-skipped":
+        color = "#fbbf24";
+        break;
       default:
         color = "var(--dark-gray-color)";
     }
@@ -629,6 +713,11 @@ function generateTestHistoryChart(history) {
                                       case 'passed': statusBadgeHtml += 'var(--success-color)'; break;
                                       case 'failed': statusBadgeHtml += 'var(--danger-color)'; break;
                                       case 'skipped': statusBadgeHtml += 'var(--warning-color)'; break;
+                                      case 'timedout': statusBadgeHtml += '#f97316'; break;
+                                      case 'interrupted': statusBadgeHtml += '#8b5cf6'; break;
+                                      case 'expected-failure': statusBadgeHtml += '#84cc16'; break;
+                                      case 'unexpected-success': statusBadgeHtml += '#ec4899'; break;
+                                      case 'explicitly-skipped': statusBadgeHtml += '#fbbf24'; break;
                                       default: statusBadgeHtml += 'var(--dark-gray-color)';
                                   }
                                   statusBadgeHtml += ';">' + String(pointData.status).toUpperCase() + '</span>';
@@ -657,6 +746,146 @@ function generateTestHistoryChart(history) {
  * @param {number} [chartHeight=300] The height of the chart.
  * @returns {string} The HTML string for the pie chart.
  */
+function isMetricRegression(value, metric) {
+  if (typeof metric.threshold !== "number") return false;
+  return metric.higherIsBetter
+    ? value < metric.threshold
+    : value > metric.threshold;
+}
+function formatMetricValue(value, unit) {
+  const rounded = Number.isInteger(value) ? value : Number(value.toFixed(2));
+  return unit ? `${rounded} ${unit}` : String(rounded);
+}
+/**
+ * Collects the values of every metric recorded with pulse.metric() across a test's history.
+ * The unit and threshold of the latest run apply to the whole series.
+ * @param {Array<object>} history - The test's history entries, oldest first.
+ * @returns {Array<{name: string, unit?: string, threshold?: number, higherIsBetter?: boolean, points: Array<{runId: number, label: string, value: number}>, regressed: boolean}>}
+ *   One entry per metric; `regressed` is true when its latest value is beyond the threshold.
+ */
+function getMetricHistory(history) {
+  const metrics = new Map();
+  (history || []).forEach((run, index) => {
+    (run.metrics || []).forEach((metric) => {
+      if (!metric || !metric.name || typeof metric.value !== "number") return;
+      if (!metrics.has(metric.name)) {
+        metrics.set(metric.name, { name: metric.name, points: [] });
+      }
+      const entry = metrics.get(metric.name);
+      entry.unit = metric.unit;
+      entry.threshold = metric.threshold;
+      entry.higherIsBetter = metric.higherIsBetter;
+      // Same labels as the duration chart, so runs line up across both charts
+      entry.points.push({
+        runId: run.runId,
+        label: `R${index + 1}`,
+        value: metric.value,
+      });
+    });
+  });
+  return Array.from(metrics.values()).map((metric) => ({
+    ...metric,
+    regressed: isMetricRegression(
+      metric.points[metric.points.length - 1].value,
+      metric,
+    ),
+  }));
+}
+/**
+ * Renders the history chart of one metric, with its threshold as a dashed line.
+ * Values beyond the threshold are drawn in red.
+ * @param {object} metric - An entry returned by getMetricHistory.
+ * @returns {string} HTML string of the lazily rendered chart.
+ */
+function generateMetricHistoryChart(metric) {
+  const chartId = `metricHistoryChart-${Date.now()}-${Math.random()
+    .toString(36)
+    .substring(2, 7)}`;
+  const renderFunctionName = `renderMetricHistoryChart_${chartId.replace(
+    /-/g,
+    "_",
+  )}`;
+  const hasThreshold = typeof metric.threshold === "number";
+
+  const seriesData = metric.points.map((point) => ({
+    y: point.value,
+    runId: point.runId,
+    color: isMetricRegression(point.value, metric)
+      ? "var(--danger-color)"
+      : "var(--accent-color)",
+  }));
+  const plotLines = hasThreshold
+    ? [
+        {
+          value: metric.threshold,
+          color: "var(--danger-color)",
+          dashStyle: "Dash",
+          width: 1,
+          zIndex: 3,
+        },
+      ]
+    : [];
+  const latest = metric.points[metric.points.length - 1];
+
+  return `
+      <div class="metric-history${metric.regressed ? " metric-history-regressed" : ""}">
+        <div class="metric-history-header">
+          <span class="metric-history-name">${escapeSourceText(metric.name)}</span>
+          <span class="metric-history-value">${escapeSourceText(
+            formatMetricValue(latest.value, metric.unit),
+          )}${
+            hasThreshold
+              ? ` <span class="metric-history-threshold">(${metric.higherIsBetter ? "≥" : "≤"} ${escapeSourceText(
+                  formatMetricValue(metric.threshold, metric.unit),
+                )})</span>`
+              : ""
+          }</span>
+        </div>
+        <div id="${chartId}" style="width: 100%; height: 100px;" class="lazy-load-chart" data-render-function-name="${renderFunctionName}">
+          <div class="no-data-chart">Loading Metric...</div>
+        </div>
+      </div>
+      <script>
+          window.${renderFunctionName} = function() {
+              const chartContainer = document.getElementById('${chartId}');
+              if (!chartContainer) { console.error("Chart container ${chartId} not found for lazy loading."); return; }
+              if (typeof Highcharts !== 'undefined') {
+                  try {
+                      chartContainer.innerHTML = '';
+                      const unitSuffix = ${toScriptJSON(metric.unit ? ` ${metric.unit}` : "")};
+                      Highcharts.chart('${chartId}', {
+                          chart: { type: 'line', height: 100, backgroundColor: 'transparent', spacing: [10,10,15,10] },
+                          title: { text: null },
+                          xAxis: { categories: ${toScriptJSON(metric.points.map((point) => point.label))}, labels: { style: { fontSize: '10px', color: 'var(--text-color-secondary)' }}},
+                          yAxis: {
+                              title: { text: null },
+                              labels: { style: { fontSize: '10px', color: 'var(--text-color-secondary)' } },
+                              gridLineWidth: 0, tickAmount: 3,
+                              plotLines: ${toScriptJSON(plotLines)},
+                              ${hasThreshold ? `softMin: ${metric.threshold}, softMax: ${metric.threshold},` : ""}
+                          },
+                          legend: { enabled: false },
+                          plotOptions: { line: { lineWidth: 2, color: 'var(--accent-color)', marker: { enabled: true, radius: 3.5 } } },
+                          tooltip: {
+                              useHTML: true, backgroundColor: 'rgba(10,10,10,0.92)', borderColor: 'rgba(10,10,10,0.92)', style: { color: '#f5f5f5', padding: '8px' },
+                              formatter: function() {
+                                  return '<strong>Run ' + (this.point.runId || (this.point.index + 1)) + '</strong><br>' + ${toScriptJSON(escapeSourceText(metric.name))} + ': ' + this.point.y + unitSuffix;
+                              }
+                          },
+                          series: [{ data: ${toScriptJSON(seriesData)}, showInLegend: false }],
+                          credits: { enabled: false }
+                      });
+                  } catch (e) {
+                      console.error("Error rendering chart ${chartId} (lazy):", e);
+                      chartContainer.innerHTML = '<div class="no-data-chart">Error rendering metric chart.</div>';
+                  }
+              } else {
+                  chartContainer.innerHTML = '<div class="no-data-chart">Charting library not available for metrics.</div>';
+              }
+          };
+      </script>
+  `;
+}
 function generatePieChart(data, chartWidth = 300, chartHeight = 300) {
   const total = data.reduce((sum, d) => sum + d.value, 0);
   if (total === 0) {
@@ -691,6 +920,21 @@ function generatePieChart(data, chartWidth = 300, chartHeight = 300) {
             case "Skipped":
               color = "var(--warning-color)";
               break;
+            case "Timed Out":
+              color = "#f97316";
+              break;
+            case "Interrupted":
+              color = "#8b5cf6";
+              break;
+            case "Expected Failure":
+              color = "#84cc16";
+              break;
+            case "Unexpected Success":
+              color = "#ec4899";
+              break;
+            case "Explicitly Skipped":
+              color = "#fbbf24";
+              break;
             default:
               color = "#CCCCCC"; // A neutral default color
           }
@@ -795,7 +1039,7 @@ function generatePieChart(data, chartWidth = 300, chartHeight = 300) {
  * @param {number} [dashboardHeight=600] The height of the dashboard.
  * @returns {string} The HTML string for the environment dashboard.
  */
-function generateEnvironmentSection(environmentData) {
+function generateEnvironmentSection(environmentData, provenance) {
   if (!environmentData) {
     return '<div class="no-data">Environment data not available.</div>';
   }
@@ -824,6 +1068,7 @@ function generateEnvironmentSection(environmentData) {
             </div>
           </div>
         </div>
+        ${generateProvenanceGrid(provenance)}
         <div class="sharded-environments-container">
           <div class="sharded-environments-wrapper">
             ${environmentData
@@ -930,10 +1175,10 @@ function generateEnvironmentSection(environmentData) {
     `;
   }
 
-  return generateEnvironmentDashboard(environmentData);
+  return generateEnvironmentDashboard(environmentData, false, provenance);
 }
 
-function generateEnvironmentDashboard(environment, hideHeader = false) {
+function generateEnvironmentDashboard(environment, hideHeader = false, provenance = null) {
   const cpuModel = environment.cpu && environment.cpu.model ? environment.cpu.model : "N/A";
   const cpuCores = environment.cpu && environment.cpu.cores ? environment.cpu.cores : "N/A";
   const cpuInfo = `model: ${cpuModel}, cores: ${cpuCores}`;
@@ -1331,6 +1576,89 @@ function generateEnvironmentDashboard(environment, hideHeader = false) {
             </div>
           </div>
         </div>
+        ${generateProvenanceGrid(provenance)}
+      </div>
+    </div>
+  `;
+}
+function generateProvenanceGrid(provenance) {
+  const { ci, git } = provenance || {};
+  if (!ci && !git) return "";
+
+  const icons = {
+    ci: '<rect width="20" height="14" x="2" y="3" rx="2"></rect><path d="M8 21h8"></path><path d="M12 17v4"></path><path d="m10 8 2 2-2 2"></path>',
+    branch: '<line x1="6" x2="6" y1="3" y2="15"></line><circle cx="18" cy="6" r="3"></circle><circle cx="6" cy="18" r="3"></circle><path d="M18 9a9 9 0 0 1-9 9"></path>',
+    commit: '<circle cx="12" cy="12" r="3"></circle><line x1="3" x2="9" y1="12" y2="12"></line><line x1="15" x2="21" y1="12" y2="12"></line>',
+    author: '<path d="M19 21v-2a4 4 0 0 0-4-4H9a4 4 0 0 0-4 4v2"></path><circle cx="12" cy="7" r="4"></circle>',
+    message: '<path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>',
+    tree: '<path d="M14.5 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7.5L14.5 2z"></path><polyline points="14 2 14 8 20 8"></polyline>',
+  };
+  const items = [];
+  if (ci) {
+    items.push({ icon: "ci", label: "CI Provider", value: ci.provider });
+    const build = ci.buildNumber || ci.buildId;
+    if (build) {
+      items.push({ icon: "ci", label: "Build", value: `#${build}`, href: ci.buildUrl });
+    }
+    const pipeline = [ci.pipeline, ci.job].filter(Boolean).join(" / ");
+    if (pipeline) items.push({ icon: "ci", label: "Pipeline", value: pipeline });
+  }
+  if (git) {
+    if (git.branch) items.push({ icon: "branch", label: "Branch", value: git.branch });
+    items.push({ icon: "commit", label: "Commit", value: git.shortSha, title: git.sha });
+    if (git.author) {
+      items.push({ icon: "author", label: "Author", value: git.author, title: git.authorEmail || git.author });
+    }
+    if (git.message) items.push({ icon: "message", label: "Commit Message", value: git.message });
+    if (git.dirty !== undefined) {
+      items.push({ icon: "tree", label: "Working Tree", value: git.dirty ? "Uncommitted changes" : "Clean" });
+    }
+  }
+
+  return `
+    <div class="env-provenance">
+      <style>
+        .env-provenance {
+          border-top: 1px solid var(--border-light);
+          margin-top: 12px;
+          padding-top: 12px;
+        }
+        .env-provenance-title {
+          font-size: 12px;
+          font-weight: 600;
+          color: var(--text-secondary);
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          margin: 0 8px 4px;
+        }
+        .env-item-value a {
+          color: inherit;
+          text-decoration: underline;
+        }
+        .env-item-value.dirty {
+          color: var(--warning-color, #f59e0b);
+        }
+      </style>
+      <p class="env-provenance-title">Build &amp; Source</p>
+      <div class="env-items-grid">
+        ${items
+          .map(
+            (item) => `
+          <div class="env-item">
+            <div class="env-item-icon">
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${icons[item.icon]}</svg>
+            </div>
+            <div class="env-item-content">
+              <p class="env-item-label">${item.label}</p>
+              <div class="env-item-value${item.label === "Working Tree" && git.dirty ? " dirty" : ""}" title="${escapeHTMLAttribute(item.title || item.value)}">${
+                item.href
+                  ? renderExternalLink(item.href, item.value, "env-item-link")
+                  : escapeSourceText(String(item.value))
+              }</div>
+            </div>
+          </div>`,
+          )
+          .join("")}
       </div>
     </div>
   `;
@@ -1340,7 +1668,7 @@ function generateEnvironmentDashboard(environment, hideHeader = false) {
  * @param {Array<object>} results The test results data.
  * @returns {string} The HTML string for the worker distribution chart and its associated modal.
  */
-function generateWorkerDistributionChart(results) {
+function generateWorkerDistributionChart(results, workerRestarts = []) {
   if (!results || results.length === 0) {
     return '<div class="no-data">No test results data available to display worker distribution.</div>';
   }
@@ -1356,11 +1684,32 @@ function generateWorkerDistributionChart(results) {
     const workerId =
       typeof test.workerId !== "undefined" ? test.workerId : "N/A";
     if (!acc[workerId]) {
-      acc[workerId] = { passed: 0, failed: 0, skipped: 0, flaky: 0, tests: [] };
+      acc[workerId] = {
+        passed: 0,
+        failed: 0,
+        skipped: 0,
+        flaky: 0,
+        timedout: 0,
+        interrupted: 0,
+        "expected-failure": 0,
+        "unexpected-success": 0,
+        "explicitly-skipped": 0,
+        tests: [],
+      };
     }
 
     const status = String(test.status).toLowerCase();
-    if (status === "passed" || status === "failed" || status === "skipped" || status === "flaky") {
+    if (
+      status === "passed" ||
+      status === "failed" ||
+      status === "skipped" ||
+      status === "flaky" ||
+      status === "timedout" ||
+      status === "interrupted" ||
+      status === "expected-failure" ||
+      status === "unexpected-success" ||
+      status === "explicitly-skipped"
+    ) {
       acc[workerId][status]++;
     }
 
@@ -1368,7 +1717,11 @@ function generateWorkerDistributionChart(results) {
     const testTitle =
       testTitleParts[testTitleParts.length - 1] || "Unnamed Test";
     // Store both name and status for each test
-    acc[workerId].tests.push({ name: testTitle, status: status });
+    acc[workerId].tests.push({
+      name: testTitle,
+      status: status,
+      workerIndex: test.workerIndex,
+    });
 
     return acc;
   }, {});
@@ -1392,20 +1745,51 @@ function generateWorkerDistributionChart(results) {
   )}`;
   const modalJsNamespace = `modal_funcs_${chartId.replace(/-/g, "_")}`;
 
+  // Restarts are recorded on the run with the same worker numbers as the results
+  const restartsByWorker = (workerRestarts || []).reduce((acc, restart) => {
+    const key = String(restart.workerId);
+    if (!acc[key]) acc[key] = [];
+    acc[key].push({
+      previousWorkerIndex: restart.previousWorkerIndex,
+      workerIndex: restart.workerIndex,
+      afterFailure: restart.afterFailure,
+      name: (restart.triggeredBy?.name || "").split(" > ").pop() || "Unnamed Test",
+      status: restart.triggeredBy?.status,
+      retry: restart.triggeredBy?.retry || 0,
+    });
+    return acc;
+  }, {});
+
   // The categories now just need the name for the axis labels
-  const categories = workerIds.map((id) => `Worker ${id}`);
+  const categories = workerIds.map((id) =>
+    restartsByWorker[id]
+      ? `Worker ${id} (↻ ${restartsByWorker[id].length})`
+      : `Worker ${id}`,
+  );
 
   // We pass the full data separately to the script
   const fullWorkerData = workerIds.map((id) => ({
     id: id,
     name: `Worker ${id}`,
     tests: workerData[id].tests,
+    restarts: restartsByWorker[id] || [],
   }));
 
   const passedData = workerIds.map((id) => workerData[id].passed);
   const failedData = workerIds.map((id) => workerData[id].failed);
   const skippedData = workerIds.map((id) => workerData[id].skipped);
   const flakyData = workerIds.map((id) => workerData[id].flaky);
+  const timedOutData = workerIds.map((id) => workerData[id].timedout);
+  const interruptedData = workerIds.map((id) => workerData[id].interrupted);
+  const expectedFailureData = workerIds.map(
+    (id) => workerData[id]["expected-failure"],
+  );
+  const unexpectedSuccessData = workerIds.map(
+    (id) => workerData[id]["unexpected-success"],
+  );
+  const explicitlySkippedData = workerIds.map(
+    (id) => workerData[id]["explicitly-skipped"],
+  );
 
   const categoriesString = JSON.stringify(categories);
   const fullDataString = JSON.stringify(fullWorkerData);
@@ -1414,6 +1798,11 @@ function generateWorkerDistributionChart(results) {
     { name: "Failed", data: failedData, color: "var(--danger-color)" },
     { name: "Skipped", data: skippedData, color: "var(--warning-color)" },
     { name: "Flaky", data: flakyData, color: "#00ccd3" },
+    { name: "Timed Out", data: timedOutData, color: "#f97316" },
+    { name: "Interrupted", data: interruptedData, color: "#8b5cf6" },
+    { name: "Expected Failure", data: expectedFailureData, color: "#84cc16" },
+    { name: "Unexpected Success", data: unexpectedSuccessData, color: "#ec4899" },
+    { name: "Explicitly Skipped", data: explicitlySkippedData, color: "#fbbf24" },
   ]);
 
   // The HTML now includes the chart container, the modal, and styles for the modal
@@ -1515,16 +1904,33 @@ window.${renderFunctionName} = function() {
           else if (test.status === 'failed') color = 'var(--danger-color)';
           else if (test.status === 'skipped') color = 'var(--warning-color)';
           else if (test.status === 'flaky') color = '#00ccd3';
+          else if (test.status === 'timedout') color = '#f97316';
+          else if (test.status === 'interrupted') color = '#8b5cf6';
+          else if (test.status === 'expected-failure') color = '#84cc16';
+          else if (test.status === 'unexpected-success') color = '#ec4899';
+          else if (test.status === 'explicitly-skipped') color = '#fbbf24';
 
           // Updated escaping logic
           const escapedName = test.name.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-          testListHtml += \`<li style="color: \${color};"><span style="color: \${color}">[\${test.status.toUpperCase()}]</span> \${escapedName}</li>\`;
+          const processLabel = test.workerIndex >= 0 ? ' <small style="opacity: 0.6;">(process #' + test.workerIndex + ')</small>' : '';
+          testListHtml += \`<li style="color: \${color};"><span style="color: \${color}">[\${test.status.toUpperCase()}]</span> \${escapedName}\${processLabel}</li>\`;
       });
     } else {
       testListHtml += '<li>No detailed test data available for this worker.</li>';
     }
     testListHtml += '</ul>';
 
+    if (worker.restarts && worker.restarts.length > 0) {
+      testListHtml += '<h4 style="margin: 20px 0 0;">Worker restarts (' + worker.restarts.length + ')</h4><ul>';
+      worker.restarts.forEach(restart => {
+        const escapedName = restart.name.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        testListHtml += '<li><span>↻</span> Process #' + restart.previousWorkerIndex + ' → #' + restart.workerIndex +
+          (restart.afterFailure ? ' after <strong>' : ' after ') + escapedName + (restart.afterFailure ? '</strong>' : '') +
+          ' (' + String(restart.status || 'unknown') + (restart.retry > 0 ? ', retry ' + restart.retry : '') + ')</li>';
+      });
+      testListHtml += '</ul>';
+    }
+
     modalBody.innerHTML = testListHtml;
     modal.style.display = 'flex';
   };
@@ -1686,6 +2092,7 @@ function generateTestHistoryContent(trendData) {
               testRunForThisOverallRun.timestamp ||
               overallRun.timestamp ||
               new Date(),
+            metrics: testRunForThisOverallRun.metrics,
           });
         }
       });
@@ -1703,6 +2110,11 @@ function generateTestHistoryContent(trendData) {
         <option value="failed">Failed</option>
         <option value="flaky">Flaky</option>
         <option value="skipped">Skipped</option>
+        <option value="timedOut">Timed Out</option>
+        <option value="interrupted">Interrupted</option>
+        <option value="expected-failure">Expected Failure</option>
+        <option value="unexpected-success">Unexpected Success</option>
+        <option value="explicitly-skipped">Explicitly Skipped</option>
     </select>
     <button id="clear-history-filters" class="clear-filters-btn">Clear Filters</button>
 </div>
@@ -1714,6 +2126,10 @@ function generateTestHistoryContent(trendData) {
               test.history.length > 0
                 ? test.history[test.history.length - 1]
                 : { status: "unknown" };
+            const metricHistory = getMetricHistory(test.history);
+            const regressedMetrics = metricHistory.filter(
+              (metric) => metric.regressed,
+            );
             return `
             <div class="test-history-card" data-test-name="${sanitizeHTML(
               test.testTitle.toLowerCase(),
@@ -1726,9 +2142,17 @@ function generateTestHistoryContent(trendData) {
                   ${String(latestRun.status).toUpperCase()}
                 </span>
               </div>
+              ${
+                regressedMetrics.length > 0
+                  ? `<div class="metric-regression-banner">📉 Regression: ${regressedMetrics
+                      .map((metric) => escapeSourceText(metric.name))
+                      .join(", ")}</div>`
+                  : ""
+              }
               <div class="test-history-trend">
                 ${generateTestHistoryChart(test.history)} 
               </div>
+              ${metricHistory.map(generateMetricHistoryChart).join("")}
               <details class="test-history-details-collapsible">
                 <summary>Show Run Details (${test.history.length})</summary>
                 <div class="test-history-details">
@@ -1776,6 +2200,16 @@ function getStatusClass(status) {
       return "status-skipped";
     case "flaky":
       return "status-flaky";
+    case "timedout":
+      return "status-timedout";
+    case "interrupted":
+      return "status-interrupted";
+    case "expected-failure":
+      return "status-expected-failure";
+    case "unexpected-success":
+      return "status-unexpected-success";
+    case "explicitly-skipped":
+      return "status-explicitly-skipped";
     default:
       return "status-unknown";
   }
@@ -1795,6 +2229,16 @@ function getStatusIcon(status) {
       return "⏭️";
     case "flaky":
       return "⚠️";
+    case "timedout":
+      return "⏱️";
+    case "interrupted":
+      return "⛔";
+    case "expected-failure":
+      return "🎯";
+    case "unexpected-success":
+      return "❗";
+    case "explicitly-skipped":
+      return "⏩";
     default:
       return "❓";
   }
@@ -1837,6 +2281,11 @@ function getSuitesData(results) {
         failed: 0,
         flaky: 0,
         skipped: 0,
+        timedout: 0,
+        interrupted: 0,
+        "expected-failure": 0,
+        "unexpected-success": 0,
+        "explicitly-skipped": 0,
         count: 0,
         statusOverall: "passed",
       });
@@ -1848,7 +2297,13 @@ function getSuitesData(results) {
     if (currentStatus && suite[currentStatus] !== undefined) {
       suite[currentStatus]++;
     }
-    if (currentStatus === "failed") suite.statusOverall = "failed";
+    if (
+      currentStatus === "failed" ||
+      currentStatus === "timedout" ||
+      currentStatus === "interrupted" ||
+      currentStatus === "unexpected-success"
+    )
+      suite.statusOverall = "failed";
     else if (currentStatus === "flaky" && suite.statusOverall !== "failed")
         suite.statusOverall = "flaky";
     else if (currentStatus === "skipped" && suite.statusOverall !== "failed" && suite.statusOverall !== "flaky")
@@ -1866,6 +2321,196 @@ function getSuitesData(results) {
  * @param {string} contentType - The content type of the file.
  * @returns {string} The icon for the content type.
  */
+/**
+ * Lists why a run did not complete normally. Ordinary test failures are not listed.
+ * @param {object} run - The `run` object of the report.
+ * @returns {string[]} One sentence per problem, empty for a normal run.
+ */
+function getRunIssues(run) {
+  if (!run) return [];
+  const issues = [];
+  if (run.incomplete) {
+    issues.push(
+      "The run was killed before it finished. This report was rebuilt from the partial result journal, so tests that had not finished are missing.",
+    );
+  }
+  if (run.status === "interrupted") {
+    issues.push("The run was interrupted before all tests finished.");
+  } else if (run.status === "timedout") {
+    issues.push(
+      "The run reached the global timeout. Tests that had not finished are missing from this report.",
+    );
+  } else if (
+    run.status === "failed" &&
+    !(
+      (run.failed || 0) +
+      (run.timedOut || 0) +
+      (run.interrupted || 0) +
+      (run.unexpectedSuccesses || 0)
+    ) &&
+    !(run.globalErrors && run.globalErrors.length > 0)
+  ) {
+    issues.push(
+      "The run failed although no test did, for example in global setup or teardown.",
+    );
+  }
+  return issues;
+}
+/**
+ * Generates the banner shown above the dashboard when the run was interrupted,
+ * timed out, was recovered from a journal or reported errors outside of tests.
+ * @param {object} run - The `run` object of the report.
+ * @returns {string} HTML string, empty for a normal run.
+ */
+function generateRunStatusBanner(run) {
+  const issues = getRunIssues(run);
+  const globalErrors = (run && run.globalErrors) || [];
+  if (issues.length === 0 && globalErrors.length === 0) return "";
+
+  return `
+    <div class="run-status-banner" role="alert">
+      <div class="run-status-banner-icon">⚠️</div>
+      <div class="run-status-banner-body">
+        <h3>This run did not complete normally${
+          run.status && run.status !== "passed"
+            ? ` <span class="run-status-badge">${sanitizeHTML(run.status)}</span>`
+            : ""
+        }</h3>
+        ${issues.map((issue) => `<p>${sanitizeHTML(issue)}</p>`).join("")}
+        ${
+          globalErrors.length > 0
+            ? `<div class="run-status-banner-errors">
+          <h4>Errors outside of tests (${globalErrors.length})</h4>
+          ${globalErrors
+            .map(
+              (error) => `<details class="global-error">
+            <summary>${sanitizeHTML(
+              (error.message || "Unknown error")
+                .replace(/\u001b\[[0-9;]*m/g, "")
+                .split("\n")[0],
+            )}${
+              error.location
+                ? ` <span class="test-error-location">${sanitizeHTML(
+                    `${error.location.file.split(/[\\/]/).pop()}:${error.location.line}`,
+                  )}</span>`
+                : ""
+            }</summary>
+            <div class="stack-trace">${formatPlaywrightError(
+              error.stack || error.message || "",
+            )}</div>
+          </details>`,
+            )
+            .join("")}
+        </div>`
+            : ""
+        }
+      </div>
+    </div>`;
+}
+/**
+ * Groups --repeat-each iterations of the same test and computes how often each one passed.
+ * Only tests that were actually repeated are returned, least stable first.
+ * @param {Array<object>} results - Array of test result objects.
+ * @returns {Array<object>} One entry per repeated test.
+ */
+function getRepeatStabilityData(results) {
+  const groups = new Map();
+  (results || []).forEach((test) => {
+    if (!groups.has(test.name)) groups.set(test.name, []);
+    groups.get(test.name).push(test);
+  });
+
+  return Array.from(groups.values())
+    .filter(
+      (iterations) =>
+        iterations.length > 1 &&
+        iterations.some((test) => test.repeatEachIndex > 0),
+    )
+    .map((iterations) => {
+      iterations.sort(
+        (a, b) => (a.repeatEachIndex || 0) - (b.repeatEachIndex || 0),
+      );
+      const outcomes = iterations.map((test) =>
+        test.outcome === "flaky" ? "flaky" : test.final_status || test.status,
+      );
+      const passed = outcomes.filter(
+        (status) => status === "passed" || status === "expected-failure",
+      ).length;
+      const skipped = outcomes.filter(
+        (status) => status === "skipped" || status === "explicitly-skipped",
+      ).length;
+      const executed = outcomes.length - skipped;
+      const titleParts = iterations[0].name.split(" > ");
+      return {
+        name: iterations[0].name,
+        title: titleParts[titleParts.length - 1] || "Unnamed Test",
+        browser: iterations[0].browser || "unknown",
+        iterations: outcomes.length,
+        passed,
+        skipped,
+        // Flaky iterations passed only after a retry, so they do not count as stable passes
+        passRatio: executed > 0 ? passed / executed : null,
+        outcomes,
+      };
+    })
+    .sort((a, b) => (a.passRatio ?? 2) - (b.passRatio ?? 2));
+}
+/**
+ * Renders the Repeat Stability table shown when tests ran with --repeat-each.
+ * @param {Array<object>} results - Array of test result objects.
+ * @returns {string} HTML string, empty when nothing was repeated.
+ */
+function generateRepeatStabilityWidget(results) {
+  const stabilityData = getRepeatStabilityData(results);
+  if (stabilityData.length === 0) return "";
+
+  const unstableCount = stabilityData.filter(
+    (entry) => entry.passRatio !== null && entry.passRatio < 1,
+  ).length;
+  return `
+<div class="repeat-stability-widget">
+  <div class="suites-header">
+    <h2>Repeat Stability</h2>
+    <span class="summary-badge">${stabilityData.length} repeated tests • ${unstableCount} unstable</span>
+  </div>
+  <table class="repeat-stability-table">
+    <thead><tr><th>Test</th><th>Iterations</th><th>Pass Ratio</th><th>Outcomes</th></tr></thead>
+    <tbody>
+      ${stabilityData
+        .map((entry) => {
+          const ratioPercent =
+            entry.passRatio === null ? null : Math.round(entry.passRatio * 100);
+          const ratioClass =
+            ratioPercent === null
+              ? "skipped"
+              : ratioPercent === 100
+                ? "stable"
+                : ratioPercent >= 50
+                  ? "unstable"
+                  : "broken";
+          return `
+      <tr>
+        <td><span class="repeat-test-title" title="${escapeHTMLAttribute(entry.name)}">${escapeSourceText(entry.title)}</span> <span class="test-case-browser">(${escapeSourceText(entry.browser)})</span></td>
+        <td>${entry.iterations}${entry.skipped > 0 ? ` <span class="repeat-skipped">(${entry.skipped} skipped)</span>` : ""}</td>
+        <td>
+          <div class="repeat-ratio repeat-ratio-${ratioClass}">
+            <div class="repeat-ratio-bar"><div class="repeat-ratio-fill" style="width: ${ratioPercent ?? 0}%;"></div></div>
+            <span>${ratioPercent === null ? "N/A" : `${ratioPercent}%`}</span>
+          </div>
+        </td>
+        <td class="repeat-outcomes">${entry.outcomes
+          .map(
+            (status, index) =>
+              `<span class="repeat-outcome ${getStatusClass(status)}" title="Iteration ${index + 1}: ${escapeHTMLAttribute(status)}"></span>`,
+          )
+          .join("")}</td>
+      </tr>`;
+        })
+        .join("")}
+    </tbody>
+  </table>
+</div>`;
+}
 function getAttachmentIcon(contentType) {
   if (!contentType) return "📎"; // Handle undefined/null
 
@@ -1942,6 +2587,46 @@ function generateSuitesWidget(suitesData) {
                  <svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 16 16"><path d="M8.982 1.566a1.13 1.13 0 0 0-1.96 0L.165 13.233c-.457.778.091 1.767.98 1.767h13.713c.889 0 1.438-.99.98-1.767L8.982 1.566zM8 5c.535 0 .954.462.9.995l-.35 3.507a.552.552 0 0 1-1.1 0L7.1 5.995A.905.905 0 0 1 8 5zm.002 6a1 1 0 1 1 0 2 1 1 0 0 1 0-2z"/></svg>
                  ${suite.skipped}
             </span>
+            ${
+              suite.timedout
+                ? `<span class="stat-pill timedout" title="Timed Out">
+                    <svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 16 16"><path d="M8 3.5a.5.5 0 0 0-1 0V9a.5.5 0 0 0 .252.434l3.5 2a.5.5 0 0 0 .496-.868L8 8.71V3.5z"/><path d="M8 16A8 8 0 1 0 8 0a8 8 0 0 0 0 16zm7-8A7 7 0 1 1 1 8a7 7 0 0 1 14 0z"/></svg>
+                    ${suite.timedout}
+                  </span>`
+                : ""
+            }
+            ${
+              suite.interrupted
+                ? `<span class="stat-pill interrupted" title="Interrupted">
+                    <svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 16 16"><path d="M16 8A8 8 0 1 1 0 8a8 8 0 0 1 16 0zM6.5 5A1.5 1.5 0 0 0 5 6.5v3A1.5 1.5 0 0 0 6.5 11h3A1.5 1.5 0 0 0 11 9.5v-3A1.5 1.5 0 0 0 9.5 5h-3z"/></svg>
+                    ${suite.interrupted}
+                  </span>`
+                : ""
+            }
+            ${
+              suite["expected-failure"]
+                ? `<span class="stat-pill expected-failure" title="Expected Failure">
+                    <svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 16 16"><path d="M8 16A8 8 0 1 0 8 0a8 8 0 0 0 0 16zm0-3a5 5 0 1 1 0-10 5 5 0 0 1 0 10zm0-2a3 3 0 1 0 0-6 3 3 0 0 0 0 6z"/></svg>
+                    ${suite["expected-failure"]}
+                  </span>`
+                : ""
+            }
+            ${
+              suite["unexpected-success"]
+                ? `<span class="stat-pill unexpected-success" title="Unexpected Success">
+                    <svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 16 16"><path d="M16 8A8 8 0 1 1 0 8a8 8 0 0 1 16 0zM8 4a.905.905 0 0 0-.9.995l.35 3.507a.552.552 0 0 0 1.1 0l.35-3.507A.905.905 0 0 0 8 4zm.002 6a1 1 0 1 0 0 2 1 1 0 0 0 0-2z"/></svg>
+                    ${suite["unexpected-success"]}
+                  </span>`
+                : ""
+            }
+            ${
+              suite["explicitly-skipped"]
+                ? `<span class="stat-pill explicitly-skipped" title="Explicitly Skipped">
+                    <svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 16 16"><path d="M7.596 7.304a.802.802 0 0 1 0 1.392l-6.363 3.692C.713 12.69 0 12.345 0 11.692V4.308c0-.653.713-.998 1.233-.696l6.363 3.692zm7.5 0a.802.802 0 0 1 0 1.392l-6.363 3.692C8.713 12.69 8 12.345 8 11.692V4.308c0-.653.713-.998 1.233-.696l6.363 3.692z"/></svg>
+                    ${suite["explicitly-skipped"]}
+                  </span>`
+                : ""
+            }
         </div>
       </div>
     </div>`,
@@ -1956,9 +2641,12 @@ function generateSuitesWidget(suitesData) {
  * @param {Array} results - The results of the test run.
  * @returns {string} The HTML for the AI failure analyzer tab.
  */
-function generateAIFailureAnalyzerTab(results) {
+function generateAIFailureAnalyzerTab(results, sources = {}) {
   const failedTests = (results || []).filter(
-    (test) => test.status === "failed",
+    (test) =>
+      test.status === "failed" ||
+      test.status === "timedOut" ||
+      test.status === "interrupted",
   );
 
   if (failedTests.length === 0) {
@@ -1998,7 +2686,7 @@ function generateAIFailureAnalyzerTab(results) {
       ${failedTests
         .map((test) => {
           const testTitle = test.name.split(" > ").pop() || "Unnamed Test";
-          const testJson = btoa(JSON.stringify(test)); // Base64 encode the test object
+          const testJson = btoa(JSON.stringify(withSourceContext(test, sources))); // Base64 encode the test object
           const truncatedError =
             (test.errorMessage || "No error message").slice(0, 150) +
             (test.errorMessage && test.errorMessage.length > 150 ? "..." : "");
@@ -2040,10 +2728,26 @@ function generateAIFailureAnalyzerTab(results) {
             <div class="full-error-details" style="display: none;">
                 <div class="full-error-content">
                     ${formatPlaywrightError(
-                      test.errorMessage ||
+                      getTestErrors(test)
+                        .map((error) => error.message)
+                        .join("\n\n") ||
                         "No detailed error message available",
                     )}
                 </div>
+                ${[
+                  ...new Map(
+                    getTestErrors(test)
+                      .filter((error) => error.sourceRef && sources[error.sourceRef])
+                      .map((error) => [error.sourceRef, error]),
+                  ).values(),
+                ]
+                  .map((error) =>
+                    generateSourcePanelHTML(
+                      sources[error.sourceRef],
+                      error.location?.column,
+                    ),
+                  )
+                  .join("")}
             </div>
             <div class="ai-suggestion-container" style="display: none;">
                 <div class="ai-suggestion-content">
@@ -2168,7 +2872,10 @@ function generateDescribeDurationChart(results) {
 
   results.forEach((test) => {
     if (test.describe) {
-      const describeName = test.describe;
+      // Key by the full path so inner blocks with the same title in different parents stay apart
+      const describeName = test.describePath
+        ? test.describePath.join(" > ")
+        : test.describe;
       // Filter out invalid describe blocks
       if (
         !describeName ||
@@ -2179,7 +2886,7 @@ function generateDescribeDurationChart(results) {
       }
 
       foundAnyDescribe = true;
-      const fileName = test.spec_file || "Unknown File";
+      const fileName = test.file || test.spec_file || "Unknown File";
       const key = fileName + "::" + describeName;
 
       if (!describeMap.has(key)) {
@@ -2307,1829 +3014,4003 @@ function generateDescribeDurationChart(results) {
   `;
 }
 /**
- * Generates a stacked column chart showing test results distributed by severity.
- * Matches dimensions of the System Environment section (~600px).
- * Lazy-loaded for performance.
+ * Returns the file > describe nodes above a test.
+ * Uses `describePath` when present and falls back to the single `describe` title of older reports.
+ * @param {object} test - The test result object.
+ * @returns {Array<{title: string, kind: string}>} The nodes, outermost first.
  */
-function generateSeverityDistributionChart(results) {
-  if (!results || results.length === 0) {
-    return '<div class="trend-chart" style="height: 600px;"><div class="no-data">No results available for severity distribution.</div></div>';
-  }
-
-  const severityLevels = ["Critical", "High", "Medium", "Low", "Minor"];
-  const data = {
-    passed: [0, 0, 0, 0, 0],
-    failed: [0, 0, 0, 0, 0],
-    flaky: [0, 0, 0, 0, 0],
-    skipped: [0, 0, 0, 0, 0],
+function getTestFilePath(test) {
+  const file = test.file || test.spec_file || "Unknown File";
+  const describePath =
+    test.describePath ||
+    (test.describe && test.describe.trim().toLowerCase() !== "n/a"
+      ? [test.describe]
+      : []);
+  return [
+    { title: file, kind: "file" },
+    ...describePath.map((title) => ({ title, kind: "describe" })),
+  ];
+}
+/**
+ * Returns the epic > feature > story nodes above a test, set with pulse.epic/feature/story().
+ * @param {object} test - The test result object.
+ * @returns {Array<{title: string, kind: string}>} The nodes, outermost first.
+ */
+function getTestFeaturePath(test) {
+  return [
+    test.epic && { title: test.epic, kind: "epic" },
+    { title: test.feature || "(no feature)", kind: "feature" },
+    test.story && { title: test.story, kind: "story" },
+  ].filter(Boolean);
+}
+/**
+ * Groups results into a tree, by default file > describe > test.
+ * @param {Array<object>} results - Array of test result objects.
+ * @param {(test: object) => Array<{title: string, kind: string}>} [getPath] - The nodes above each test, outermost first.
+ * @returns {{children: Map<string, object>, tests: Array<{test: object, index: number}>}} The root node.
+ */
+function buildTestTree(results, getPath = getTestFilePath) {
+  const root = { children: new Map(), tests: [] };
+  (results || []).forEach((test, index) => {
+    let node = root;
+    getPath(test).forEach(({ title, kind }) => {
+      if (!node.children.has(title)) {
+        node.children.set(title, {
+          title,
+          kind,
+          children: new Map(),
+          tests: [],
+        });
+      }
+      node = node.children.get(title);
+    });
+    node.tests.push({ test, index });
+  });
+  return root;
+}
+const TREE_NODE_ICONS = {
+  file: "📄",
+  describe: "📁",
+  group: "🏷️",
+  epic: "🗺️",
+  feature: "🧩",
+  story: "📖",
+};
+/**
+ * Renders the collapsible tree of the Test Run Summary tab.
+ * Every node shows the status counts and total duration of the tests below it.
+ * @param {Array<object>} results - Array of test result objects.
+ * @param {(test: object) => Array<{title: string, kind: string}>} [getPath] - See buildTestTree.
+ * @returns {string} HTML string of the tree.
+ */
+function generateTestTreeHTML(results, getPath) {
+  if (!results || results.length === 0)
+    return '<div class="no-tests">No test results found in this run.</div>';
+
+  const getTestStatus = (test) =>
+    test.outcome === "flaky" || test.status === "flaky"
+      ? "flaky"
+      : test.retryHistory && test.retryHistory.length > 0 && test.final_status
+        ? test.final_status
+        : test.status;
+  const getBucket = (status) => {
+    switch (status) {
+      case "passed":
+      case "expected-failure":
+        return "passed";
+      case "flaky":
+        return "flaky";
+      case "skipped":
+      case "explicitly-skipped":
+        return "skipped";
+      default:
+        return "failed";
+    }
+  };
+  const getOverallStatus = (counts) =>
+    counts.failed > 0
+      ? "failed"
+      : counts.flaky > 0
+        ? "flaky"
+        : counts.passed > 0
+          ? "passed"
+          : "skipped";
+
+  const renderLeaf = ({ test, index }) => {
+    const status = getTestStatus(test);
+    // Same value the list uses, so both views react to the status filter alike
+    const filterStatus =
+      test.retryHistory && test.retryHistory.length > 0 && test.final_status
+        ? test.final_status
+        : test.status;
+    const browser = test.browser || "unknown";
+    const titleParts = test.name.split(" > ");
+    const title = titleParts[titleParts.length - 1] || "Unnamed Test";
+    return `
+      <div class="tree-leaf" role="button" tabindex="0" data-test-index="${index}" data-status="${filterStatus}" data-browser="${escapeHTMLAttribute(
+        browser,
+      )}" data-name="${escapeHTMLAttribute(test.name)}" data-custom-fields="${getCustomFieldTokens(
+        test,
+      )}">
+        <span class="tree-leaf-icon">${getStatusIcon(status)}</span>
+        <span class="tree-leaf-title">${escapeSourceText(title)}</span>
+        <span class="tree-leaf-browser">(${escapeSourceText(browser)})</span>
+        <span class="tree-node-duration">${formatDuration(test.duration)}</span>
+      </div>`;
   };
 
-  results.forEach((test) => {
-    const sev = test.severity || "Medium";
-    const status = String(test.status).toLowerCase();
+  const renderNode = (node, depth) => {
+    const counts = { passed: 0, failed: 0, flaky: 0, skipped: 0 };
+    let duration = 0;
+    const parts = [];
+    for (const child of node.children.values()) {
+      const rendered = renderNode(child, depth + 1);
+      Object.keys(counts).forEach((key) => (counts[key] += rendered.counts[key]));
+      duration += rendered.duration;
+      parts.push(rendered.html);
+    }
+    node.tests.forEach((entry) => {
+      counts[getBucket(getTestStatus(entry.test))]++;
+      duration += entry.test.duration || 0;
+      parts.push(renderLeaf(entry));
+    });
 
-    let index = severityLevels.indexOf(sev);
-    if (index === -1) index = 2; // Default to Medium
+    const countChips = Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(
+        ([bucket, count]) =>
+          `<span class="tree-count tree-count-${bucket}" title="${capitalize(bucket)}">${getStatusIcon(bucket)} ${count}</span>`,
+      )
+      .join("");
+    const html = `
+      <details class="tree-node tree-node-${node.kind}" data-status="${getOverallStatus(counts)}"${depth === 0 ? " open" : ""}>
+        <summary class="tree-node-header">
+          <span class="tree-node-icon">${TREE_NODE_ICONS[node.kind] || "📁"}</span>
+          <span class="tree-node-title" title="${escapeHTMLAttribute(node.title)}">${escapeSourceText(node.title)}</span>
+          <span class="tree-node-counts">${countChips}</span>
+          <span class="tree-node-duration">${formatDuration(duration)}</span>
+        </summary>
+        <div class="tree-node-children">${parts.join("")}</div>
+      </details>`;
+    return { html, counts, duration };
+  };
 
-    if (status === "passed") {
-      data.passed[index]++;
-    } else if (
-      status === "failed" ||
-      status === "timedout" ||
-      status === "interrupted"
-    ) {
-      data.failed[index]++;
-    } else if (status === "flaky") {
-        data.flaky[index]++;
-    } else {
-      data.skipped[index]++;
-    }
+  const root = buildTestTree(results, getPath);
+  return Array.from(root.children.values())
+    .map((topNode) => renderNode(topNode, 0).html)
+    .join("");
+}
+/**
+ * Renders the metrics a test recorded with pulse.metric() for the test details.
+ * @param {Array<object>} [metrics] - The test's metrics.
+ * @returns {string} HTML string of the table, empty when there are no metrics.
+ */
+function generateTestMetricsHTML(metrics) {
+  if (!metrics || metrics.length === 0) return "";
+  return `<div class="test-metrics">
+            <h4>Metrics</h4>
+            <table class="test-metrics-table">
+              <thead><tr><th>Metric</th><th>Value</th><th>Threshold</th></tr></thead>
+              <tbody>${metrics
+                .map(
+                  (metric) =>
+                    `<tr${isMetricRegression(metric.value, metric) ? ' class="metric-regressed"' : ""}><td>${escapeSourceText(
+                      metric.name,
+                    )}</td><td>${escapeSourceText(
+                      formatMetricValue(metric.value, metric.unit),
+                    )}</td><td>${
+                      typeof metric.threshold === "number"
+                        ? `${metric.higherIsBetter ? "≥" : "≤"} ${escapeSourceText(
+                            formatMetricValue(metric.threshold, metric.unit),
+                          )}`
+                        : "—"
+                    }</td></tr>`,
+                )
+                .join("")}</tbody>
+            </table>
+          </div>`;
+}
+/**
+ * Renders the inputs a test recorded with pulse.parameter() for the test details.
+ * @param {Array<object>} [parameters] - The test's parameters.
+ * @returns {string} HTML string of the table, empty when there are no parameters.
+ */
+function generateTestParametersHTML(parameters) {
+  if (!parameters || parameters.length === 0) return "";
+  return `<div class="test-parameters">
+            <h4>Parameters</h4>
+            <table class="test-parameters-table"><tbody>${parameters
+              .map(
+                (parameter) =>
+                  `<tr><th>${escapeSourceText(parameter.name)}</th><td${
+                    parameter.masked ? ' class="parameter-masked" title="Masked"' : ""
+                  }>${escapeSourceText(parameter.value)}</td></tr>`,
+              )
+              .join("")}</tbody></table>
+          </div>`;
+}
+/**
+ * Returns the title of a test with every parameter value replaced by `{name}`,
+ * e.g. "login as admin" becomes "login as {user}".
+ * @param {object} test - The test result object.
+ * @returns {string} The title template.
+ */
+function getParameterisedTitle(test) {
+  const titleParts = test.name.split(" > ");
+  let title = titleParts[titleParts.length - 1] || "Unnamed Test";
+  [...(test.parameters || [])]
+    // Longer values first, so "admin-2" is not replaced as "{user}-2"
+    .sort((a, b) => b.value.length - a.value.length)
+    .forEach((parameter) => {
+      if (!parameter.masked && parameter.value) {
+        title = title.split(parameter.value).join(`{${parameter.name}}`);
+      }
+    });
+  return title;
+}
+/**
+ * Finds the tests that share a title template, file, describe blocks and browser.
+ * Only tests with parameters are grouped, and only when at least two share a template.
+ * @param {Array<object>} results - Array of test result objects.
+ * @returns {Map<number, {title: string, indices: number[]}>} The group of every grouped test index.
+ */
+function getParameterisedGroups(results) {
+  const groupsByKey = new Map();
+  (results || []).forEach((test, index) => {
+    if (!test.parameters || test.parameters.length === 0) return;
+    const title = getParameterisedTitle(test);
+    const key = [
+      ...test.name.split(" > ").slice(0, -1),
+      test.browser || "unknown",
+      title,
+    ].join("\u0000");
+    if (!groupsByKey.has(key)) groupsByKey.set(key, { title, indices: [] });
+    groupsByKey.get(key).indices.push(index);
   });
-
-  const chartId = `sevDistChart-${Date.now()}-${Math.random()
-    .toString(36)
-    .substring(2, 7)}`;
-  const renderFunctionName = `renderSevDistChart_${chartId.replace(/-/g, "_")}`;
-
-  const seriesData = [
-    { name: "Passed", data: data.passed, color: "var(--success-color)" },
-    { name: "Failed", data: data.failed, color: "var(--danger-color)" },
-    { name: "Flaky", data: data.flaky, color: "#00ccd3" },
-    { name: "Skipped", data: data.skipped, color: "var(--warning-color)" },
+  const groupByIndex = new Map();
+  groupsByKey.forEach((group) => {
+    if (group.indices.length < 2) return;
+    group.indices.forEach((index) => groupByIndex.set(index, group));
+  });
+  return groupByIndex;
+}
+/**
+ * Renders the test cases from `start` to `end`, folding the tests of each parameterised group
+ * into one expandable row with the outcome of every parameter set.
+ * A group is rendered in place of its first test, so all of its tests are rendered together.
+ * @param {Array<object>} results - Array of test result objects.
+ * @param {number} start - Index of the first test to render.
+ * @param {number} end - Index after the last test to render.
+ * @param {(test: object, index: number) => string} renderTestCase - Renders one test case.
+ * @returns {string} HTML string of the test cases.
+ */
+function renderTestCasesWithParameterGroups(results, start, end, renderTestCase) {
+  const groupByIndex = getParameterisedGroups(results);
+  const html = [];
+  for (let index = start; index < end; index++) {
+    const group = groupByIndex.get(index);
+    if (!group) {
+      html.push(renderTestCase(results[index], index));
+    } else if (group.indices[0] === index) {
+      html.push(generateParameterisedGroupHTML(results, group, renderTestCase));
+    }
+  }
+  return html.join("");
+}
+function generateParameterisedGroupHTML(results, group, renderTestCase) {
+  const tests = group.indices.map((index) => ({ index, test: results[index] }));
+  const parameterNames = [
+    ...new Set(
+      tests.flatMap(({ test }) => test.parameters.map((parameter) => parameter.name)),
+    ),
   ];
-
-  const seriesDataStr = JSON.stringify(seriesData);
-  const categoriesStr = JSON.stringify(severityLevels);
+  const getStatus = (test) =>
+    test.outcome === "flaky" || test.status === "flaky"
+      ? "flaky"
+      : test.retryHistory && test.retryHistory.length > 0 && test.final_status
+        ? test.final_status
+        : test.status;
+  const counts = {};
+  tests.forEach(({ test }) => {
+    const status = getStatus(test);
+    counts[status] = (counts[status] || 0) + 1;
+  });
+  const hasFailures = Object.keys(counts).some(
+    (status) => !["passed", "skipped", "explicitly-skipped", "expected-failure"].includes(status),
+  );
+  const totalDuration = tests.reduce((sum, { test }) => sum + (test.duration || 0), 0);
 
   return `
-    <div class="trend-chart" style="height: 600px; padding: 28px; box-sizing: border-box;">
-        <h3 class="chart-title-header">Severity Distribution</h3>
-        <div id="${chartId}" class="lazy-load-chart" data-render-function-name="${renderFunctionName}" style="width: 100%; height: 100%;">
-             <div class="no-data">Loading Severity Chart...</div>
+      <details class="parameterised-group${hasFailures ? " parameterised-group-failed" : ""}">
+        <summary class="parameterised-group-header">
+          <span class="parameterised-group-title" title="${escapeHTMLAttribute(
+            group.title,
+          )}">${escapeSourceText(group.title)}</span>
+          <span class="parameterised-group-meta">${tests.length} parameter sets</span>
+          <span class="parameterised-group-counts">${Object.entries(counts)
+            .map(
+              ([status, count]) =>
+                `<span class="parameterised-group-count" title="${capitalize(status)}">${getStatusIcon(status)} ${count}</span>`,
+            )
+            .join("")}</span>
+          <span class="test-duration">${formatDuration(totalDuration)}</span>
+        </summary>
+        <div class="parameterised-group-body">
+          <table class="parameterised-group-table">
+            <thead><tr>${parameterNames
+              .map((parameterName) => `<th>${escapeSourceText(parameterName)}</th>`)
+              .join("")}<th>Status</th><th>Duration</th></tr></thead>
+            <tbody>${tests
+              .map(({ index, test }) => {
+                const status = getStatus(test);
+                return `<tr class="parameter-set" role="button" tabindex="0" data-test-index="${index}">${parameterNames
+                  .map((parameterName) => {
+                    const parameter = test.parameters.find((p) => p.name === parameterName);
+                    return `<td${parameter && parameter.masked ? ' class="parameter-masked"' : ""}>${
+                      parameter ? escapeSourceText(parameter.value) : "—"
+                    }</td>`;
+                  })
+                  .join("")}<td><span class="status-badge-small ${getStatusClass(status)}">${String(
+                  status,
+                ).toUpperCase()}</span></td><td>${formatDuration(test.duration)}</td></tr>`;
+              })
+              .join("")}</tbody>
+          </table>
+          <div class="parameterised-group-tests">${tests
+            .map(({ index, test }) => renderTestCase(test, index))
+            .join("")}</div>
         </div>
-        <script>
-            window.${renderFunctionName} = function() {
-                const chartContainer = document.getElementById('${chartId}');
-                if (!chartContainer) return;
-
-                if (typeof Highcharts !== 'undefined') {
-                    try {
-                        chartContainer.innerHTML = '';
-                        Highcharts.chart('${chartId}', {
-                            chart: { type: 'column', backgroundColor: 'transparent' },
-                            title: { text: null },
-                            xAxis: {
-                                categories: ${categoriesStr},
-                                crosshair: true,
-                                labels: { style: { color: 'var(--text-color-secondary)' } }
-                            },
-                            yAxis: {
-                                min: 0,
-                                title: { text: 'Test Count', style: { color: 'var(--text-color)' } },
-                                stackLabels: { enabled: true, style: { fontWeight: 'bold', color: 'var(--text-color)' } },
-                                labels: { style: { color: 'var(--text-color-secondary)' } }
-                            },
-                            legend: {
-                                 itemStyle: { color: 'var(--text-color)' }
-                            },
-                            tooltip: {
-                                shared: true,
-                                useHTML: true,
-                                backgroundColor: 'rgba(10,10,10,0.92)',
-                                style: { color: '#f5f5f5' },
-                                formatter: function() {
-                                    // Custom formatter to HIDE 0 values
-                                    let tooltip = '';
-                                    let hasItems = false;
-                                    
-                                    this.points.forEach(point => {
-                                        if (point.y > 0) { // ONLY show if count > 0
-                                            tooltip += '<span style="color:' + point.series.color + '">●</span> ' + 
-                                                      point.series.name + ': <b>' + point.y + '</b><br/>';
-                                            hasItems = true;
-                                        }
-                                    });
-                                    
-                                    if (!hasItems) return false; // Hide tooltip entirely if no data
-                                    
-                                    // Calculate total from visible points to ensure accuracy or use stackTotal
-                                    tooltip += 'Total: ' + this.points[0].total;
-                                    return tooltip;
-                                }
-                            },
-                            plotOptions: {
-                                column: {
-                                    stacking: 'normal',
-                                    dataLabels: { 
-                                        enabled: true, 
-                                        color: '#fff', 
-                                        style: { textOutline: 'none' },
-                                        formatter: function() {
-                                            return (this.y > 0) ? this.y : null; // Hide 0 labels on chart bars
-                                        }
-                                    },
-                                    borderRadius: 3
-                                }
-                            },
-                            series: ${seriesDataStr},
-                            credits: { enabled: false }
-                        });
-                    } catch(e) {
-                         console.error("Error rendering severity chart:", e);
-                         chartContainer.innerHTML = '<div class="no-data">Error rendering chart.</div>';
-                    }
-                }
-            };
-        </script>
-    </div>
-  `;
+      </details>`;
+}
+function formatCustomFieldValue(value) {
+  return value === undefined || value === null ? "(not set)" : String(value);
 }
 /**
- * Helper to generate Lazy Media HTML using the Script Tag pattern.
- * This prevents the browser from parsing massive Base64 strings on page load.
+ * Encodes a test's custom fields as space-separated `key=value` tokens for the filters.
+ * Keys and values are URI-encoded, so they may contain spaces and "=".
+ * @param {object} test - The test result object.
+ * @returns {string} The tokens, empty when the test has no custom fields.
  */
-function createLazyMedia(base64Data, mimeType, type, index, filename) {
-  const uniqueId = `media-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-  const dataUri = `data:${mimeType};base64,${base64Data}`;
-  // Store heavy data in a non-rendering script tag
-  const storage = `<script type="text/plain" id="data-${uniqueId}">${dataUri}</script>`;
+function getCustomFieldTokens(test) {
+  return Object.entries(test.customFields || {})
+    .map(
+      ([key, value]) =>
+        `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`,
+    )
+    .join(" ");
+}
+/**
+ * Collects every custom field key of the run with its distinct values, both sorted.
+ * @param {Array<object>} results - Array of test result objects.
+ * @returns {Array<{key: string, values: string[]}>}
+ */
+function getCustomFieldKeys(results) {
+  const valuesByKey = new Map();
+  (results || []).forEach((test) => {
+    Object.entries(test.customFields || {}).forEach(([key, value]) => {
+      if (!valuesByKey.has(key)) valuesByKey.set(key, new Set());
+      valuesByKey.get(key).add(String(value));
+    });
+  });
+  return Array.from(valuesByKey.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, values]) => ({
+      key,
+      values: Array.from(values).sort((a, b) => a.localeCompare(b)),
+    }));
+}
+/**
+ * Renders the custom field filter and the "Group by" select of the Test Run Summary.
+ * Renders nothing when no test has custom fields.
+ * @param {Array<object>} results - Array of test result objects.
+ * @returns {string} HTML string of the two selects.
+ */
+function generateCustomFieldControlsHTML(results) {
+  const customFieldKeys = getCustomFieldKeys(results);
+  if (customFieldKeys.length === 0) return "";
+  const filterOptions = customFieldKeys
+    .map(
+      ({ key, values }) =>
+        `<optgroup label="${escapeHTMLAttribute(key)}">${values
+          .map(
+            (value) =>
+              `<option value="${encodeURIComponent(key)}=${encodeURIComponent(
+                value,
+              )}">${escapeSourceText(key)}: ${escapeSourceText(value)}</option>`,
+          )
+          .join("")}</optgroup>`,
+    )
+    .join("");
+  const groupOptions = customFieldKeys
+    .map(
+      ({ key }) =>
+        `<option value="${encodeURIComponent(key)}">Group by ${escapeSourceText(key)}</option>`,
+    )
+    .join("");
+  return `<select id="filter-custom-field"><option value="">All Custom Fields</option>${filterOptions}</select>
+                <select id="group-by-custom-field"><option value="">No Grouping</option>${groupOptions}</select>`;
+}
+/**
+ * Renders one hidden tree per custom field key, shown by the "Group by" select.
+ * @param {Array<object>} results - Array of test result objects.
+ * @returns {string} HTML string of the grouped trees.
+ */
+function generateGroupedTestTreesHTML(results) {
+  return getCustomFieldKeys(results)
+    .map(
+      ({ key }) =>
+        `<div class="test-tree test-tree-grouped" data-group-by="${encodeURIComponent(
+          key,
+        )}" style="display: none;">${generateTestTreeHTML(results, (test) => [
+          {
+            title: `${key}: ${formatCustomFieldValue(test.customFields?.[key])}`,
+            kind: "group",
+          },
+          ...getTestFilePath(test),
+        ])}</div>`,
+    )
+    .join("");
+}
+function hasFeatureHierarchy(results) {
+  return (results || []).some((test) => test.epic || test.feature || test.story);
+}
+/**
+ * Renders the Features view of the Test Run Summary: epic > feature > story > test.
+ * @param {Array<object>} results - Array of test result objects.
+ * @returns {string} HTML string of the hidden tree, empty when no test sets a feature hierarchy.
+ */
+function generateFeatureTreeHTML(results) {
+  if (!hasFeatureHierarchy(results)) return "";
+  return `<div class="test-tree test-tree-features" style="display: none;">${generateTestTreeHTML(
+    results,
+    getTestFeaturePath,
+  )}</div>`;
+}
+function escapeHTMLAttribute(text) {
+  return escapeSourceText(String(text)).replace(/"/g, "&quot;");
+}
+function renderExternalLink(url, text, className) {
+  return /^https?:\/\//i.test(url || "")
+    ? `<a class="${className}" href="${escapeHTMLAttribute(url)}" target="_blank" rel="noopener noreferrer">${escapeSourceText(text)}</a>`
+    : `<span class="${className}">${escapeSourceText(text)}</span>`;
+}
+/**
+ * Renders the Markdown subset used in test descriptions: headings, lists, fenced code, paragraphs,
+ * `code`, **bold**, *italic* and [links](https://...). Any HTML in the text is escaped.
+ * @param {string} markdown - The description set with pulse.description().
+ * @returns {string} HTML string.
+ */
+function renderMarkdown(markdown) {
+  const renderInline = (text) =>
+    text
+      .split(/(`[^`]+`)/)
+      .map((part, index) =>
+        index % 2 === 1
+          ? `<code>${escapeSourceText(part.slice(1, -1))}</code>`
+          : escapeSourceText(part)
+              .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+              .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, "$1<em>$2</em>")
+              .replace(
+                /\[([^\]]+)\]\((https?:\/\/[^\s)"]+)\)/g,
+                '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>',
+              ),
+      )
+      .join("");
 
-  let mediaTag = "";
-  let btnText = "";
-  let icon = "";
+  const lines = String(markdown).replace(/\r\n?/g, "\n").split("\n");
+  const html = [];
+  let paragraph = [];
+  let list = null;
+  const flush = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${renderInline(paragraph.join(" "))}</p>`);
+      paragraph = [];
+    }
+    if (list) {
+      html.push(
+        `<${list.tag}>${list.items.map((item) => `<li>${renderInline(item)}</li>`).join("")}</${list.tag}>`,
+      );
+      list = null;
+    }
+  };
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim().startsWith("```")) {
+      flush();
+      const code = [];
+      while (++i < lines.length && !lines[i].trim().startsWith("```")) {
+        code.push(lines[i]);
+      }
+      html.push(`<pre><code>${escapeSourceText(code.join("\n"))}</code></pre>`);
+      continue;
+    }
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+    if (heading) {
+      flush();
+      // The description sits inside the test details, so "#" starts below their own headings
+      const level = heading[1].length + 3;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+    } else if (item) {
+      const tag = item[1] ? "ul" : "ol";
+      if (paragraph.length > 0 || (list && list.tag !== tag)) flush();
+      if (!list) list = { tag, items: [] };
+      list.items.push(item[2]);
+    } else if (line.trim() === "") {
+      flush();
+    } else {
+      if (list) flush();
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+  return html.join("");
+}
+/**
+ * Renders the owner, feature hierarchy, issues, links and description set with the pulse helper.
+ * @param {object} testData - The test result or retry to render.
+ * @returns {string} HTML string, empty when none of them are set.
+ */
+function generateTestMetadataHTML(testData) {
+  const rows = [];
+  const addRow = (label, valueHTML) =>
+    rows.push(
+      `<div class="test-meta-row"><span class="test-meta-label">${label}</span><span class="test-meta-value">${valueHTML}</span></div>`,
+    );
+  if (testData.owner) {
+    addRow("Owner", `👤 ${escapeSourceText(testData.owner)}`);
+  }
+  const featurePath = [testData.epic, testData.feature, testData.story].filter(
+    Boolean,
+  );
+  if (featurePath.length > 0) {
+    addRow(
+      "Feature",
+      featurePath
+        .map((title) => escapeSourceText(title))
+        .join(' <span class="test-meta-separator">›</span> '),
+    );
+  }
+  if (testData.issues && testData.issues.length > 0) {
+    addRow(
+      "Issues",
+      testData.issues
+        .map((issue) => renderExternalLink(issue.url, issue.id, "test-meta-issue"))
+        .join(""),
+    );
+  }
+  if (testData.links && testData.links.length > 0) {
+    addRow(
+      "Links",
+      testData.links
+        .map((link) =>
+          renderExternalLink(link.url, link.label || link.url, "test-meta-link"),
+        )
+        .join(""),
+    );
+  }
+  const description = testData.description
+    ? `<div class="test-description">${renderMarkdown(testData.description)}</div>`
+    : "";
+  if (rows.length === 0 && !description) return "";
+  return `<div class="test-meta">${rows.join("")}${description}</div>`;
+}
+/**
+ * Renders the key/value table of a test's custom fields for the test details.
+ * @param {Record<string, string|number|boolean>} [customFields] - The test's custom fields.
+ * @returns {string} HTML string of the table, empty when there are no fields.
+ */
+function generateCustomFieldsHTML(customFields) {
+  const entries = Object.entries(customFields || {});
+  if (entries.length === 0) return "";
+  return `<div class="custom-fields">
+            <h4>Custom Fields</h4>
+            <table class="custom-fields-table"><tbody>${entries
+              .map(
+                ([key, value]) =>
+                  `<tr><th>${escapeSourceText(key)}</th><td>${escapeSourceText(
+                    String(value),
+                  )}</td></tr>`,
+              )
+              .join("")}</tbody></table>
+          </div>`;
+}
+const SOURCE_KEYWORDS = new Set(
+  (
+    "async await break case catch class const continue default delete do else export extends " +
+    "false finally for from function if import in instanceof let new null of return static super " +
+    "switch this throw true try typeof undefined var void while yield"
+  ).split(" "),
+);
+function escapeSourceText(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+/**
+ * Highlights one line of JavaScript/TypeScript source. Block comments and template
+ * literals spanning several lines are only recognised on the line they start on.
+ * @param {string} code - The source line.
+ * @returns {string} Escaped HTML with token spans.
+ */
+function highlightSourceLine(code) {
+  const tokenPattern =
+    /(\/\/.*$|\/\*.*?(?:\*\/|$))|("(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?|`(?:[^`\\]|\\.)*`?)|\b(\d+(?:\.\d+)?)\b|([A-Za-z_$][\w$]*)/g;
+  let html = "";
+  let lastIndex = 0;
+  let match;
+  while ((match = tokenPattern.exec(code)) !== null) {
+    html += escapeSourceText(code.slice(lastIndex, match.index));
+    lastIndex = tokenPattern.lastIndex;
+    const [token, comment, string, number, identifier] = match;
+    let tokenClass = "";
+    if (comment) tokenClass = "token-comment";
+    else if (string) tokenClass = "token-string";
+    else if (number) tokenClass = "token-number";
+    else if (SOURCE_KEYWORDS.has(identifier)) tokenClass = "token-keyword";
+    else if (/^\s*\(/.test(code.slice(lastIndex))) tokenClass = "token-function";
+    html += tokenClass
+      ? `<span class="${tokenClass}">${escapeSourceText(token)}</span>`
+      : escapeSourceText(token);
+  }
+  return html + escapeSourceText(code.slice(lastIndex));
+}
+// Locations are stored as "file:line:column"
+function getLocationColumn(codeLocation) {
+  const match = /:(\d+)$/.exec(codeLocation || "");
+  return match ? Number(match[1]) : undefined;
+}
+// Keeps tabs in front of the caret so it lines up with tab-indented code
+function getCaretPrefix(line, column) {
+  return line
+    .slice(0, Math.max(0, column - 1))
+    .replace(/[^\t]/g, " ");
+}
+/**
+ * Formats a stored source snippet as numbered plain text, the way Playwright prints
+ * error snippets, for the AI analyzer prompt.
+ * @param {object} source - Entry of the report's `sources`.
+ * @param {number} [column] - Column to mark on the referenced line.
+ * @returns {string} The numbered source lines.
+ */
+function formatSourceContext(source, column) {
+  const width = String(source.startLine + source.lines.length - 1).length;
+  return source.lines
+    .flatMap((line, offset) => {
+      const lineNumber = source.startLine + offset;
+      const isTarget = lineNumber === source.line;
+      const row = `${isTarget ? ">" : " "} ${String(lineNumber).padStart(width)} | ${line}`;
+      return isTarget && column
+        ? [row, `  ${" ".repeat(width)} | ${getCaretPrefix(line, column)}^`]
+        : [row];
+    })
+    .join("\n");
+}
+/**
+ * Generates a syntax-highlighted source panel with line numbers, the referenced
+ * line highlighted and its column marked.
+ * @param {object} source - Entry of the report's `sources`.
+ * @param {number} [column] - Column to mark on the referenced line.
+ * @returns {string} HTML string of the panel.
+ */
+function generateSourcePanelHTML(source, column) {
+  const rows = source.lines
+    .map((line, offset) => {
+      const lineNumber = source.startLine + offset;
+      const isTarget = lineNumber === source.line;
+      const row = `<span class="source-line${
+        isTarget ? " source-line-target" : ""
+      }"><span class="source-line-number">${lineNumber}</span><span class="source-line-code">${highlightSourceLine(
+        line,
+      )}</span></span>`;
+      return isTarget && column
+        ? `${row}<span class="source-line source-line-caret"><span class="source-line-number"></span><span class="source-line-code">${getCaretPrefix(
+            line,
+            column,
+          )}^</span></span>`
+        : row;
+    })
+    .join("");
+  return `<div class="source-panel"><div class="source-panel-header">${sanitizeHTML(
+    `${source.file}:${source.line}${column ? `:${column}` : ""}`,
+  )}</div><pre class="source-panel-code">${rows}</pre></div>`;
+}
+// Longer runs of unchanged diff lines are folded so large objects stay readable
+const DIFF_FOLD_THRESHOLD = 8;
+const DIFF_FOLD_CONTEXT = 3;
+const VALUE_FOLD_THRESHOLD = 12;
+function foldDiffRows(rows, renderRow) {
+  const html = [];
+  let index = 0;
+  while (index < rows.length) {
+    if (!rows[index].common) {
+      html.push(renderRow(rows[index++]));
+      continue;
+    }
+    let end = index;
+    while (end < rows.length && rows[end].common) end++;
+    const run = rows.slice(index, end);
+    if (run.length > DIFF_FOLD_THRESHOLD) {
+      const hidden = run.slice(DIFF_FOLD_CONTEXT, run.length - DIFF_FOLD_CONTEXT);
+      html.push(
+        ...run.slice(0, DIFF_FOLD_CONTEXT).map(renderRow),
+        `<details class="matcher-diff-fold"><summary>${hidden.length} unchanged lines</summary>${hidden
+          .map(renderRow)
+          .join("")}</details>`,
+        ...run.slice(run.length - DIFF_FOLD_CONTEXT).map(renderRow),
+      );
+    } else {
+      html.push(...run.map(renderRow));
+    }
+    index = end;
+  }
+  return html.join("");
+}
+// Pairs removed and added lines so both sides of the split view stay aligned
+function getSplitDiffRows(diffLines) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ common: false, left: removed[i], right: added[i] });
+    }
+    removed = [];
+    added = [];
+  };
+  diffLines.forEach((line) => {
+    if (line.startsWith("@@")) {
+      flush();
+      rows.push({ common: false, hunk: true, left: line, right: line });
+    } else if (line.startsWith("-")) removed.push(line.slice(2));
+    else if (line.startsWith("+")) added.push(line.slice(2));
+    else {
+      flush();
+      rows.push({ common: true, left: line.slice(2), right: line.slice(2) });
+    }
+  });
+  flush();
+  return rows;
+}
+function generateMatcherValueHTML(value) {
+  if (value === undefined) return '<div class="matcher-diff-empty">Not printed</div>';
+  const lines = value.split("\n");
+  const code = `<div class="matcher-diff-code">${lines
+    .map((line) => `<div class="diff-line">${escapeSourceText(line) || " "}</div>`)
+    .join("")}</div>`;
+  return lines.length > VALUE_FOLD_THRESHOLD
+    ? `<details class="matcher-diff-fold"><summary>${lines.length} lines</summary>${code}</details>`
+    : code;
+}
+/**
+ * Generates the expected/received view of a failed expect matcher: a unified or
+ * side-by-side diff when Playwright printed one, otherwise both values side by side.
+ * @param {object} failure - The `matcherFailure` of a test error.
+ * @returns {string} HTML string of the diff view.
+ */
+function generateMatcherDiffHTML(failure) {
+  const diffLines = failure.diff ? failure.diff.split("\n") : null;
+  const title = `<span class="matcher-diff-title">expect(${sanitizeHTML(
+    failure.subject || "received",
+  )}).${sanitizeHTML(failure.matcher)}</span>`;
 
-  if (type === "video") {
-    mediaTag = `<video id="${uniqueId}" controls style="display:none; width: 100%; aspect-ratio: 16/9; margin-bottom: 10px;"></video>`;
-    btnText = "▶ Load Video";
-  } else {
-    mediaTag = `<img id="${uniqueId}" alt="Screenshot ${index}" style="display:none; width: 100%; aspect-ratio: 4/3; object-fit: cover; border-bottom: 1px solid var(--border-color);" />`;
-    btnText = "📷 Load Image";
+  if (!diffLines) {
+    return `
+      <div class="matcher-diff" data-view="split">
+        <div class="matcher-diff-header">${title}</div>
+        <div class="matcher-diff-split">
+          <div class="matcher-diff-pane matcher-diff-expected"><div class="matcher-diff-pane-title">Expected</div>${generateMatcherValueHTML(
+            failure.expected,
+          )}</div>
+          <div class="matcher-diff-pane matcher-diff-received"><div class="matcher-diff-pane-title">Received</div>${generateMatcherValueHTML(
+            failure.received,
+          )}</div>
+        </div>
+      </div>`;
   }
 
+  // Playwright only prints the changed parts of large values, starting each with an "@@" hunk header
+  const lineClass = (line) =>
+    line.startsWith("@@")
+      ? "diff-hunk"
+      : line.startsWith("-")
+        ? "diff-removed"
+        : line.startsWith("+")
+          ? "diff-added"
+          : "";
+  const unified = foldDiffRows(
+    diffLines.map((line) => ({ common: lineClass(line) === "", line })),
+    ({ line }) =>
+      `<div class="diff-line ${lineClass(line)}">${escapeSourceText(line) || " "}</div>`,
+  );
+  const splitRows = getSplitDiffRows(diffLines);
+  const splitSide = (side, changeClass) =>
+    foldDiffRows(splitRows, (row) =>
+      row[side] === undefined
+        ? '<div class="diff-line diff-filler"> </div>'
+        : `<div class="diff-line ${row.hunk ? "diff-hunk" : row.common ? "" : changeClass}">${
+            escapeSourceText(row[side]) || " "
+          }</div>`,
+    );
+
   return `
-  <div class="attachment-item ${type === "video" ? "video-item" : ""}">
-      ${storage}
-      <div class="lazy-placeholder" style="padding: 2rem; text-align: center; background: var(--light-gray-color); display: flex; flex-direction: column; align-items: center; justify-content: center; height: 180px;">
-          <button class="ai-fix-btn" onclick="loadMedia('${uniqueId}', '${type}')" style="margin: 0 auto; font-size: 0.9rem;">${btnText}</button>
-          <span style="font-size: 0.8rem; color: var(--text-color-secondary); margin-top: 8px;">(Click to view)</span>
+    <div class="matcher-diff" data-view="unified">
+      <div class="matcher-diff-header">${title}
+        <span class="matcher-diff-legend"><span class="diff-removed">- Expected</span> <span class="diff-added">+ Received</span></span>
+        <span class="matcher-diff-toggle">
+          <button type="button" class="active" onclick="switchMatcherDiffView(this, 'unified')">Unified</button>
+          <button type="button" onclick="switchMatcherDiffView(this, 'split')">Side by side</button>
+        </span>
       </div>
-      ${mediaTag}
-      <div class="attachment-info">
-          <div class="trace-actions">
-              <a href="#" onclick="event.preventDefault(); downloadMedia('${uniqueId}', '${filename}')" class="download-trace" style="width:100%; text-align:center;">Download</a>
-          </div>
+      <div class="matcher-diff-unified"><div class="matcher-diff-code">${unified}</div></div>
+      <div class="matcher-diff-split">
+        <div class="matcher-diff-pane matcher-diff-expected"><div class="matcher-diff-pane-title">Expected</div><div class="matcher-diff-code">${splitSide(
+          "left",
+          "diff-removed",
+        )}</div></div>
+        <div class="matcher-diff-pane matcher-diff-received"><div class="matcher-diff-pane-title">Received</div><div class="matcher-diff-code">${splitSide(
+          "right",
+          "diff-added",
+        )}</div></div>
       </div>
-  </div>`;
+    </div>`;
+}
+// The AI analyzer only receives the test object, so the source context travels inside its errors
+function withSourceContext(test, sources) {
+  return {
+    ...test,
+    errors: getTestErrors(test).map((error) => {
+      const source = error.sourceRef && sources[error.sourceRef];
+      return source
+        ? { ...error, sourceContext: formatSourceContext(source, error.location?.column) }
+        : error;
+    }),
+  };
+}
+// Playwright step categories, in the order they are listed in the waterfall legend
+const STEP_CATEGORY_LABELS = {
+  hook: "Hook",
+  fixture: "Fixture",
+  "pw:api": "API Call",
+  expect: "Expect",
+  "test.step": "Step",
+  "test.attach": "Attach",
+};
+// Reports written before step categories were recorded only know hooks apart
+function getStepCategory(step) {
+  return step.category || (step.isHook ? "hook" : "test.step");
+}
+function getStepCategoryClass(category) {
+  return `category-${String(category).replace(/[^a-z0-9]+/gi, "-").toLowerCase()}`;
+}
+function generateStepCategoryChip(step) {
+  const category = getStepCategory(step);
+  if (category === "test.step") return "";
+  return `<span class="step-category-chip ${getStepCategoryClass(category)}">${sanitizeHTML(
+    STEP_CATEGORY_LABELS[category] || category,
+  )}</span>`;
 }
 /**
- * Generates the HTML report.
- * @param {object} reportData - The data for the report.
- * @param {object} trendData - The data for the trend chart.
- * @returns {string} The HTML report.
+ * Generates the step waterfall of one test attempt: every step, nested ones indented,
+ * as a bar on a shared time axis so slow hooks, fixtures and API calls stand out.
+ * @param {object} testData - A test result or one of its retry attempts.
+ * @returns {string} HTML string of the waterfall, empty when the attempt has no steps.
  */
-function generateHTML(reportData, trendData = null) {
-  const { run, results } = reportData;
-  const suitesData = getSuitesData(reportData.results || []);
-  const runSummary = run || {
-    totalTests: 0,
-    passed: 0,
-    failed: 0,
-    skipped: 0,
-    duration: 0,
-    timestamp: new Date().toISOString(),
-  };
-
-  const avgTestDuration =
-    runSummary.totalTests > 0
-      ? formatDuration(runSummary.duration / runSummary.totalTests)
-      : "0.0s";
+function generateStepWaterfallHTML(testData) {
+  const rows = [];
+  const collect = (steps, depth) =>
+    (steps || []).forEach((step) => {
+      const start = new Date(step.startTime).getTime();
+      if (!Number.isNaN(start)) {
+        rows.push({ step, depth, start, end: start + Math.max(0, step.duration || 0) });
+      }
+      collect(step.steps, depth + 1);
+    });
+  collect(testData.steps, 0);
+  if (rows.length === 0) return "";
 
-  const flakyCount = (results || []).filter(r => r.outcome === 'flaky').length;
+  const testStart = new Date(testData.startTime).getTime();
+  const start = Math.min(
+    ...rows.map((row) => row.start),
+    ...(Number.isNaN(testStart) ? [] : [testStart]),
+  );
+  const end = Math.max(
+    ...rows.map((row) => row.end),
+    ...(Number.isNaN(testStart) ? [] : [testStart + (testData.duration || 0)]),
+  );
+  const span = Math.max(1, end - start);
+  const categories = [...new Set(rows.map((row) => getStepCategory(row.step)))];
+  const legendCategories = [
+    ...Object.keys(STEP_CATEGORY_LABELS).filter((category) =>
+      categories.includes(category),
+    ),
+    ...categories.filter((category) => !(category in STEP_CATEGORY_LABELS)),
+  ];
 
-  // Calculate retry statistics
-  let retriedTestsCount = 0;
-  const totalRetried = (results || []).reduce((acc, test) => {
-    if (test.retryHistory && test.retryHistory.length > 0) {
-      // Filter out any "passed" or "skipped" entries in the history
-      // We only count attempts that actually failed or timed out, triggering a retry.
-      const unsuccessfulRetries = test.retryHistory.filter(attempt => 
-        attempt.status === 'failed' || attempt.status === 'timedout' || attempt.status === 'flaky'
-      );
-      if (unsuccessfulRetries.length > 0) {
-        retriedTestsCount++;
+  return `
+    <details class="step-waterfall">
+      <summary>Step Waterfall <span class="step-waterfall-meta">${rows.length} step${
+        rows.length === 1 ? "" : "s"
+      } over ${formatDuration(span)}</span></summary>
+      <div class="step-waterfall-legend">
+        ${legendCategories
+          .map(
+            (category) =>
+              `<span class="step-waterfall-legend-item"><span class="step-waterfall-swatch ${getStepCategoryClass(
+                category,
+              )}"></span>${sanitizeHTML(STEP_CATEGORY_LABELS[category] || category)}</span>`,
+          )
+          .join("")}
+      </div>
+      <div class="step-waterfall-rows">
+        ${rows
+          .map(({ step, depth, start: stepStart, end: stepEnd }) => {
+            const category = getStepCategory(step);
+            const failed = step.status === "failed";
+            return `
+        <div class="step-waterfall-row${failed ? " step-waterfall-row-failed" : ""}">
+          <div class="step-waterfall-label" style="padding-left: ${depth * 14}px;" title="${sanitizeHTML(
+            step.title,
+          )}">${sanitizeHTML(step.title)}</div>
+          <div class="step-waterfall-track">
+            <div class="step-waterfall-bar ${getStepCategoryClass(category)}" style="left: ${(
+              ((stepStart - start) / span) *
+              100
+            ).toFixed(3)}%; width: ${(((stepEnd - stepStart) / span) * 100).toFixed(
+              3,
+            )}%;" title="${sanitizeHTML(
+              `${step.title}\n${STEP_CATEGORY_LABELS[category] || category}${
+                step.hookType ? ` (${step.hookType})` : ""
+              } · ${formatDuration(step.duration)}\nStarted at +${formatDuration(
+                stepStart - start,
+              )}`,
+            )}"></div>
+          </div>
+          <div class="step-waterfall-duration">${formatDuration(step.duration)}</div>
+        </div>`;
+          })
+          .join("")}
+      </div>
+    </details>`;
+}
+const LOG_TIMELINE_LEVELS = ["step", "info", "warn", "error", "stdout", "stderr"];
+/**
+ * Generates the log timeline of one test attempt: its steps and its log entries
+ * (pulse.log and stdout/stderr) in time order, with a filter per level.
+ * @param {object} testData - A test result or one of its retry attempts.
+ * @returns {string} HTML string of the timeline, empty when the attempt has no timestamped logs.
+ */
+function generateLogTimelineHTML(testData) {
+  const logs = (testData.logs || []).filter(
+    (entry) => !Number.isNaN(new Date(entry.timestamp).getTime()),
+  );
+  if (logs.length === 0) return "";
+
+  const entries = [];
+  const collect = (steps, depth) =>
+    (steps || []).forEach((step) => {
+      const time = new Date(step.startTime).getTime();
+      if (!Number.isNaN(time)) {
+        entries.push({ level: "step", time, depth, step });
       }
-      return acc + unsuccessfulRetries.length;
-    }
-    return acc;
-  }, 0);
+      collect(step.steps, depth + 1);
+    });
+  collect(testData.steps, 0);
+  logs.forEach((entry) =>
+    entries.push({
+      level: entry.level,
+      time: new Date(entry.timestamp).getTime(),
+      entry,
+    }),
+  );
+  // Stable sort keeps a step ahead of the logs written at the same millisecond
+  entries.sort((a, b) => a.time - b.time);
 
-  // --- RECALCULATE KPI METRICS BASED ON FINAL_STATUS ---
-  let calculatedPassed = 0;
-  let calculatedFailed = 0;
-  let calculatedSkipped = 0;
-  let calculatedFlaky = 0;
-  let calculatedTotal = 0;
+  const testStart = new Date(testData.startTime).getTime();
+  const origin = Number.isNaN(testStart) ? entries[0].time : testStart;
+  const counts = {};
+  entries.forEach(({ level }) => (counts[level] = (counts[level] || 0) + 1));
+  const levels = LOG_TIMELINE_LEVELS.filter((level) => counts[level]);
 
-  (results || []).forEach(test => {
-      calculatedTotal++;
-      // New Logic: If outcome is 'flaky', it overrides everything.
-      let statusToUse = test.status;
-      if (test.outcome === 'flaky') {
-        statusToUse = 'flaky';
-      } else if (test.status === 'flaky') { 
-         // Just in case outcome wasn't set but status was (unlikely with new reporter)
-         statusToUse = 'flaky';
-      } else if (test.retryHistory && test.retryHistory.length > 0 && test.final_status) {
-        statusToUse = test.final_status;
-      }
-      
-      // Update test status in place for charts
-      test.status = statusToUse;
-      
-      const s = String(statusToUse).toLowerCase();
-      if (s === 'passed') calculatedPassed++;
-      else if (s === 'skipped') calculatedSkipped++;
-      else if (s === 'flaky') calculatedFlaky++;
-      else calculatedFailed++; // failed, timedout, interrupted
+  return `
+    <details class="log-timeline" open>
+      <summary>Log Timeline <span class="log-timeline-meta">${logs.length} log entr${
+        logs.length === 1 ? "y" : "ies"
+      }, ${counts.step || 0} step${counts.step === 1 ? "" : "s"}</span></summary>
+      <div class="log-timeline-filters">
+        <button type="button" class="active" onclick="filterLogTimeline(this, '')">All</button>
+        ${levels
+          .map(
+            (level) =>
+              `<button type="button" onclick="filterLogTimeline(this, '${level}')">${capitalize(
+                level,
+              )} (${counts[level]})</button>`,
+          )
+          .join("")}
+      </div>
+      <div class="log-timeline-entries">
+        ${entries
+          .map(({ level, time, depth, step, entry }) => {
+            const offset = `+${((time - origin) / 1000).toFixed(3)}s`;
+            const message = step
+              ? `<span class="log-timeline-step${
+                  step.status === "failed" ? " log-timeline-step-failed" : ""
+                }" style="padding-left: ${depth * 14}px;">${escapeSourceText(
+                  step.title,
+                )} <span class="log-timeline-duration">${formatDuration(step.duration)}</span></span>`
+              : `<span class="log-timeline-text">${escapeSourceText(entry.message)}</span>${
+                  entry.data !== undefined
+                    ? `<pre class="log-timeline-data">${escapeSourceText(
+                        typeof entry.data === "string"
+                          ? entry.data
+                          : JSON.stringify(entry.data, null, 2),
+                      )}</pre>`
+                    : ""
+                }`;
+            return `
+        <div class="log-timeline-entry" data-level="${level}">
+          <span class="log-timeline-time">${offset}</span>
+          <span class="log-timeline-level log-level-${level}">${level}</span>
+          <div class="log-timeline-message">${message}</div>
+        </div>`;
+          })
+          .join("")}
+      </div>
+    </details>`;
+}
+/**
+ * Formats when a captured browser event happened, relative to the start of the test attempt.
+ * @param {string|Date} timestamp - When the event happened.
+ * @param {object} testData - A test result or one of its retry attempts.
+ * @returns {string} e.g. "+1.250s", or an empty string without timing data.
+ */
+function formatCaptureOffset(timestamp, testData) {
+  const time = new Date(timestamp).getTime();
+  const testStart = new Date(testData.startTime).getTime();
+  if (Number.isNaN(time) || Number.isNaN(testStart)) return "";
+  return `+${((time - testStart) / 1000).toFixed(3)}s`;
+}
+/**
+ * Generates the Browser Console panel: console messages and uncaught page errors
+ * recorded by the Pulse fixtures. It starts open when the page logged an error.
+ * @param {object} testData - A test result or one of its retry attempts.
+ * @returns {string} HTML string of the panel, empty when nothing was captured.
+ */
+function generateBrowserConsoleHTML(testData) {
+  const entries = testData.browserConsole || [];
+  if (entries.length === 0) return "";
+  const errorCount = entries.filter(
+    (entry) => entry.type === "error" || entry.type === "pageerror",
+  ).length;
+
+  return `
+    <details class="capture-panel browser-console"${errorCount > 0 ? " open" : ""}>
+      <summary>Browser Console <span class="capture-panel-meta">${entries.length} message${
+        entries.length === 1 ? "" : "s"
+      }${errorCount > 0 ? `, ${errorCount} error${errorCount === 1 ? "" : "s"}` : ""}</span></summary>
+      <div class="capture-panel-entries">
+        ${entries
+          .map(
+            (entry) => `
+        <div class="browser-console-entry console-type-${escapeHTMLAttribute(entry.type)}">
+          <span class="capture-panel-time">${formatCaptureOffset(entry.timestamp, testData)}</span>
+          <span class="browser-console-type">${escapeSourceText(
+            entry.type === "pageerror" ? "page error" : entry.type,
+          )}</span>
+          <div class="browser-console-message">${escapeSourceText(entry.text)}${
+            entry.location
+              ? `<span class="browser-console-location">${escapeSourceText(entry.location)}</span>`
+              : ""
+          }${
+            entry.stack
+              ? `<pre class="browser-console-stack">${escapeSourceText(entry.stack)}</pre>`
+              : ""
+          }</div>
+        </div>`,
+          )
+          .join("")}
+      </div>
+    </details>`;
+}
+/**
+ * Generates the Network panel: failed requests and 4xx/5xx responses recorded by the Pulse fixtures.
+ * @param {object} testData - A test result or one of its retry attempts.
+ * @returns {string} HTML string of the panel, empty when nothing was captured.
+ */
+function generateNetworkHTML(testData) {
+  const entries = testData.network || [];
+  if (entries.length === 0) return "";
+
+  return `
+    <details class="capture-panel network-panel" open>
+      <summary>Network <span class="capture-panel-meta">${entries.length} failed request${
+        entries.length === 1 ? "" : "s"
+      }</span></summary>
+      <div class="capture-panel-entries">
+        <table class="network-table">
+          <thead><tr><th>Time</th><th>Method</th><th>Status</th><th>Type</th><th>URL</th></tr></thead>
+          <tbody>${entries
+            .map(
+              (entry) => `<tr>
+            <td class="capture-panel-time">${formatCaptureOffset(entry.timestamp, testData)}</td>
+            <td>${escapeSourceText(entry.method)}</td>
+            <td class="${entry.status >= 500 || !entry.status ? "network-status-error" : "network-status-warning"}">${
+              entry.status
+                ? `${entry.status}${entry.statusText ? ` ${escapeSourceText(entry.statusText)}` : ""}`
+                : escapeSourceText(entry.failure || "Failed")
+            }</td>
+            <td>${escapeSourceText(entry.resourceType || "")}</td>
+            <td class="network-url" title="${escapeHTMLAttribute(entry.url)}">${escapeSourceText(entry.url)}</td>
+          </tr>`,
+            )
+            .join("")}</tbody>
+        </table>
+      </div>
+    </details>`;
+}
+/**
+ * Lays every test attempt out on its worker lane for the Timeline tab.
+ * Merged reports get one group of lanes per shard, ordered like `run.subRunIds`.
+ * @param {Array<object>} results - Array of test result objects.
+ * @param {string[]} [subRunIds] - Ids of the merged shard runs, if any.
+ * @returns {object|null} Lane groups with bars, idle gaps and utilization, or null without timing data.
+ */
+function getTimelineData(results, subRunIds = []) {
+  const runOrder = [...(subRunIds || [])];
+  const bars = [];
+  (results || []).forEach((test, index) => {
+    const titleParts = test.name.split(" > ");
+    const title = titleParts[titleParts.length - 1] || "Unnamed Test";
+    [test, ...(test.retryHistory || [])].forEach((attempt) => {
+      const workerId = Number(attempt.workerId);
+      const start = new Date(attempt.startTime).getTime();
+      // Worker -1 holds tests that never ran (skipped before a worker picked them up)
+      if (!Number.isFinite(workerId) || workerId < 1 || Number.isNaN(start)) return;
+      const runId = test.runId || "run";
+      if (!runOrder.includes(runId)) runOrder.push(runId);
+      bars.push({
+        index,
+        runId,
+        workerId,
+        start,
+        end: start + Math.max(0, attempt.duration || 0),
+        status: attempt.status,
+        retry: attempt.retries || 0,
+        title,
+        totalWorkers: Number(attempt.totalWorkers) || 0,
+      });
+    });
   });
+  if (bars.length === 0) return null;
+
+  const globalStart = Math.min(...bars.map((bar) => bar.start));
+  const globalEnd = Math.max(...bars.map((bar) => bar.end));
+  const span = Math.max(1, globalEnd - globalStart);
+  // Shorter pauses are scheduling noise, not idle time worth pointing out
+  const gapThreshold = Math.max(50, span * 0.005);
+
+  const groups = runOrder
+    .map((runId, runIndex) => {
+      const runBars = bars.filter((bar) => bar.runId === runId);
+      if (runBars.length === 0) return null;
+      const groupStart = Math.min(...runBars.map((bar) => bar.start));
+      const groupEnd = Math.max(...runBars.map((bar) => bar.end));
+      const slotCount = Math.max(
+        ...runBars.map((bar) => bar.workerId),
+        ...runBars.map((bar) => bar.totalWorkers),
+      );
 
-  // Override runSummary counts with our calculated ones if results exist
-  if (results && results.length > 0) {
-      runSummary.passed = calculatedPassed;
-      runSummary.failed = calculatedFailed;
-      runSummary.skipped = calculatedSkipped;
-      runSummary.flaky = calculatedFlaky;
-      runSummary.totalTests = calculatedTotal;
-  }
+      const lanes = [];
+      for (let workerId = 1; workerId <= slotCount; workerId++) {
+        const laneBars = runBars
+          .filter((bar) => bar.workerId === workerId)
+          .sort((a, b) => a.start - b.start);
+        const gaps = [];
+        let cursor = groupStart;
+        let busy = 0;
+        laneBars.forEach((bar) => {
+          if (bar.start - cursor > gapThreshold) {
+            gaps.push({ start: cursor, end: bar.start });
+          }
+          busy += Math.max(0, bar.end - Math.max(bar.start, cursor));
+          cursor = Math.max(cursor, bar.end);
+        });
+        if (groupEnd - cursor > gapThreshold) {
+          gaps.push({ start: cursor, end: groupEnd });
+        }
+        lanes.push({ workerId, bars: laneBars, gaps, busy });
+      }
 
-  const totalTestsOr1 = runSummary.totalTests || 1;
-  const passPercentage = Math.round((runSummary.passed / totalTestsOr1) * 100);
-  const failPercentage = Math.round((runSummary.failed / totalTestsOr1) * 100);
-  const skipPercentage = Math.round(
-    ((runSummary.skipped || 0) / totalTestsOr1) * 100,
-  );
-  const flakyPercentage = Math.round(((runSummary.flaky || 0) / totalTestsOr1) * 100);
+      const capacity = lanes.length * Math.max(1, groupEnd - groupStart);
+      const busy = lanes.reduce((sum, lane) => sum + lane.busy, 0);
+      return {
+        label: runOrder.length > 1 ? `Shard ${runIndex + 1}` : "",
+        start: groupStart,
+        end: groupEnd,
+        lanes,
+        busy,
+        capacity,
+      };
+    })
+    .filter(Boolean);
+
+  const busy = groups.reduce((sum, group) => sum + group.busy, 0);
+  const capacity = groups.reduce((sum, group) => sum + group.capacity, 0);
+  return {
+    start: globalStart,
+    end: globalEnd,
+    span,
+    groups,
+    busy,
+    idle: Math.max(0, capacity - busy),
+    utilization: capacity > 0 ? busy / capacity : 0,
+    laneCount: groups.reduce((sum, group) => sum + group.lanes.length, 0),
+  };
+}
+/**
+ * Generates the Timeline tab: one lane per worker (per shard in merged reports)
+ * with every test attempt as a bar coloured by status and idle gaps highlighted.
+ * @param {Array<object>} results - Array of test result objects.
+ * @param {string[]} [subRunIds] - Ids of the merged shard runs, if any.
+ * @returns {string} HTML string of the timeline.
+ */
+function generateTimelineHTML(results, subRunIds = []) {
+  const timeline = getTimelineData(results, subRunIds);
+  if (!timeline) {
+    return '<div class="no-data">No test timing data available to draw the timeline.</div>';
+  }
 
+  const toPercent = (time) =>
+    (((time - timeline.start) / timeline.span) * 100).toFixed(3);
+  const toWidth = (from, to) =>
+    (((to - from) / timeline.span) * 100).toFixed(3);
+  const percent = (value) => `${Math.round(value * 100)}%`;
+
+  const axisTicks = [0, 0.25, 0.5, 0.75, 1]
+    .map(
+      (fraction) =>
+        `<span class="timeline-tick" style="left: ${fraction * 100}%;">${formatDuration(
+          timeline.span * fraction,
+        )}</span>`,
+    )
+    .join("");
+
+  const lanesHTML = timeline.groups
+    .map(
+      (group) => `
+      ${
+        group.label
+          ? `<div class="timeline-group-label">${sanitizeHTML(group.label)} · ${percent(
+              group.capacity > 0 ? group.busy / group.capacity : 0,
+            )} utilization</div>`
+          : ""
+      }
+      ${group.lanes
+        .map(
+          (lane) => `
+      <div class="timeline-lane">
+        <div class="timeline-lane-label">Worker ${lane.workerId}<small>${percent(
+          lane.busy / Math.max(1, group.end - group.start),
+        )}</small></div>
+        <div class="timeline-track">
+          ${lane.gaps
+            .map(
+              (gap) =>
+                `<div class="timeline-gap" style="left: ${toPercent(gap.start)}%; width: ${toWidth(
+                  gap.start,
+                  gap.end,
+                )}%;" title="Idle for ${formatDuration(gap.end - gap.start)}"></div>`,
+            )
+            .join("")}
+          ${lane.bars
+            .map(
+              (bar) =>
+                `<div class="timeline-bar ${getStatusClass(bar.status)}" data-test-index="${bar.index}" style="left: ${toPercent(
+                  bar.start,
+                )}%; width: ${toWidth(bar.start, bar.end)}%;" title="${sanitizeHTML(
+                  `${bar.title}\n${bar.status} · ${formatDuration(bar.end - bar.start)}${
+                    bar.retry > 0 ? ` · retry ${bar.retry}` : ""
+                  }\nStarted at +${formatDuration(bar.start - timeline.start)}`,
+                )}"></div>`,
+            )
+            .join("")}
+        </div>
+      </div>`,
+        )
+        .join("")}`,
+    )
+    .join("");
+
+  const legendStatuses = [
+    ["passed", "Passed"],
+    ["failed", "Failed"],
+    ["flaky", "Flaky"],
+    ["timedOut", "Timed Out"],
+    ["interrupted", "Interrupted"],
+    ["skipped", "Skipped"],
+  ];
+  return `
+    <div class="timeline-summary">
+      <div class="timeline-stat"><span class="timeline-stat-value">${percent(
+        timeline.utilization,
+      )}</span><span class="timeline-stat-label">Worker Utilization</span></div>
+      <div class="timeline-stat"><span class="timeline-stat-value">${formatDuration(
+        timeline.span,
+      )}</span><span class="timeline-stat-label">Wall Time</span></div>
+      <div class="timeline-stat"><span class="timeline-stat-value">${formatDuration(
+        timeline.busy,
+      )}</span><span class="timeline-stat-label">Busy Worker Time</span></div>
+      <div class="timeline-stat"><span class="timeline-stat-value">${formatDuration(
+        timeline.idle,
+      )}</span><span class="timeline-stat-label">Idle Worker Time</span></div>
+      <div class="timeline-stat"><span class="timeline-stat-value">${
+        timeline.laneCount
+      }</span><span class="timeline-stat-label">Worker Lanes</span></div>
+    </div>
+    <div class="timeline-legend">
+      ${legendStatuses
+        .map(
+          ([status, label]) =>
+            `<span class="timeline-legend-item"><span class="timeline-legend-swatch timeline-bar ${getStatusClass(
+              status,
+            )}"></span>${label}</span>`,
+        )
+        .join("")}
+      <span class="timeline-legend-item"><span class="timeline-legend-swatch timeline-gap"></span>Idle</span>
+    </div>
+    <div class="timeline-chart">
+      <div class="timeline-lane timeline-axis">
+        <div class="timeline-lane-label"></div>
+        <div class="timeline-track">${axisTicks}</div>
+      </div>
+      ${lanesHTML}
+    </div>`;
+}
+/**
+ * Generates a stacked column chart showing test results distributed by severity.
+ * Matches dimensions of the System Environment section (~600px).
+ * Lazy-loaded for performance.
+ */
+function generateSeverityDistributionChart(results) {
+  if (!results || results.length === 0) {
+    return '<div class="trend-chart" style="height: 600px;"><div class="no-data">No results available for severity distribution.</div></div>';
+  }
 
-  // Calculate browser distribution
-  const browserStats = (results || []).reduce((acc, test) => {
-    let browserName = "unknown";
-    if (test.browser) {
-      // Use full browser name
-      browserName = test.browser;
-    }
-    acc[browserName] = (acc[browserName] || 0) + 1;
-    return acc;
-  }, {});
+  const severityLevels = ["Critical", "High", "Medium", "Low", "Minor"];
+  const data = {
+    passed: [0, 0, 0, 0, 0],
+    failed: [0, 0, 0, 0, 0],
+    flaky: [0, 0, 0, 0, 0],
+    skipped: [0, 0, 0, 0, 0],
+    timedOut: [0, 0, 0, 0, 0],
+    interrupted: [0, 0, 0, 0, 0],
+    expectedFailure: [0, 0, 0, 0, 0],
+    unexpectedSuccess: [0, 0, 0, 0, 0],
+    explicitlySkipped: [0, 0, 0, 0, 0],
+  };
 
-  const totalTests = runSummary.totalTests || 1;
-  const browserBreakdown = Object.entries(browserStats)
-    .map(([browser, count]) => ({
-      browser,
-      count,
-      percentage: Math.round((count / totalTests) * 100),
-    }))
-    .sort((a, b) => b.count - a.count);
+  results.forEach((test) => {
+    const sev = test.severity || "Medium";
+    const status = String(test.status).toLowerCase();
 
-  /**
-   * Generates the HTML for the test cases.
-   * @returns {string} The HTML for the test cases.
-   */
-  // MODIFIED: Accepts 'subset' (chunk of tests) and 'offset' (start index)
-  function generateTestCasesHTML(subset, offset = 0) {
-    // Use the subset if provided, otherwise fallback to all results (legacy compatibility)
-    const data = subset || results;
+    let index = severityLevels.indexOf(sev);
+    if (index === -1) index = 2; // Default to Medium
 
-    if (!data || data.length === 0)
-      return '<div class="no-tests">No test results found in this run.</div>';
+    if (status === "passed") {
+      data.passed[index]++;
+    } else if (status === "failed") {
+      data.failed[index]++;
+    } else if (status === "timedout") {
+      data.timedOut[index]++;
+    } else if (status === "interrupted") {
+      data.interrupted[index]++;
+    } else if (status === "expected-failure") {
+      data.expectedFailure[index]++;
+    } else if (status === "unexpected-success") {
+      data.unexpectedSuccess[index]++;
+    } else if (status === "explicitly-skipped") {
+      data.explicitlySkipped[index]++;
+    } else if (status === "flaky") {
+        data.flaky[index]++;
+    } else {
+      data.skipped[index]++;
+    }
+  });
 
-    return data
-      .map((test, i) => {
-        // Calculate the global index (essential for unique IDs across chunks)
-        const testIndex = offset + i;
+  const chartId = `sevDistChart-${Date.now()}-${Math.random()
+    .toString(36)
+    .substring(2, 7)}`;
+  const renderFunctionName = `renderSevDistChart_${chartId.replace(/-/g, "_")}`;
 
-        const browser = test.browser || "unknown";
-        const testFileParts = test.name.split(" > ");
-        const testTitle =
-          testFileParts[testFileParts.length - 1] || "Unnamed Test";
+  const seriesData = [
+    { name: "Passed", data: data.passed, color: "var(--success-color)" },
+    { name: "Failed", data: data.failed, color: "var(--danger-color)" },
+    { name: "Flaky", data: data.flaky, color: "#00ccd3" },
+    { name: "Skipped", data: data.skipped, color: "var(--warning-color)" },
+    { name: "Timed Out", data: data.timedOut, color: "#f97316" },
+    { name: "Interrupted", data: data.interrupted, color: "#8b5cf6" },
+    { name: "Expected Failure", data: data.expectedFailure, color: "#84cc16" },
+    { name: "Unexpected Success", data: data.unexpectedSuccess, color: "#ec4899" },
+    { name: "Explicitly Skipped", data: data.explicitlySkipped, color: "#fbbf24" },
+  ];
 
-        // --- Simplified Severity Badge ---
-        const severity = test.severity || "Medium";
-        const severityBadge = `<span class="severity-badge" data-severity="${severity.toLowerCase()}">${severity}</span>`;
+  const seriesDataStr = JSON.stringify(seriesData);
+  const categoriesStr = JSON.stringify(severityLevels);
 
-        // --- Retry Count Badge (only show if retries occurred) ---
-        const retryCount = (test.retryHistory && test.retryHistory.length > 0) ? test.retryHistory.length : 0;
-        const retryBadge = (test.retryHistory && test.retryHistory.length > 0) ? `<span class="retry-badge">Retry Count: ${retryCount}</span>` : '';
+  return `
+    <div class="trend-chart" style="height: 600px; padding: 28px; box-sizing: border-box;">
+        <h3 class="chart-title-header">Severity Distribution</h3>
+        <div id="${chartId}" class="lazy-load-chart" data-render-function-name="${renderFunctionName}" style="width: 100%; height: 100%;">
+             <div class="no-data">Loading Severity Chart...</div>
+        </div>
+        <script>
+            window.${renderFunctionName} = function() {
+                const chartContainer = document.getElementById('${chartId}');
+                if (!chartContainer) return;
 
-        // --- Step Generation ---
-        const generateStepsHTML = (steps, depth = 0) => {
-          if (!steps || steps.length === 0)
-            return "<div class='no-steps'>No steps recorded for this test.</div>";
-          return steps
-            .map((step) => {
-              const hasNestedSteps = step.steps && step.steps.length > 0;
-              const isHook = step.hookType;
-              const isFailedStep = step.isFailedStep === true;
-              const stepClass = isHook
-                ? `step-hook step-hook-${step.hookType}`
-                : "";
-              const failedStepClass = isFailedStep ? " failed-step-highlight" : "";
-              const hookIndicator = isHook ? ` (${step.hookType} hook)` : "";
-              const failedStepIndicator = isFailedStep ? ` <span class="failed-step-marker">⚠️ Failed at this step</span>` : "";
-              return `
-          <div class="step-item${failedStepClass}" style="--depth: ${depth};">
-            <div class="step-header ${stepClass}" role="button" aria-expanded="false">
-              <span class="step-icon">${getStatusIcon(step.status)}</span>
-              <span class="step-title">${sanitizeHTML(
-                step.title,
-              )}${hookIndicator}${failedStepIndicator}</span>
-              <span class="step-duration">${formatDuration(
-                step.duration,
-              )}</span>
-            </div>
-            <div class="step-details" style="display: none;">
-              ${
-                step.codeLocation
-                  ? `<div class="step-info code-section"><strong>Location:</strong> ${sanitizeHTML(
-                      step.codeLocation,
-                    )}</div>`
-                  : ""
-              }
-              ${
-                step.codeSnippet
-                  ? `<div class="code-snippet-section"><pre class="code-snippet">${sanitizeHTML(
-                      step.codeSnippet,
-                    )}</pre></div>`
-                  : ""
-              }
-              ${
-                step.errorMessage
-                  ? `<div class="test-error-summary">
-                      ${
-                        step.stackTrace
-                          ? `<div class="stack-trace">${formatPlaywrightError(
-                              step.stackTrace,
-                            )}</div>`
-                          : ""
-                      }
-                      <button class="copy-error-btn" onclick="copyErrorToClipboard(this)" style="margin-top: 8px; padding: 6px 12px; background: rgba(248, 113, 113, 0.15); border: 2px solid var(--danger-color); border-radius: 6px; cursor: pointer; font-size: 12px; color: var(--danger-color); font-weight: 600; transition: all 0.2s; align-self: flex-end; width: auto;" onmouseover="this.style.background='rgba(248, 113, 113, 0.25)'" onmouseout="this.style.background='rgba(248, 113, 113, 0.15)'">Copy Error Prompt</button>
-                    </div>`
-                  : ""
-              }
-              ${
-                hasNestedSteps
-                  ? `<div class="nested-steps">${generateStepsHTML(
-                      step.steps,
-                      depth + 1,
-                    )}</div>`
-                  : ""
-              }
-            </div>
-          </div>`;
-            })
-            .join("");
-        };
+                if (typeof Highcharts !== 'undefined') {
+                    try {
+                        chartContainer.innerHTML = '';
+                        Highcharts.chart('${chartId}', {
+                            chart: { type: 'column', backgroundColor: 'transparent' },
+                            title: { text: null },
+                            xAxis: {
+                                categories: ${categoriesStr},
+                                crosshair: true,
+                                labels: { style: { color: 'var(--text-color-secondary)' } }
+                            },
+                            yAxis: {
+                                min: 0,
+                                title: { text: 'Test Count', style: { color: 'var(--text-color)' } },
+                                stackLabels: { enabled: true, style: { fontWeight: 'bold', color: 'var(--text-color)' } },
+                                labels: { style: { color: 'var(--text-color-secondary)' } }
+                            },
+                            legend: {
+                                 itemStyle: { color: 'var(--text-color)' }
+                            },
+                            tooltip: {
+                                shared: true,
+                                useHTML: true,
+                                backgroundColor: 'rgba(10,10,10,0.92)',
+                                style: { color: '#f5f5f5' },
+                                formatter: function() {
+                                    // Custom formatter to HIDE 0 values
+                                    let tooltip = '';
+                                    let hasItems = false;
+                                    
+                                    this.points.forEach(point => {
+                                        if (point.y > 0) { // ONLY show if count > 0
+                                            tooltip += '<span style="color:' + point.series.color + '">●</span> ' + 
+                                                      point.series.name + ': <b>' + point.y + '</b><br/>';
+                                            hasItems = true;
+                                        }
+                                    });
+                                    
+                                    if (!hasItems) return false; // Hide tooltip entirely if no data
+                                    
+                                    // Calculate total from visible points to ensure accuracy or use stackTotal
+                                    tooltip += 'Total: ' + this.points[0].total;
+                                    return tooltip;
+                                }
+                            },
+                            plotOptions: {
+                                column: {
+                                    stacking: 'normal',
+                                    dataLabels: { 
+                                        enabled: true, 
+                                        color: '#fff', 
+                                        style: { textOutline: 'none' },
+                                        formatter: function() {
+                                            return (this.y > 0) ? this.y : null; // Hide 0 labels on chart bars
+                                        }
+                                    },
+                                    borderRadius: 3
+                                }
+                            },
+                            series: ${seriesDataStr},
+                            credits: { enabled: false }
+                        });
+                    } catch(e) {
+                         console.error("Error rendering severity chart:", e);
+                         chartContainer.innerHTML = '<div class="no-data">Error rendering chart.</div>';
+                    }
+                }
+            };
+        </script>
+    </div>
+  `;
+}
+/**
+ * Helper to generate Lazy Media HTML using the Script Tag pattern.
+ * This prevents the browser from parsing massive Base64 strings on page load.
+ */
+function createLazyMedia(base64Data, mimeType, type, index, filename) {
+  const uniqueId = `media-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const dataUri = `data:${mimeType};base64,${base64Data}`;
+  // Store heavy data in a non-rendering script tag
+  const storage = `<script type="text/plain" id="data-${uniqueId}">${dataUri}</script>`;
 
-        // Helper for Tab Badges
-        const getSmallStatusBadge = (status) => {
-            const s = String(status).toLowerCase();
-            let colorVar = 'var(--text-tertiary)';
-            if(s === 'passed') colorVar = 'var(--success-color)';
-            else if(s === 'failed') colorVar = 'var(--danger-color)';
-            else if(s === 'skipped') colorVar = 'var(--warning-color)';
-            else if(s === 'flaky') colorVar = '#00ccd3';
-            
-            return `<span style="
-                display: inline-block; 
-                width: 8px; 
-                height: 8px; 
-                border-radius: 50%; 
-                background-color: ${colorVar}; 
-                margin-left: 6px;
-                vertical-align: middle;
-            " title="${s}"></span>`;
-        };
+  let mediaTag = "";
+  let btnText = "";
+  let icon = "";
 
-        // Function to generate test content HTML (used for base run and retry tabs)
-        const getTestContentHTML = (testData, runSuffix) => {
-          const logId = `stdout-log-${test.id || testIndex}-${runSuffix}`;
-          return `
-          <p><strong>Full Path:</strong> ${sanitizeHTML(testData.name)}</p>
-          ${
-            testData.annotations && testData.annotations.length > 0
-              ? `<div class="annotations-section" style="margin: 12px 0; padding: 12px; background-color: rgba(139, 92, 246, 0.1); border: 1px solid rgba(139, 92, 246, 0.3); border-left: 4px solid #8b5cf6; border-radius: 4px;">
-                  <h4 style="margin-top: 0; margin-bottom: 10px; color: #8b5cf6; font-size: 1.1em;">📌 Annotations</h4>
-                  ${testData.annotations
-                    .map((annotation, idx) => {
-                      const isIssueOrBug =
-                        annotation.type === "issue" ||
-                        annotation.type === "bug";
-                      const descriptionText = annotation.description || "";
-                      const typeLabel = sanitizeHTML(annotation.type);
-                      const descriptionHtml =
-                        isIssueOrBug && descriptionText.match(/^[A-Z]+-\\d+$/)
-                          ? `<a href="#" class="annotation-link" data-annotation="${sanitizeHTML(
-                              descriptionText,
-                            )}" style="color: #3b82f6; text-decoration: underline; cursor: pointer;">${sanitizeHTML(
-                              descriptionText,
-                            )}</a>`
-                          : sanitizeHTML(descriptionText);
-                      const locationText = annotation.location
-                        ? `<div style="font-size: 0.85em; color: #6b7280; margin-top: 4px;">Location: ${sanitizeHTML(
-                            annotation.location.file,
-                          )}:${annotation.location.line}:${
-                            annotation.location.column
-                          }</div>`
-                        : "";
-                      return `<div style="margin-bottom: ${
-                        idx < testData.annotations.length - 1 ? "10px" : "0"
-                      };">
-                      <strong style="color: #8b5cf6;">Type:</strong> <span style="background-color: rgba(139, 92, 246, 0.2); padding: 2px 8px; border-radius: 4px; font-size: 0.9em;">${typeLabel}</span>
-                      ${
-                        descriptionText
-                          ? `<br><strong style="color: #8b5cf6;">Description:</strong> ${descriptionHtml}`
-                          : ""
-                      }
-                      ${locationText}
-                    </div>`;
-                    })
-                    .join("")}
-                </div>`
-              : ""
-          }
-          <p><strong>Test run Worker ID:</strong> ${sanitizeHTML(
-            testData.workerId,
-          )} [<strong>Total No. of Workers:</strong> ${sanitizeHTML(
-            testData.totalWorkers,
-          )}]</p>
-          ${
-            testData.errorMessage
-              ? `<div class="test-error-summary"><div class="stack-trace">${formatPlaywrightError(
-                  testData.errorMessage,
-                )}</div>
-                <button 
-                        class="copy-error-btn" 
-                        onclick="copyErrorToClipboard(this)"
-                        style="
-                          margin-top: 8px;
-                          padding: 6px 12px;
-                          background: rgba(248, 113, 113, 0.15);
-                          border: 2px solid var(--danger-color);
-                          border-radius: 6px;
-                          cursor: pointer;
-                          font-size: 12px;
-                          color: var(--danger-color);
-                          font-weight: 600;
-                          transition: 0.2s;
-                          align-self: flex-end;
-                          width: auto;
-                          "
-                            onmouseover="this.style.background='#e0e0e0'"
-                            onmouseout="this.style.background='#f0f0f0'"
-                      > 
-                        Copy Error Prompt
-                      </button>
-                </div>`
-              : ""
-          }
-          ${
-            testData.snippet
-              ? `<div class="code-section"><h4>Error Snippet</h4><pre><code>${formatPlaywrightError(
-                  testData.snippet,
-                )}</code></pre></div>`
-              : ""
-          }
-          <h4>Steps</h4>
-          <div class="steps-list">${generateStepsHTML(testData.steps)}</div>
-          ${(() => {
-            if (!testData.stdout || testData.stdout.length === 0) return "";
-            return `<div class="console-output-section">
-                          <h4>Console Output (stdout)
-                          <button class="copy-btn" onclick="copyLogContent('${logId}', this)">Copy</ button>
-                          </h4>
-                          <div class="log-wrapper">
-                              <pre id="${logId}" class="console-log stdout-log" style="background-color: #2d2d2d; color: wheat; padding: 1.25em; border-radius: 0.85em; line-height: 1.2;">${formatPlaywrightError(
-                                testData.stdout
-                                  .map((line) => sanitizeHTML(line))
-                                  .join("\n"),
-                              )}</pre>
-                          </div>
-                      </div>`;
-          })()}
-          ${
-            testData.stderr && testData.stderr.length > 0
-              ? `<div class="console-output-section"><h4>Console Output (stderr)</h4><pre class="console-log stderr-log" style="background-color: #2d2d2d; color: indianred; padding: 1.25em; border-radius: 0.85em; line-height: 1.2;">${formatPlaywrightError(
-                  testData.stderr.map((line) => sanitizeHTML(line)).join("\n"),
-                )}</pre></div>`
-              : ""
-          }
-          ${
-            testData.screenshots && testData.screenshots.length > 0
-              ? `
-            <div class="attachments-section">
-                <h4>Screenshots</h4>
-                <div class="attachments-grid">
-                ${testData.screenshots
-                  .map(
-                    (screenshot, screenshotIndex) => `
-                    <div class="attachment-item">
-                    <img src="${sanitizeHTML(screenshot)}" alt="Screenshot ${
-                      screenshotIndex + 1
-                    }">
-                    <div class="attachment-info">
-                        <div class="trace-actions">
-                        <a href="${sanitizeHTML(
-                          screenshot,
-                        )}" target="_blank" class="view-full">View Full Image</a>
-                        <a href="${sanitizeHTML(
-                          screenshot,
-                        )}" target="_blank" download="screenshot-${Date.now()}-${screenshotIndex}.png">Download</a>
-                        </div>
-                    </div>
-                    </div>
-                `,
-                  )
-                  .join("")}
-                </div>
-            </div>
-            `
-              : ""
-          }
-          ${
-            testData.videoPath && testData.videoPath.length > 0
-              ? `<div class="attachments-section"><h4>Videos</h4><div class="attachments-grid">${testData.videoPath
-                  .map((videoUrl, videoIndex) => {
-                    const fixedVideoUrl = sanitizeHTML(videoUrl);
-                    const fileExtension = String(fixedVideoUrl)
-                      .split(".")
-                      .pop()
-                      .toLowerCase();
-                    const mimeType =
-                      {
-                        mp4: "video/mp4",
-                        webm: "video/webm",
-                        ogg: "video/ogg",
-                        mov: "video/quicktime",
-                        avi: "video/x-msvideo",
-                      }[fileExtension] || "video/mp4";
-                    return `<div class="attachment-item video-item">
-                            <video controls width="100%" height="auto" title="Video ${
-                              videoIndex + 1
-                            }">
-                                <source src="${sanitizeHTML(
-                                  fixedVideoUrl,
-                                )}" type="${mimeType}">
-                                Your browser does not support the video tag.
-                            </video>
-                            <div class="attachment-info">
-                                <div class="trace-actions">
-                                <a href="${sanitizeHTML(
-                                  fixedVideoUrl,
-                                )}" target="_blank" download="video-${Date.now()}-${videoIndex}.${fileExtension}">Download</a>
-                                </div>
-                            </div>
-                        </div>`;
-                  })
-                  .join("")}</div></div>`
-              : ""
-          }
-          ${
-            testData.tracePath
-              ? `
-            <div class="attachments-section">
-                <h4>Trace Files</h4>
-                <div class="attachments-grid">
-                    <div class="attachment-item trace-item">
-                        <div class="trace-preview">
-                        <span class="trace-icon">📄</span>
-                        <span class="trace-name">${sanitizeHTML(
-                          path.basename(testData.tracePath),
-                        )}</span>
-                        </div>
-                        <div class="attachment-info">
-                        <div class="trace-actions">
-                            <a href="${sanitizeHTML(
-                              sanitizeHTML(testData.tracePath),
-                            )}" target="_blank" download="${sanitizeHTML(
-                              path.basename(testData.tracePath),
-                            )}" class="download-trace">Download Trace</a>
-                        </div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-            `
-              : ""
-          }
-          ${
-            testData.attachments && testData.attachments.length > 0
-              ? `
-            <div class="attachments-section">
-                <h4>Other Attachments</h4>
-                <div class="attachments-grid">
-                ${testData.attachments
-                  .map(
-                    (attachment) => `
-                    <div class="attachment-item generic-attachment">
-                        <div class="attachment-icon">${getAttachmentIcon(
-                          attachment.contentType,
-                        )}</div>
-                        <div class="attachment-caption">
-                        <span class="attachment-name" title="${sanitizeHTML(
-                          attachment.name,
-                        )}">${sanitizeHTML(attachment.name)}</span>
-                        <span class="attachment-type">${sanitizeHTML(
-                          attachment.contentType,
-                        )}</span>
-                        </div>
-                        <div class="attachment-info">
-                        <div class="trace-actions">
-                        <a href="${sanitizeHTML(
-                          sanitizeHTML(attachment.path),
-                        )}" target="_blank" class="view-full">View</a>
-                            <a href="${sanitizeHTML(
-                              sanitizeHTML(attachment.path),
-                            )}" target="_blank" download="${sanitizeHTML(
-                              attachment.name,
-                            )}" class="download-trace">Download</a>
-                        </div>
-                        </div>
-                    </div>
-                `,
-                  )
-                  .join("")}
-                </div>
-            </div>
-            `
-              : ""
-          }
-        `;
-        };
+  if (type === "video") {
+    mediaTag = `<video id="${uniqueId}" controls style="display:none; width: 100%; aspect-ratio: 16/9; margin-bottom: 10px;"></video>`;
+    btnText = "▶ Load Video";
+  } else {
+    mediaTag = `<img id="${uniqueId}" alt="Screenshot ${index}" style="display:none; width: 100%; aspect-ratio: 4/3; object-fit: cover; border-bottom: 1px solid var(--border-color);" />`;
+    btnText = "📷 Load Image";
+  }
 
+  return `
+  <div class="attachment-item ${type === "video" ? "video-item" : ""}">
+      ${storage}
+      <div class="lazy-placeholder" style="padding: 2rem; text-align: center; background: var(--light-gray-color); display: flex; flex-direction: column; align-items: center; justify-content: center; height: 180px;">
+          <button class="ai-fix-btn" onclick="loadMedia('${uniqueId}', '${type}')" style="margin: 0 auto; font-size: 0.9rem;">${btnText}</button>
+          <span style="font-size: 0.8rem; color: var(--text-color-secondary); margin-top: 8px;">(Click to view)</span>
+      </div>
+      ${mediaTag}
+      <div class="attachment-info">
+          <div class="trace-actions">
+              <a href="#" onclick="event.preventDefault(); downloadMedia('${uniqueId}', '${filename}')" class="download-trace" style="width:100%; text-align:center;">Download</a>
+          </div>
+      </div>
+  </div>`;
+}
+/**
+ * Generates the HTML report.
+ * @param {object} reportData - The data for the report.
+ * @param {object} trendData - The data for the trend chart.
+ * @returns {string} The HTML report.
+ */
+function generateHTML(reportData, trendData = null) {
+  const { run, results } = reportData;
+  const sources = reportData.sources || {};
+  const suitesData = getSuitesData(reportData.results || []);
+  const runSummary = run || {
+    totalTests: 0,
+    passed: 0,
+    failed: 0,
+    skipped: 0,
+    duration: 0,
+    timestamp: new Date().toISOString(),
+  };
 
-       // Determine header status: use final_status if retried, else normal status
-       const headerStatus = (test.retryHistory && test.retryHistory.length > 0 && test.final_status) 
-          ? test.final_status 
-          : test.status;
+  const avgTestDuration =
+    runSummary.totalTests > 0
+      ? formatDuration(runSummary.duration / runSummary.totalTests)
+      : "0.0s";
 
-       const outcomeBadge = (test.outcome && test.outcome !== 'flaky') 
-          ? `<span class="outcome-badge ${test.outcome}">${test.outcome}</span>` 
-          : '';
+  const flakyCount = (results || []).filter(r => r.outcome === 'flaky').length;
 
-        return `
-      <div class="test-case" data-status="${
-        headerStatus
-      }" data-browser="${sanitizeHTML(browser)}" data-tags="${(test.tags || [])
-        .join(",")
-        .toLowerCase()}">
-        <div class="test-case-header" role="button" aria-expanded="false">
-          <div class="test-case-summary">
-            <span class="test-case-title" title="${sanitizeHTML(
-              test.name,
-            )}">${sanitizeHTML(testTitle)}</span>
-            <span class="test-case-browser">(${sanitizeHTML(browser)})</span>
-          </div>
-          <div class="test-case-meta">
-            ${severityBadge}
-            ${retryBadge}
-            ${outcomeBadge}
-            ${
-              test.tags && test.tags.length > 0
-                ? test.tags
-                    .map((t) => `<span class="tag">${sanitizeHTML(t)}</span>`)
-                    .join(" ")
-                : ""
-            }
-          </div>
-          <div class="test-case-status-duration">
-            <span class="status-badge ${getStatusClass(headerStatus)}">${String(
-              headerStatus,
-            ).toUpperCase()}</span>
-            <span class="test-duration">${formatDuration(test.duration)}</span>
-          </div>
-        </div>
-        <div class="test-case-content" style="display: none;">
-          ${test.retryHistory && test.retryHistory.length > 0 ? `
-            <div class="retry-tabs-container">
-              <div class="retry-tabs-header">
-                <button class="retry-tab active" onclick="switchRetryTab(event, 'base-run-${test.id}')">
-                   Base Run ${getSmallStatusBadge(test.final_status || test.status)}
-                </button>
-                ${test.retryHistory.map((retry, idx) => `
-                  <button class="retry-tab" onclick="switchRetryTab(event, 'retry-${idx + 1}-${test.id}')">
-                    Retry ${idx + 1} ${getSmallStatusBadge(retry.final_status || retry.status)}
-                  </button>
-                `).join('')}
-              </div>
-              
-              <div id="base-run-${test.id}" class="retry-tab-content active">
-                ${getTestContentHTML(test, 'base')}
-              </div>
-              
-              ${test.retryHistory.map((retry, idx) => `
-                <div id="retry-${idx + 1}-${test.id}" class="retry-tab-content" style="display: none;">
-                  ${getTestContentHTML(retry, `retry-${idx + 1}`)}
-                </div>
-              `).join('')}
-            </div>
-          ` : getTestContentHTML(test, 'single')}
-        </div>
-      </div>`;
-      })
-      .join("");
-  }
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <link rel="icon" type="image/png" href=${logo}>
-    <link rel="apple-touch-icon" href=${logo}>
-    <!-- Preconnect to external domains -->
-    <link rel="preconnect" href="https://fonts.googleapis.com" crossorigin>
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-    
-    <!-- Preload critical font -->
+  // Calculate retry statistics
+  let retriedTestsCount = 0;
+  const totalRetried = (results || []).reduce((acc, test) => {
+    if (test.retryHistory && test.retryHistory.length > 0) {
+      // Filter out any "passed" or "skipped" entries in the history
+      // We only count attempts that actually failed or timed out, triggering a retry.
+      const unsuccessfulRetries = test.retryHistory.filter(attempt => 
+        attempt.status === 'failed' || attempt.status === 'timedOut' || attempt.status === 'interrupted' || attempt.status === 'unexpected-success' || attempt.status === 'flaky'
+      );
+      if (unsuccessfulRetries.length > 0) {
+        retriedTestsCount++;
+      }
+      return acc + unsuccessfulRetries.length;
+    }
+    return acc;
+  }, 0);
 
-    <link rel="preload" href="https://fonts.googleapis.com/css2?family=Plus+Jakarta+Sans:wght@400;600;700&display=swap" as="style" onload="this.onload=null;this.rel='stylesheet'">
-    <noscript><link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Plus+Jakarta+Sans:wght@400;600;700&display=swap"></noscript>
-    
-    ${highchartsContent ? `<script>${highchartsContent}</script>` : '<script src="https://code.highcharts.com/highcharts.js" defer></script>'}
-    <title>Pulse Static Report</title>
-    
-<style>
-        :root { 
-  --primary-color: #f9fafb; --primary-dark: #e5e7eb; --primary-light: #ffffff;
-  --secondary-color: #d1d5db; --secondary-dark: #9ca3af; --secondary-light: #f3f4f6;
-  --accent-color: #ffffff; --accent-alt: #a3a3a3;
-  --success-color: #34d399; --success-dark: #10b981; --success-light: #6ee7b7;
-  --danger-color: #f87171; --danger-dark: #ef4444; --danger-light: #fca5a5;
-  --warning-color: #fbbf24; --warning-dark: #f59e0b; --warning-light: #fcd34d;
-  --info-color: #9ca3af;
-  --flaky-color: #00ccd3; 
-  --text-primary: #f9fafb; --text-secondary: #e5e7eb; --text-tertiary: #d1d5db;
-  --bg-primary: #000000; --bg-secondary: #0a0a0a; --bg-tertiary: #050505;
-  --bg-card: #0d0d0d; --bg-card-hover: #121212;
-  --border-light: #1a1a1a; --border-medium: #262626; --border-dark: #333333;
-  --light-gray-color: #262626; --medium-gray-color: #333333; --dark-gray-color: #a3a3a3;
-  --text-color: #f9fafb; --text-color-secondary: #e5e7eb; --border-color: #262626;
-  --card-background-color: #0d0d0d;
-  --neutral-100: #171717; --neutral-200: #262626; --neutral-300: #404040;
-  --bg-hover: #171717;
-  --font-family: 'Plus Jakarta Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-  --radius-sm: 8px; --radius-md: 12px; --radius-lg: 16px; --radius-xl: 20px; --radius-2xl: 24px;
-  --shadow-xs: 0 1px 2px 0 rgba(0, 0, 0, 0.8);
-  --shadow-sm: 0 2px 4px 0 rgba(0, 0, 0, 0.9);
-  --shadow-md: 0 4px 8px -1px rgba(0, 0, 0, 0.9);
-  --shadow-lg: 0 8px 16px -2px rgba(0, 0, 0, 0.95);
-  --shadow-xl: 0 12px 24px -4px rgba(0, 0, 0, 0.95);
-  --shadow-2xl: 0 20px 40px -8px rgba(0, 0, 0, 1);
-  --box-shadow: 0 8px 20px rgba(0,0,0,0.8);
-  --box-shadow-light: 0 4px 12px rgba(0,0,0,0.7);
-  --box-shadow-inset: inset 0 1px 3px rgba(0,0,0,0.9);
-  --glow-primary: 0 0 20px rgba(255, 255, 255, 0.1);
-  --glow-success: 0 0 20px rgba(52, 211, 153, 0.2);
-  --glow-danger: 0 0 20px rgba(248, 113, 113, 0.2);
-  --gradient-primary: linear-gradient(135deg, #ffffff 0%, #a3a3a3 100%);
-  --gradient-card: linear-gradient(145deg, #0d0d0d 0%, #0a0a0a 100%);
-  --gradient-border: linear-gradient(145deg, #1a1a1a 0%, #262626 100%);
-}
-* { margin: 0; padding: 0; box-sizing: border-box; }
-        ::selection { background: var(--primary-color); color: #000000; }
-        ::-webkit-scrollbar { width: 0; height: 0; display: none; }
-        ::-webkit-scrollbar-track { display: none; }
-        ::-webkit-scrollbar-thumb { display: none; }
-        ::-webkit-scrollbar-thumb:hover { display: none; }
-        * { scrollbar-width: none; -ms-overflow-style: none; }
-        .trend-chart-container, .test-history-trend div[id^="testHistoryChart-"] { min-height: 100px; }
-        .lazy-load-chart .no-data, .lazy-load-chart .no-data-chart { display: flex; align-items: center; justify-content: center; height: 100%; font-style: italic; color: var(--dark-gray-color); }
-        .highcharts-background { fill: transparent; }
-        .highcharts-title, .highcharts-subtitle { font-family: var(--font-family); }
-        .highcharts-axis-labels text, .highcharts-legend-item text { fill: var(--text-color-secondary) !important; font-size: 12px !important; }
-        .highcharts-axis-title { fill: var(--text-color) !important; }
-        .highcharts-tooltip > span { background-color: rgba(0,0,0,0.95) !important; border: 1px solid var(--border-light) !important; color: var(--text-primary) !important; padding: 12px !important; border-radius: 8px !important; box-shadow: var(--shadow-xl) !important; }
-        body {
-          font-family: var(--font-family);
-          margin: 0;
-          background: radial-gradient(ellipse at top, #0a0a0a 0%, #000000 50%, #000000 100%);
-          background-attachment: fixed;
-          color: var(--text-primary);
-          line-height: 1.6;
-          font-size: 15px;
-          min-height: 100vh;
-          -webkit-font-smoothing: antialiased;
-          -moz-osx-font-smoothing: grayscale;
-          text-rendering: optimizeLegibility;
+  // --- RECALCULATE KPI METRICS BASED ON FINAL_STATUS ---
+  let calculatedPassed = 0;
+  let calculatedFailed = 0;
+  let calculatedSkipped = 0;
+  let calculatedFlaky = 0;
+  let calculatedTimedOut = 0;
+  let calculatedInterrupted = 0;
+  let calculatedExpectedFailures = 0;
+  let calculatedUnexpectedSuccesses = 0;
+  let calculatedExplicitlySkipped = 0;
+  let calculatedTotal = 0;
+
+  (results || []).forEach(test => {
+      calculatedTotal++;
+      // New Logic: If outcome is 'flaky', it overrides everything.
+      let statusToUse = test.status;
+      if (test.outcome === 'flaky') {
+        statusToUse = 'flaky';
+      } else if (test.status === 'flaky') { 
+         // Just in case outcome wasn't set but status was (unlikely with new reporter)
+         statusToUse = 'flaky';
+      } else if (test.retryHistory && test.retryHistory.length > 0 && test.final_status) {
+        statusToUse = test.final_status;
+      }
+      
+      // Update test status in place for charts
+      test.status = statusToUse;
+      
+      const s = String(statusToUse).toLowerCase();
+      if (s === 'passed') calculatedPassed++;
+      else if (s === 'skipped') calculatedSkipped++;
+      else if (s === 'flaky') calculatedFlaky++;
+      else if (s === 'timedout') calculatedTimedOut++;
+      else if (s === 'interrupted') calculatedInterrupted++;
+      else if (s === 'expected-failure') calculatedExpectedFailures++;
+      else if (s === 'unexpected-success') calculatedUnexpectedSuccesses++;
+      else if (s === 'explicitly-skipped') calculatedExplicitlySkipped++;
+      else calculatedFailed++;
+  });
+
+  // Override runSummary counts with our calculated ones if results exist
+  if (results && results.length > 0) {
+      runSummary.passed = calculatedPassed;
+      runSummary.failed = calculatedFailed;
+      runSummary.skipped = calculatedSkipped;
+      runSummary.flaky = calculatedFlaky;
+      runSummary.timedOut = calculatedTimedOut;
+      runSummary.interrupted = calculatedInterrupted;
+      runSummary.expectedFailures = calculatedExpectedFailures;
+      runSummary.unexpectedSuccesses = calculatedUnexpectedSuccesses;
+      runSummary.explicitlySkipped = calculatedExplicitlySkipped;
+      runSummary.totalTests = calculatedTotal;
+  }
+
+  const totalTestsOr1 = runSummary.totalTests || 1;
+  const passPercentage = Math.round((runSummary.passed / totalTestsOr1) * 100);
+  const failPercentage = Math.round((runSummary.failed / totalTestsOr1) * 100);
+  const skipPercentage = Math.round(
+    ((runSummary.skipped || 0) / totalTestsOr1) * 100,
+  );
+  const flakyPercentage = Math.round(((runSummary.flaky || 0) / totalTestsOr1) * 100);
+  const timedOutPercentage = Math.round(
+    ((runSummary.timedOut || 0) / totalTestsOr1) * 100,
+  );
+  const interruptedPercentage = Math.round(
+    ((runSummary.interrupted || 0) / totalTestsOr1) * 100,
+  );
+  const unexpectedSuccessPercentage = Math.round(
+    ((runSummary.unexpectedSuccesses || 0) / totalTestsOr1) * 100,
+  );
+  const expectedOutcomes = [
+    { label: "Expected Failures", count: runSummary.expectedFailures || 0 },
+    { label: "Explicitly Skipped", count: runSummary.explicitlySkipped || 0 },
+  ];
+
+
+  // Calculate browser distribution
+  const browserStats = (results || []).reduce((acc, test) => {
+    let browserName = "unknown";
+    if (test.browser) {
+      // Use full browser name
+      browserName = test.browser;
+    }
+    acc[browserName] = (acc[browserName] || 0) + 1;
+    return acc;
+  }, {});
+
+  const totalTests = runSummary.totalTests || 1;
+  const browserBreakdown = Object.entries(browserStats)
+    .map(([browser, count]) => ({
+      browser,
+      count,
+      percentage: Math.round((count / totalTests) * 100),
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  /**
+   * Generates the HTML for the test cases.
+   * @returns {string} The HTML for the test cases.
+   */
+  // MODIFIED: Accepts 'subset' (chunk of tests) and 'offset' (start index)
+  function generateTestCasesHTML(subset, offset = 0) {
+    // Use the subset if provided, otherwise fallback to all results (legacy compatibility)
+    const data = subset || results;
+
+    if (!data || data.length === 0)
+      return '<div class="no-tests">No test results found in this run.</div>';
+
+    // testIndex is the position in results (essential for unique IDs across chunks)
+    const renderTestCase = (test, testIndex) => {
+
+        const browser = test.browser || "unknown";
+        const testFileParts = test.name.split(" > ");
+        const testTitle =
+          testFileParts[testFileParts.length - 1] || "Unnamed Test";
+
+        // --- Simplified Severity Badge ---
+        const severity = test.severity || "Medium";
+        const severityBadge = `<span class="severity-badge" data-severity="${severity.toLowerCase()}">${severity}</span>`;
+
+        // --- Retry Count Badge (only show if retries occurred) ---
+        const retryCount = (test.retryHistory && test.retryHistory.length > 0) ? test.retryHistory.length : 0;
+        const retryBadge = (test.retryHistory && test.retryHistory.length > 0) ? `<span class="retry-badge">Retry Count: ${retryCount}</span>` : '';
+
+        // --- Step Generation ---
+        const generateStepsHTML = (steps, depth = 0) => {
+          if (!steps || steps.length === 0)
+            return "<div class='no-steps'>No steps recorded for this test.</div>";
+          return steps
+            .map((step) => {
+              const hasNestedSteps = step.steps && step.steps.length > 0;
+              const isHook = step.hookType;
+              const isFailedStep = step.isFailedStep === true;
+              const stepClass = isHook
+                ? `step-hook step-hook-${step.hookType}`
+                : "";
+              const failedStepClass = isFailedStep ? " failed-step-highlight" : "";
+              // Hooks with a custom title do not say which kind of hook they are
+              const hookIndicator =
+                isHook &&
+                !step.title.toLowerCase().includes(step.hookType.toLowerCase())
+                  ? ` (${step.hookType} hook)`
+                  : "";
+              const failedStepIndicator = isFailedStep ? ` <span class="failed-step-marker">⚠️ Failed at this step</span>` : "";
+              return `
+          <div class="step-item${failedStepClass}" style="--depth: ${depth};">
+            <div class="step-header ${stepClass}" role="button" aria-expanded="false">
+              <span class="step-icon">${getStatusIcon(step.status)}</span>
+              <span class="step-title">${generateStepCategoryChip(step)}${sanitizeHTML(
+                step.title,
+              )}${hookIndicator}${failedStepIndicator}</span>
+              <span class="step-duration">${formatDuration(
+                step.duration,
+              )}</span>
+            </div>
+            <div class="step-details" style="display: none;">
+              ${
+                step.codeLocation
+                  ? `<div class="step-info code-section"><strong>Location:</strong> ${sanitizeHTML(
+                      step.codeLocation,
+                    )}</div>`
+                  : ""
+              }
+              ${
+                step.sourceRef && sources[step.sourceRef]
+                  ? generateSourcePanelHTML(
+                      sources[step.sourceRef],
+                      getLocationColumn(step.codeLocation),
+                    )
+                  : step.codeSnippet
+                    ? `<div class="code-snippet-section"><pre class="code-snippet">${sanitizeHTML(
+                        step.codeSnippet,
+                      )}</pre></div>`
+                    : ""
+              }
+              ${
+                step.errorMessage
+                  ? `<div class="test-error-summary">
+                      ${
+                        step.stackTrace
+                          ? `<div class="stack-trace">${formatPlaywrightError(
+                              step.stackTrace,
+                            )}</div>`
+                          : ""
+                      }
+                      <button class="copy-error-btn" onclick="copyErrorToClipboard(this)" style="margin-top: 8px; padding: 6px 12px; background: rgba(248, 113, 113, 0.15); border: 2px solid var(--danger-color); border-radius: 6px; cursor: pointer; font-size: 12px; color: var(--danger-color); font-weight: 600; transition: all 0.2s; align-self: flex-end; width: auto;" onmouseover="this.style.background='rgba(248, 113, 113, 0.25)'" onmouseout="this.style.background='rgba(248, 113, 113, 0.15)'">Copy Error Prompt</button>
+                    </div>`
+                  : ""
+              }
+              ${
+                hasNestedSteps
+                  ? `<div class="nested-steps">${generateStepsHTML(
+                      step.steps,
+                      depth + 1,
+                    )}</div>`
+                  : ""
+              }
+            </div>
+          </div>`;
+            })
+            .join("");
+        };
+
+        // Helper for Tab Badges
+        const getSmallStatusBadge = (status) => {
+            const s = String(status).toLowerCase();
+            let colorVar = 'var(--text-tertiary)';
+            if(s === 'passed') colorVar = 'var(--success-color)';
+            else if(s === 'failed') colorVar = 'var(--danger-color)';
+            else if(s === 'skipped') colorVar = 'var(--warning-color)';
+            else if(s === 'flaky') colorVar = '#00ccd3';
+            else if(s === 'timedout') colorVar = '#f97316';
+            else if(s === 'interrupted') colorVar = '#8b5cf6';
+            else if(s === 'expected-failure') colorVar = '#84cc16';
+            else if(s === 'unexpected-success') colorVar = '#ec4899';
+            else if(s === 'explicitly-skipped') colorVar = '#fbbf24';
+            
+            return `<span style="
+                display: inline-block; 
+                width: 8px; 
+                height: 8px; 
+                border-radius: 50%; 
+                background-color: ${colorVar}; 
+                margin-left: 6px;
+                vertical-align: middle;
+            " title="${s}"></span>`;
+        };
+
+        // Function to generate test content HTML (used for base run and retry tabs)
+        const getTestContentHTML = (testData, runSuffix) => {
+          const logId = `stdout-log-${test.id || testIndex}-${runSuffix}`;
+          return `
+          <p><strong>Full Path:</strong> ${sanitizeHTML(testData.name)}</p>
+          ${generateTestMetadataHTML(testData)}
+          ${
+            testData.annotations && testData.annotations.length > 0
+              ? `<div class="annotations-section" style="margin: 12px 0; padding: 12px; background-color: rgba(139, 92, 246, 0.1); border: 1px solid rgba(139, 92, 246, 0.3); border-left: 4px solid #8b5cf6; border-radius: 4px;">
+                  <h4 style="margin-top: 0; margin-bottom: 10px; color: #8b5cf6; font-size: 1.1em;">📌 Annotations</h4>
+                  ${testData.annotations
+                    .map((annotation, idx) => {
+                      const isIssueOrBug =
+                        annotation.type === "issue" ||
+                        annotation.type === "bug";
+                      const descriptionText = annotation.description || "";
+                      const typeLabel = sanitizeHTML(annotation.type);
+                      const descriptionHtml =
+                        isIssueOrBug && descriptionText.match(/^[A-Z]+-\\d+$/)
+                          ? `<a href="#" class="annotation-link" data-annotation="${sanitizeHTML(
+                              descriptionText,
+                            )}" style="color: #3b82f6; text-decoration: underline; cursor: pointer;">${sanitizeHTML(
+                              descriptionText,
+                            )}</a>`
+                          : sanitizeHTML(descriptionText);
+                      const locationText = annotation.location
+                        ? `<div style="font-size: 0.85em; color: #6b7280; margin-top: 4px;">Location: ${sanitizeHTML(
+                            annotation.location.file,
+                          )}:${annotation.location.line}:${
+                            annotation.location.column
+                          }</div>`
+                        : "";
+                      return `<div style="margin-bottom: ${
+                        idx < testData.annotations.length - 1 ? "10px" : "0"
+                      };">
+                      <strong style="color: #8b5cf6;">Type:</strong> <span style="background-color: rgba(139, 92, 246, 0.2); padding: 2px 8px; border-radius: 4px; font-size: 0.9em;">${typeLabel}</span>
+                      ${
+                        descriptionText
+                          ? `<br><strong style="color: #8b5cf6;">Description:</strong> ${descriptionHtml}`
+                          : ""
+                      }
+                      ${locationText}
+                    </div>`;
+                    })
+                    .join("")}
+                </div>`
+              : ""
+          }
+          <p><strong>Test run Worker ID:</strong> ${sanitizeHTML(
+            testData.workerId,
+          )}${
+            testData.workerIndex >= 0
+              ? ` (process #${sanitizeHTML(testData.workerIndex)})`
+              : ""
+          } [<strong>Total No. of Workers:</strong> ${sanitizeHTML(
+            testData.totalWorkers,
+          )}]</p>
+          ${generateTestParametersHTML(testData.parameters)}
+          ${generateCustomFieldsHTML(testData.customFields)}
+          ${generateTestMetricsHTML(testData.metrics)}
+          ${getTestErrors(testData)
+            .map(
+              (error, index, errors) => `<div class="test-error-summary">${
+                errors.length > 1
+                  ? `<div class="test-error-heading">Error ${index + 1} of ${errors.length}${
+                      error.location
+                        ? ` <span class="test-error-location">${sanitizeHTML(
+                            `${error.location.file.split(/[\\/]/).pop()}:${error.location.line}`,
+                          )}</span>`
+                        : ""
+                    }</div>`
+                  : ""
+              }<div class="stack-trace">${formatPlaywrightError(
+                error.message || "",
+              )}</div>${
+                error.matcherFailure
+                  ? generateMatcherDiffHTML(error.matcherFailure)
+                  : ""
+              }
+                <button 
+                        class="copy-error-btn" 
+                        onclick="copyErrorToClipboard(this)"
+                        style="
+                          margin-top: 8px;
+                          padding: 6px 12px;
+                          background: rgba(248, 113, 113, 0.15);
+                          border: 2px solid var(--danger-color);
+                          border-radius: 6px;
+                          cursor: pointer;
+                          font-size: 12px;
+                          color: var(--danger-color);
+                          font-weight: 600;
+                          transition: 0.2s;
+                          align-self: flex-end;
+                          width: auto;
+                          "
+                            onmouseover="this.style.background='#e0e0e0'"
+                            onmouseout="this.style.background='#f0f0f0'"
+                      > 
+                        Copy Error Prompt
+                      </button>
+                </div>${
+                  error.sourceRef && sources[error.sourceRef]
+                    ? `<div class="code-section"><h4>Source</h4>${generateSourcePanelHTML(
+                        sources[error.sourceRef],
+                        error.location?.column,
+                      )}</div>`
+                    : error.snippet
+                    ? `<div class="code-section"><h4>Error Snippet</h4><pre><code>${formatPlaywrightError(
+                        error.snippet,
+                      )}</code></pre></div>`
+                    : ""
+                }`,
+            )
+            .join("")}
+          <h4>Steps</h4>
+          <div class="steps-list">${generateStepsHTML(testData.steps)}</div>
+          ${generateStepWaterfallHTML(testData)}
+          ${generateLogTimelineHTML(testData)}
+          ${generateBrowserConsoleHTML(testData)}
+          ${generateNetworkHTML(testData)}
+          ${(() => {
+            if (!testData.stdout || testData.stdout.length === 0) return "";
+            return `<div class="console-output-section">
+                          <h4>Console Output (stdout)
+                          <button class="copy-btn" onclick="copyLogContent('${logId}', this)">Copy</ button>
+                          </h4>
+                          <div class="log-wrapper">
+                              <pre id="${logId}" class="console-log stdout-log" style="background-color: #2d2d2d; color: wheat; padding: 1.25em; border-radius: 0.85em; line-height: 1.2;">${formatPlaywrightError(
+                                testData.stdout
+                                  .map((line) => sanitizeHTML(line))
+                                  .join("\n"),
+                              )}</pre>
+                          </div>
+                      </div>`;
+          })()}
+          ${
+            testData.stderr && testData.stderr.length > 0
+              ? `<div class="console-output-section"><h4>Console Output (stderr)</h4><pre class="console-log stderr-log" style="background-color: #2d2d2d; color: indianred; padding: 1.25em; border-radius: 0.85em; line-height: 1.2;">${formatPlaywrightError(
+                  testData.stderr.map((line) => sanitizeHTML(line)).join("\n"),
+                )}</pre></div>`
+              : ""
+          }
+          ${
+            testData.screenshots && testData.screenshots.length > 0
+              ? `
+            <div class="attachments-section">
+                <h4>Screenshots</h4>
+                <div class="attachments-grid">
+                ${testData.screenshots
+                  .map((screenshot, screenshotIndex) => {
+                    // Data URIs are already self-contained, no path to resolve
+                    const inline = isDataUri(screenshot);
+                    const src = inline ? screenshot : sanitizeHTML(screenshot);
+                    const extension = inline
+                      ? (screenshot.match(/^data:image\/(\w+)/) || [])[1] || "png"
+                      : "png";
+                    return `
+                    <div class="attachment-item">
+                    <img src="${src}" alt="Screenshot ${
+                      screenshotIndex + 1
+                    }">
+                    <div class="attachment-info">
+                        <div class="trace-actions">
+                        <a href="${src}" ${
+                          inline
+                            ? 'onclick="openDataUri(event, this.href)"'
+                            : 'target="_blank"'
+                        } class="view-full">View Full Image</a>
+                        <a href="${src}" target="_blank" download="screenshot-${Date.now()}-${screenshotIndex}.${extension}">Download</a>
+                        </div>
+                    </div>
+                    </div>
+                `;
+                  })
+                  .join("")}
+                </div>
+            </div>
+            `
+              : ""
+          }
+          ${
+            testData.videoPath && testData.videoPath.length > 0
+              ? `<div class="attachments-section"><h4>Videos</h4><div class="attachments-grid">${testData.videoPath
+                  .map((videoUrl, videoIndex) => {
+                    const fixedVideoUrl = sanitizeHTML(videoUrl);
+                    const fileExtension = String(fixedVideoUrl)
+                      .split(".")
+                      .pop()
+                      .toLowerCase();
+                    const mimeType =
+                      {
+                        mp4: "video/mp4",
+                        webm: "video/webm",
+                        ogg: "video/ogg",
+                        mov: "video/quicktime",
+                        avi: "video/x-msvideo",
+                      }[fileExtension] || "video/mp4";
+                    return `<div class="attachment-item video-item">
+                            <video controls width="100%" height="auto" title="Video ${
+                              videoIndex + 1
+                            }">
+                                <source src="${sanitizeHTML(
+                                  fixedVideoUrl,
+                                )}" type="${mimeType}">
+                                Your browser does not support the video tag.
+                            </video>
+                            <div class="attachment-info">
+                                <div class="trace-actions">
+                                <a href="${sanitizeHTML(
+                                  fixedVideoUrl,
+                                )}" target="_blank" download="video-${Date.now()}-${videoIndex}.${fileExtension}">Download</a>
+                                </div>
+                            </div>
+                        </div>`;
+                  })
+                  .join("")}</div></div>`
+              : ""
+          }
+          ${
+            testData.tracePath
+              ? `
+            <div class="attachments-section">
+                <h4>Trace Files</h4>
+                <div class="attachments-grid">
+                    <div class="attachment-item trace-item">
+                        <div class="trace-preview">
+                        <span class="trace-icon">📄</span>
+                        <span class="trace-name">${sanitizeHTML(
+                          getAttachmentFileName(testData.tracePath, "trace"),
+                        )}</span>
+                        </div>
+                        <div class="attachment-info">
+                        <div class="trace-actions">
+                            <a href="${sanitizeHTML(
+                              sanitizeHTML(testData.tracePath),
+                            )}" target="_blank" download="${sanitizeHTML(
+                              getAttachmentFileName(testData.tracePath, "trace"),
+                            )}" class="download-trace">Download Trace</a>
+                        </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            `
+              : ""
+          }
+          ${
+            testData.attachments && testData.attachments.length > 0
+              ? `
+            <div class="attachments-section">
+                <h4>Other Attachments</h4>
+                <div class="attachments-grid">
+                ${testData.attachments
+                  .map(
+                    (attachment) => `
+                    <div class="attachment-item generic-attachment">
+                        <div class="attachment-icon">${getAttachmentIcon(
+                          attachment.contentType,
+                        )}</div>
+                        <div class="attachment-caption">
+                        <span class="attachment-name" title="${sanitizeHTML(
+                          attachment.name,
+                        )}">${sanitizeHTML(attachment.name)}</span>
+                        <span class="attachment-type">${sanitizeHTML(
+                          attachment.contentType,
+                        )}</span>
+                        </div>
+                        <div class="attachment-info">
+                        <div class="trace-actions">
+                        <a href="${sanitizeHTML(
+                          sanitizeHTML(attachment.path),
+                        )}" target="_blank" class="view-full">View</a>
+                            <a href="${sanitizeHTML(
+                              sanitizeHTML(attachment.path),
+                            )}" target="_blank" download="${sanitizeHTML(
+                              attachment.name,
+                            )}" class="download-trace">Download</a>
+                        </div>
+                        </div>
+                    </div>
+                `,
+                  )
+                  .join("")}
+                </div>
+            </div>
+            `
+              : ""
+          }
+        `;
+        };
+
+
+       // Determine header status: use final_status if retried, else normal status
+       const headerStatus = (test.retryHistory && test.retryHistory.length > 0 && test.final_status) 
+          ? test.final_status 
+          : test.status;
+
+       const outcomeBadge = (test.outcome && test.outcome !== 'flaky') 
+          ? `<span class="outcome-badge ${test.outcome}">${test.outcome}</span>` 
+          : '';
+
+        return `
+      <div class="test-case" id="test-case-${testIndex}" data-status="${
+        headerStatus
+      }" data-browser="${sanitizeHTML(browser)}" data-tags="${(test.tags || [])
+        .join(",")
+        .toLowerCase()}" data-custom-fields="${getCustomFieldTokens(test)}">
+        <div class="test-case-header" role="button" aria-expanded="false">
+          <div class="test-case-summary">
+            <span class="test-case-title" title="${sanitizeHTML(
+              test.name,
+            )}">${sanitizeHTML(testTitle)}</span>
+            <span class="test-case-browser">(${sanitizeHTML(browser)})</span>
+          </div>
+          <div class="test-case-meta">
+            ${severityBadge}
+            ${retryBadge}
+            ${outcomeBadge}
+            ${
+              test.tags && test.tags.length > 0
+                ? test.tags
+                    .map((t) => `<span class="tag">${sanitizeHTML(t)}</span>`)
+                    .join(" ")
+                : ""
+            }
+          </div>
+          <div class="test-case-status-duration">
+            <span class="status-badge ${getStatusClass(headerStatus)}">${String(
+              headerStatus,
+            ).toUpperCase()}</span>
+            <span class="test-duration">${formatDuration(test.duration)}</span>
+          </div>
+        </div>
+        <div class="test-case-content" style="display: none;">
+          ${test.retryHistory && test.retryHistory.length > 0 ? `
+            <div class="retry-tabs-container">
+              <div class="retry-tabs-header">
+                <button class="retry-tab active" onclick="switchRetryTab(event, 'base-run-${test.id}')">
+                   Base Run ${getSmallStatusBadge(test.final_status || test.status)}
+                </button>
+                ${test.retryHistory.map((retry, idx) => `
+                  <button class="retry-tab" onclick="switchRetryTab(event, 'retry-${idx + 1}-${test.id}')">
+                    Retry ${idx + 1} ${getSmallStatusBadge(retry.final_status || retry.status)}
+                  </button>
+                `).join('')}
+              </div>
+              
+              <div id="base-run-${test.id}" class="retry-tab-content active">
+                ${getTestContentHTML(test, 'base')}
+              </div>
+              
+              ${test.retryHistory.map((retry, idx) => `
+                <div id="retry-${idx + 1}-${test.id}" class="retry-tab-content" style="display: none;">
+                  ${getTestContentHTML(retry, `retry-${idx + 1}`)}
+                </div>
+              `).join('')}
+            </div>
+          ` : getTestContentHTML(test, 'single')}
+        </div>
+      </div>`;
+    };
+    return renderTestCasesWithParameterGroups(
+      results,
+      offset,
+      offset + data.length,
+      renderTestCase,
+    );
+  }
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link rel="icon" type="image/png" href=${logo}>
+    <link rel="apple-touch-icon" href=${logo}>
+    <!-- Preconnect to external domains -->
+    <link rel="preconnect" href="https://fonts.googleapis.com" crossorigin>
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    
+    <!-- Preload critical font -->
+
+    <link rel="preload" href="https://fonts.googleapis.com/css2?family=Plus+Jakarta+Sans:wght@400;600;700&display=swap" as="style" onload="this.onload=null;this.rel='stylesheet'">
+    <noscript><link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Plus+Jakarta+Sans:wght@400;600;700&display=swap"></noscript>
+    
+    ${highchartsContent ? `<script>${highchartsContent}</script>` : '<script src="https://code.highcharts.com/highcharts.js" defer></script>'}
+    <title>Pulse Static Report</title>
+    
+<style>
+        :root { 
+  --primary-color: #f9fafb; --primary-dark: #e5e7eb; --primary-light: #ffffff;
+  --secondary-color: #d1d5db; --secondary-dark: #9ca3af; --secondary-light: #f3f4f6;
+  --accent-color: #ffffff; --accent-alt: #a3a3a3;
+  --success-color: #34d399; --success-dark: #10b981; --success-light: #6ee7b7;
+  --danger-color: #f87171; --danger-dark: #ef4444; --danger-light: #fca5a5;
+  --warning-color: #fbbf24; --warning-dark: #f59e0b; --warning-light: #fcd34d;
+  --info-color: #9ca3af;
+  --flaky-color: #00ccd3; 
+  --text-primary: #f9fafb; --text-secondary: #e5e7eb; --text-tertiary: #d1d5db;
+  --bg-primary: #000000; --bg-secondary: #0a0a0a; --bg-tertiary: #050505;
+  --bg-card: #0d0d0d; --bg-card-hover: #121212;
+  --border-light: #1a1a1a; --border-medium: #262626; --border-dark: #333333;
+  --light-gray-color: #262626; --medium-gray-color: #333333; --dark-gray-color: #a3a3a3;
+  --text-color: #f9fafb; --text-color-secondary: #e5e7eb; --border-color: #262626;
+  --card-background-color: #0d0d0d;
+  --neutral-100: #171717; --neutral-200: #262626; --neutral-300: #404040;
+  --bg-hover: #171717;
+  --font-family: 'Plus Jakarta Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+  --radius-sm: 8px; --radius-md: 12px; --radius-lg: 16px; --radius-xl: 20px; --radius-2xl: 24px;
+  --shadow-xs: 0 1px 2px 0 rgba(0, 0, 0, 0.8);
+  --shadow-sm: 0 2px 4px 0 rgba(0, 0, 0, 0.9);
+  --shadow-md: 0 4px 8px -1px rgba(0, 0, 0, 0.9);
+  --shadow-lg: 0 8px 16px -2px rgba(0, 0, 0, 0.95);
+  --shadow-xl: 0 12px 24px -4px rgba(0, 0, 0, 0.95);
+  --shadow-2xl: 0 20px 40px -8px rgba(0, 0, 0, 1);
+  --box-shadow: 0 8px 20px rgba(0,0,0,0.8);
+  --box-shadow-light: 0 4px 12px rgba(0,0,0,0.7);
+  --box-shadow-inset: inset 0 1px 3px rgba(0,0,0,0.9);
+  --glow-primary: 0 0 20px rgba(255, 255, 255, 0.1);
+  --glow-success: 0 0 20px rgba(52, 211, 153, 0.2);
+  --glow-danger: 0 0 20px rgba(248, 113, 113, 0.2);
+  --gradient-primary: linear-gradient(135deg, #ffffff 0%, #a3a3a3 100%);
+  --gradient-card: linear-gradient(145deg, #0d0d0d 0%, #0a0a0a 100%);
+  --gradient-border: linear-gradient(145deg, #1a1a1a 0%, #262626 100%);
+}
+* { margin: 0; padding: 0; box-sizing: border-box; }
+        ::selection { background: var(--primary-color); color: #000000; }
+        ::-webkit-scrollbar { width: 0; height: 0; display: none; }
+        ::-webkit-scrollbar-track { display: none; }
+        ::-webkit-scrollbar-thumb { display: none; }
+        ::-webkit-scrollbar-thumb:hover { display: none; }
+        * { scrollbar-width: none; -ms-overflow-style: none; }
+        .trend-chart-container, .test-history-trend div[id^="testHistoryChart-"] { min-height: 100px; }
+        .lazy-load-chart .no-data, .lazy-load-chart .no-data-chart { display: flex; align-items: center; justify-content: center; height: 100%; font-style: italic; color: var(--dark-gray-color); }
+        .highcharts-background { fill: transparent; }
+        .highcharts-title, .highcharts-subtitle { font-family: var(--font-family); }
+        .highcharts-axis-labels text, .highcharts-legend-item text { fill: var(--text-color-secondary) !important; font-size: 12px !important; }
+        .highcharts-axis-title { fill: var(--text-color) !important; }
+        .highcharts-tooltip > span { background-color: rgba(0,0,0,0.95) !important; border: 1px solid var(--border-light) !important; color: var(--text-primary) !important; padding: 12px !important; border-radius: 8px !important; box-shadow: var(--shadow-xl) !important; }
+        body {
+          font-family: var(--font-family);
+          margin: 0;
+          background: radial-gradient(ellipse at top, #0a0a0a 0%, #000000 50%, #000000 100%);
+          background-attachment: fixed;
+          color: var(--text-primary);
+          line-height: 1.6;
+          font-size: 15px;
+          min-height: 100vh;
+          -webkit-font-smoothing: antialiased;
+          -moz-osx-font-smoothing: grayscale;
+          text-rendering: optimizeLegibility;
+        }
+        * {
+          transition-timing-function: cubic-bezier(0.4, 0, 0.2, 1);
+        }
+        *:not(input):not(select):not(textarea):not(button) {
+          transition-duration: 0.2s;
+        }
+        .container {
+          padding: 0;
+          margin: 0;
+          max-width: 100%;
+          width: 100%;
+        }
+.header { 
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 32px 48px 28px 48px;
+          border-bottom: 1px solid var(--border-light);
+          background: var(--gradient-card);
+          backdrop-filter: blur(10px);
+          box-shadow: 0 4px 20px rgba(0, 0, 0, 0.8), inset 0 -1px 0 rgba(255, 255, 255, 0.05);
+        }
+        .header-title {
+          display: flex;
+          align-items: center;
+          gap: 20px;
+          flex-wrap: wrap;
+        }
+        .header h1 { 
+          margin: 0; 
+          font-size: 2.5em; 
+          font-weight: 900; 
+          color: #f9fafb;
+          line-height: 1;
+          letter-spacing: -0.03em;
+        }
+        #report-logo { 
+          height: 60px; 
+        }
+        .run-info { 
+          display: flex;
+          gap: 0;
+          align-items: stretch;
+          background: var(--gradient-card);
+          border-radius: 14px;
+          box-shadow: var(--shadow-md);
+          overflow: hidden;
+        }
+        .run-info-item {
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+          padding: 20px 32px;
+          position: relative;
+          flex: 1;
+          min-width: 0;
+          transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+        }
+        .run-info-item:hover {
+          transform: translateY(-2px);
+        }
+        .run-info-item:not(:last-child)::after {
+          content: '';
+          position: absolute;
+          right: 0;
+          top: 20%;
+          bottom: 20%;
+          width: 1px;
+          background: linear-gradient(to bottom, transparent, var(--border-medium) 20%, var(--border-medium) 80%, transparent);
+        }
+        .run-info-item:first-child {
+            background: var(--bg-card);
+            border: 1px solid var(--border-medium);
+            padding: 10px;
+            border-radius: 5px;
+            box-shadow: 0 0 10px rgba(0, 0, 0, 0.1);
+        }
+        .run-info-item:last-child {
+          background: var(--bg-card);
+          border: 1px solid var(--border-medium);
+          padding: 10px;
+          border-radius: 5px;
+          box-shadow: 0 0 10px rgba(0, 0, 0, 0.1);
+        }
+        .run-info strong { 
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 0.7em;
+          text-transform: uppercase;
+          letter-spacing: 1px;
+          color: var(--text-tertiary);
+          margin: 0;
+          font-weight: 700;
+        }
+        .run-info strong::before {
+          content: '';
+          width: 8px;
+          height: 8px;
+          border-radius: 50%;
+          background: currentColor;
+          opacity: 0.6;
+        }
+        .run-info-item:first-child strong {
+          color: var(--warning-light);
+        }
+        .run-info-item:last-child strong {
+          color: var(--secondary-light);
+        }
+        .run-info span {
+          font-size: 1.35em;
+          font-weight: 800;
+          color: #f9fafb;
+          font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace;
+          letter-spacing: -0.02em;
+          line-height: 1.2;
+          white-space: nowrap;
+        }
+        .tabs { 
+          display: flex;
+          background: #000000;
+          padding: 0;
+          margin: 0;
+          position: sticky;
+          top: 0;
+          z-index: 100;
+          border-bottom: 1px solid var(--border-light);
+          box-shadow: 0 4px 20px rgba(0, 0, 0, 0.8);
+        }
+        .tab-button { 
+          flex: 1;
+          padding: 24px 32px; 
+          background: transparent; 
+          border: none; 
+          cursor: pointer; 
+          font-size: 0.85em; 
+          font-weight: 700; 
+          color: var(--dark-gray-color); 
+          transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1); 
+          white-space: nowrap;
+          text-transform: uppercase;
+          letter-spacing: 1.2px;
+          border-right: 1px solid var(--border-light);
+          position: relative;
+        }
+        .tab-button::after {
+          content: '';
+          position: absolute;
+          bottom: 0;
+          left: 0;
+          right: 0;
+          height: 2px;
+          background: var(--gradient-primary);
+          transform: scaleX(0);
+          transition: transform 0.3s ease;
+        }
+        .tab-button:last-child { border-right: none; }
+        .tab-button:hover { 
+          background: var(--bg-card);
+          color: var(--text-primary); 
+        }
+        .tab-button:hover::after {
+          transform: scaleX(0.5);
+        }
+        .tab-button.active { 
+          background: var(--gradient-card);
+          color: var(--primary-color);
+          box-shadow: inset 0 -2px 0 var(--primary-color);
+          color: var(--text-primary);
+        }
+        .tab-content { display: none; animation: fadeIn 0.4s ease-out; }
+        .tab-content.active { display: block; }
+        @keyframes fadeIn { from { opacity: 0; transform: translateY(8px); } to { opacity: 1; transform: translateY(0); } }
+.dashboard-grid { 
+          display: grid; 
+          grid-template-columns: repeat(4, 1fr); 
+          gap: 0;
+          margin: 0 0 40px 0;
+        }
+        .browser-breakdown {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          margin-top: 6px;
+          max-height: 150px;
+          overflow-y: auto;
+          padding-right: 4px;
+          scrollbar-width: thin;
+          scrollbar-color: #374151 #1f2937;
+        }
+        .browser-breakdown::-webkit-scrollbar {
+          width: 6px;
+          display: block;
+        }
+        .browser-breakdown::-webkit-scrollbar-track {
+          background: #1f2937;
+          border-radius: 3px;
+          display: block;
+        }
+        .browser-breakdown::-webkit-scrollbar-thumb {
+          background: #374151;
+          border-radius: 3px;
+          display: block;
+        }
+        .browser-breakdown::-webkit-scrollbar-thumb:hover {
+          background: #4b5563;
+          display: block;
+        }
+        .browser-item {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          font-size: 0.95em;
+        }
+        .browser-name {
+          font-weight: 700;
+          color: #f9fafb;
+          text-transform: capitalize;
+          font-size: 1.05em;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          flex: 1;
+          min-width: 0;
+          margin-right: 8px;
+        }
+        .browser-stats {
+          color: #9ca3af;
+          white-space: nowrap;
+          flex-shrink: 0;
+          color: #9ca3af;
+          font-weight: 700;
+          font-size: 0.95em;
+        }
+        .trend-chart-container, .test-history-trend div[id^="testHistoryChart-"] { 
+          min-height: 100px; 
+        }
+        .lazy-load-chart .no-data, .lazy-load-chart .no-data-chart { 
+          display: flex; 
+          align-items: center; 
+          justify-content: center; 
+          height: 100%; 
+          font-style: italic; 
+          color: #9ca3af; 
+        }
+        .highcharts-background { 
+          fill: transparent; 
+        }
+        .highcharts-title, .highcharts-subtitle { 
+          font-family: 'Plus Jakarta Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; 
+        }
+        .highcharts-axis-labels text, .highcharts-legend-item text { 
+          fill: var(--text-secondary) !important; 
+          font-size: 12px !important; 
+        }
+        .highcharts-axis-title { 
+          fill: var(--text-primary) !important; 
+        }
+        .highcharts-tooltip > span { 
+          background-color: rgba(10,10,10,0.92) !important; 
+          border-color: rgba(10,10,10,0.92) !important; 
+          color: var(--text-primary) !important; 
+          padding: 10px !important; 
+          border-radius: 6px !important; 
+        }
+
+        .suites-widget {
+          background: var(--bg-card);
+          border: 1px solid var(--border-light);
+          padding: 32px 48px;
+          border-radius: 8px;
+        }
+        .suites-header h2 {
+          font-size: 1.4em;
+          margin-bottom: 20px;
+          color: #f9fafb;
+          font-weight: 700;
+        }
+        .suites-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
+          gap: 20px;
+        }
+        /* Updated Suite Cards in Main Block */
+        .suite-card {
+           /* See line ~3455 for main definition */
+        }
+        .suite-name {
+          font-size: 1.1em;
+          font-weight: 700;
+          margin-bottom: 12px;
+          color: #f9fafb;
+        }
+        .suite-stats {
+          display: flex;
+          gap: 12px;
+          flex-wrap: wrap;
+        }
+        .suite-stat {
+          font-size: 0.9em;
+          padding: 4px 10px;
+          border-radius: 4px;
+          font-weight: 600;
+        }
+        .suite-stat.passed {
+          background: rgba(52, 211, 153, 0.15);
+          color: var(--success-color);
+        }
+        .suite-stat.failed {
+          background: rgba(248, 113, 113, 0.15);
+          color: var(--danger-color);
+        }
+        .suite-stat.skipped {
+          background: rgba(251, 191, 36, 0.15);
+          color: var(--warning-color);
+        }
+        .annotations-section {
+          margin: 12px 0;
+          padding: 12px;
+          background-color: rgba(255, 255, 255, 0.05);
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-left: 4px solid var(--secondary-color);
+          border-radius: 4px;
+        }
+        .annotations-section h4 {
+          margin-top: 0;
+          margin-bottom: 10px;
+          color: var(--secondary-color);
+          font-size: 1.1em;
+        }
+        .annotation-link {
+          color: var(--info-color);
+          text-decoration: underline;
+          cursor: pointer;
+        }
+        .annotation-link:hover {
+          color: var(--info-color);
+        }
+        .generic-attachment {
+          text-align: center;
+          padding: 1rem;
+          justify-content: center;
+        }
+        .attachment-icon {
+          font-size: 2.5rem;
+          display: block;
+          margin-bottom: 0.75rem;
+        }
+        .attachment-name {
+          font-weight: 500;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          color: #f9fafb;
+        }
+        .attachment-type {
+          font-size: 0.8rem;
+          color: #9ca3af;
+        }
+.status-passed .value, .stat-passed svg { 
+          color: #10b981; 
+        }
+        .status-failed .value, .stat-failed svg { 
+          color: var(--danger-color); 
+        }
+        .status-skipped .value, .stat-skipped svg { 
+          color: #f59e0b; 
+        }
+        .summary-card.status-passed { 
+          background: rgba(16, 185, 129, 0.08); 
+        }
+        .summary-card.status-passed:hover { 
+          background: rgba(16, 185, 129, 0.15); 
+          box-shadow: 0 4px 12px rgba(16, 185, 129, 0.2);
+        }
+        .summary-card.status-passed .value { 
+          color: #10b981; 
+        }
+        .summary-card.status-failed { 
+          background: rgba(239, 68, 68, 0.08); 
+        }
+        .summary-card.status-failed:hover { 
+          background: rgba(239, 68, 68, 0.15); 
+          box-shadow: 0 4px 12px rgba(239, 68, 68, 0.2);
+        }
+        .summary-card.status-failed .value { 
+          color: var(--danger-color); 
+        }
+        .summary-card.status-skipped { 
+          background: rgba(245, 158, 11, 0.08); 
+        }
+        .summary-card.status-skipped:hover { 
+          background: rgba(245, 158, 11, 0.15); 
+          box-shadow: 0 4px 12px rgba(245, 158, 11, 0.2);
+        }
+        .summary-card.status-skipped .value { 
+          color: #f59e0b; 
+        }
+        .summary-card.flaky-status { 
+          background: rgba(0, 204, 211, 0.05); 
+        }
+        .summary-card.flaky-status:hover { 
+          background: rgba(0, 204, 211, 0.15); 
+          box-shadow: 0 4px 12px rgba(0, 204, 211, 0.2);
+        }
+        .summary-card.flaky-status .value { 
+          color: #00ccd3; 
+        }
+        .summary-card.status-timedout { 
+          background: rgba(249, 115, 22, 0.05); 
+        }
+        .summary-card.status-timedout:hover { 
+          background: rgba(249, 115, 22, 0.15); 
+          box-shadow: 0 4px 12px rgba(249, 115, 22, 0.2);
+        }
+        .summary-card.status-timedout .value { 
+          color: #f97316; 
+        }
+        .summary-card.status-interrupted { 
+          background: rgba(139, 92, 246, 0.05); 
+        }
+        .summary-card.status-interrupted:hover { 
+          background: rgba(139, 92, 246, 0.15); 
+          box-shadow: 0 4px 12px rgba(139, 92, 246, 0.2);
+        }
+        .summary-card.status-interrupted .value { 
+          color: #8b5cf6; 
+        }
+        .summary-card.status-unexpected-success { 
+          background: rgba(236, 72, 153, 0.05); 
+        }
+        .summary-card.status-unexpected-success:hover { 
+          background: rgba(236, 72, 153, 0.15); 
+          box-shadow: 0 4px 12px rgba(236, 72, 153, 0.2);
+        }
+        .summary-card.status-unexpected-success .value { 
+          color: #ec4899; 
+        }
+        .summary-card.status-expected-outcomes { 
+          background: rgba(132, 204, 22, 0.05); 
+        }
+        .summary-card.status-expected-outcomes:hover { 
+          background: rgba(132, 204, 22, 0.15); 
+          box-shadow: 0 4px 12px rgba(132, 204, 22, 0.2);
+        }
+        .summary-card:not([class*='status-']) .value { 
+          color: #f9fafb; 
+        }
+.dashboard-bottom-row { 
+          display: grid; 
+          grid-template-columns: repeat(auto-fit, minmax(350px, 1fr)); 
+          gap: 28px; 
+          align-items: start; 
+        }
+        .dashboard-column { 
+          display: flex; 
+          flex-direction: column; 
+          gap: 28px; 
+        }
+        .pie-chart-wrapper, .suites-widget, .trend-chart { 
+          background: rgba(31, 41, 55, 0.95);
+          padding: 48px; 
+          border: 1px solid var(--border-light);
+          border-radius: 16px;
+          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+          display: flex; 
+          flex-direction: column;
+          overflow: visible;
+          margin-bottom: 24px;
+        }
+        .pie-chart-wrapper {
+          position: relative;
+        }
+        .pie-chart-wrapper h3, .suites-header h2, .trend-chart h3, .chart-title-header { 
+          text-align: left; 
+          margin: 0 0 40px 0; 
+          font-size: 1.8em; 
+          font-weight: 900; 
+          color: #f9fafb;
+          letter-spacing: -0.02em;
+        }
+        .trend-chart-container, .pie-chart-wrapper div[id^="pieChart-"] { 
+          flex-grow: 1; 
+          min-height: 250px; 
+          width: 100%;
+          overflow: visible;
+        }
+.status-badge-small-tooltip { 
+          padding: 2px 5px; 
+          border-radius: 3px; 
+          font-size: 0.9em; 
+          font-weight: 600; 
+          color: white; 
+          text-transform: uppercase; 
+        }
+        .status-badge-small-tooltip.status-passed { 
+          background-color: var(--success-dark); 
+        }
+        .status-badge-small-tooltip.status-failed { 
+          background-color: var(--danger-dark); 
+        }
+        .status-badge-small-tooltip.status-skipped { 
+          background-color: var(--warning-dark); 
+        }
+        .status-badge-small-tooltip.status-timedout { 
+          background-color: #f97316; 
+        }
+        .status-badge-small-tooltip.status-interrupted { 
+          background-color: #8b5cf6; 
+        }
+        .status-badge-small-tooltip.status-expected-failure { 
+          background-color: #84cc16; 
+        }
+        .status-badge-small-tooltip.status-unexpected-success { 
+          background-color: #ec4899; 
+        }
+        .status-badge-small-tooltip.status-explicitly-skipped { 
+          background-color: #fbbf24; 
+        }
+        .status-badge-small-tooltip.status-unknown { 
+          background-color: #9ca3af; 
+        }
+        .suites-header {
+            flex-shrink: 0;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 20px;
+        }
+        .summary-badge { background-color: var(--border-light); color: var(--text-secondary); padding: 7px 14px; border-radius: 16px; font-size: 0.9em; }
+        .suites-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(250px, 1fr)); gap: 20px; }
+        .suites-widget {
+          display: flex;
+          flex-direction: column;
+        }
+        .fixed-height-widget {
+          height: 450px;
+        }
+        .suites-grid-container {
+            flex-grow: 1;
+            overflow-y: auto;
+            padding-right: 5px;
+        }
+        
+        @media (max-width: 768px) {
+            .fixed-height-widget {
+                height: auto;
+                max-height: 600px;
+            }
         }
-        * {
-          transition-timing-function: cubic-bezier(0.4, 0, 0.2, 1);
+        .suite-card {
+          background: var(--bg-card); /* Changed from #ffffff */
+          border: 1px solid var(--border-medium); /* Changed from border-light for better contrast */
+          border-radius: 16px;
+          padding: 24px;
+          box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.3), 0 2px 4px -1px rgba(0, 0, 0, 0.2); /* Darker shadow */
+          transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+          display: flex;
+          flex-direction: column;
+          height: 100%;
+          position: relative;
+          overflow: hidden;
         }
-        *:not(input):not(select):not(textarea):not(button) {
-          transition-duration: 0.2s;
+        .suite-card:hover {
+          transform: translateY(-4px);
+          box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.5), 0 10px 10px -5px rgba(0, 0, 0, 0.4);
+          background: var(--bg-card-hover);
+          border-color: var(--primary-dark);
         }
-        .container {
-          padding: 0;
-          margin: 0;
-          max-width: 100%;
+        .suite-card::before {
+          content: '';
+          position: absolute;
+          top: 0;
+          left: 0;
           width: 100%;
+          height: 4px;
+          background: var(--neutral-200);
+          opacity: 0.8;
+          transition: background 0.3s ease;
         }
-.header { 
+        .suite-card.status-passed::before { background: var(--success-color); }
+        .suite-card.status-failed::before { background: var(--danger-color); }
+        .suite-card.status-flaky::before { background: #00ccd3; }
+        .suite-card.status-skipped::before { background: var(--warning-color); }
+        
+        .suite-card.status-skipped::before { background: var(--warning-color); }
+
+        /* Outcome Badge */
+        .outcome-badge {
+            background-color: var(--secondary-color); 
+            color: #000;
+            padding: 2px 8px;
+            border-radius: 4px;
+            font-size: 0.75em;
+            font-weight: 700;
+            text-transform: uppercase;
+            margin-right: 8px;
+            letter-spacing: 0.5px;
+        }
+        .outcome-badge.flaky {
+            background-color: #00ccd3;
+            color: #fff;
+        }
+        
+        .suite-card-header {
           display: flex;
           justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 16px;
+        }
+        .suite-name {
+          font-size: 1.15em;
+          font-weight: 700;
+          color: var(--text-primary);
+          line-height: 1.4;
+          display: -webkit-box;
+          -webkit-line-clamp: 2;
+          -webkit-box-orient: vertical;
+          overflow: hidden;
+          margin-right: 12px;
+        }
+         .status-indicator-dot {
+          width: 10px;
+          height: 10px;
+          border-radius: 50%;
+          flex-shrink: 0;
+          margin-top: 6px;
+        }
+        .status-indicator-dot.status-passed { background-color: var(--success-color); box-shadow: 0 0 0 4px rgba(16, 185, 129, 0.15); }
+        .status-indicator-dot.status-failed { background-color: var(--danger-color); box-shadow: 0 0 0 4px rgba(239, 68, 68, 0.15); }
+        .status-indicator-dot.status-skipped { background-color: var(--warning-color); box-shadow: 0 0 0 4px rgba(245, 158, 11, 0.15); }
+
+        .browser-tag {
+          font-size: 0.8em;
+          font-weight: 600;
+          background: var(--bg-secondary);
+          color: var(--text-secondary);
+          padding: 4px 10px;
+          border-radius: 20px;
+          border: 1px solid var(--border-light);
+          display: inline-flex;
           align-items: center;
-          padding: 32px 48px 28px 48px;
-          border-bottom: 1px solid var(--border-light);
+          gap: 6px;
+          margin-bottom: 20px;
+          align-self: flex-start;
+          box-shadow: none;
+          text-shadow: none;
+        }
+        .browser-tag:hover {
+             /* Remove hover effect from previous */
+        }
+        
+        .suite-card-body {
+          margin-top: auto;
+        }
+        
+        .test-count-label {
+          font-size: 0.85em;
+          font-weight: 600;
+          color: var(--text-tertiary);
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          margin-bottom: 8px;
+          display: block;
+        }
+
+        .suite-stats {
+          display: flex;
+          gap: 8px;
+          background: var(--bg-secondary);
+          padding: 10px 14px;
+          border-radius: 10px;
+          justify-content: space-between;
+        }
+        
+        .stat-pill {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 0.9em;
+          font-weight: 600;
+        }
+        .stat-pill svg { width: 14px; height: 14px; }
+        .stat-pill.passed { color: var(--success-dark); }
+        .stat-pill.failed { color: var(--danger-dark); }
+        .stat-pill.flaky { color: #00ccd3; }
+        .stat-pill.skipped { color: var(--warning-dark); }
+        .stat-pill.timedout { color: #f97316; }
+        .stat-pill.interrupted { color: #8b5cf6; }
+        .stat-pill.expected-failure { color: #65a30d; }
+        .stat-pill.unexpected-success { color: #ec4899; }
+        .stat-pill.explicitly-skipped { color: #d97706; }
+          color: #93c5fd;
+          padding: 6px 12px;
+          border-radius: var(--radius-sm);
+          border: 1px solid rgba(96, 165, 250, 0.3);
+          display: inline-block;
+          box-shadow: 0 2px 8px rgba(96, 165, 250, 0.15), inset 0 1px 0 rgba(96, 165, 250, 0.2);
+          text-shadow: 0 1px 2px rgba(0, 0, 0, 0.3);
+          letter-spacing: 0.3px;
+          max-width: 200px;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          vertical-align: middle;
+          cursor: help;
+          transition: all 0.2s ease;
+        }
+        .browser-tag:hover {
+          background: linear-gradient(135deg, rgba(96, 165, 250, 0.3) 0%, rgba(59, 130, 246, 0.25) 100%);
+          border-color: rgba(96, 165, 250, 0.5);
+        }
+        }
+        .suite-card-body .test-count { 
+          font-size: 0.95em; 
+          color: #d1d5db; 
+          display: block; 
+          margin-bottom: 10px; 
+        }
+        .suite-stats { 
+          display: flex; 
+          gap: 14px; 
+          font-size: 0.95em; 
+          align-items: center; 
+        }
+        .suite-stats span { 
+          display: flex; 
+          align-items: center; 
+          gap: 6px; 
+        }
+        .suite-stats svg { 
+          vertical-align: middle; 
+          font-size: 1.15em; 
+        }
+.test-case { 
+          margin: 0 0 20px 0;
+          padding: 0;
+          border: 1px solid var(--border-light);
+          border-radius: 14px;
           background: var(--gradient-card);
-          backdrop-filter: blur(10px);
-          box-shadow: 0 4px 20px rgba(0, 0, 0, 0.8), inset 0 -1px 0 rgba(255, 255, 255, 0.05);
+          box-shadow: var(--shadow-sm);
+          transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+          overflow: hidden;
+          content-visibility: auto;
+          contain-intrinsic-size: auto 100px;
+          position: relative;
+        }
+        .test-case::before {
+          content: '';
+          position: absolute;
+          inset: 0;
+          border-radius: 14px;
+          padding: 1px;
+          background: var(--gradient-border);
+          -webkit-mask: linear-gradient(#fff 0 0) content-box, linear-gradient(#fff 0 0);
+          -webkit-mask-composite: xor;
+          mask-composite: exclude;
+          opacity: 0;
+          transition: opacity 0.3s ease;
+        }
+        .test-case:hover {
+          box-shadow: var(--shadow-lg), var(--glow-primary);
+          transform: translateY(-3px);
+          background: var(--bg-card-hover);
+        }
+        .test-case:hover::before {
+          opacity: 1;
+        }
+        .test-case:last-child {
+          margin-bottom: 0;
+        }
+        .test-case-header {  
+          padding: 22px 28px; 
+          background: linear-gradient(135deg, var(--bg-card) 0%, var(--bg-secondary) 100%);
+          cursor: pointer; 
+          display: grid;
+          grid-template-columns: 1fr auto;
+          grid-template-rows: auto auto;
+          gap: 14px 20px; 
+          transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+          border-bottom: 1px solid var(--border-light);
+          position: relative;
+          will-change: transform;
+          transform: translateZ(0);
+          }
+        .test-case-header::before {
+          content: '';
+          position: absolute;
+          left: 0;
+          top: 0;
+          bottom: 0;
+          width: 3px;
+          background: transparent;
+          transition: all 0.3s ease;
+          box-shadow: 0 0 0 rgba(129, 140, 248, 0);
+        }
+        .test-case-header:hover::before {
+          background: var(--gradient-primary);
+          width: 4px;
+          box-shadow: 0 0 8px rgba(129, 140, 248, 0.4), 0 0 16px rgba(129, 140, 248, 0.2);
         }
-        .header-title {
-          display: flex;
+        .test-case-header[aria-expanded="true"] { 
+          background: linear-gradient(135deg, var(--bg-tertiary) 0%, #000000 100%);
+          border-bottom-color: var(--border-medium);
+        }
+        .test-case-header[aria-expanded="true"]::before {
+          background: var(--gradient-primary);
+          width: 4px;
+          box-shadow: 0 0 12px rgba(129, 140, 248, 0.5), 0 0 24px rgba(129, 140, 248, 0.3);
+        }
+        .test-case-summary { 
+          display: flex; 
           align-items: center;
-          gap: 20px;
+          gap: 14px; 
           flex-wrap: wrap;
+          min-width: 0;
+          grid-column: 1;
+          grid-row: 1;
         }
-        .header h1 { 
-          margin: 0; 
-          font-size: 2.5em; 
-          font-weight: 900; 
+        .test-case-title {
+          font-weight: 600;
           color: #f9fafb;
-          line-height: 1;
-          letter-spacing: -0.03em;
+          font-size: 1em;
+          word-break: break-word;
+          overflow-wrap: break-word;
+          flex: 1 1 auto;
+          min-width: 0;
         }
-        #report-logo { 
-          height: 60px; 
+        .test-case-browser {
+          font-size: 0.9em;
+          color: #d1d5db;
+          word-break: break-word;
+          overflow-wrap: break-word;
+          max-width: 100%;
         }
-        .run-info { 
-          display: flex;
-          gap: 0;
-          align-items: stretch;
-          background: var(--gradient-card);
-          border-radius: 14px;
-          box-shadow: var(--shadow-md);
-          overflow: hidden;
+.test-case-meta { 
+          display: flex; 
+          align-items: center; 
+          gap: 8px; 
+          font-size: 0.9em; 
+          color: #d1d5db; 
+          flex-wrap: wrap;
+          min-width: 0;
+          grid-column: 1;
+          grid-row: 2;
         }
-        .run-info-item {
+        .test-case-status-duration {
           display: flex;
           flex-direction: column;
-          gap: 10px;
-          padding: 20px 32px;
-          position: relative;
-          flex: 1;
-          min-width: 0;
-          transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-        }
-        .run-info-item:hover {
-          transform: translateY(-2px);
-        }
-        .run-info-item:not(:last-child)::after {
-          content: '';
-          position: absolute;
-          right: 0;
-          top: 20%;
-          bottom: 20%;
-          width: 1px;
-          background: linear-gradient(to bottom, transparent, var(--border-medium) 20%, var(--border-medium) 80%, transparent);
-        }
-        .run-info-item:first-child {
-            background: var(--bg-card);
-            border: 1px solid var(--border-medium);
-            padding: 10px;
-            border-radius: 5px;
-            box-shadow: 0 0 10px rgba(0, 0, 0, 0.1);
+          align-items: flex-end;
+          gap: 8px;
+          grid-column: 2;
+          grid-row: 1 / 3;
+          align-self: center;
         }
-        .run-info-item:last-child {
-          background: var(--bg-card);
-          border: 1px solid var(--border-medium);
-          padding: 10px;
-          border-radius: 5px;
-          box-shadow: 0 0 10px rgba(0, 0, 0, 0.1);
+        .test-duration { 
+          background-color: var(--border-light); 
+          padding: 6px 12px; 
+          border-radius: 8px; 
+          font-size: 0.9em;
+          white-space: nowrap;
+          flex-shrink: 0;
+          font-weight: 700;
+          color: #f9fafb;
         }
-        .run-info strong { 
-          display: flex;
-          align-items: center;
-          gap: 6px;
+        .status-badge {
+          padding: 8px 20px;
+          border-radius: 0;
           font-size: 0.7em;
+          font-weight: 800;
+          color: white;
           text-transform: uppercase;
+          min-width: 100px;
+          text-align: center;
           letter-spacing: 1px;
-          color: var(--text-tertiary);
-          margin: 0;
-          font-weight: 700;
         }
-        .run-info strong::before {
-          content: '';
-          width: 8px;
-          height: 8px;
-          border-radius: 50%;
-          background: currentColor;
-          opacity: 0.6;
+        .status-badge.status-passed {
+          background: var(--success-color);
         }
-        .run-info-item:first-child strong {
-          color: var(--warning-light);
+        .status-badge.status-failed {
+          background: var(--danger-color);
         }
-        .run-info-item:last-child strong {
-          color: var(--secondary-light);
+        .status-badge.status-skipped {
+          background: var(--warning-color);
         }
-        .run-info span {
-          font-size: 1.35em;
-          font-weight: 800;
-          color: #f9fafb;
-          font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace;
-          letter-spacing: -0.02em;
-          line-height: 1.2;
-          white-space: nowrap;
+        .status-badge.status-flaky {
+          background-color: #00ccd3; 
+          color: #fff; 
         }
-        .tabs { 
-          display: flex;
-          background: #000000;
-          padding: 0;
-          margin: 0;
-          position: sticky;
-          top: 0;
-          z-index: 100;
-          border-bottom: 1px solid var(--border-light);
-          box-shadow: 0 4px 20px rgba(0, 0, 0, 0.8);
+        .status-badge.status-timedout {
+          background: #f97316;
         }
-        .tab-button { 
-          flex: 1;
-          padding: 24px 32px; 
-          background: transparent; 
-          border: none; 
-          cursor: pointer; 
-          font-size: 0.85em; 
-          font-weight: 700; 
-          color: var(--dark-gray-color); 
-          transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1); 
-          white-space: nowrap;
+        .status-badge.status-interrupted {
+          background: #8b5cf6;
+        }
+        .status-badge.status-expected-failure {
+          background: #84cc16;
+        }
+        .status-badge.status-unexpected-success {
+          background: #ec4899;
+        }
+        .status-badge.status-explicitly-skipped {
+          background: #fbbf24;
+        }
+        .status-badge.status-unknown {
+          background: var(--dark-gray-color);
+        }
+
+        /* --- NEON GLASS SEVERITY BADGES --- */
+        .severity-badge {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
+          padding: 5px 12px;
+          border-radius: 99px;
+          font-size: 0.75em;
+          font-weight: 700;
           text-transform: uppercase;
-          letter-spacing: 1.2px;
-          border-right: 1px solid var(--border-light);
-          position: relative;
+          letter-spacing: 0.05em;
+          border: 1px solid;
+          backdrop-filter: blur(4px);
+          -webkit-backdrop-filter: blur(4px);
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
         }
-        .tab-button::after {
+        .severity-badge::before {
           content: '';
-          position: absolute;
-          bottom: 0;
-          left: 0;
-          right: 0;
-          height: 2px;
-          background: var(--gradient-primary);
-          transform: scaleX(0);
-          transition: transform 0.3s ease;
+          width: 6px;
+          height: 6px;
+          border-radius: 50%;
+          background-color: currentColor;
+          box-shadow: 0 0 6px currentColor;
         }
-        .tab-button:last-child { border-right: none; }
-        .tab-button:hover { 
-          background: var(--bg-card);
-          color: var(--text-primary); 
+        /* Auto-map colors based on data-severity attribute */
+        .severity-badge[data-severity="critical"] {
+          color: #ff4d4d;
+          background-color: rgba(255, 77, 77, 0.1);
+          border-color: rgba(255, 77, 77, 0.25);
         }
-        .tab-button:hover::after {
-          transform: scaleX(0.5);
+        .severity-badge[data-severity="high"] {
+          color: #fb923c;
+          background-color: rgba(251, 146, 60, 0.1);
+          border-color: rgba(251, 146, 60, 0.25);
         }
-        .tab-button.active { 
-          background: var(--gradient-card);
-          color: var(--primary-color);
-          box-shadow: inset 0 -2px 0 var(--primary-color);
-          color: var(--text-primary);
+        .severity-badge[data-severity="medium"] {
+          color: #facc15;
+          background-color: rgba(250, 204, 21, 0.1);
+          border-color: rgba(250, 204, 21, 0.25);
         }
-        .tab-content { display: none; animation: fadeIn 0.4s ease-out; }
-        .tab-content.active { display: block; }
-        @keyframes fadeIn { from { opacity: 0; transform: translateY(8px); } to { opacity: 1; transform: translateY(0); } }
-.dashboard-grid { 
-          display: grid; 
-          grid-template-columns: repeat(4, 1fr); 
-          gap: 0;
-          margin: 0 0 40px 0;
+        .severity-badge[data-severity="low"] {
+          color: #4ade80;
+          background-color: rgba(74, 222, 128, 0.1);
+          border-color: rgba(74, 222, 128, 0.25);
+        }
+        .severity-badge[data-severity="minor"] {
+          color: #94a3b8;
+          background-color: rgba(148, 163, 184, 0.1);
+          border-color: rgba(148, 163, 184, 0.25);
+        }
+
+        /* --- RETRY COUNT BADGE --- */
+        .retry-badge {
+          display: inline-flex;
+          align-items: center;
+          padding: 5px 12px;
+          border-radius: 12px;
+          font-size: 0.75rem;
+          font-weight: 600;
+          background: rgba(147, 51, 234, 0.15);
+          color: #a855f7;
+          border: 1px solid rgba(147, 51, 234, 0.3);
+          margin-left: 8px;
         }
-        .browser-breakdown {
+
+        /* --- RETRY TABS --- */
+        .retry-tabs-container {
+          margin-top: 16px;
+        }
+
+        .retry-tabs-header {
           display: flex;
-          flex-direction: column;
-          gap: 4px;
-          margin-top: 6px;
-          max-height: 150px;
-          overflow-y: auto;
-          padding-right: 4px;
-          scrollbar-width: thin;
-          scrollbar-color: #374151 #1f2937;
+          gap: 8px;
+          border-bottom: 2px solid var(--border-medium);
+          margin-bottom: 20px;
+          flex-wrap: wrap;
         }
-        .browser-breakdown::-webkit-scrollbar {
-          width: 6px;
-          display: block;
+
+        .retry-tab {
+          padding: 10px 20px;
+          background: transparent;
+          border: none;
+          border-bottom: 3px solid transparent;
+          cursor: pointer;
+          font-size: 0.95rem;
+          font-weight: 600;
+          color: var(--text-color-secondary);
+          transition: all 0.2s ease;
         }
-        .browser-breakdown::-webkit-scrollbar-track {
-          background: #1f2937;
-          border-radius: 3px;
-          display: block;
+
+        .retry-tab:hover {
+          color: var(--primary-color);
+          background: rgba(147, 51, 234, 0.05);
         }
-        .browser-breakdown::-webkit-scrollbar-thumb {
-          background: #374151;
-          border-radius: 3px;
-          display: block;
+
+        .retry-tab.active {
+          color: #a855f7;
+          border-bottom-color: #a855f7;
+          background: rgba(147, 51, 234, 0.1);
         }
-        .browser-breakdown::-webkit-scrollbar-thumb:hover {
-          background: #4b5563;
-          display: block;
+
+        .retry-tab-content {
+          animation: fadeIn 0.3s ease-in;
         }
-        .browser-item {
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          font-size: 0.95em;
+
+        @keyframes fadeIn {
+          from { opacity: 0; }
+          to { opacity: 1; }
         }
-        .browser-name {
-          font-weight: 700;
-          color: #f9fafb;
-          text-transform: capitalize;
-          font-size: 1.05em;
-          white-space: nowrap;
-          overflow: hidden;
-          text-overflow: ellipsis;
-          flex: 1;
-          min-width: 0;
+
+.tag { 
+          display: inline-flex;
+          align-items: center;
+          background: var(--gradient-primary);
+          color: #000000;
+          padding: 6px 14px;
+          border-radius: 6px;
+          font-size: 0.8em;
           margin-right: 8px;
-        }
-        .browser-stats {
-          color: #9ca3af;
-          white-space: nowrap;
+          margin-bottom: 4px;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          box-shadow: var(--shadow-sm), 0 0 8px rgba(129, 140, 248, 0.3);
+          transition: all 0.2s ease;
           flex-shrink: 0;
-          color: #9ca3af;
-          font-weight: 700;
-          font-size: 0.95em;
+          white-space: nowrap;
         }
-        .trend-chart-container, .test-history-trend div[id^="testHistoryChart-"] { 
-          min-height: 100px; 
+        .tag:hover {
+          box-shadow: var(--shadow-md), var(--glow-primary);
+          transform: translateY(-1px);
         }
-        .lazy-load-chart .no-data, .lazy-load-chart .no-data-chart { 
-          display: flex; 
-          align-items: center; 
-          justify-content: center; 
-          height: 100%; 
-          font-style: italic; 
-          color: #9ca3af; 
+.test-case-content { 
+          display: none; 
+          padding: 28px; 
+          background: linear-gradient(135deg, rgba(17, 24, 39, 0.95) 0%, rgba(13, 13, 13, 0.98) 100%); 
+          border-top: 2px solid rgba(99, 102, 241, 0.2); 
+          border-left: 1px solid var(--border-medium);
+          border-right: 1px solid var(--border-medium);
+          border-bottom: 1px solid var(--border-medium);
+          border-radius: 0 0 var(--radius-md) var(--radius-md);
+          box-shadow: inset 0 2px 8px rgba(0, 0, 0, 0.4);
         }
-        .highcharts-background { 
-          fill: transparent; 
+        .test-case-content h4 { 
+          margin-top: 22px; 
+          margin-bottom: 14px; 
+          font-size: 1.15em; 
+          color: var(--primary-dark); 
         }
-        .highcharts-title, .highcharts-subtitle { 
-          font-family: 'Plus Jakarta Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; 
+        .test-case-content p { 
+          margin-bottom: 10px; 
+          font-size: 1em; 
         }
-        .highcharts-axis-labels text, .highcharts-legend-item text { 
-          fill: var(--text-secondary) !important; 
-          font-size: 12px !important; 
+        .test-error-summary { 
+          margin-bottom: 20px; 
+          padding: 14px; 
+          background-color: rgba(248,113,113,0.08); 
+          border: 1px solid rgba(248,113,113,0.25); 
+          border-left: 4px solid var(--danger-color); 
+          border-radius: 4px;
+          display: flex;
+          flex-direction: column; 
         }
-        .highcharts-axis-title { 
-          fill: var(--text-primary) !important; 
+        .test-error-summary h4 { 
+          color: #ef4444; 
+          margin-top: 0;
         }
-        .highcharts-tooltip > span { 
-          background-color: rgba(10,10,10,0.92) !important; 
-          border-color: rgba(10,10,10,0.92) !important; 
-          color: var(--text-primary) !important; 
-          padding: 10px !important; 
-          border-radius: 6px !important; 
+        .test-error-heading {
+          font-weight: 600;
+          color: #ef4444;
+          margin-bottom: 8px;
         }
-
-        .suites-widget {
-          background: var(--bg-card);
-          border: 1px solid var(--border-light);
-          padding: 32px 48px;
-          border-radius: 8px;
+        .test-error-location {
+          font-weight: 400;
+          font-size: 0.9em;
+          color: var(--text-secondary);
+          font-family: monospace;
+          margin-left: 6px;
         }
-        .suites-header h2 {
-          font-size: 1.4em;
-          margin-bottom: 20px;
-          color: #f9fafb;
-          font-weight: 700;
+        .test-error-summary pre { 
+          white-space: pre-wrap; 
+          word-break: break-all; 
+          color: #ef4444; 
+          font-size: 0.95em;
         }
-        .suites-grid {
-          display: grid;
-          grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
-          gap: 20px;
+        .timeline-summary {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 16px;
+          padding: 24px 32px 8px;
         }
-        /* Updated Suite Cards in Main Block */
-        .suite-card {
-           /* See line ~3455 for main definition */
+        .timeline-stat {
+          flex: 1 1 150px;
+          padding: 16px 20px;
+          background: var(--bg-card);
+          border: 1px solid var(--border-medium);
+          border-radius: var(--radius-md);
         }
-        .suite-name {
-          font-size: 1.1em;
+        .timeline-stat-value {
+          display: block;
+          font-size: 1.6em;
           font-weight: 700;
-          margin-bottom: 12px;
-          color: #f9fafb;
+          color: var(--text-primary);
         }
-        .suite-stats {
+        .timeline-stat-label {
+          font-size: 0.8em;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          color: var(--text-secondary);
+        }
+        .timeline-legend {
           display: flex;
-          gap: 12px;
           flex-wrap: wrap;
+          gap: 16px;
+          padding: 12px 32px;
+          font-size: 0.85em;
+          color: var(--text-secondary);
         }
-        .suite-stat {
-          font-size: 0.9em;
-          padding: 4px 10px;
-          border-radius: 4px;
-          font-weight: 600;
+        .timeline-legend-item {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
         }
-        .suite-stat.passed {
-          background: rgba(52, 211, 153, 0.15);
-          color: var(--success-color);
+        .timeline-legend-swatch {
+          position: static;
+          display: inline-block;
+          width: 14px;
+          height: 14px;
+          border-radius: 3px;
         }
-        .suite-stat.failed {
-          background: rgba(248, 113, 113, 0.15);
-          color: var(--danger-color);
+        .timeline-chart {
+          padding: 8px 32px 32px;
+          overflow-x: auto;
         }
-        .suite-stat.skipped {
-          background: rgba(251, 191, 36, 0.15);
-          color: var(--warning-color);
+        .timeline-lane {
+          display: flex;
+          align-items: center;
+          min-width: 700px;
+          margin-bottom: 6px;
         }
-        .annotations-section {
-          margin: 12px 0;
-          padding: 12px;
-          background-color: rgba(255, 255, 255, 0.05);
-          border: 1px solid rgba(255, 255, 255, 0.1);
-          border-left: 4px solid var(--secondary-color);
-          border-radius: 4px;
+        .timeline-lane-label {
+          flex: 0 0 110px;
+          font-size: 0.85em;
+          font-weight: 600;
+          color: var(--text-secondary);
         }
-        .annotations-section h4 {
-          margin-top: 0;
-          margin-bottom: 10px;
-          color: var(--secondary-color);
-          font-size: 1.1em;
+        .timeline-lane-label small {
+          display: block;
+          font-weight: 400;
+          color: var(--text-tertiary);
+        }
+        .timeline-track {
+          position: relative;
+          flex: 1;
+          height: 28px;
+          background: var(--bg-secondary);
+          border: 1px solid var(--border-medium);
+          border-radius: 4px;
         }
-        .annotation-link {
-          color: var(--info-color);
-          text-decoration: underline;
-          cursor: pointer;
+        .timeline-axis .timeline-track {
+          height: 20px;
+          background: none;
+          border: none;
         }
-        .annotation-link:hover {
-          color: var(--info-color);
+        .timeline-tick {
+          position: absolute;
+          top: 0;
+          transform: translateX(-50%);
+          font-size: 0.75em;
+          color: var(--text-tertiary);
+          white-space: nowrap;
         }
-        .generic-attachment {
-          text-align: center;
-          padding: 1rem;
-          justify-content: center;
+        .timeline-tick:first-child {
+          transform: none;
         }
-        .attachment-icon {
-          font-size: 2.5rem;
-          display: block;
-          margin-bottom: 0.75rem;
+        .timeline-tick:last-child {
+          transform: translateX(-100%);
         }
-        .attachment-name {
-          font-weight: 500;
-          white-space: nowrap;
-          overflow: hidden;
-          text-overflow: ellipsis;
-          color: #f9fafb;
+        .timeline-group-label {
+          margin: 18px 0 8px;
+          font-weight: 700;
+          color: var(--text-primary);
         }
-        .attachment-type {
-          font-size: 0.8rem;
-          color: #9ca3af;
+        .timeline-bar {
+          position: absolute;
+          top: 3px;
+          bottom: 3px;
+          min-width: 2px;
+          border-radius: 3px;
+          background: var(--neutral-300);
+          cursor: pointer;
         }
-.status-passed .value, .stat-passed svg { 
-          color: #10b981; 
+        .timeline-bar:hover {
+          filter: brightness(1.15);
+          box-shadow: 0 0 0 2px var(--text-primary);
+          z-index: 1;
         }
-        .status-failed .value, .stat-failed svg { 
-          color: var(--danger-color); 
+        .timeline-bar.status-passed,
+        .timeline-bar.status-expected-failure {
+          background: var(--success-color);
         }
-        .status-skipped .value, .stat-skipped svg { 
-          color: #f59e0b; 
+        .timeline-bar.status-failed,
+        .timeline-bar.status-unexpected-success {
+          background: var(--danger-color);
         }
-        .summary-card.status-passed { 
-          background: rgba(16, 185, 129, 0.08); 
+        .timeline-bar.status-flaky {
+          background: var(--flaky-color);
         }
-        .summary-card.status-passed:hover { 
-          background: rgba(16, 185, 129, 0.15); 
-          box-shadow: 0 4px 12px rgba(16, 185, 129, 0.2);
+        .timeline-bar.status-timedout {
+          background: #f97316;
         }
-        .summary-card.status-passed .value { 
-          color: #10b981; 
+        .timeline-bar.status-interrupted {
+          background: #8b5cf6;
         }
-        .summary-card.status-failed { 
-          background: rgba(239, 68, 68, 0.08); 
+        .timeline-bar.status-skipped,
+        .timeline-bar.status-explicitly-skipped {
+          background: var(--warning-color);
         }
-        .summary-card.status-failed:hover { 
-          background: rgba(239, 68, 68, 0.15); 
-          box-shadow: 0 4px 12px rgba(239, 68, 68, 0.2);
+        .timeline-gap {
+          position: absolute;
+          top: 0;
+          bottom: 0;
+          background: repeating-linear-gradient(45deg, rgba(248, 113, 113, 0.25), rgba(248, 113, 113, 0.25) 4px, transparent 4px, transparent 8px);
         }
-        .summary-card.status-failed .value { 
-          color: var(--danger-color); 
+        .timeline-legend-swatch.timeline-gap {
+          position: static;
+          border: 1px solid rgba(248, 113, 113, 0.5);
         }
-        .summary-card.status-skipped { 
-          background: rgba(245, 158, 11, 0.08); 
+        .tab-button[data-tab="timeline"]:hover {
+          background: rgba(244, 114, 182, 0.08);
+          color: #f472b6;
         }
-        .summary-card.status-skipped:hover { 
-          background: rgba(245, 158, 11, 0.15); 
-          box-shadow: 0 4px 12px rgba(245, 158, 11, 0.2);
+        .tab-button[data-tab="timeline"].active {
+          background: linear-gradient(180deg, rgba(244, 114, 182, 0.12) 0%, rgba(244, 114, 182, 0.05) 100%);
+          color: #f472b6;
+          box-shadow: inset 0 -3px 0 0 #f472b6;
         }
-        .summary-card.status-skipped .value { 
-          color: #f59e0b; 
+        .tab-button[data-tab="timeline"].active::after {
+          background: linear-gradient(90deg, transparent, #f472b6, transparent);
+          transform: scaleX(1);
+          box-shadow: 0 0 10px #f472b6;
         }
-        .summary-card.flaky-status { 
-          background: rgba(0, 204, 211, 0.05); 
+        .run-status-banner {
+          display: flex;
+          gap: 16px;
+          margin: 0 0 28px;
+          padding: 20px 24px;
+          background: rgba(239, 68, 68, 0.12);
+          border: 1px solid rgba(239, 68, 68, 0.4);
+          border-left: 6px solid var(--danger-color);
+          border-radius: var(--radius-md);
+          color: var(--text-primary);
         }
-        .summary-card.flaky-status:hover { 
-          background: rgba(0, 204, 211, 0.15); 
-          box-shadow: 0 4px 12px rgba(0, 204, 211, 0.2);
+        .run-status-banner-icon {
+          font-size: 1.6em;
+          line-height: 1;
         }
-        .summary-card.flaky-status .value { 
-          color: #00ccd3; 
+        .run-status-banner-body {
+          flex: 1;
+          min-width: 0;
         }
-        .summary-card:not([class*='status-']) .value { 
-          color: #f9fafb; 
+        .run-status-banner h3 {
+          margin: 0 0 8px;
+          font-size: 1.1em;
+          color: var(--danger-light);
         }
-.dashboard-bottom-row { 
-          display: grid; 
-          grid-template-columns: repeat(auto-fit, minmax(350px, 1fr)); 
-          gap: 28px; 
-          align-items: start; 
+        .run-status-banner p {
+          margin: 4px 0;
         }
-        .dashboard-column { 
-          display: flex; 
-          flex-direction: column; 
-          gap: 28px; 
+        .run-status-badge {
+          display: inline-block;
+          margin-left: 8px;
+          padding: 2px 10px;
+          border-radius: 10px;
+          background: var(--danger-dark);
+          color: white;
+          font-size: 0.75em;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          vertical-align: middle;
         }
-        .pie-chart-wrapper, .suites-widget, .trend-chart { 
-          background: rgba(31, 41, 55, 0.95);
-          padding: 48px; 
-          border: 1px solid var(--border-light);
-          border-radius: 16px;
-          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
-          display: flex; 
-          flex-direction: column;
-          overflow: visible;
-          margin-bottom: 24px;
+        .run-status-banner-errors h4 {
+          margin: 14px 0 6px;
+          font-size: 0.95em;
         }
-        .pie-chart-wrapper {
-          position: relative;
+        .global-error {
+          margin: 6px 0;
+          background: var(--bg-card);
+          border: 1px solid rgba(239, 68, 68, 0.4);
+          border-radius: 6px;
         }
-        .pie-chart-wrapper h3, .suites-header h2, .trend-chart h3, .chart-title-header { 
-          text-align: left; 
-          margin: 0 0 40px 0; 
-          font-size: 1.8em; 
-          font-weight: 900; 
-          color: #f9fafb;
-          letter-spacing: -0.02em;
+        .global-error summary {
+          padding: 8px 12px;
+          cursor: pointer;
+          font-weight: 600;
+          word-break: break-word;
         }
-        .trend-chart-container, .pie-chart-wrapper div[id^="pieChart-"] { 
-          flex-grow: 1; 
-          min-height: 250px; 
-          width: 100%;
-          overflow: visible;
+        .global-error .stack-trace {
+          margin: 0;
+          padding: 10px 12px;
+          border-top: 1px solid rgba(239, 68, 68, 0.4);
+          font-family: monospace;
+          font-size: 0.85em;
+          overflow-x: auto;
         }
-.status-badge-small-tooltip { 
-          padding: 2px 5px; 
-          border-radius: 3px; 
-          font-size: 0.9em; 
-          font-weight: 600; 
-          color: white; 
-          text-transform: uppercase; 
+        .repeat-stability-widget {
+          margin-top: 28px;
+          background: var(--bg-card);
+          border: 1px solid var(--border-medium);
+          border-radius: var(--radius-lg);
+          padding: 24px;
+          overflow-x: auto;
         }
-        .status-badge-small-tooltip.status-passed { 
-          background-color: var(--success-dark); 
+        .repeat-stability-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.9em;
         }
-        .status-badge-small-tooltip.status-failed { 
-          background-color: var(--danger-dark); 
+        .repeat-stability-table th {
+          text-align: left;
+          padding: 10px 12px;
+          color: var(--text-secondary);
+          border-bottom: 2px solid var(--border-medium);
         }
-        .status-badge-small-tooltip.status-skipped { 
-          background-color: var(--warning-dark); 
+        .repeat-stability-table td {
+          padding: 10px 12px;
+          border-bottom: 1px solid var(--border-medium);
+          vertical-align: middle;
         }
-        .status-badge-small-tooltip.status-unknown { 
-          background-color: #9ca3af; 
+        .repeat-test-title {
+          font-weight: 600;
         }
-        .suites-header {
-            flex-shrink: 0;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 20px;
+        .repeat-skipped {
+          color: var(--text-tertiary);
+          font-size: 0.85em;
         }
-        .summary-badge { background-color: var(--border-light); color: var(--text-secondary); padding: 7px 14px; border-radius: 16px; font-size: 0.9em; }
-        .suites-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(250px, 1fr)); gap: 20px; }
-        .suites-widget {
+        .repeat-ratio {
           display: flex;
-          flex-direction: column;
+          align-items: center;
+          gap: 10px;
+          min-width: 160px;
         }
-        .fixed-height-widget {
-          height: 450px;
+        .repeat-ratio-bar {
+          flex: 1;
+          height: 8px;
+          background: var(--neutral-200);
+          border-radius: 4px;
+          overflow: hidden;
         }
-        .suites-grid-container {
-            flex-grow: 1;
-            overflow-y: auto;
-            padding-right: 5px;
+        .repeat-ratio-fill {
+          height: 100%;
+          background: var(--success-color);
         }
-        
-        @media (max-width: 768px) {
-            .fixed-height-widget {
-                height: auto;
-                max-height: 600px;
-            }
+        .repeat-ratio-unstable .repeat-ratio-fill {
+          background: var(--warning-color);
         }
-        .suite-card {
-          background: var(--bg-card); /* Changed from #ffffff */
-          border: 1px solid var(--border-medium); /* Changed from border-light for better contrast */
-          border-radius: 16px;
-          padding: 24px;
-          box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.3), 0 2px 4px -1px rgba(0, 0, 0, 0.2); /* Darker shadow */
-          transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-          display: flex;
-          flex-direction: column;
-          height: 100%;
-          position: relative;
-          overflow: hidden;
+        .repeat-ratio-broken .repeat-ratio-fill {
+          background: var(--danger-color);
         }
-        .suite-card:hover {
-          transform: translateY(-4px);
-          box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.5), 0 10px 10px -5px rgba(0, 0, 0, 0.4);
-          background: var(--bg-card-hover);
-          border-color: var(--primary-dark);
+        .repeat-outcomes {
+          white-space: nowrap;
         }
-        .suite-card::before {
-          content: '';
-          position: absolute;
-          top: 0;
-          left: 0;
-          width: 100%;
-          height: 4px;
-          background: var(--neutral-200);
-          opacity: 0.8;
-          transition: background 0.3s ease;
+        .repeat-outcome {
+          display: inline-block;
+          width: 12px;
+          height: 12px;
+          margin-right: 3px;
+          border-radius: 3px;
+          background: var(--neutral-300);
         }
-        .suite-card.status-passed::before { background: var(--success-color); }
-        .suite-card.status-failed::before { background: var(--danger-color); }
-        .suite-card.status-flaky::before { background: #00ccd3; }
-        .suite-card.status-skipped::before { background: var(--warning-color); }
-        
-        .suite-card.status-skipped::before { background: var(--warning-color); }
-
-        /* Outcome Badge */
-        .outcome-badge {
-            background-color: var(--secondary-color); 
-            color: #000;
-            padding: 2px 8px;
-            border-radius: 4px;
-            font-size: 0.75em;
-            font-weight: 700;
-            text-transform: uppercase;
-            margin-right: 8px;
-            letter-spacing: 0.5px;
+        .repeat-outcome.status-passed,
+        .repeat-outcome.status-expected-failure {
+          background: var(--success-color);
+        }
+        .repeat-outcome.status-failed,
+        .repeat-outcome.status-timedout,
+        .repeat-outcome.status-interrupted,
+        .repeat-outcome.status-unexpected-success {
+          background: var(--danger-color);
         }
-        .outcome-badge.flaky {
-            background-color: #00ccd3;
-            color: #fff;
+        .repeat-outcome.status-flaky {
+          background: var(--flaky-color);
         }
-        
-        .suite-card-header {
+        .view-toggle {
           display: flex;
-          justify-content: space-between;
-          align-items: flex-start;
-          margin-bottom: 16px;
+          gap: 0;
+          margin-left: auto;
         }
-        .suite-name {
-          font-size: 1.15em;
-          font-weight: 700;
-          color: var(--text-primary);
-          line-height: 1.4;
-          display: -webkit-box;
-          -webkit-line-clamp: 2;
-          -webkit-box-orient: vertical;
-          overflow: hidden;
-          margin-right: 12px;
+        .filters .view-toggle button {
+          background: white;
+          color: #0f172a;
+          border: 2px solid #e2e8f0;
+          padding: 14px 22px;
         }
-         .status-indicator-dot {
-          width: 10px;
-          height: 10px;
-          border-radius: 50%;
-          flex-shrink: 0;
-          margin-top: 6px;
+        .filters .view-toggle button.active {
+          background: #0f172a;
+          color: white;
+          border-color: #e2e8f0;
         }
-        .status-indicator-dot.status-passed { background-color: var(--success-color); box-shadow: 0 0 0 4px rgba(16, 185, 129, 0.15); }
-        .status-indicator-dot.status-failed { background-color: var(--danger-color); box-shadow: 0 0 0 4px rgba(239, 68, 68, 0.15); }
-        .status-indicator-dot.status-skipped { background-color: var(--warning-color); box-shadow: 0 0 0 4px rgba(245, 158, 11, 0.15); }
-
-        .browser-tag {
-          font-size: 0.8em;
+        .test-tree {
+          padding: 16px 24px;
+        }
+        .tree-node-group > .tree-node-header {
+          border-color: var(--border-dark);
           font-weight: 600;
-          background: var(--bg-secondary);
-          color: var(--text-secondary);
-          padding: 4px 10px;
-          border-radius: 20px;
-          border: 1px solid var(--border-light);
-          display: inline-flex;
-          align-items: center;
-          gap: 6px;
-          margin-bottom: 20px;
-          align-self: flex-start;
-          box-shadow: none;
-          text-shadow: none;
         }
-        .browser-tag:hover {
-             /* Remove hover effect from previous */
+        .tree-node-epic > .tree-node-header,
+        .tree-node-feature > .tree-node-header {
+          font-weight: 600;
         }
-        
-        .suite-card-body {
-          margin-top: auto;
+        .test-meta {
+          margin: 12px 0;
+          padding: 12px 16px;
+          background: var(--bg-card);
+          border: 1px solid var(--border-medium);
+          border-left: 4px solid var(--info-color);
+          border-radius: 6px;
         }
-        
-        .test-count-label {
-          font-size: 0.85em;
+        .test-meta-row {
+          display: flex;
+          gap: 12px;
+          padding: 3px 0;
+        }
+        .test-meta-label {
+          min-width: 70px;
           font-weight: 600;
-          color: var(--text-tertiary);
-          text-transform: uppercase;
-          letter-spacing: 0.05em;
-          margin-bottom: 8px;
-          display: block;
+          color: var(--text-secondary);
         }
-
-        .suite-stats {
+        .test-meta-value {
           display: flex;
-          gap: 8px;
-          background: var(--bg-secondary);
-          padding: 10px 14px;
-          border-radius: 10px;
-          justify-content: space-between;
+          flex-wrap: wrap;
+          gap: 6px 12px;
         }
-        
-        .stat-pill {
-          display: flex;
-          align-items: center;
-          gap: 6px;
+        .test-meta-separator {
+          color: var(--text-tertiary);
+        }
+        .test-meta a {
+          color: var(--info-color);
+        }
+        .test-description {
+          margin-top: 8px;
+          line-height: 1.6;
+        }
+        .test-description > :first-child {
+          margin-top: 0;
+        }
+        .test-description > :last-child {
+          margin-bottom: 0;
+        }
+        .test-description code {
+          background: var(--bg-tertiary);
+          padding: 1px 5px;
+          border-radius: 4px;
+        }
+        .test-description pre {
+          background: var(--bg-tertiary);
+          padding: 10px;
+          border-radius: 6px;
+          overflow-x: auto;
+        }
+        .test-metrics h4 {
+          margin: 16px 0 8px;
+        }
+        .test-metrics-table {
+          border-collapse: collapse;
           font-size: 0.9em;
-          font-weight: 600;
         }
-        .stat-pill svg { width: 14px; height: 14px; }
-        .stat-pill.passed { color: var(--success-dark); }
-        .stat-pill.failed { color: var(--danger-dark); }
-        .stat-pill.flaky { color: #00ccd3; }
-        .stat-pill.skipped { color: var(--warning-dark); }
-          color: #93c5fd;
-          padding: 6px 12px;
-          border-radius: var(--radius-sm);
-          border: 1px solid rgba(96, 165, 250, 0.3);
-          display: inline-block;
-          box-shadow: 0 2px 8px rgba(96, 165, 250, 0.15), inset 0 1px 0 rgba(96, 165, 250, 0.2);
-          text-shadow: 0 1px 2px rgba(0, 0, 0, 0.3);
-          letter-spacing: 0.3px;
-          max-width: 200px;
-          overflow: hidden;
-          text-overflow: ellipsis;
-          white-space: nowrap;
-          vertical-align: middle;
-          cursor: help;
-          transition: all 0.2s ease;
+        .test-metrics-table th,
+        .test-metrics-table td {
+          text-align: left;
+          padding: 6px 14px;
+          border: 1px solid var(--border-medium);
         }
-        .browser-tag:hover {
-          background: linear-gradient(135deg, rgba(96, 165, 250, 0.3) 0%, rgba(59, 130, 246, 0.25) 100%);
-          border-color: rgba(96, 165, 250, 0.5);
+        .test-metrics-table th {
+          background: var(--bg-card);
+          font-weight: 600;
         }
+        .test-metrics-table tr.metric-regressed td {
+          color: var(--danger-color);
+          font-weight: 600;
         }
-        .suite-card-body .test-count { 
-          font-size: 0.95em; 
-          color: #d1d5db; 
-          display: block; 
-          margin-bottom: 10px; 
+        .metric-history {
+          margin-bottom: 16px;
         }
-        .suite-stats { 
-          display: flex; 
-          gap: 14px; 
-          font-size: 0.95em; 
-          align-items: center; 
+        .metric-history-header {
+          display: flex;
+          justify-content: space-between;
+          gap: 10px;
+          font-size: 0.9em;
         }
-        .suite-stats span { 
-          display: flex; 
-          align-items: center; 
-          gap: 6px; 
+        .metric-history-name {
+          font-weight: 600;
         }
-        .suite-stats svg { 
-          vertical-align: middle; 
-          font-size: 1.15em; 
+        .metric-history-threshold {
+          color: var(--text-tertiary);
         }
-.test-case { 
-          margin: 0 0 20px 0;
-          padding: 0;
-          border: 1px solid var(--border-light);
-          border-radius: 14px;
-          background: var(--gradient-card);
-          box-shadow: var(--shadow-sm);
-          transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-          overflow: hidden;
-          content-visibility: auto;
-          contain-intrinsic-size: auto 100px;
-          position: relative;
+        .metric-history-regressed .metric-history-value {
+          color: var(--danger-color);
+          font-weight: 600;
         }
-        .test-case::before {
-          content: '';
-          position: absolute;
-          inset: 0;
-          border-radius: 14px;
-          padding: 1px;
-          background: var(--gradient-border);
-          -webkit-mask: linear-gradient(#fff 0 0) content-box, linear-gradient(#fff 0 0);
-          -webkit-mask-composite: xor;
-          mask-composite: exclude;
-          opacity: 0;
-          transition: opacity 0.3s ease;
+        .metric-regression-banner {
+          margin-bottom: 14px;
+          padding: 6px 10px;
+          border-radius: 6px;
+          background: rgba(239, 68, 68, 0.15);
+          color: var(--danger-color);
+          font-weight: 600;
+          font-size: 0.9em;
         }
-        .test-case:hover {
-          box-shadow: var(--shadow-lg), var(--glow-primary);
-          transform: translateY(-3px);
-          background: var(--bg-card-hover);
+        .test-parameters h4 {
+          margin: 16px 0 8px;
         }
-        .test-case:hover::before {
-          opacity: 1;
+        .test-parameters-table {
+          border-collapse: collapse;
+          font-size: 0.9em;
         }
-        .test-case:last-child {
-          margin-bottom: 0;
+        .test-parameters-table th,
+        .test-parameters-table td {
+          text-align: left;
+          padding: 6px 14px;
+          border: 1px solid var(--border-medium);
         }
-        .test-case-header {  
-          padding: 22px 28px; 
-          background: linear-gradient(135deg, var(--bg-card) 0%, var(--bg-secondary) 100%);
-          cursor: pointer; 
-          display: grid;
-          grid-template-columns: 1fr auto;
-          grid-template-rows: auto auto;
-          gap: 14px 20px; 
-          transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-          border-bottom: 1px solid var(--border-light);
-          position: relative;
-          will-change: transform;
-          transform: translateZ(0);
-          }
-        .test-case-header::before {
-          content: '';
-          position: absolute;
-          left: 0;
-          top: 0;
-          bottom: 0;
-          width: 3px;
-          background: transparent;
-          transition: all 0.3s ease;
-          box-shadow: 0 0 0 rgba(129, 140, 248, 0);
+        .test-parameters-table th {
+          background: var(--bg-card);
+          font-weight: 600;
         }
-        .test-case-header:hover::before {
-          background: var(--gradient-primary);
-          width: 4px;
-          box-shadow: 0 0 8px rgba(129, 140, 248, 0.4), 0 0 16px rgba(129, 140, 248, 0.2);
+        .parameter-masked {
+          color: var(--text-tertiary);
+          font-style: italic;
         }
-        .test-case-header[aria-expanded="true"] { 
-          background: linear-gradient(135deg, var(--bg-tertiary) 0%, #000000 100%);
-          border-bottom-color: var(--border-medium);
+        .parameterised-group {
+          margin-bottom: 12px;
+          border: 1px solid var(--border-medium);
+          border-left: 4px solid var(--info-color);
+          border-radius: 8px;
+          background: var(--bg-card);
         }
-        .test-case-header[aria-expanded="true"]::before {
-          background: var(--gradient-primary);
-          width: 4px;
-          box-shadow: 0 0 12px rgba(129, 140, 248, 0.5), 0 0 24px rgba(129, 140, 248, 0.3);
+        .parameterised-group-failed {
+          border-left-color: var(--danger-color);
         }
-        .test-case-summary { 
-          display: flex; 
+        .parameterised-group-header {
+          display: flex;
           align-items: center;
-          gap: 14px; 
-          flex-wrap: wrap;
-          min-width: 0;
-          grid-column: 1;
-          grid-row: 1;
+          gap: 12px;
+          padding: 14px 18px;
+          cursor: pointer;
+          list-style: none;
+        }
+        .parameterised-group-header::-webkit-details-marker {
+          display: none;
+        }
+        .parameterised-group-header::before {
+          content: "▸";
+          color: var(--text-tertiary);
+          transition: transform 0.15s ease;
         }
-        .test-case-title {
-          font-weight: 600;
-          color: #f9fafb;
-          font-size: 1em;
-          word-break: break-word;
-          overflow-wrap: break-word;
-          flex: 1 1 auto;
-          min-width: 0;
+        .parameterised-group[open] > .parameterised-group-header::before {
+          transform: rotate(90deg);
         }
-        .test-case-browser {
-          font-size: 0.9em;
-          color: #d1d5db;
-          word-break: break-word;
-          overflow-wrap: break-word;
-          max-width: 100%;
+        .parameterised-group-title {
+          font-weight: 600;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
         }
-.test-case-meta { 
-          display: flex; 
-          align-items: center; 
-          gap: 8px; 
-          font-size: 0.9em; 
-          color: #d1d5db; 
-          flex-wrap: wrap;
-          min-width: 0;
-          grid-column: 1;
-          grid-row: 2;
+        .parameterised-group-meta {
+          color: var(--text-secondary);
+          font-size: 0.85em;
         }
-        .test-case-status-duration {
+        .parameterised-group-counts {
           display: flex;
-          flex-direction: column;
-          align-items: flex-end;
           gap: 8px;
-          grid-column: 2;
-          grid-row: 1 / 3;
-          align-self: center;
+          margin-left: auto;
+          font-size: 0.85em;
         }
-        .test-duration { 
-          background-color: var(--border-light); 
-          padding: 6px 12px; 
-          border-radius: 8px; 
+        .parameterised-group-body {
+          padding: 0 18px 14px;
+        }
+        .parameterised-group-table {
+          width: 100%;
+          border-collapse: collapse;
+          margin-bottom: 12px;
           font-size: 0.9em;
-          white-space: nowrap;
-          flex-shrink: 0;
-          font-weight: 700;
-          color: #f9fafb;
         }
-        .status-badge {
-          padding: 8px 20px;
-          border-radius: 0;
-          font-size: 0.7em;
-          font-weight: 800;
+        .parameterised-group-table th,
+        .parameterised-group-table td {
+          text-align: left;
+          padding: 6px 10px;
+          border-bottom: 1px solid var(--border-medium);
+        }
+        .parameterised-group-table .parameter-set {
+          cursor: pointer;
+        }
+        .parameterised-group-table .status-badge-small {
+          display: inline-block;
+          padding: 3px 7px;
+          font-size: 0.8em;
+          font-weight: 600;
           color: white;
-          text-transform: uppercase;
-          min-width: 100px;
-          text-align: center;
-          letter-spacing: 1px;
+          background: var(--text-tertiary);
         }
-        .status-badge.status-passed {
+        .parameterised-group-table .status-badge-small.status-passed {
           background: var(--success-color);
         }
-        .status-badge.status-failed {
+        .parameterised-group-table .status-badge-small.status-failed {
           background: var(--danger-color);
         }
-        .status-badge.status-skipped {
+        .parameterised-group-table .status-badge-small.status-skipped {
           background: var(--warning-color);
         }
-        .status-badge.status-flaky {
-          background-color: #00ccd3; 
-          color: #fff; 
-        }
-        .status-badge.status-unknown {
-          background: var(--dark-gray-color);
+        .parameterised-group-table .status-badge-small.status-flaky {
+          background: var(--warning-color);
         }
-
-        /* --- NEON GLASS SEVERITY BADGES --- */
-        .severity-badge {
-          display: inline-flex;
-          align-items: center;
-          gap: 6px;
-          padding: 5px 12px;
-          border-radius: 99px;
-          font-size: 0.75em;
-          font-weight: 700;
-          text-transform: uppercase;
-          letter-spacing: 0.05em;
-          border: 1px solid;
-          backdrop-filter: blur(4px);
-          -webkit-backdrop-filter: blur(4px);
-          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        .parameterised-group-table .parameter-set:hover {
+          background: var(--bg-hover);
         }
-        .severity-badge::before {
-          content: '';
-          width: 6px;
-          height: 6px;
-          border-radius: 50%;
-          background-color: currentColor;
-          box-shadow: 0 0 6px currentColor;
+        .custom-fields h4 {
+          margin: 16px 0 8px;
         }
-        /* Auto-map colors based on data-severity attribute */
-        .severity-badge[data-severity="critical"] {
-          color: #ff4d4d;
-          background-color: rgba(255, 77, 77, 0.1);
-          border-color: rgba(255, 77, 77, 0.25);
+        .custom-fields-table {
+          border-collapse: collapse;
+          font-size: 0.9em;
         }
-        .severity-badge[data-severity="high"] {
-          color: #fb923c;
-          background-color: rgba(251, 146, 60, 0.1);
-          border-color: rgba(251, 146, 60, 0.25);
+        .custom-fields-table th,
+        .custom-fields-table td {
+          text-align: left;
+          padding: 6px 14px;
+          border: 1px solid var(--border-medium);
         }
-        .severity-badge[data-severity="medium"] {
-          color: #facc15;
-          background-color: rgba(250, 204, 21, 0.1);
-          border-color: rgba(250, 204, 21, 0.25);
+        .custom-fields-table th {
+          background: var(--bg-card);
+          font-weight: 600;
         }
-        .severity-badge[data-severity="low"] {
-          color: #4ade80;
-          background-color: rgba(74, 222, 128, 0.1);
-          border-color: rgba(74, 222, 128, 0.25);
+        .tree-node {
+          margin: 4px 0;
         }
-        .severity-badge[data-severity="minor"] {
-          color: #94a3b8;
-          background-color: rgba(148, 163, 184, 0.1);
-          border-color: rgba(148, 163, 184, 0.25);
+        .tree-node .tree-node-children {
+          padding-left: 22px;
+          border-left: 1px dashed var(--border-dark);
+          margin-left: 10px;
         }
-
-        /* --- RETRY COUNT BADGE --- */
-        .retry-badge {
-          display: inline-flex;
+        .tree-node-header {
+          display: flex;
           align-items: center;
-          padding: 5px 12px;
-          border-radius: 12px;
-          font-size: 0.75rem;
-          font-weight: 600;
-          background: rgba(147, 51, 234, 0.15);
-          color: #a855f7;
-          border: 1px solid rgba(147, 51, 234, 0.3);
-          margin-left: 8px;
-        }
-
-        /* --- RETRY TABS --- */
-        .retry-tabs-container {
-          margin-top: 16px;
+          gap: 10px;
+          padding: 10px 14px;
+          cursor: pointer;
+          background: var(--bg-card);
+          border: 1px solid var(--border-medium);
+          border-radius: 6px;
+          list-style: none;
         }
-
-        .retry-tabs-header {
-          display: flex;
-          gap: 8px;
-          border-bottom: 2px solid var(--border-medium);
-          margin-bottom: 20px;
-          flex-wrap: wrap;
+        .tree-node-header::-webkit-details-marker {
+          display: none;
         }
-
-        .retry-tab {
-          padding: 10px 20px;
-          background: transparent;
-          border: none;
-          border-bottom: 3px solid transparent;
-          cursor: pointer;
-          font-size: 0.95rem;
-          font-weight: 600;
-          color: var(--text-color-secondary);
-          transition: all 0.2s ease;
+        .tree-node-header::before {
+          content: "▸";
+          color: var(--text-tertiary);
+          transition: transform 0.15s ease;
         }
-
-        .retry-tab:hover {
-          color: var(--primary-color);
-          background: rgba(147, 51, 234, 0.05);
+        .tree-node[open] > .tree-node-header::before {
+          transform: rotate(90deg);
         }
-
-        .retry-tab.active {
-          color: #a855f7;
-          border-bottom-color: #a855f7;
-          background: rgba(147, 51, 234, 0.1);
+        .tree-node[data-status="failed"] > .tree-node-header {
+          border-left: 4px solid var(--danger-color);
         }
-
-        .retry-tab-content {
-          animation: fadeIn 0.3s ease-in;
+        .tree-node[data-status="flaky"] > .tree-node-header {
+          border-left: 4px solid var(--flaky-color);
         }
-
-        @keyframes fadeIn {
-          from { opacity: 0; }
-          to { opacity: 1; }
+        .tree-node[data-status="passed"] > .tree-node-header {
+          border-left: 4px solid var(--success-color);
         }
-
-.tag { 
-          display: inline-flex;
-          align-items: center;
-          background: var(--gradient-primary);
-          color: #000000;
-          padding: 6px 14px;
-          border-radius: 6px;
-          font-size: 0.8em;
-          margin-right: 8px;
-          margin-bottom: 4px;
+        .tree-node-title {
           font-weight: 600;
-          text-transform: uppercase;
-          letter-spacing: 0.5px;
-          box-shadow: var(--shadow-sm), 0 0 8px rgba(129, 140, 248, 0.3);
-          transition: all 0.2s ease;
-          flex-shrink: 0;
+          flex: 1;
+          min-width: 0;
+          overflow: hidden;
+          text-overflow: ellipsis;
           white-space: nowrap;
         }
-        .tag:hover {
-          box-shadow: var(--shadow-md), var(--glow-primary);
-          transform: translateY(-1px);
+        .tree-node-file > .tree-node-header .tree-node-title {
+          font-family: monospace;
         }
-.test-case-content { 
-          display: none; 
-          padding: 28px; 
-          background: linear-gradient(135deg, rgba(17, 24, 39, 0.95) 0%, rgba(13, 13, 13, 0.98) 100%); 
-          border-top: 2px solid rgba(99, 102, 241, 0.2); 
-          border-left: 1px solid var(--border-medium);
-          border-right: 1px solid var(--border-medium);
-          border-bottom: 1px solid var(--border-medium);
-          border-radius: 0 0 var(--radius-md) var(--radius-md);
-          box-shadow: inset 0 2px 8px rgba(0, 0, 0, 0.4);
+        .tree-node-counts {
+          display: flex;
+          gap: 6px;
         }
-        .test-case-content h4 { 
-          margin-top: 22px; 
-          margin-bottom: 14px; 
-          font-size: 1.15em; 
-          color: var(--primary-dark); 
+        .tree-count {
+          font-size: 0.8em;
+          font-weight: 600;
+          padding: 2px 8px;
+          border-radius: 10px;
+          background: var(--bg-tertiary);
         }
-        .test-case-content p { 
-          margin-bottom: 10px; 
-          font-size: 1em; 
+        .tree-node-duration {
+          font-size: 0.85em;
+          color: var(--text-secondary);
+          white-space: nowrap;
         }
-        .test-error-summary { 
-          margin-bottom: 20px; 
-          padding: 14px; 
-          background-color: rgba(248,113,113,0.08); 
-          border: 1px solid rgba(248,113,113,0.25); 
-          border-left: 4px solid var(--danger-color); 
-          border-radius: 4px;
+        .tree-leaf {
           display: flex;
-          flex-direction: column; 
+          align-items: center;
+          gap: 10px;
+          padding: 8px 14px;
+          margin: 4px 0;
+          cursor: pointer;
+          border-radius: 6px;
         }
-        .test-error-summary h4 { 
-          color: #ef4444; 
-          margin-top: 0;
+        .tree-leaf:hover,
+        .tree-leaf:focus {
+          background: var(--bg-card-hover);
+          outline: none;
+        }
+        .tree-leaf-title {
+          flex: 1;
+          min-width: 0;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
         }
-        .test-error-summary pre { 
-          white-space: pre-wrap; 
-          word-break: break-all; 
-          color: #ef4444; 
-          font-size: 0.95em;
+        .tree-leaf-browser {
+          font-size: 0.85em;
+          color: var(--text-secondary);
         }
 .steps-list { 
           margin: 18px 0; 
@@ -4269,106 +7150,426 @@ function generateHTML(reportData, trendData = null) {
           justify-content: space-between; 
           align-items: center;
         }
-        .ai-modal-header h3 { 
-          margin: 0; 
-          font-size: 1.25em;
+        .ai-modal-header h3 { 
+          margin: 0; 
+          font-size: 1.25em;
+        }
+        .ai-modal-close { 
+          font-size: 2rem; 
+          font-weight: 300; 
+          cursor: pointer; 
+          color: #9ca3af; 
+          line-height: 1; 
+          transition: color 0.2s;
+          background: none;
+          border: none;
+          padding: 0;
+        }
+        .ai-modal-close:hover { 
+          color: #ef4444;
+        }
+        .ai-modal-body { 
+          padding: 25px; 
+          overflow-y: auto;
+        }
+        .ai-modal-body h4 { 
+          margin-top: 18px; 
+          margin-bottom: 10px; 
+          font-size: 1.1em; 
+          color: var(--primary-color); 
+        }
+        .ai-modal-body p { 
+          margin-bottom: 15px; 
+        }
+        .ai-loader { 
+          margin: 40px auto; 
+          border: 5px solid var(--border-light); 
+          border-top: 5px solid var(--primary-color); 
+          border-radius: 50%; 
+          width: 50px; 
+          height: 50px; 
+          animation: spin 1s linear infinite; 
+        }
+        @keyframes spin { 
+          0% { transform: rotate(0deg); } 
+          100% { transform: rotate(360deg); } 
+        }
+        .ai-suggestion-container {
+            margin-top: 15px;
+            border-top: 2px solid var(--border-light);
+            background: var(--gradient-card);
+            animation: slideDown 0.3s ease-out;
+        }
+        @keyframes slideDown {
+            from {
+                opacity: 0;
+                max-height: 0;
+                transform: translateY(-10px);
+            }
+            to {
+                opacity: 1;
+                max-height: 1000px;
+                transform: translateY(0);
+            }
+        }
+        .ai-suggestion-content {
+            padding: 20px;
+        }
+        .ai-suggestion-header {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            margin-bottom: 15px;
+            padding-bottom: 10px;
+            border-bottom: 2px solid var(--primary-color);
+        }
+        .ai-suggestion-header h4 {
+            margin: 0;
+            color: var(--primary-color);
+            font-size: 1.1em;
+            font-weight: 700;
+        }
+        .ai-suggestion-body {
+            color: #f9fafb;
+            line-height: 1.6;
+        }
+        .ai-suggestion-body h4 {
+            color: #6366f1;
+            margin-top: 15px;
+            margin-bottom: 8px;
+            font-size: 1em;
+        }
+        .ai-suggestion-body p {
+            margin-bottom: 10px;
+        }
+        .ai-suggestion-body pre {
+            background: var(--bg-tertiary);
+            color: var(--text-secondary);
+            padding: 14px;
+            border-radius: 8px;
+            overflow-x: auto;
+            font-size: 0.9em;
+            border: 1px solid var(--border-light);
+        }
+        .step-category-chip {
+          display: inline-block;
+          margin-right: 6px;
+          padding: 1px 6px;
+          border-radius: 4px;
+          font-size: 0.75em;
+          font-weight: 600;
+          font-style: normal;
+          color: #111827;
+          vertical-align: middle;
+          background: var(--neutral-300);
+        }
+        .category-hook {
+          background: #60a5fa;
+        }
+        .category-fixture {
+          background: #a78bfa;
+        }
+        .category-pw-api {
+          background: #fbbf24;
+        }
+        .category-expect {
+          background: #2dd4bf;
+        }
+        .category-test-step {
+          background: #818cf8;
+        }
+        .category-test-attach {
+          background: #9ca3af;
+        }
+        .step-waterfall {
+          margin: 12px 0 18px;
+          border: 1px solid var(--border-medium);
+          border-radius: var(--radius-md);
+          background: var(--bg-card);
+        }
+        .step-waterfall > summary {
+          padding: 10px 14px;
+          font-weight: 600;
+          cursor: pointer;
+          color: var(--text-primary);
+        }
+        .step-waterfall-meta {
+          margin-left: 8px;
+          font-weight: 400;
+          font-size: 0.85em;
+          color: var(--text-secondary);
+        }
+        .step-waterfall-legend {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 14px;
+          padding: 0 14px 10px;
+          font-size: 0.8em;
+          color: var(--text-secondary);
+        }
+        .step-waterfall-legend-item {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
+        }
+        .step-waterfall-swatch {
+          display: inline-block;
+          width: 12px;
+          height: 12px;
+          border-radius: 3px;
+        }
+        .step-waterfall-rows {
+          padding: 0 14px 14px;
+          max-height: 480px;
+          overflow: auto;
+        }
+        .step-waterfall-row {
+          display: grid;
+          grid-template-columns: minmax(160px, 30%) 1fr 70px;
+          align-items: center;
+          gap: 10px;
+          min-width: 560px;
+          padding: 2px 0;
+          font-size: 0.85em;
+        }
+        .step-waterfall-row:hover {
+          background: var(--bg-secondary);
+        }
+        .step-waterfall-label {
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          color: var(--text-primary);
+        }
+        .step-waterfall-row-failed .step-waterfall-label {
+          color: var(--danger-color);
+          font-weight: 600;
+        }
+        .step-waterfall-track {
+          position: relative;
+          height: 14px;
+          background: var(--bg-secondary);
+          border-radius: 3px;
+        }
+        .step-waterfall-bar {
+          position: absolute;
+          top: 2px;
+          bottom: 2px;
+          min-width: 2px;
+          border-radius: 2px;
+        }
+        .step-waterfall-row-failed .step-waterfall-bar {
+          box-shadow: 0 0 0 2px var(--danger-color);
+        }
+        .step-waterfall-duration {
+          text-align: right;
+          color: var(--text-secondary);
+          font-variant-numeric: tabular-nums;
+        }
+        .log-timeline {
+          margin: 12px 0 18px;
+          border: 1px solid var(--border-medium);
+          border-radius: var(--radius-md);
+          background: var(--bg-card);
+        }
+        .log-timeline > summary {
+          padding: 10px 14px;
+          font-weight: 600;
+          cursor: pointer;
+          color: var(--text-primary);
+        }
+        .log-timeline-meta {
+          margin-left: 8px;
+          font-weight: 400;
+          font-size: 0.85em;
+          color: var(--text-secondary);
+        }
+        .log-timeline-filters {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+          padding: 0 14px 10px;
+        }
+        .log-timeline-filters button {
+          padding: 4px 10px;
+          font-size: 0.8em;
+          border: 1px solid var(--border-dark);
+          border-radius: 4px;
+          background: var(--bg-secondary);
+          color: var(--text-secondary);
+          cursor: pointer;
+        }
+        .log-timeline-filters button.active {
+          background: var(--text-primary);
+          border-color: var(--text-primary);
+          color: var(--bg-primary);
+        }
+        .log-timeline-entries {
+          padding: 0 14px 14px;
+          max-height: 480px;
+          overflow: auto;
+          font-size: 0.85em;
+        }
+        .log-timeline-entry {
+          display: grid;
+          grid-template-columns: 80px 60px 1fr;
+          align-items: baseline;
+          gap: 10px;
+          padding: 3px 0;
+          border-bottom: 1px solid var(--border-light);
+        }
+        .log-timeline-time {
+          color: var(--text-tertiary);
+          font-family: monospace;
+          text-align: right;
+        }
+        .log-timeline-level {
+          font-size: 0.8em;
+          font-weight: 700;
+          text-transform: uppercase;
+        }
+        .log-timeline-message {
+          min-width: 0;
+          white-space: pre-wrap;
+          word-break: break-word;
+        }
+        .log-timeline-entry:not([data-level="step"]) .log-timeline-message {
+          font-family: monospace;
+        }
+        .log-timeline-step {
+          color: var(--text-secondary);
+        }
+        .log-timeline-step-failed {
+          color: var(--danger-color);
+          font-weight: 600;
+        }
+        .log-timeline-duration {
+          color: var(--text-tertiary);
+          font-size: 0.9em;
+        }
+        .log-timeline-data {
+          margin: 4px 0 0;
+          padding: 6px 8px;
+          background: var(--bg-tertiary);
+          border-radius: 4px;
+          white-space: pre-wrap;
+        }
+        .capture-panel {
+          margin: 12px 0 18px;
+          border: 1px solid var(--border-medium);
+          border-radius: var(--radius-md);
+          background: var(--bg-card);
+        }
+        .capture-panel > summary {
+          padding: 10px 14px;
+          font-weight: 600;
+          cursor: pointer;
+          color: var(--text-primary);
+        }
+        .capture-panel-meta {
+          margin-left: 8px;
+          font-weight: 400;
+          font-size: 0.85em;
+          color: var(--text-secondary);
+        }
+        .capture-panel-entries {
+          padding: 0 14px 14px;
+          max-height: 480px;
+          overflow: auto;
+          font-size: 0.85em;
+        }
+        .capture-panel-time {
+          color: var(--text-tertiary);
+          font-family: monospace;
+          white-space: nowrap;
+        }
+        .browser-console-entry {
+          display: grid;
+          grid-template-columns: 80px 80px 1fr;
+          align-items: baseline;
+          gap: 10px;
+          padding: 3px 0;
+          border-bottom: 1px solid var(--border-light);
+        }
+        .browser-console-entry .capture-panel-time {
+          text-align: right;
+        }
+        .browser-console-type {
+          font-size: 0.8em;
+          font-weight: 700;
+          text-transform: uppercase;
+          color: var(--text-tertiary);
         }
-        .ai-modal-close { 
-          font-size: 2rem; 
-          font-weight: 300; 
-          cursor: pointer; 
-          color: #9ca3af; 
-          line-height: 1; 
-          transition: color 0.2s;
-          background: none;
-          border: none;
-          padding: 0;
+        .browser-console-message {
+          min-width: 0;
+          font-family: monospace;
+          white-space: pre-wrap;
+          word-break: break-word;
         }
-        .ai-modal-close:hover { 
-          color: #ef4444;
+        .browser-console-location {
+          display: block;
+          color: var(--text-tertiary);
+          font-size: 0.9em;
         }
-        .ai-modal-body { 
-          padding: 25px; 
-          overflow-y: auto;
+        .browser-console-stack {
+          margin: 4px 0 0;
+          padding: 6px 8px;
+          background: var(--bg-tertiary);
+          border-radius: 4px;
+          white-space: pre-wrap;
         }
-        .ai-modal-body h4 { 
-          margin-top: 18px; 
-          margin-bottom: 10px; 
-          font-size: 1.1em; 
-          color: var(--primary-color); 
+        .console-type-warning .browser-console-type {
+          color: var(--warning-color);
         }
-        .ai-modal-body p { 
-          margin-bottom: 15px; 
+        .console-type-error .browser-console-type,
+        .console-type-pageerror .browser-console-type,
+        .console-type-pageerror .browser-console-message {
+          color: var(--danger-color);
         }
-        .ai-loader { 
-          margin: 40px auto; 
-          border: 5px solid var(--border-light); 
-          border-top: 5px solid var(--primary-color); 
-          border-radius: 50%; 
-          width: 50px; 
-          height: 50px; 
-          animation: spin 1s linear infinite; 
+        .network-table {
+          width: 100%;
+          border-collapse: collapse;
         }
-        @keyframes spin { 
-          0% { transform: rotate(0deg); } 
-          100% { transform: rotate(360deg); } 
+        .network-table th,
+        .network-table td {
+          text-align: left;
+          padding: 5px 8px;
+          border-bottom: 1px solid var(--border-light);
+          vertical-align: top;
         }
-        .ai-suggestion-container {
-            margin-top: 15px;
-            border-top: 2px solid var(--border-light);
-            background: var(--gradient-card);
-            animation: slideDown 0.3s ease-out;
+        .network-table th {
+          color: var(--text-secondary);
+          font-weight: 600;
         }
-        @keyframes slideDown {
-            from {
-                opacity: 0;
-                max-height: 0;
-                transform: translateY(-10px);
-            }
-            to {
-                opacity: 1;
-                max-height: 1000px;
-                transform: translateY(0);
-            }
+        .network-status-error {
+          color: var(--danger-color);
+          font-weight: 600;
         }
-        .ai-suggestion-content {
-            padding: 20px;
+        .network-status-warning {
+          color: var(--warning-color);
+          font-weight: 600;
         }
-        .ai-suggestion-header {
-            display: flex;
-            align-items: center;
-            gap: 10px;
-            margin-bottom: 15px;
-            padding-bottom: 10px;
-            border-bottom: 2px solid var(--primary-color);
+        .network-url {
+          font-family: monospace;
+          word-break: break-all;
         }
-        .ai-suggestion-header h4 {
-            margin: 0;
-            color: var(--primary-color);
-            font-size: 1.1em;
-            font-weight: 700;
+        .log-level-step {
+          color: var(--text-tertiary);
         }
-        .ai-suggestion-body {
-            color: #f9fafb;
-            line-height: 1.6;
+        .log-level-info {
+          color: var(--info-color);
         }
-        .ai-suggestion-body h4 {
-            color: #6366f1;
-            margin-top: 15px;
-            margin-bottom: 8px;
-            font-size: 1em;
+        .log-level-warn {
+          color: var(--warning-color);
         }
-        .ai-suggestion-body p {
-            margin-bottom: 10px;
+        .log-level-error {
+          color: var(--danger-color);
         }
-        .ai-suggestion-body pre {
-            background: var(--bg-tertiary);
-            color: var(--text-secondary);
-            padding: 14px;
-            border-radius: 8px;
-            overflow-x: auto;
-            font-size: 0.9em;
-            border: 1px solid var(--border-light);
+        .log-level-stdout {
+          color: var(--text-secondary);
+        }
+        .log-level-stderr {
+          color: #fb923c;
         }
         .failed-step-highlight { 
           border-left: 4px solid var(--danger-color) !important; 
@@ -4388,6 +7589,192 @@ function generateHTML(reportData, trendData = null) {
           font-size: 0.85em; 
           font-weight: 600; 
         }
+        .matcher-diff {
+          margin-top: 12px;
+          border: 1px solid var(--border-medium);
+          border-radius: 6px;
+          background: var(--bg-card);
+          color: var(--text-primary);
+          overflow: hidden;
+        }
+        .matcher-diff-header {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 12px;
+          padding: 8px 12px;
+          background: var(--bg-secondary);
+          border-bottom: 1px solid var(--border-medium);
+          font-size: 0.85em;
+        }
+        .matcher-diff-title {
+          font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
+          font-weight: 600;
+        }
+        .matcher-diff-legend {
+          display: inline-flex;
+          gap: 10px;
+          font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
+        }
+        .matcher-diff-toggle {
+          margin-left: auto;
+          display: inline-flex;
+          border: 1px solid var(--border-medium);
+          border-radius: 4px;
+          overflow: hidden;
+        }
+        .matcher-diff-toggle button {
+          padding: 3px 10px;
+          border: none;
+          background: transparent;
+          color: var(--text-secondary);
+          font-size: 0.95em;
+          cursor: pointer;
+        }
+        .matcher-diff-toggle button.active {
+          background: var(--text-primary);
+          color: var(--bg-primary);
+        }
+        .matcher-diff[data-view="unified"] .matcher-diff-split,
+        .matcher-diff[data-view="split"] .matcher-diff-unified {
+          display: none;
+        }
+        .matcher-diff-split {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+        }
+        .matcher-diff-pane {
+          min-width: 0;
+        }
+        .matcher-diff-pane + .matcher-diff-pane {
+          border-left: 1px solid var(--border-medium);
+        }
+        .matcher-diff-pane-title {
+          padding: 4px 12px;
+          font-size: 0.75em;
+          font-weight: 700;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          color: var(--text-secondary);
+        }
+        .matcher-diff-expected .matcher-diff-pane-title {
+          color: #4ade80;
+        }
+        .matcher-diff-received .matcher-diff-pane-title {
+          color: #f87171;
+        }
+        .matcher-diff-code {
+          padding: 6px 0;
+          overflow-x: auto;
+          font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
+          font-size: 0.85em;
+          line-height: 1.5;
+        }
+        .matcher-diff-code .diff-line {
+          padding: 0 12px;
+          white-space: pre;
+          min-height: 1.5em;
+        }
+        .diff-removed {
+          color: #4ade80;
+        }
+        .diff-added {
+          color: #f87171;
+        }
+        .matcher-diff-code .diff-removed {
+          background: rgba(74, 222, 128, 0.1);
+        }
+        .matcher-diff-code .diff-added {
+          background: rgba(248, 113, 113, 0.1);
+        }
+        .matcher-diff-code .diff-filler {
+          background: repeating-linear-gradient(45deg, transparent, transparent 4px, rgba(255, 255, 255, 0.04) 4px, rgba(255, 255, 255, 0.04) 8px);
+        }
+        .matcher-diff-code .diff-hunk {
+          color: var(--text-tertiary);
+          font-style: italic;
+        }
+        .matcher-diff-fold > summary {
+          padding: 2px 12px;
+          font-size: 0.9em;
+          color: var(--text-secondary);
+          cursor: pointer;
+          background: var(--bg-secondary);
+        }
+        .matcher-diff-empty {
+          padding: 6px 12px;
+          font-style: italic;
+          color: var(--text-tertiary);
+        }
+        .source-panel {
+          margin: 12px 0;
+          border-radius: 6px;
+          overflow: hidden;
+          border: 1px solid #2d2d3a;
+          background: #1e1e2e;
+        }
+        .source-panel-header {
+          padding: 6px 12px;
+          font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
+          font-size: 0.8em;
+          color: #a6adc8;
+          background: #181825;
+          border-bottom: 1px solid #2d2d3a;
+        }
+        .source-panel-code {
+          margin: 0;
+          padding: 8px 0;
+          overflow-x: auto;
+          font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
+          font-size: 0.85em;
+          line-height: 1.5;
+          color: #cdd6f4;
+          background: transparent;
+          white-space: pre;
+        }
+        .source-line {
+          display: flex;
+          padding-right: 12px;
+        }
+        .source-line-number {
+          flex: 0 0 48px;
+          padding-right: 12px;
+          text-align: right;
+          color: #6c7086;
+          user-select: none;
+        }
+        .source-line-code {
+          flex: 1;
+          tab-size: 4;
+        }
+        .source-line-target {
+          background: rgba(243, 139, 168, 0.15);
+          box-shadow: inset 3px 0 0 #f38ba8;
+        }
+        .source-line-target .source-line-number {
+          color: #f38ba8;
+          font-weight: 700;
+        }
+        .source-line-caret .source-line-code {
+          color: #f38ba8;
+          font-weight: 700;
+        }
+        .source-panel .token-keyword {
+          color: #cba6f7;
+        }
+        .source-panel .token-string {
+          color: #a6e3a1;
+        }
+        .source-panel .token-number {
+          color: #fab387;
+        }
+        .source-panel .token-comment {
+          color: #6c7086;
+          font-style: italic;
+        }
+        .source-panel .token-function {
+          color: #89b4fa;
+        }
         .code-snippet-section { 
           margin: 12px 0; 
         }
@@ -4591,6 +7978,21 @@ function generateHTML(reportData, trendData = null) {
           background-color: #00ccd3; 
           color: #fff;
         }
+        .status-badge-small.status-timedout { 
+          background-color: #f97316; 
+        }
+        .status-badge-small.status-interrupted { 
+          background-color: #8b5cf6; 
+        }
+        .status-badge-small.status-expected-failure { 
+          background-color: #84cc16; 
+        }
+        .status-badge-small.status-unexpected-success { 
+          background-color: #ec4899; 
+        }
+        .status-badge-small.status-explicitly-skipped { 
+          background-color: #fbbf24; 
+        }
         .status-badge-small.status-unknown { 
           background-color: var(--dark-gray-color); 
         }
@@ -6285,10 +9687,12 @@ function generateHTML(reportData, trendData = null) {
         <div class="tabs">
             <button class="tab-button active" data-tab="dashboard">Dashboard</button>
             <button class="tab-button" data-tab="test-runs">Test Run Summary</button>
+            <button class="tab-button" data-tab="timeline">Timeline</button>
             <button class="tab-button" data-tab="test-history">Test History</button>
             <button class="tab-button" data-tab="ai-failure-analyzer">AI Failure Analyzer</button>
         </div>
         <div id="dashboard" class="tab-content active">
+            ${generateRunStatusBanner(runSummary)}
             <div class="dashboard-grid">
                 <div class="summary-card"><h3>Total Tests</h3><div class="value">${
                   runSummary.totalTests
@@ -6304,6 +9708,29 @@ function generateHTML(reportData, trendData = null) {
                 }</div><div class="trend-percentage">${skipPercentage}%</div></div>
                 <div class="summary-card flaky-status"><h3>Flaky</h3><div class="value">${runSummary.flaky || 0}</div>
                 <div class="trend-percentage">${flakyPercentage}%</div></div>
+                <div class="summary-card status-timedout"><h3>Timed Out</h3><div class="value">${
+                  runSummary.timedOut || 0
+                }</div><div class="trend-percentage">${timedOutPercentage}%</div></div>
+                <div class="summary-card status-interrupted"><h3>Interrupted</h3><div class="value">${
+                  runSummary.interrupted || 0
+                }</div><div class="trend-percentage">${interruptedPercentage}%</div></div>
+                <div class="summary-card status-unexpected-success"><h3>Unexpected Successes</h3><div class="value">${
+                  runSummary.unexpectedSuccesses || 0
+                }</div><div class="trend-percentage">${unexpectedSuccessPercentage}%</div></div>
+                <div class="summary-card status-expected-outcomes">
+                  <h3>Expected Outcomes</h3>
+                  <div class="browser-breakdown">
+                    ${expectedOutcomes
+                      .map(
+                        (o) =>
+                          `<div class="browser-item">
+                        <span class="browser-name">${o.label}</span>
+                        <span class="browser-stats">${Math.round((o.count / totalTestsOr1) * 100)}% (${o.count})</span>
+                      </div>`,
+                      )
+                      .join("")}
+                  </div>
+                </div>
                 <div class="summary-card"><h3>Run Duration</h3><div class="value">${formatDuration(
                   runSummary.duration,
                 )}</div><div class="trend-percentage">Avg. Test Duration ${avgTestDuration}</div></div>
@@ -6343,22 +9770,28 @@ function generateHTML(reportData, trendData = null) {
                     { label: "Failed", value: runSummary.failed },
                     { label: "Flaky", value: runSummary.flaky || 0 },
                     { label: "Skipped", value: runSummary.skipped || 0 },
+                    { label: "Timed Out", value: runSummary.timedOut || 0 },
+                    { label: "Interrupted", value: runSummary.interrupted || 0 },
+                    { label: "Expected Failure", value: runSummary.expectedFailures || 0 },
+                    { label: "Unexpected Success", value: runSummary.unexpectedSuccesses || 0 },
+                    { label: "Explicitly Skipped", value: runSummary.explicitlySkipped || 0 },
                   ],
                   400,
                   390,
                 )} 
-                ${generateEnvironmentSection(runSummary.environment)}
+                ${generateEnvironmentSection(runSummary.environment, { ci: runSummary.ci, git: runSummary.git })}
               </div> 
                 <div style="display: flex; flex-direction: column; gap: 28px;">
                   ${generateSuitesWidget(suitesData)}
                   ${generateSeverityDistributionChart(results)}
               </div>
             </div>
+            ${generateRepeatStabilityWidget(results)}
         </div>
         <div id="test-runs" class="tab-content">
             <div class="filters" style="border-color: black; border-style: groove;">
                 <input type="text" id="filter-name" placeholder="Filter by test name/path..." style="border-color: black; border-style: outset;">
-                <select id="filter-status"><option value="">All Statuses</option><option value="passed">Passed</option><option value="failed">Failed</option><option value="flaky">Flaky</option><option value="skipped">Skipped</option></select>
+                <select id="filter-status"><option value="">All Statuses</option><option value="passed">Passed</option><option value="failed">Failed</option><option value="flaky">Flaky</option><option value="skipped">Skipped</option><option value="timedOut">Timed Out</option><option value="interrupted">Interrupted</option><option value="expected-failure">Expected Failure</option><option value="unexpected-success">Unexpected Success</option><option value="explicitly-skipped">Explicitly Skipped</option></select>
                 <select id="filter-browser"><option value="">All Browsers</option>${Array.from(
                   new Set(
                     (results || []).map((test) => test.browser || "unknown"),
@@ -6371,8 +9804,17 @@ function generateHTML(reportData, trendData = null) {
                       )}</option>`,
                   )
                   .join("")}</select>
+                ${generateCustomFieldControlsHTML(results)}
                 <button id="clear-run-summary-filters" class="clear-filters-btn">Clear Filters</button>
+                <div class="view-toggle">
+                    <button class="view-toggle-btn active" data-view="list">List</button>
+                    <button class="view-toggle-btn" data-view="tree">Tree</button>
+                    ${hasFeatureHierarchy(results) ? '<button class="view-toggle-btn" data-view="features">Features</button>' : ""}
+                </div>
             </div>
+            <div class="test-tree" style="display: none;">${generateTestTreeHTML(results)}</div>
+            ${generateFeatureTreeHTML(results)}
+            ${generateGroupedTestTreesHTML(results)}
             <div class="test-cases-list">${generateTestCasesHTML(
               results.slice(0, 50),
               0,
@@ -6386,6 +9828,9 @@ function generateHTML(reportData, trendData = null) {
                 : ``
             }
         </div>
+        <div id="timeline" class="tab-content">
+            ${generateTimelineHTML(results, runSummary.subRunIds)}
+        </div>
         <div id="test-history" class="tab-content">
           <div class="trend-charts-row">
             <div class="trend-chart"><h3 class="chart-title-header">Test Volume & Outcome Trends</h3>
@@ -6416,7 +9861,7 @@ function generateHTML(reportData, trendData = null) {
           <div class="trend-charts-row">
              <div class="trend-chart">
                 <h3 class="chart-title-header">Test Distribution by Worker ${infoTooltip}</h3>
-                ${generateWorkerDistributionChart(results)}
+                ${generateWorkerDistributionChart(results, runSummary.workerRestarts)}
              </div>
           </div>
           <div class="trend-chart test-history-trend-section" style="border-bottom: none; background: none !important; box-shadow: none !important; border: none !important; border-radius: none !important;">
@@ -6431,7 +9876,7 @@ function generateHTML(reportData, trendData = null) {
           }
         </div>
         <div id="ai-failure-analyzer" class="tab-content">
-            ${generateAIFailureAnalyzerTab(results)}
+            ${generateAIFailureAnalyzerTab(results, sources)}
         </div>
         <footer style="padding: 0.5rem; box-shadow: 0 -2px 10px rgba(0, 0, 0, 0.05); text-align: center; font-family: 'Segoe UI', system-ui, sans-serif;">
             <div style="display: inline-flex; align-items: center; gap: 0.5rem; font-size: 0.9rem; font-weight: 600; letter-spacing: 0.5px;">
@@ -6514,15 +9959,21 @@ function generateHTML(reportData, trendData = null) {
             const test = JSON.parse(atob(testJson));
 
             const testName = test.name || 'Unknown Test';
+            // Every soft-assertion failure is sent, not only the first one
+            const testErrors = (test.errors && test.errors.length > 0)
+                ? test.errors
+                : [{ message: test.errorMessage, snippet: test.snippet }];
+            const errorsForPrompt = testErrors.length > 1
+                ? testErrors.map((err, i) => 'Error ' + (i + 1) + ' of ' + testErrors.length + ':\\n' + (err.message || 'Not available.')).join('\\n\\n')
+                : 'Error Message:\\n' + (testErrors[0].message || 'Not available.');
             const failureLogsAndErrors = [
-                'Error Message:',
-                test.errorMessage || 'Not available.',
+                errorsForPrompt,
                 '\\n\\n--- stdout ---',
                 (test.stdout && test.stdout.length > 0) ? test.stdout.join('\\n') : 'Not available.',
                 '\\n\\n--- stderr ---',
                 (test.stderr && test.stderr.length > 0) ? test.stderr.join('\\n') : 'Not available.'
             ].join('\\n');
-            const codeSnippet = test.snippet || '';
+            const codeSnippet = [...new Set(testErrors.map((err) => err.sourceContext || err.snippet).filter(Boolean))].join('\\n\\n');
 
             const shortTestName = testName.split(' > ').pop();
             
@@ -6617,15 +10068,21 @@ function generateHTML(reportData, trendData = null) {
             const test = JSON.parse(atob(testJson));
 
             const testName = test.name || 'Unknown Test';
+            // Every soft-assertion failure is sent, not only the first one
+            const testErrors = (test.errors && test.errors.length > 0)
+                ? test.errors
+                : [{ message: test.errorMessage, snippet: test.snippet }];
+            const errorsForPrompt = testErrors.length > 1
+                ? testErrors.map((err, i) => 'Error ' + (i + 1) + ' of ' + testErrors.length + ':\\n' + (err.message || 'Not available.')).join('\\n\\n')
+                : 'Error Message:\\n' + (testErrors[0].message || 'Not available.');
             const failureLogsAndErrors = [
-                'Error Message:',
-                test.errorMessage || 'Not available.',
+                errorsForPrompt,
                 '\\n\\n--- stdout ---',
                 (test.stdout && test.stdout.length > 0) ? test.stdout.join('\\n') : 'Not available.',
                 '\\n\\n--- stderr ---',
                 (test.stderr && test.stderr.length > 0) ? test.stderr.join('\\n') : 'Not available.'
             ].join('\\n');
-            const codeSnippet = test.snippet || '';
+            const codeSnippet = [...new Set(testErrors.map((err) => err.sourceContext || err.snippet).filter(Boolean))].join('\\n\\n');
 
             const aiPrompt = \`You are an expert Playwright test automation engineer specializing in debugging test failures.
 
@@ -6796,12 +10253,15 @@ Code Snippet:
 
         const statusFilter = document.getElementById('filter-status');
         const browserFilter = document.getElementById('filter-browser');
+        const customFieldFilter = document.getElementById('filter-custom-field');
         const clearRunSummaryFiltersBtn = document.getElementById('clear-run-summary-filters'); 
         function filterTestCases() { 
             ensureAllTestsAppended();
             const nameValue = nameFilter ? nameFilter.value.toLowerCase() : "";
             const statusValue = statusFilter ? statusFilter.value : "";
             const browserValue = browserFilter ? browserFilter.value : "";
+            const customFieldValue = customFieldFilter ? customFieldFilter.value : "";
+            const matchesCustomField = (element) => !customFieldValue || (element.getAttribute('data-custom-fields') || '').split(' ').includes(customFieldValue);
             document.querySelectorAll('#test-runs .test-case').forEach(testCaseElement => {
                 const titleElement = testCaseElement.querySelector('.test-case-title');
                 const fullTestName = titleElement ? titleElement.getAttribute('title').toLowerCase() : "";
@@ -6810,19 +10270,111 @@ Code Snippet:
                 const nameMatch = fullTestName.includes(nameValue);
                 const statusMatch = !statusValue || status === statusValue;
                 const browserMatch = !browserValue || browser === browserValue;
-                testCaseElement.style.display = (nameMatch && statusMatch && browserMatch) ? '' : 'none';
+                testCaseElement.style.display = (nameMatch && statusMatch && browserMatch && matchesCustomField(testCaseElement)) ? '' : 'none';
+            });
+            document.querySelectorAll('#test-runs .tree-leaf').forEach(leaf => {
+                const nameMatch = (leaf.getAttribute('data-name') || '').toLowerCase().includes(nameValue);
+                const statusMatch = !statusValue || leaf.getAttribute('data-status') === statusValue;
+                const browserMatch = !browserValue || leaf.getAttribute('data-browser') === browserValue;
+                leaf.style.display = (nameMatch && statusMatch && browserMatch && matchesCustomField(leaf)) ? '' : 'none';
+            });
+            document.querySelectorAll('#test-runs .tree-node').forEach(node => {
+                const hasVisibleLeaf = Array.from(node.querySelectorAll('.tree-leaf')).some(leaf => leaf.style.display !== 'none');
+                node.style.display = hasVisibleLeaf ? '' : 'none';
+            });
+            document.querySelectorAll('#test-runs .parameterised-group').forEach(group => {
+                let visibleSets = 0;
+                group.querySelectorAll('.parameter-set').forEach(row => {
+                    const testCase = document.getElementById('test-case-' + row.getAttribute('data-test-index'));
+                    const visible = !testCase || testCase.style.display !== 'none';
+                    row.style.display = visible ? '' : 'none';
+                    if (visible) visibleSets++;
+                });
+                group.style.display = visibleSets > 0 ? '' : 'none';
             });
         }
         if(nameFilter) nameFilter.addEventListener('input', filterTestCases);
         if(statusFilter) statusFilter.addEventListener('change', filterTestCases);
         if(browserFilter) browserFilter.addEventListener('change', filterTestCases);
+        if(customFieldFilter) customFieldFilter.addEventListener('change', filterTestCases);
         if(clearRunSummaryFiltersBtn) clearRunSummaryFiltersBtn.addEventListener('click', () => {
             ensureAllTestsAppended();
             if(nameFilter) nameFilter.value = '';
             if(statusFilter) statusFilter.value = '';
             if(browserFilter) browserFilter.value = '';
+            if(customFieldFilter) customFieldFilter.value = '';
             filterTestCases();
         });
+        // --- List / Tree View ---
+        const testCasesList = document.querySelector('#test-runs .test-cases-list');
+        const testTree = document.querySelector('#test-runs .test-tree:not(.test-tree-grouped):not(.test-tree-features)');
+        const featureTree = document.querySelector('#test-runs .test-tree-features');
+        const groupedTestTrees = document.querySelectorAll('#test-runs .test-tree-grouped');
+        const groupBySelect = document.getElementById('group-by-custom-field');
+        const viewToggleButtons = document.querySelectorAll('#test-runs .view-toggle-btn');
+        // view is 'list', 'tree', 'features' or 'group'; groupBy is the encoded custom field key of the grouped tree
+        function showRunSummaryView(view, groupBy) {
+            viewToggleButtons.forEach(btn => btn.classList.toggle('active', btn.getAttribute('data-view') === view));
+            if (testCasesList) testCasesList.style.display = view === 'list' ? '' : 'none';
+            const loadMoreWrapper = document.querySelector('#test-runs .load-more-wrapper');
+            if (loadMoreWrapper) loadMoreWrapper.style.display = view === 'list' ? '' : 'none';
+            if (testTree) testTree.style.display = view === 'tree' ? '' : 'none';
+            if (featureTree) featureTree.style.display = view === 'features' ? '' : 'none';
+            groupedTestTrees.forEach(tree => {
+                tree.style.display = view === 'group' && tree.getAttribute('data-group-by') === groupBy ? '' : 'none';
+            });
+            if (groupBySelect) groupBySelect.value = view === 'group' ? groupBy : '';
+        }
+        viewToggleButtons.forEach(btn => {
+            btn.addEventListener('click', () => showRunSummaryView(btn.getAttribute('data-view')));
+        });
+        if (groupBySelect) groupBySelect.addEventListener('change', () => {
+            showRunSummaryView(groupBySelect.value ? 'group' : 'list', groupBySelect.value);
+        });
+        function openTestCase(testIndex) {
+            ensureAllTestsAppended();
+            const testCase = document.getElementById('test-case-' + testIndex);
+            if (!testCase) return;
+            showRunSummaryView('list');
+            testCase.style.display = '';
+            const parameterisedGroup = testCase.closest('.parameterised-group');
+            if (parameterisedGroup) parameterisedGroup.open = true;
+            const header = testCase.querySelector('.test-case-header');
+            if (header && header.getAttribute('aria-expanded') !== 'true') header.click();
+            testCase.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+        document.querySelectorAll('#test-runs .tree-leaf').forEach(leaf => {
+            leaf.addEventListener('click', () => openTestCase(leaf.getAttribute('data-test-index')));
+            leaf.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    openTestCase(leaf.getAttribute('data-test-index'));
+                }
+            });
+        });
+        // Parameter set rows may be appended later (static report), so clicks are delegated
+        const testRunsTab = document.getElementById('test-runs');
+        if (testRunsTab) {
+            testRunsTab.addEventListener('click', (e) => {
+                const row = e.target.closest('.parameter-set');
+                if (row) openTestCase(row.getAttribute('data-test-index'));
+            });
+            testRunsTab.addEventListener('keydown', (e) => {
+                const row = e.target.closest('.parameter-set');
+                if (row && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    openTestCase(row.getAttribute('data-test-index'));
+                }
+            });
+        }
+        // --- Timeline: clicking a bar opens the test in the Test Run Summary ---
+        const runSummaryTabButton = document.querySelector('.tab-button[data-tab="test-runs"]');
+        document.querySelectorAll('#timeline .timeline-bar[data-test-index]').forEach(bar => {
+            bar.addEventListener('click', () => {
+                if (runSummaryTabButton) runSummaryTabButton.click();
+                openTestCase(bar.getAttribute('data-test-index'));
+            });
+        });
         // --- Test History Filters ---
         const historyNameFilter = document.getElementById('history-filter-name');
         const historyStatusFilter = document.getElementById('history-filter-status');
@@ -7053,7 +10605,37 @@ Code Snippet:
     }
     document.addEventListener('DOMContentLoaded', initializeReportInteractivity);
 
-    function copyErrorToClipboard(button) {
+function filterLogTimeline(button, level) {
+  const timeline = button.closest('.log-timeline');
+  if (!timeline) return;
+  timeline.querySelectorAll('.log-timeline-filters button').forEach((filter) => {
+    filter.classList.toggle('active', filter === button);
+  });
+  timeline.querySelectorAll('.log-timeline-entry').forEach((entry) => {
+    entry.style.display = !level || entry.getAttribute('data-level') === level ? '' : 'none';
+  });
+}
+function switchMatcherDiffView(button, view) {
+  const container = button.closest('.matcher-diff');
+  if (!container) return;
+  container.setAttribute('data-view', view);
+  container.querySelectorAll('.matcher-diff-toggle button').forEach((toggle) => {
+    toggle.classList.toggle('active', toggle === button);
+  });
+}
+    // Browsers block navigating to data: URLs, so inline screenshots open as blob URLs
+function openDataUri(event, dataUri) {
+  event.preventDefault();
+  fetch(dataUri)
+    .then((response) => response.blob())
+    .then((blob) => {
+      const blobUrl = URL.createObjectURL(blob);
+      window.open(blobUrl, '_blank');
+      setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+    })
+    .catch((error) => console.error('Failed to open screenshot:', error));
+}
+function copyErrorToClipboard(button) {
       const errorContainer = button.closest('.test-error-summary');
       if (!errorContainer) {
         console.error("Could not find '.test-error-summary' container.");
@@ -7157,6 +10739,7 @@ async function main() {
   const outputDir = config.outputDir;
   const outputFile = config.outputFile;
 
+  await recoverJournalIfNeeded(outputDir);
   await mergeSequentialReportsIfNeeded(outputDir);
   const reportJsonPath = path.resolve(outputDir, outputFile); // Current run's main JSON
   const reportHtmlPath = path.resolve(outputDir, DEFAULT_HTML_FILE);
@@ -7334,6 +10917,15 @@ async function main() {
           failed: histRunReport.run.failed,
           skipped: histRunReport.run.skipped || 0,
           flaky: histRunReport.run.flaky || (histRunReport.results ? histRunReport.results.filter(r => r.status === 'flaky' || r.outcome === 'flaky').length : 0),
+          timedOut: histRunReport.run.timedOut || 0,
+          interrupted: histRunReport.run.interrupted || 0,
+          expectedFailures: histRunReport.run.expectedFailures || 0,
+          unexpectedSuccesses: histRunReport.run.unexpectedSuccesses || 0,
+          explicitlySkipped: histRunReport.run.explicitlySkipped || 0,
+          commit: histRunReport.run.git ? histRunReport.run.git.shortSha : undefined,
+          branch: histRunReport.run.git ? histRunReport.run.git.branch : undefined,
+          commitMessage: histRunReport.run.git ? histRunReport.run.git.message : undefined,
+          author: histRunReport.run.git ? histRunReport.run.git.author : undefined,
         });
 
         if (histRunReport.results && Array.isArray(histRunReport.results)) {
@@ -7344,6 +10936,7 @@ async function main() {
               duration: test.duration,
               status: test.final_status || test.status,
               timestamp: new Date(test.startTime),
+              metrics: test.metrics,
             }),
           );
         }
@@ -4,7 +4,12 @@ import * as fs from "fs";
 import path from "path";
 import { getReporterConfig } from "./config-reader.mjs";
 import { animate } from "./terminal-logo.mjs";
-import { mergeSequentialReportsIfNeeded } from "./merge-sequential-reports.mjs";
+import {
+  mergeRedactionStats,
+  mergeRunOutcome,
+  mergeSequentialReportsIfNeeded,
+  resolveParentRunId,
+} from "./merge-sequential-reports.mjs";
 
 const args = process.argv.slice(2);
 let customOutputDir = null;
@@ -72,13 +77,22 @@ function mergeReports(shardDirs, outputFile) {
     failed: 0,
     skipped: 0,
     duration: 0,
-    flaky: 0
+    flaky: 0,
+    timedOut: 0,
+    interrupted: 0,
+    expectedFailures: 0,
+    unexpectedSuccesses: 0,
+    explicitlySkipped: 0,
   };
 
   let combinedResults = [];
+  // Shards of one build share their source files, so one snippet per file and line is kept
+  const sources = {};
+  const redactionStats = [];
   let latestTimestamp = "";
   let latestGeneratedAt = "";
   let allEnvironments = [];
+  let subRuns = [];
 
   for (const shardDir of shardDirs) {
     const jsonPath = path.join(shardDir, outputFile);
@@ -93,20 +107,38 @@ function mergeReports(shardDirs, outputFile) {
       const json = JSON.parse(fileContent);
 
       const run = json.run || {};
+      subRuns.push({
+        id: run.id,
+        parentRunId: run.parentRunId,
+        status: run.status,
+        globalErrors: run.globalErrors,
+        incomplete: run.incomplete,
+        workerRestarts: run.workerRestarts,
+      });
       combinedRun.totalTests += run.totalTests || 0;
       combinedRun.passed += run.passed || 0;
       combinedRun.failed += run.failed || 0;
       combinedRun.skipped += run.skipped || 0;
       combinedRun.flaky += run.flaky || 0;
+      combinedRun.timedOut += run.timedOut || 0;
+      combinedRun.interrupted += run.interrupted || 0;
+      combinedRun.expectedFailures += run.expectedFailures || 0;
+      combinedRun.unexpectedSuccesses += run.unexpectedSuccesses || 0;
+      combinedRun.explicitlySkipped += run.explicitlySkipped || 0;
       combinedRun.duration += run.duration || 0;
 
       if (run.environment) {
         allEnvironments.push(run.environment);
       }
+      // Shards of one build share a commit; keep the first one reported
+      if (run.ci && !combinedRun.ci) combinedRun.ci = run.ci;
+      if (run.git && !combinedRun.git) combinedRun.git = run.git;
 
       if (json.results) {
         combinedResults.push(...json.results);
       }
+      Object.assign(sources, json.sources);
+      redactionStats.push(json.metadata?.redactions);
 
       if (run.timestamp > latestTimestamp) latestTimestamp = run.timestamp;
       if (json.metadata?.generatedAt > latestGeneratedAt)
@@ -122,15 +154,27 @@ function mergeReports(shardDirs, outputFile) {
     combinedRun.environment = allEnvironments;
   }
 
+  // Results keep the runId of the shard run they came from
+  const parentRunId = resolveParentRunId(subRuns, "merged");
+  combinedResults.forEach((r) => (r.parentRunId = parentRunId));
+
+  // Worker numbers restart in every shard, so their restarts are listed side by side
+  const workerRestarts = subRuns.flatMap((run) => run.workerRestarts || []);
+
   const finalJson = {
     run: {
-      id: `merged-${Date.now()}-581d5ad8-ce75-4ca5-94a6-ed29c466c815`,
+      id: parentRunId,
+      subRunIds: subRuns.map((run) => run.id).filter(Boolean),
       timestamp: latestTimestamp,
       ...combinedRun,
+      workerRestarts: workerRestarts.length > 0 ? workerRestarts : undefined,
+      ...mergeRunOutcome(subRuns),
     },
     results: combinedResults,
+    sources,
     metadata: {
       generatedAt: latestGeneratedAt,
+      redactions: mergeRedactionStats(redactionStats),
     },
   };
 
@@ -155,9 +199,12 @@ function mergeAttachments(shardDirs, outputDir) {
         fs.mkdirSync(globalAttachmentsDir, { recursive: true });
       }
 
-      // Recursively copy contents from shard attachments to global attachments
+      // Recursively copy contents from shard attachments to global attachments.
+      // Files under sha256/ are named by their content, so one already copied
+      // from another shard is identical and is kept instead of overwritten.
       fs.cpSync(shardAttachmentsDir, globalAttachmentsDir, {
         recursive: true,
+        force: false,
       });
     } catch (e) {
       console.warn(
@@ -1,7 +1,81 @@
 import * as fs from "fs/promises";
 import * as path from "path";
+import { createHash } from "crypto";
 
 import { getReporterConfig } from "./config-reader.mjs";
+import { placeRecoveredReports } from "./recover-journal.mjs";
+
+/**
+ * Picks the id of a run merged from several sub-runs (shards or sequential runs).
+ *
+ * Sub-runs started with a user-supplied `runId` carry it as `parentRunId`, and a
+ * sub-run that was itself merged under that id carries it as `id`; either is reused.
+ * Otherwise the id is derived from the sub-run ids, so merging the same inputs
+ * again always yields the same parent id.
+ *
+ * @param {{ id?: string, parentRunId?: string }[]} subRuns The `run` objects being merged.
+ * @param {string} prefix Prefix for a derived id (e.g. "run" or "merged").
+ * @returns {string}
+ */
+export function resolveParentRunId(subRuns, prefix) {
+  const declaredParents = new Set(
+    subRuns.map((run) => run.parentRunId).filter(Boolean),
+  );
+  if (declaredParents.size === 1) return [...declaredParents][0];
+
+  const subRunIds = subRuns.map((run) => run.id).filter(Boolean);
+  if (declaredParents.size === 0 && new Set(subRunIds).size === 1 && subRuns.length > 1) {
+    return subRunIds[0];
+  }
+
+  const hash = createHash("sha256")
+    .update([...subRunIds].sort().join("\n"))
+    .digest("hex");
+  return `${prefix}-${hash.slice(0, 8)}-${hash.slice(8, 12)}-${hash.slice(12, 16)}-${hash.slice(16, 20)}-${hash.slice(20, 32)}`;
+}
+
+// Most severe first: a merged run only counts as "passed" when every sub-run passed
+const RUN_STATUS_SEVERITY = ["interrupted", "timedout", "failed", "passed"];
+
+/**
+ * Combines how the sub-runs of a merged run ended: the most severe `status`,
+ * all `globalErrors`, and `incomplete` when any sub-run was recovered from a journal.
+ *
+ * @param {{ status?: string, globalErrors?: object[], incomplete?: boolean }[]} subRuns The `run` objects being merged.
+ * @returns {{ status?: string, globalErrors?: object[], incomplete?: boolean }}
+ */
+export function mergeRunOutcome(subRuns) {
+  const status = RUN_STATUS_SEVERITY.find((candidate) =>
+    subRuns.some((run) => run.status === candidate),
+  );
+  const globalErrors = subRuns.flatMap((run) => run.globalErrors || []);
+  return {
+    status,
+    globalErrors: globalErrors.length > 0 ? globalErrors : undefined,
+    incomplete: subRuns.some((run) => run.incomplete) || undefined,
+  };
+}
+
+/**
+ * Adds up the redaction counts of the merged reports' metadata.
+ *
+ * @param {({ total: number, byRule: Record<string, number> } | undefined)[]} stats `metadata.redactions` of each report.
+ * @returns {{ total: number, byRule: Record<string, number> } | undefined} Undefined when no report was redacted.
+ */
+export function mergeRedactionStats(stats) {
+  const present = stats.filter(Boolean);
+  if (present.length === 0) return undefined;
+  const byRule = {};
+  for (const { byRule: counts } of present) {
+    for (const [rule, count] of Object.entries(counts || {})) {
+      byRule[rule] = (byRule[rule] || 0) + count;
+    }
+  }
+  return {
+    total: present.reduce((sum, { total }) => sum + (total || 0), 0),
+    byRule,
+  };
+}
 
 /**
  * Reads all `<outputFile>-*.json` files in the `pulse-results` directory
@@ -17,6 +91,8 @@ export async function mergeSequentialReportsIfNeeded(customOutputDir, forceMerge
   // This logic should ONLY run if resetOnEachRun is disabled, UNLESS we are forcing it 
   // (e.g. recovering orphaned shards in merge-pulse-report.mjs).
   if (config.resetOnEachRun && !forceMerge) {
+    // Runs recovered from a journal are kept apart from the latest run's main JSON
+    await placeRecoveredReports(customOutputDir);
     return;
   }
 
@@ -64,8 +140,13 @@ export async function mergeSequentialReportsIfNeeded(customOutputDir, forceMerge
   );
 
   const allResultsFromAllFiles = [];
+  // Runs of one checkout share their source files, so one snippet per file and line is kept
+  const sources = {};
+  const redactionStats = [];
+  const subRuns = [];
   let latestTimestamp = new Date(0);
   let lastRunEnvironment = undefined;
+  let lastRunProvenance = {};
   let totalDuration = 0;
 
   for (const file of reportFiles) {
@@ -77,11 +158,20 @@ export async function mergeSequentialReportsIfNeeded(customOutputDir, forceMerge
       let currentRunId = `run-${Date.now()}`;
       if (json.run) {
         if (json.run.id) currentRunId = json.run.id;
-        
+        subRuns.push({
+          id: currentRunId,
+          parentRunId: json.run.parentRunId,
+          status: json.run.status,
+          globalErrors: json.run.globalErrors,
+          incomplete: json.run.incomplete,
+          workerRestarts: json.run.workerRestarts,
+        });
+
         const runTimestamp = new Date(json.run.timestamp);
         if (runTimestamp > latestTimestamp) {
           latestTimestamp = runTimestamp;
           lastRunEnvironment = json.run.environment || undefined;
+          lastRunProvenance = { ci: json.run.ci, git: json.run.git };
         }
       }
 
@@ -93,6 +183,8 @@ export async function mergeSequentialReportsIfNeeded(customOutputDir, forceMerge
         }));
         allResultsFromAllFiles.push(...resultsWithRunId);
       }
+      Object.assign(sources, json.sources);
+      redactionStats.push(json.metadata?.redactions);
     } catch (err) {
       console.warn(
         `Pulse Reporter: Could not parse report file ${filePath}. Skipping. Error: ${err.message}`,
@@ -109,10 +201,18 @@ export async function mergeSequentialReportsIfNeeded(customOutputDir, forceMerge
     0,
   );
 
+  const parentRunId = resolveParentRunId(subRuns, "run");
+  finalMergedResults.forEach((r) => (r.parentRunId = parentRunId));
+
+  // Worker numbers restart in every sub-run, so their restarts are listed side by side
+  const workerRestarts = subRuns.flatMap((run) => run.workerRestarts || []);
+
   const combinedRun = {
-    id: `run-${Date.now()}`,
+    id: parentRunId,
+    subRunIds: subRuns.map((run) => run.id),
     timestamp: latestTimestamp.toISOString(),
     environment: lastRunEnvironment,
+    ...lastRunProvenance,
     totalTests: finalMergedResults.length,
     passed: finalMergedResults.filter(
       (r) => (r.final_status || r.status) === "passed",
@@ -126,14 +226,33 @@ export async function mergeSequentialReportsIfNeeded(customOutputDir, forceMerge
     flaky: finalMergedResults.filter(
       (r) => (r.final_status || r.status) === "flaky",
     ).length,
+    timedOut: finalMergedResults.filter(
+      (r) => (r.final_status || r.status) === "timedOut",
+    ).length,
+    interrupted: finalMergedResults.filter(
+      (r) => (r.final_status || r.status) === "interrupted",
+    ).length,
+    expectedFailures: finalMergedResults.filter(
+      (r) => (r.final_status || r.status) === "expected-failure",
+    ).length,
+    unexpectedSuccesses: finalMergedResults.filter(
+      (r) => (r.final_status || r.status) === "unexpected-success",
+    ).length,
+    explicitlySkipped: finalMergedResults.filter(
+      (r) => (r.final_status || r.status) === "explicitly-skipped",
+    ).length,
     duration: totalDuration,
+    workerRestarts: workerRestarts.length > 0 ? workerRestarts : undefined,
+    ...mergeRunOutcome(subRuns),
   };
 
   const finalReport = {
     run: combinedRun,
     results: finalMergedResults,
+    sources,
     metadata: {
       generatedAt: new Date().toISOString(),
+      redactions: mergeRedactionStats(redactionStats),
     },
   };
 
@@ -0,0 +1,214 @@
+import * as fs from "fs/promises";
+import * as path from "path";
+
+import { getReporterConfig } from "./config-reader.mjs";
+
+const HISTORY_SUBDIR = "history";
+const HISTORY_FILE_PREFIX = "trend-";
+// Same values as in src/utils/journal-utils.ts, so finding nothing to recover needs no build
+const JOURNAL_FILE_PREFIX = ".pulse-journal-";
+const RECOVERED_REPORT_MARKER = "recovered-";
+
+/**
+ * Loads the journal logic shared with the reporter, so recovered runs are finalized
+ * exactly like finished ones. It is compiled into dist/, which a source checkout only
+ * has after `npm run build:reporter`.
+ * @returns {Promise<object|undefined>} The module, or undefined when it is not built.
+ */
+async function loadJournalUtils() {
+  try {
+    return await import("../dist/utils/journal-utils.js");
+  } catch (error) {
+    console.warn(
+      `Pulse Reporter: Cannot recover the run journal because the reporter is not built (${error.message}). Run "npm run build:reporter" and generate the report again.`,
+    );
+    return undefined;
+  }
+}
+
+function resolveOutputDir(customOutputDir, config) {
+  return customOutputDir && path.isAbsolute(customOutputDir)
+    ? customOutputDir
+    : config.outputDir;
+}
+
+/**
+ * Rebuilds a valid report JSON from the `.pulse-journal-*.ndjson` files the
+ * reporter appends to while tests run. The journal is only left behind when a
+ * run was killed before `onEnd` (CI timeout, OOM), so the recovered run is
+ * marked with `incomplete: true`.
+ *
+ * Like the reporter, the report is written to its own
+ * `<outputFile>-recovered-<timestamp>.json` in `individualReportsSubDir`. The
+ * sequential merge, or `placeRecoveredReports` with `resetOnEachRun` enabled,
+ * picks it up from there.
+ *
+ * @param {string} customOutputDir The base report directory override (from CLI).
+ */
+export async function recoverJournalIfNeeded(customOutputDir) {
+  const config = await getReporterConfig(customOutputDir);
+  const outputDir = resolveOutputDir(customOutputDir, config);
+
+  let journalFiles;
+  try {
+    const allFiles = await fs.readdir(outputDir);
+    journalFiles = allFiles.filter(
+      (file) =>
+        file.startsWith(JOURNAL_FILE_PREFIX) && file.endsWith(".ndjson"),
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") return;
+    console.error(
+      `Pulse Reporter: Error reading directory ${outputDir}:`,
+      error,
+    );
+    return;
+  }
+
+  if (journalFiles.length === 0) return;
+
+  const journalUtils = await loadJournalUtils();
+  // The journal is kept, so it can be recovered once the reporter is built
+  if (!journalUtils) return;
+  const { buildRecoveredReport, getRecoveredReportFileName, parseJournals } =
+    journalUtils;
+
+  const journal = parseJournals(
+    await Promise.all(
+      journalFiles.map((file) =>
+        fs.readFile(path.join(outputDir, file), "utf-8"),
+      ),
+    ),
+  );
+  const recoveredReport = buildRecoveredReport(journal);
+
+  if (recoveredReport) {
+    console.log(
+      `\n🩹 Recovering ${journal.results.length} test result(s) from an incomplete run journal...`,
+    );
+
+    const targetPath = path.join(
+      outputDir,
+      config.individualReportsSubDir,
+      getRecoveredReportFileName(config.outputFile, recoveredReport),
+    );
+
+    try {
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      await fs.writeFile(targetPath, JSON.stringify(recoveredReport, null, 2));
+      console.log(
+        `✅ Recovered report (marked incomplete) saved to ${targetPath}`,
+      );
+    } catch (err) {
+      console.error(
+        `Pulse Reporter: Failed to write recovered report to ${targetPath}. Error: ${err.message}`,
+      );
+      return;
+    }
+  }
+
+  await Promise.all(
+    journalFiles.map((file) =>
+      fs.rm(path.join(outputDir, file), { force: true }),
+    ),
+  );
+}
+
+async function readReport(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf-8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(
+        `Pulse Reporter: Could not parse report file ${filePath}. Error: ${error.message}`,
+      );
+    }
+    return undefined;
+  }
+}
+
+const getRunTime = (report) => new Date(report?.run?.timestamp).getTime();
+
+async function archiveToHistory(outputDir, report) {
+  const historyDir = path.join(outputDir, HISTORY_SUBDIR);
+  await fs.mkdir(historyDir, { recursive: true });
+  const historyPath = path.join(
+    historyDir,
+    `${HISTORY_FILE_PREFIX}${getRunTime(report)}.json`,
+  );
+  await fs.writeFile(historyPath, JSON.stringify(report, null, 2), "utf-8");
+  return historyPath;
+}
+
+/**
+ * With `resetOnEachRun` enabled, the main JSON only ever holds the latest run,
+ * so recovered runs are not merged into it. A recovered run newer than the main
+ * JSON becomes the main JSON (the previous one is archived to the history);
+ * an older one is archived to the history, where the trend charts show it.
+ *
+ * With `resetOnEachRun` disabled the sequential merge already includes them.
+ *
+ * @param {string} customOutputDir The base report directory override (from CLI).
+ */
+export async function placeRecoveredReports(customOutputDir) {
+  const config = await getReporterConfig(customOutputDir);
+  if (!config.resetOnEachRun) return;
+
+  const outputDir = resolveOutputDir(customOutputDir, config);
+  const recoveredDir = path.join(outputDir, config.individualReportsSubDir);
+  const recoveredPrefix = `${config.outputFile.replace(".json", "-")}${RECOVERED_REPORT_MARKER}`;
+
+  let recoveredFiles;
+  try {
+    recoveredFiles = (await fs.readdir(recoveredDir)).filter(
+      (file) => file.startsWith(recoveredPrefix) && file.endsWith(".json"),
+    );
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(
+        `Pulse Reporter: Error reading directory ${recoveredDir}:`,
+        error,
+      );
+    }
+    return;
+  }
+  if (recoveredFiles.length === 0) return;
+
+  const mainPath = path.join(outputDir, config.outputFile);
+  let mainReport = await readReport(mainPath);
+
+  const recovered = [];
+  for (const file of recoveredFiles) {
+    const report = await readReport(path.join(recoveredDir, file));
+    if (report && !Number.isNaN(getRunTime(report))) {
+      recovered.push({ file, report });
+    }
+  }
+  recovered.sort((a, b) => getRunTime(a.report) - getRunTime(b.report));
+
+  for (const { file, report } of recovered) {
+    try {
+      const mainTime = getRunTime(mainReport);
+      if (!mainReport || Number.isNaN(mainTime) || getRunTime(report) > mainTime) {
+        if (mainReport && !Number.isNaN(mainTime)) {
+          await archiveToHistory(outputDir, mainReport);
+        }
+        await fs.writeFile(mainPath, JSON.stringify(report, null, 2));
+        mainReport = report;
+        console.log(
+          `🩹 Recovered run ${report.run.id} is the latest run and was saved to ${mainPath}`,
+        );
+      } else {
+        const historyPath = await archiveToHistory(outputDir, report);
+        console.log(
+          `🩹 Recovered run ${report.run.id} was archived to ${historyPath}`,
+        );
+      }
+      await fs.rm(path.join(recoveredDir, file), { force: true });
+    } catch (err) {
+      console.error(
+        `Pulse Reporter: Failed to place recovered report ${file}. Error: ${err.message}`,
+      );
+    }
+  }
+}
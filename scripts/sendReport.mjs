@@ -43,21 +43,12 @@ for (let i = 0; i < args.length; i++) {
 let fetch;
 let projectName;
 
-async function getUUID(reportDir) {
-  const config = await getReporterConfig(customOutputDir);
-  const outputFile = config.outputFile;
-  const reportPath = path.join(reportDir, outputFile);
-  console.log("Report path:", reportPath);
+// Client key for the credentials service. Run ids are unique per run now, so the
+// key is no longer read from the report; PULSE_CREDENTIALS_KEY overrides it.
+const DEFAULT_CREDENTIALS_KEY = "581d5ad8-ce75-4ca5-94a6-ed29c466c815";
 
-  if (!fsExistsSync(reportPath)) {
-    throw new Error("Pulse report file not found.");
-  }
-
-  const content = JSON.parse(fsReadFileSync(reportPath, "utf-8"));
-  const idString = content.run.id;
-  const parts = idString.split("-");
-  const uuid = parts.slice(-5).join("-");
-  return uuid;
+function getCredentialsKey() {
+  return process.env.PULSE_CREDENTIALS_KEY || DEFAULT_CREDENTIALS_KEY;
 }
 
 function formatDuration(ms) {
@@ -112,7 +103,15 @@ const getPulseReportSummary = async (reportDir) => {
   const passed = run.passed || 0;
   const failed = run.failed || 0;
   const skipped = run.skipped || 0;
+  const timedOut = run.timedOut || 0;
+  const interrupted = run.interrupted || 0;
+  const flaky = run.flaky || 0;
+  const explicitlySkipped = run.explicitlySkipped || 0;
+  const expectedFailures = run.expectedFailures || 0;
+  const unexpectedSuccesses = run.unexpectedSuccesses || 0;
   const durationInMs = run.duration || 0;
+  const percentage = (count) =>
+    total ? ((count / total) * 100).toFixed(2) : "0.00";
 
   const readableStartTime = new Date(run.timestamp).toLocaleString();
 
@@ -124,6 +123,20 @@ const getPulseReportSummary = async (reportDir) => {
     passedPercentage: total ? ((passed / total) * 100).toFixed(2) : "0.00",
     failedPercentage: total ? ((failed / total) * 100).toFixed(2) : "0.00",
     skippedPercentage: total ? ((skipped / total) * 100).toFixed(2) : "0.00",
+    timedOut,
+    interrupted,
+    timedOutPercentage: total ? ((timedOut / total) * 100).toFixed(2) : "0.00",
+    interruptedPercentage: total
+      ? ((interrupted / total) * 100).toFixed(2)
+      : "0.00",
+    flaky,
+    flakyPercentage: percentage(flaky),
+    explicitlySkipped,
+    explicitlySkippedPercentage: percentage(explicitlySkipped),
+    expectedFailures,
+    expectedFailuresPercentage: percentage(expectedFailures),
+    unexpectedSuccesses,
+    unexpectedSuccessesPercentage: percentage(unexpectedSuccesses),
     startTime: readableStartTime,
     duration: formatDuration(durationInMs),
   };
@@ -132,13 +145,26 @@ const getPulseReportSummary = async (reportDir) => {
 const generateHtmlTable = (data) => {
   projectName = "Pulse Emailable Report";
   const stats = data;
-  const total = stats.passed + stats.failed + stats.skipped;
+  // run.totalTests counts every status; the sum is a fallback for reports without it
+  const total =
+    stats.total ||
+    stats.passed +
+      stats.failed +
+      stats.skipped +
+      (stats.timedOut || 0) +
+      (stats.interrupted || 0) +
+      (stats.flaky || 0) +
+      (stats.explicitlySkipped || 0) +
+      (stats.expectedFailures || 0) +
+      (stats.unexpectedSuccesses || 0);
   const passedTests = stats.passed;
   const passedPercentage = stats.passedPercentage;
   const failedTests = stats.failed;
   const failedPercentage = stats.failedPercentage;
   const skippedTests = stats.skipped;
   const skippedPercentage = stats.skippedPercentage;
+  const timedOutTests = stats.timedOut || 0;
+  const interruptedTests = stats.interrupted || 0;
   const startTime = stats.startTime;
   const durationString = stats.duration;
 
@@ -241,6 +267,78 @@ const generateHtmlTable = (data) => {
                     </span>
                   </td>
                 </tr>
+                ${
+                  timedOutTests > 0
+                    ? `<tr class="anim-row-4">
+                  <td style="padding: 12px 0; border-top: 1px solid #f3f4f6; font-size: 14px; color: #4b5563;">Tests Timed Out</td>
+                  <td style="padding: 12px 0; border-top: 1px solid #f3f4f6; text-align: right;">
+                    <span class="anim-badge" style="background-color: #ffedd5; color: #9a3412; padding: 4px 10px; border-radius: 9999px; font-size: 12px; font-weight: 600; display: inline-block; white-space: nowrap;">
+                      ${timedOutTests} (${stats.timedOutPercentage}%)
+                    </span>
+                  </td>
+                </tr>`
+                    : ""
+                }
+                ${
+                  interruptedTests > 0
+                    ? `<tr class="anim-row-4">
+                  <td style="padding: 12px 0; border-top: 1px solid #f3f4f6; font-size: 14px; color: #4b5563;">Tests Interrupted</td>
+                  <td style="padding: 12px 0; border-top: 1px solid #f3f4f6; text-align: right;">
+                    <span class="anim-badge" style="background-color: #ede9fe; color: #5b21b6; padding: 4px 10px; border-radius: 9999px; font-size: 12px; font-weight: 600; display: inline-block; white-space: nowrap;">
+                      ${interruptedTests} (${stats.interruptedPercentage}%)
+                    </span>
+                  </td>
+                </tr>`
+                    : ""
+                }
+                ${
+                  stats.flaky > 0
+                    ? `<tr class="anim-row-4">
+                  <td style="padding: 12px 0; border-top: 1px solid #f3f4f6; font-size: 14px; color: #4b5563;">Tests Flaky</td>
+                  <td style="padding: 12px 0; border-top: 1px solid #f3f4f6; text-align: right;">
+                    <span class="anim-badge" style="background-color: #fef9c3; color: #854d0e; padding: 4px 10px; border-radius: 9999px; font-size: 12px; font-weight: 600; display: inline-block; white-space: nowrap;">
+                      ${stats.flaky} (${stats.flakyPercentage}%)
+                    </span>
+                  </td>
+                </tr>`
+                    : ""
+                }
+                ${
+                  stats.explicitlySkipped > 0
+                    ? `<tr class="anim-row-4">
+                  <td style="padding: 12px 0; border-top: 1px solid #f3f4f6; font-size: 14px; color: #4b5563;">Tests Explicitly Skipped</td>
+                  <td style="padding: 12px 0; border-top: 1px solid #f3f4f6; text-align: right;">
+                    <span class="anim-badge" style="background-color: #fef3c7; color: #92400e; padding: 4px 10px; border-radius: 9999px; font-size: 12px; font-weight: 600; display: inline-block; white-space: nowrap;">
+                      ${stats.explicitlySkipped} (${stats.explicitlySkippedPercentage}%)
+                    </span>
+                  </td>
+                </tr>`
+                    : ""
+                }
+                ${
+                  stats.expectedFailures > 0
+                    ? `<tr class="anim-row-4">
+                  <td style="padding: 12px 0; border-top: 1px solid #f3f4f6; font-size: 14px; color: #4b5563;">Expected Failures</td>
+                  <td style="padding: 12px 0; border-top: 1px solid #f3f4f6; text-align: right;">
+                    <span class="anim-badge" style="background-color: #ecfccb; color: #3f6212; padding: 4px 10px; border-radius: 9999px; font-size: 12px; font-weight: 600; display: inline-block; white-space: nowrap;">
+                      ${stats.expectedFailures} (${stats.expectedFailuresPercentage}%)
+                    </span>
+                  </td>
+                </tr>`
+                    : ""
+                }
+                ${
+                  stats.unexpectedSuccesses > 0
+                    ? `<tr class="anim-row-4">
+                  <td style="padding: 12px 0; border-top: 1px solid #f3f4f6; font-size: 14px; color: #4b5563;">Unexpected Successes</td>
+                  <td style="padding: 12px 0; border-top: 1px solid #f3f4f6; text-align: right;">
+                    <span class="anim-badge" style="background-color: #fce7f3; color: #9d174d; padding: 4px 10px; border-radius: 9999px; font-size: 12px; font-weight: 600; display: inline-block; white-space: nowrap;">
+                      ${stats.unexpectedSuccesses} (${stats.unexpectedSuccessesPercentage}%)
+                    </span>
+                  </td>
+                </tr>`
+                    : ""
+                }
               </table>
             </td>
           </tr>
@@ -291,7 +389,6 @@ const sendEmail = async (credentials, reportDir) => {
 
   try {
     console.log("Starting the sendEmail function...");
-    const uuid = await getUUID(reportDir);
     const summary = await getPulseReportSummary(reportDir);
     const htmlContent = generateHtmlTable(summary);
 
@@ -410,12 +507,10 @@ async function fetchCredentials(reportDir, retries = 10) {
   }
 
   const timeout = 10000;
-  const key = await getUUID(reportDir);
+  const key = getCredentialsKey();
 
   if (!key) {
-    console.error(
-      "🔴 Critical: API key (UUID from report) not found or invalid.",
-    );
+    console.error("🔴 Critical: API key for the credentials service not found.");
     return null;
   }
 
@@ -0,0 +1,99 @@
+import { test as base, expect } from "@playwright/test";
+import type { Page } from "@playwright/test";
+import type { BrowserConsoleEntry, NetworkEntry } from "./types";
+import {
+  BROWSER_CAPTURE_ATTACHMENT,
+  BROWSER_CAPTURE_CONTENT_TYPE,
+} from "./utils/browser-capture-utils";
+
+export interface PulseFixtureOptions {
+  // Set to false with test.use() to stop recording the browser console and network
+  pulseBrowserCapture: boolean;
+}
+
+function watchPage(
+  page: Page,
+  consoleEntries: BrowserConsoleEntry[],
+  networkEntries: NetworkEntry[],
+) {
+  page.on("console", (message) => {
+    const { url, lineNumber, columnNumber } = message.location();
+    consoleEntries.push({
+      type: message.type(),
+      text: message.text(),
+      location: url ? `${url}:${lineNumber}:${columnNumber}` : undefined,
+      timestamp: new Date(),
+    });
+  });
+  page.on("pageerror", (error) => {
+    consoleEntries.push({
+      type: "pageerror",
+      text: error.message,
+      stack: error.stack,
+      timestamp: new Date(),
+    });
+  });
+  page.on("requestfailed", (request) => {
+    networkEntries.push({
+      method: request.method(),
+      url: request.url(),
+      resourceType: request.resourceType(),
+      failure: request.failure()?.errorText,
+      timestamp: new Date(),
+    });
+  });
+  page.on("response", (response) => {
+    if (response.status() < 400) return;
+    networkEntries.push({
+      method: response.request().method(),
+      url: response.url(),
+      resourceType: response.request().resourceType(),
+      status: response.status(),
+      statusText: response.statusText(),
+      timestamp: new Date(),
+    });
+  });
+}
+
+/**
+ * Playwright's `test`, extended to record the browser console, page errors, failed requests
+ * and 4xx/5xx responses of every page a test opens. The report shows them in the test details.
+ * @example
+ * import { test, expect } from '@arghajit/playwright-pulse-report/fixtures';
+ *
+ * test('checkout', async ({ page }) => {
+ *   await page.goto('/checkout');
+ * });
+ */
+export const test = base.extend<PulseFixtureOptions>({
+  pulseBrowserCapture: [true, { option: true }],
+
+  context: async ({ context, pulseBrowserCapture }, use, testInfo) => {
+    if (!pulseBrowserCapture) {
+      await use(context);
+      return;
+    }
+
+    const consoleEntries: BrowserConsoleEntry[] = [];
+    const networkEntries: NetworkEntry[] = [];
+    const watch = (page: Page) =>
+      watchPage(page, consoleEntries, networkEntries);
+    context.pages().forEach(watch);
+    context.on("page", watch);
+
+    await use(context);
+
+    context.off("page", watch);
+    if (consoleEntries.length > 0 || networkEntries.length > 0) {
+      await testInfo.attach(BROWSER_CAPTURE_ATTACHMENT, {
+        body: JSON.stringify({
+          console: consoleEntries,
+          network: networkEntries,
+        }),
+        contentType: BROWSER_CAPTURE_CONTENT_TYPE,
+      });
+    }
+  },
+});
+
+export { expect };
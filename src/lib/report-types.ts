@@ -1,13 +1,22 @@
 
-import type { TestResult, TestRun } from '@/types';
+import type {
+  AttachmentStats,
+  RedactionStats,
+  SourceSnippet,
+  TestResult,
+  TestRun,
+} from '@/types';
 
 // Structure matching the reporter's output
 export interface PlaywrightPulseReport {
   run: TestRun | null;
   results: TestResult[];
+  sources?: Record<string, SourceSnippet>; // Keyed by "<file>:<line>", referenced by sourceRef
   metadata: {
     generatedAt: string;
     reportDescription?: string;
     logo?: string;
+    attachmentStats?: AttachmentStats;
+    redactions?: RedactionStats; // Present when the reporter ran with the redact option
   };
 }
@@ -8,6 +8,20 @@ export type PulseSeverityLevel =
   | "High"
   | "Critical";
 
+export interface PulseMetricOptions {
+  // Values above the threshold are flagged as regressions in the Test History tab
+  threshold?: number;
+  // Flag values below the threshold instead, e.g. for throughput or cache hit rates
+  higherIsBetter?: boolean;
+}
+
+export interface PulseParameterOptions {
+  // Hide the value in the report, e.g. for passwords; only the name is shown
+  mask?: boolean;
+}
+
+export type PulseLogLevel = "info" | "warn" | "error";
+
 export const pulse = {
   /**
    * Sets the severity level for the current test.
@@ -28,4 +42,135 @@ export const pulse = {
       description: selectedLevel,
     });
   },
+
+  /**
+   * Sets the person or team that owns the current test.
+   * @param name - e.g. 'payments-team' or 'jane.doe'
+   */
+  owner: (name: string) => addAnnotation("pulse_owner", name),
+
+  /**
+   * Links the current test to an issue in your tracker. Can be called more than once.
+   * @param id - An issue id such as 'PAY-123' (linked with the `issueUrlTemplate` reporter option) or a URL
+   */
+  issue: (id: string) => addAnnotation("pulse_issue", id),
+
+  /**
+   * Adds a link to the test details, e.g. to a spec, dashboard or design. Can be called more than once.
+   * @param url - The link target
+   * @param label - Text shown instead of the URL
+   * @example
+   * pulse.link('https://wiki.example.com/checkout', 'Checkout spec');
+   */
+  link: (url: string, label?: string) =>
+    addAnnotation("pulse_link", url && JSON.stringify({ url, label })),
+
+  /**
+   * Sets the epic of the current test, the top level of the report's Features view.
+   */
+  epic: (name: string) => addAnnotation("pulse_epic", name),
+
+  /**
+   * Sets the feature of the current test, grouped under its epic in the report's Features view.
+   */
+  feature: (name: string) => addAnnotation("pulse_feature", name),
+
+  /**
+   * Sets the user story of the current test, grouped under its feature in the report's Features view.
+   */
+  story: (name: string) => addAnnotation("pulse_story", name),
+
+  /**
+   * Adds a Markdown description to the test details. Later calls are appended as new paragraphs.
+   * @example
+   * pulse.description('Checks that **guest** users can pay with a saved card.');
+   */
+  description: (markdown: string) =>
+    addAnnotation("pulse_description", markdown),
+
+  /**
+   * Records a numeric measurement of the current test, charted across runs in the Test History tab.
+   * Recording the same name again replaces the value.
+   * @param name - e.g. 'page-load'
+   * @param value - The measured value
+   * @param unit - Shown next to the value, e.g. 'ms' or 'KB'
+   * @param options - Optional threshold that flags regressions
+   * @example
+   * pulse.metric('page-load', loadTime, 'ms', { threshold: 2000 });
+   */
+  metric: (
+    name: string,
+    value: number,
+    unit?: string,
+    options: PulseMetricOptions = {},
+  ) => {
+    if (!Number.isFinite(value)) return;
+    addAnnotation(
+      "pulse_metric",
+      name && JSON.stringify({ name, value, unit, ...options }),
+    );
+  },
+
+  /**
+   * Records an input of a data-driven test, shown in the test details.
+   * Tests whose titles only differ by their parameter values are grouped into one row in the report.
+   * @param name - e.g. 'user'
+   * @param value - The input; objects are shown as JSON
+   * @param options - `mask: true` hides the value
+   * @example
+   * for (const user of ['admin', 'guest']) {
+   *   test(`login as ${user}`, async () => {
+   *     pulse.parameter('user', user);
+   *   });
+   * }
+   */
+  parameter: (
+    name: string,
+    value: unknown,
+    options: PulseParameterOptions = {},
+  ) => {
+    const text =
+      typeof value === "string" ? value : (JSON.stringify(value) ?? String(value));
+    addAnnotation(
+      "pulse_parameter",
+      name &&
+        JSON.stringify(
+          options.mask
+            ? { name, value: MASKED_PARAMETER_VALUE, masked: true }
+            : { name, value: text },
+        ),
+    );
+  },
+
+  /**
+   * Records timestamped entries in the test's log timeline, shown between its steps.
+   * @example
+   * pulse.log.info('Created order', { orderId });
+   * pulse.log.warn('Retrying payment');
+   */
+  log: {
+    info: (message: string, data?: unknown) => addLog("info", message, data),
+    warn: (message: string, data?: unknown) => addLog("warn", message, data),
+    error: (message: string, data?: unknown) => addLog("error", message, data),
+  },
 };
+
+const MASKED_PARAMETER_VALUE = "******";
+
+function addLog(level: PulseLogLevel, message: string, data?: unknown) {
+  const entry = { level, message: String(message), timestamp: Date.now() };
+  let serialized: string;
+  try {
+    serialized = JSON.stringify({ ...entry, data });
+  } catch {
+    // Circular or otherwise unserializable data is kept as text
+    serialized = JSON.stringify({ ...entry, data: String(data) });
+  }
+  addAnnotation("pulse_log", serialized);
+}
+
+function addAnnotation(type: string, description: string | undefined) {
+  // Empty values would only add noise to the report
+  if (!description || !description.trim()) return;
+  test.info().annotations.push({ type, description });
+}
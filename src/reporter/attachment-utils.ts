@@ -219,8 +219,10 @@ function handleAttachment(
  * @param contentType The MIME type string.
  * @returns A file extension string.
  */
-function getFileExtension(contentType: string | undefined): string {
+export function getFileExtension(contentType: string | undefined): string {
   if (!contentType) return "bin";
+  // Drop parameters such as "; charset=utf-8"
+  const mimeType = contentType.split(";")[0].trim().toLowerCase();
 
   const extensions: { [key: string]: string } = {
     "image/png": "png",
@@ -236,10 +238,15 @@ function getFileExtension(contentType: string | undefined): string {
     "text/html": "html",
     "application/pdf": "pdf",
     "text/csv": "csv",
+    "text/markdown": "md",
+    "text/xml": "xml",
+    "application/xml": "xml",
+    "application/x-ndjson": "ndjson",
+    "application/octet-stream": "bin",
   };
   return (
-    extensions[contentType.toLowerCase()] ||
-    contentType.split("/")[1]?.split("+")[0] ||
+    extensions[mimeType] ||
+    mimeType.split("/")[1]?.split("+")[0] ||
     "bin"
   );
 }
@@ -13,4 +13,10 @@ export type { TestResult, TestRun, TestStep, TestStatus } from "../types";
 // --- NEW: Export the pulse helper ---
 // This allows: import { pulse } from '@arghajit/playwright-pulse-report';
 export { pulse } from "../pulse"; // Adjust path based on where you placed pulse.ts
-export type { PulseSeverityLevel } from "../pulse";
+export type {
+  PulseSeverityLevel,
+  PulseMetricOptions,
+  PulseLogLevel,
+  PulseParameterOptions,
+} from "../pulse";
+export type { BrowserConsoleEntry, NetworkEntry } from "../types";
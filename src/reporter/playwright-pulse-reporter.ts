@@ -16,39 +16,123 @@ import type {
   TestRun,
   TestStatus as PulseTestStatus,
   TestStep as PulseTestStep,
+  TestError as PulseTestError,
+  HookType,
+  SourceSnippet,
   PlaywrightPulseReporterOptions,
+  CustomFields,
+  TestIssue,
+  TestLink,
+  TestMetric,
+  LogEntry,
+  TestParameter,
+  CIInfo,
+  GitInfo,
+  EnvDetails,
+  WorkerRestart,
 } from "../types";
-import { randomUUID } from "crypto";
+import { createHash, randomUUID } from "crypto";
+import { createReadStream } from "fs";
 import UAParser from "ua-parser-js";
 import * as os from "os";
 import { compressAttachment } from "../utils/compression-utils";
+import { getCIInfo, getGitInfo } from "../utils/provenance-utils";
+import { getFileExtension } from "./attachment-utils";
+import { AttachmentPool } from "../utils/attachment-pool";
+import { parseMatcherFailure } from "../utils/matcher-utils";
+import { Redactor } from "../utils/redaction-utils";
+import {
+  isBrowserCaptureAttachment,
+  readBrowserCapture,
+} from "../utils/browser-capture-utils";
+import {
+  JOURNAL_FILE_PREFIX,
+  buildRecoveredReport,
+  finalizeResults,
+  getRecoveredReportFileName,
+  getStatusCounts,
+  isUnsuccessful,
+  parseJournals,
+} from "../utils/journal-utils";
 
 
 const convertStatus = (
   status: "passed" | "failed" | "timedOut" | "skipped" | "interrupted",
   testCase?: TestCase
 ): PulseTestStatus => {
-  if (testCase?.expectedStatus === "failed") {
-    return "failed";
+  // Compare the declared expectation (test.fail / test.skip / test.fixme)
+  // against what actually happened.
+  const annotationTypes = testCase?.annotations.map((a) => a.type) ?? [];
+  const expectsFailure =
+    testCase?.expectedStatus === "failed" || annotationTypes.includes("fail");
+  if (expectsFailure && status === "failed") {
+    return "expected-failure";
   }
-  if (testCase?.expectedStatus === "skipped") {
-    return "skipped";
+  if (expectsFailure && status === "passed") {
+    return "unexpected-success";
+  }
+  if (
+    status === "skipped" &&
+    (testCase?.expectedStatus === "skipped" ||
+      annotationTypes.includes("skip") ||
+      annotationTypes.includes("fixme"))
+  ) {
+    return "explicitly-skipped";
   }
   switch (status) {
     case "passed":
       return "passed";
     case "failed":
+      return "failed";
     case "timedOut":
+      return "timedOut";
     case "interrupted":
-      return "failed";
+      return "interrupted";
     case "skipped":
     default:
       return "skipped";
   }
 };
 
+// Playwright titles hooks "beforeAll hook", "afterEach hook", ... unless they were given a custom title
+const HOOK_TITLE_PATTERN = /^(beforeAll|afterAll|beforeEach|afterEach) hook/;
+
+// Annotations written by pulse.owner(), pulse.issue(), ... and stored as TestResult fields
+const PULSE_METADATA_ANNOTATIONS = new Set([
+  "pulse_owner",
+  "pulse_issue",
+  "pulse_link",
+  "pulse_epic",
+  "pulse_feature",
+  "pulse_story",
+  "pulse_description",
+  "pulse_metric",
+  "pulse_log",
+  "pulse_parameter",
+]);
+
+/**
+ * Tells which kind of hook a "hook" step is
+ * @param title - The step title
+ * @param parentHookType - Hook type of the enclosing step, e.g. "before" for the "Before Hooks" group
+ */
+const getHookType = (title: string, parentHookType?: HookType): HookType => {
+  const match = title.match(HOOK_TITLE_PATTERN);
+  if (match) return match[1] as HookType;
+  if (parentHookType) return parentHookType;
+  return title.toLowerCase().includes("before") ? "before" : "after";
+};
+
 const TEMP_SHARD_FILE_PREFIX = ".pulse-shard-results-";
 const ATTACHMENTS_SUBDIR = "attachments";
+const CONTENT_STORE_SUBDIR = "sha256";
+const DEFAULT_SOURCE_CONTEXT_LINES = 3;
+
+const jsonReplacer = (key: string, value: any) => {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "bigint") return value.toString();
+  return value;
+};
 
 export class PlaywrightPulseReporter implements Reporter {
   private config!: FullConfig;
@@ -64,6 +148,27 @@ export class PlaywrightPulseReporter implements Reporter {
   private isSharded: boolean = false;
   private shardIndex: number | undefined = undefined;
   private resetOnEachRun: boolean;
+  private runId!: string;
+  private parentRunId: string | undefined;
+  private ci: CIInfo | undefined;
+  private git: GitInfo | undefined;
+  private environment!: EnvDetails;
+  private journalPath!: string;
+  // Serializes journal appends so concurrent onTestEnd calls never interleave lines
+  private _journalQueue: Promise<void> = Promise.resolve();
+  private attachmentPool: AttachmentPool;
+  // Errors reported outside of any test (global setup, worker crashes, maxFailures)
+  private globalErrors: PulseTestError[] = [];
+  // Content-store writes in progress, so concurrent duplicates wait instead of writing twice
+  private _contentStoreWrites = new Map<string, Promise<void>>();
+  // Source context shared by every step, test and error pointing at the same file and line
+  private sources: Record<string, SourceSnippet> = {};
+  private _sourceFileCache = new Map<string, string[] | null>();
+  private _ignoredCustomFields = new Set<string>();
+  // stdout/stderr chunks with the time they arrived, per test attempt
+  private _outputLogs = new WeakMap<PwTestResult, LogEntry[]>();
+  private sourceContextLines: number;
+  private redactor: Redactor | undefined;
 
   constructor(options: PlaywrightPulseReporterOptions = {}) {
     this.options = options;
@@ -72,6 +177,15 @@ export class PlaywrightPulseReporter implements Reporter {
     this.individualReportsSubDir = options.individualReportsSubDir ?? "pulse-results";
     this.attachmentsDir = path.join(this.outputDir, ATTACHMENTS_SUBDIR);
     this.resetOnEachRun = options.resetOnEachRun ?? true;
+    this.attachmentPool = new AttachmentPool(options.attachmentConcurrency);
+    this.sourceContextLines =
+      Number.isFinite(options.sourceContextLines) &&
+      options.sourceContextLines! >= 0
+        ? Math.floor(options.sourceContextLines!)
+        : DEFAULT_SOURCE_CONTEXT_LINES;
+    this.redactor = options.redact
+      ? new Redactor(options.redact === true ? {} : options.redact)
+      : undefined;
   }
 
   printsToStdio() {
@@ -99,8 +213,31 @@ export class PlaywrightPulseReporter implements Reporter {
       ? this.config.shard.current - 1
       : undefined;
 
-    this._ensureDirExists(this.outputDir)
+    // Sharded and sequential (resetOnEachRun: false) runs are later merged, so
+    // a user-supplied runId names the merged run and each sub-run gets its own.
+    const isSubRun = this.isSharded || !this.resetOnEachRun;
+    const generatedRunId = `run-${this.runStartTime}-${randomUUID()}`;
+    this.runId = isSubRun
+      ? generatedRunId
+      : (this.options.runId ?? generatedRunId);
+    this.parentRunId = isSubRun ? this.options.runId : undefined;
+    this.ci = getCIInfo();
+    this.git = getGitInfo(this.config.rootDir, this.ci);
+    this.environment = this._getEnvDetails();
+    // Commit authors, CI build URLs and paths are written to the journal and the report,
+    // so they are redacted once here, like test results
+    this.redactor?.redactObject(this.ci);
+    this.redactor?.redactObject(this.git);
+    this.redactor?.redactObject(this.environment);
+    this.journalPath = path.join(
+      this.outputDir,
+      `${JOURNAL_FILE_PREFIX}${this.shardIndex ?? "main"}.ndjson`,
+    );
+
+    this._journalQueue = this._ensureDirExists(this.outputDir)
       .then(async () => {
+        // A journal left behind means the previous run never reached onEnd
+        await this._recoverJournal();
         if (this.printsToStdio()) {
           console.log(
             `PlaywrightPulseReporter: Starting test run with ${
@@ -116,6 +253,23 @@ export class PlaywrightPulseReporter implements Reporter {
             await this._cleanupTemporaryFiles();
           }
         }
+        await fs.writeFile(
+          this.journalPath,
+          JSON.stringify(
+            {
+              type: "run",
+              id: this.runId,
+              parentRunId: this.parentRunId,
+              timestamp: new Date(this.runStartTime),
+              environment: this.environment,
+              ci: this.ci,
+              git: this.git,
+              reportDescription: this.options.reportDescription,
+              logo: this.options.logo,
+            },
+            jsonReplacer,
+          ) + "\n",
+        );
       })
       .catch((err) =>
         console.error("Pulse Reporter: Error during initialization:", err),
@@ -126,6 +280,57 @@ export class PlaywrightPulseReporter implements Reporter {
     console.log(`Starting test: ${test.title}`);
   }
 
+  onStdOut(chunk: string | Buffer, _test?: TestCase, result?: PwTestResult) {
+    this._recordOutput("stdout", chunk, result);
+  }
+
+  onStdErr(chunk: string | Buffer, _test?: TestCase, result?: PwTestResult) {
+    this._recordOutput("stderr", chunk, result);
+  }
+
+  private _recordOutput(
+    level: "stdout" | "stderr",
+    chunk: string | Buffer,
+    result?: PwTestResult,
+  ) {
+    // Output printed outside of a test (e.g. by globalSetup) has no result
+    if (!result) return;
+    const message = chunk.toString().replace(/\r?\n$/, "");
+    if (!message) return;
+    if (!this._outputLogs.has(result)) this._outputLogs.set(result, []);
+    this._outputLogs.get(result)!.push({ level, message, timestamp: new Date() });
+  }
+
+  /**
+   * Combines the pulse.log entries and the timestamped stdout/stderr of one attempt, oldest first.
+   */
+  private _getLogs(
+    annotations: { type: string; description?: string }[],
+    result: PwTestResult,
+  ): LogEntry[] | undefined {
+    const logs: LogEntry[] = [];
+    for (const annotation of annotations) {
+      if (annotation.type !== "pulse_log" || !annotation.description) continue;
+      try {
+        const entry = JSON.parse(annotation.description);
+        if (["info", "warn", "error"].includes(entry?.level)) {
+          logs.push({
+            level: entry.level,
+            message: String(entry.message ?? ""),
+            timestamp: new Date(entry.timestamp),
+            data: entry.data,
+          });
+        }
+      } catch {
+        // Not written by pulse.log
+      }
+    }
+    logs.push(...(this._outputLogs.get(result) ?? []));
+    this._outputLogs.delete(result);
+    logs.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+    return logs.length > 0 ? logs : undefined;
+  }
+
   private _getSeverity(
     annotations: { type: string; description?: string }[],
   ): string {
@@ -135,28 +340,231 @@ export class PlaywrightPulseReporter implements Reporter {
     return severityAnnotation?.description || "Medium";
   }
 
-  private extractCodeSnippet(
-    filePath: string,
-    targetLine: number,
-    targetColumn: number,
-  ): string {
+  /**
+   * Reads the owner, issues, links, feature hierarchy, description, metrics and parameters set with the pulse helper.
+   * Owner, epic, feature, story and each metric or parameter keep the last value; issues, links and descriptions accumulate.
+   */
+  private _getPulseMetadata(
+    annotations: { type: string; description?: string }[],
+  ): Pick<
+    TestResult,
+    | "owner"
+    | "epic"
+    | "feature"
+    | "story"
+    | "description"
+    | "issues"
+    | "links"
+    | "metrics"
+    | "parameters"
+  > {
+    const last = (type: string) =>
+      [...annotations].reverse().find((a) => a.type === type && a.description)
+        ?.description;
+    const all = (type: string) =>
+      annotations
+        .filter((a) => a.type === type && a.description)
+        .map((a) => a.description!);
+
+    const issues: TestIssue[] = [];
+    for (const id of new Set(all("pulse_issue"))) {
+      issues.push({
+        id,
+        url: /^https?:\/\//i.test(id)
+          ? id
+          : this.options.issueUrlTemplate?.replace(
+              /\{id\}/g,
+              encodeURIComponent(id),
+            ),
+      });
+    }
+
+    const links: TestLink[] = [];
+    for (const value of all("pulse_link")) {
+      let link: TestLink;
+      try {
+        link = JSON.parse(value);
+      } catch {
+        link = { url: value }; // Added by hand as a plain URL
+      }
+      if (link?.url && !links.some((existing) => existing.url === link.url)) {
+        links.push({ url: link.url, label: link.label || undefined });
+      }
+    }
+
+    const metrics = new Map<string, TestMetric>();
+    for (const value of all("pulse_metric")) {
+      try {
+        const metric: TestMetric = JSON.parse(value);
+        if (metric?.name && Number.isFinite(metric.value)) {
+          metrics.set(metric.name, {
+            name: metric.name,
+            value: metric.value,
+            unit: metric.unit || undefined,
+            threshold: Number.isFinite(metric.threshold)
+              ? metric.threshold
+              : undefined,
+            higherIsBetter: metric.higherIsBetter || undefined,
+          });
+        }
+      } catch {
+        // Not written by pulse.metric()
+      }
+    }
+
+    const parameters = new Map<string, TestParameter>();
+    for (const value of all("pulse_parameter")) {
+      try {
+        const parameter: TestParameter = JSON.parse(value);
+        if (parameter?.name && typeof parameter.value === "string") {
+          parameters.set(parameter.name, {
+            name: parameter.name,
+            value: parameter.value,
+            masked: parameter.masked || undefined,
+          });
+        }
+      } catch {
+        // Not written by pulse.parameter()
+      }
+    }
+
+    const descriptions = Array.from(new Set(all("pulse_description")));
+    return {
+      owner: last("pulse_owner"),
+      epic: last("pulse_epic"),
+      feature: last("pulse_feature"),
+      story: last("pulse_story"),
+      description:
+        descriptions.length > 0 ? descriptions.join("\n\n") : undefined,
+      issues: issues.length > 0 ? issues : undefined,
+      links: links.length > 0 ? links : undefined,
+      metrics: metrics.size > 0 ? Array.from(metrics.values()) : undefined,
+      parameters:
+        parameters.size > 0 ? Array.from(parameters.values()) : undefined,
+    };
+  }
+
+  /**
+   * Runs the user's customFields hook for one test attempt.
+   * A throwing hook or unsupported values never fail the run; they are logged and dropped.
+   */
+  private async _getCustomFields(
+    test: TestCase,
+    result: PwTestResult,
+  ): Promise<CustomFields | undefined> {
+    if (!this.options.customFields) return undefined;
+
+    let fields: CustomFields | undefined;
     try {
-      const fsSync = require("fs");
-      if (!fsSync.existsSync(filePath)) {
-        return "";
+      fields = await this.options.customFields(test, result);
+    } catch (err: any) {
+      console.warn(
+        `Pulse Reporter: customFields failed for test "${test.title}". Error: ${err?.message ?? err}`,
+      );
+      return undefined;
+    }
+    if (!fields || typeof fields !== "object") return undefined;
+
+    const customFields: CustomFields = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (
+        typeof value === "string" ||
+        typeof value === "boolean" ||
+        (typeof value === "number" && Number.isFinite(value))
+      ) {
+        customFields[key] = value;
+      } else if (
+        value !== undefined &&
+        value !== null &&
+        !this._ignoredCustomFields.has(key)
+      ) {
+        // Warn once per key, not for every test
+        this._ignoredCustomFields.add(key);
+        console.warn(
+          `Pulse Reporter: Ignoring custom field "${key}"; only strings, numbers and booleans are supported.`,
+        );
       }
+    }
+    return Object.keys(customFields).length > 0 ? customFields : undefined;
+  }
 
-      const content = fsSync.readFileSync(filePath, "utf8");
-      const lines = content.split("\n");
+  /**
+   * Reads the browser console and network entries recorded by the Pulse fixtures.
+   */
+  private async _getBrowserCapture(
+    test: TestCase,
+    result: PwTestResult,
+  ): Promise<Pick<TestResult, "browserConsole" | "network">> {
+    try {
+      const capture = await readBrowserCapture(result.attachments);
+      return { browserConsole: capture?.console, network: capture?.network };
+    } catch (err: any) {
+      console.warn(
+        `Pulse Reporter: Failed to read the browser console and network capture for test "${test.title}". Error: ${err?.message ?? err}`,
+      );
+      return {};
+    }
+  }
 
-      if (targetLine < 1 || targetLine > lines.length) {
-        return "";
+  private _readSourceLines(filePath: string): string[] | null {
+    if (!this._sourceFileCache.has(filePath)) {
+      try {
+        const fsSync = require("fs");
+        this._sourceFileCache.set(
+          filePath,
+          fsSync.readFileSync(filePath, "utf8").split(/\r?\n/),
+        );
+      } catch {
+        this._sourceFileCache.set(filePath, null);
       }
+    }
+    return this._sourceFileCache.get(filePath)!;
+  }
 
-      return lines[targetLine - 1]?.trim() || "";
-    } catch (e) {
-      return "";
+  /**
+   * Records the source lines around a location in the report's `sources`, once per file and line
+   * @returns The key of the snippet, or undefined when the file cannot be read
+   */
+  private _getSourceRef(location: {
+    file: string;
+    line: number;
+  }): string | undefined {
+    const file = path
+      .relative(this.config.rootDir, location.file)
+      .split(path.sep)
+      .join("/");
+    const key = `${file}:${location.line}`;
+    if (this.sources[key]) return key;
+
+    const lines = this._readSourceLines(location.file);
+    if (!lines || location.line < 1 || location.line > lines.length) {
+      return undefined;
     }
+    const startLine = Math.max(1, location.line - this.sourceContextLines);
+    const endLine = Math.min(
+      lines.length,
+      location.line + this.sourceContextLines,
+    );
+    const source: SourceSnippet = {
+      file,
+      line: location.line,
+      startLine,
+      lines: lines.slice(startLine - 1, endLine),
+    };
+    this.redactor?.redactObject(source.lines);
+    this.sources[key] = source;
+    if (this.journalPath) {
+      this._appendToJournal({ type: "source", key, source });
+    }
+    return key;
+  }
+
+  /**
+   * The trimmed line a source reference points at, for the deprecated `codeSnippet` fields
+   */
+  private _getCodeSnippet(sourceRef: string | undefined): string | undefined {
+    const source = sourceRef ? this.sources[sourceRef] : undefined;
+    return source?.lines[source.line - source.startLine]?.trim() || undefined;
   }
 
   private getBrowserDetails(test: TestCase): string {
@@ -216,6 +624,7 @@ export class PlaywrightPulseReporter implements Reporter {
     testId: string,
     browserDetails: string,
     testCase?: TestCase,
+    parentStep?: PulseTestStep,
   ): Promise<PulseTestStep> {
     let stepStatus: PulseTestStatus = "passed";
     let errorMessage = step.error?.message || undefined;
@@ -223,14 +632,15 @@ export class PlaywrightPulseReporter implements Reporter {
     if (step.error?.message?.startsWith("Test is skipped:")) {
       stepStatus = "skipped";
     } else {
-      stepStatus = convertStatus(step.error ? "failed" : "passed", testCase);
+      // Steps report what actually happened; test-level expectations do not apply
+      stepStatus = convertStatus(step.error ? "failed" : "passed");
     }
 
     const duration = step.duration;
     const startTime = new Date(step.startTime);
     const endTime = new Date(startTime.getTime() + Math.max(0, duration));
     let codeLocation = "";
-    let codeSnippet: string = "";
+    let sourceRef: string | undefined = undefined;
 
     if (step.location) {
       codeLocation = `${path.relative(
@@ -238,11 +648,7 @@ export class PlaywrightPulseReporter implements Reporter {
         step.location.file,
       )}:${step.location.line}:${step.location.column}`;
 
-      codeSnippet = this.extractCodeSnippet(
-        step.location.file,
-        step.location.line,
-        step.location.column,
-      );
+      sourceRef = this._getSourceRef(step.location);
     }
 
     return {
@@ -256,13 +662,13 @@ export class PlaywrightPulseReporter implements Reporter {
       errorMessage: errorMessage,
       stackTrace: step.error?.stack || undefined,
       codeLocation: codeLocation || undefined,
-      codeSnippet: codeSnippet,
+      sourceRef,
+      codeSnippet: this._getCodeSnippet(sourceRef),
+      category: step.category,
       isHook: step.category === "hook",
       hookType:
         step.category === "hook"
-          ? step.title.toLowerCase().includes("before")
-            ? "before"
-            : "after"
+          ? getHookType(step.title, parentStep?.hookType)
           : undefined,
       steps: [],
     };
@@ -284,7 +690,10 @@ export class PlaywrightPulseReporter implements Reporter {
   ): Promise<void> {
     const project = test.parent?.project();
     const browserDetails = this.getBrowserDetails(test);
-    const uniqueTestId = `${project?.name || "default"}-${test.id}`;
+    // --repeat-each iterations are separate tests, not retries of the same one
+    const uniqueTestId = `${project?.name || "default"}-${test.id}${
+      test.repeatEachIndex > 0 ? `-repeat${test.repeatEachIndex}` : ""
+    }`;
 
     // Captured outcome from Playwright
     const outcome = test.outcome();
@@ -310,6 +719,7 @@ export class PlaywrightPulseReporter implements Reporter {
 
     const processAllSteps = async (
       steps: PwStep[],
+      parentStep?: PulseTestStep,
     ): Promise<PulseTestStep[]> => {
       let processed: PulseTestStep[] = [];
 
@@ -319,24 +729,23 @@ export class PlaywrightPulseReporter implements Reporter {
           uniqueTestId,
           browserDetails,
           test,
+          parentStep,
         );
         processed.push(processedStep);
 
         if (step.steps && step.steps.length > 0) {
-          processedStep.steps = await processAllSteps(step.steps);
+          processedStep.steps = await processAllSteps(
+            step.steps,
+            processedStep,
+          );
         }
       }
       return processed;
     };
 
-    let codeSnippet: string = "";
-    if (test.location?.file && test.location?.line && test.location?.column) {
-      codeSnippet = this.extractCodeSnippet(
-        test.location.file,
-        test.location.line,
-        test.location.column,
-      );
-    }
+    const sourceRef = test.location?.file
+      ? this._getSourceRef(test.location)
+      : undefined;
     // 1. Get Spec File Name
     const specFileName = test.location?.file
       ? path.basename(test.location.file)
@@ -349,6 +758,24 @@ export class PlaywrightPulseReporter implements Reporter {
       describeBlockName = test.parent.title;
     }
 
+    // 3. Get the full chain of enclosing describe blocks, outermost first
+    const describePath: string[] = [];
+    for (
+      let suite: Suite | undefined = test.parent;
+      suite?.type === "describe";
+      suite = suite.parent
+    ) {
+      describePath.unshift(suite.title);
+    }
+
+    // 4. Get the spec file relative to the project root, with forward slashes
+    const relativeFile = test.location?.file
+      ? path
+          .relative(this.config.rootDir, test.location.file)
+          .split(path.sep)
+          .join("/")
+      : undefined;
+
     const stdoutMessages: string[] = result.stdout.map((item) =>
       typeof item === "string" ? item : item.toString(),
     );
@@ -357,13 +784,15 @@ export class PlaywrightPulseReporter implements Reporter {
     );
 
     const maxWorkers = this.config.workers;
-    let mappedWorkerId: number =
-      result.workerIndex === -1
-        ? -1
-        : (result.workerIndex % (maxWorkers > 0 ? maxWorkers : 1)) + 1;
+    // parallelIndex is the worker slot (0..workers-1) and survives worker restarts,
+    // unlike workerIndex which grows with every new worker process
+    const mappedWorkerId: number =
+      result.parallelIndex === -1 ? -1 : result.parallelIndex + 1;
 
     const testSpecificData = {
       workerId: mappedWorkerId,
+      workerIndex: result.workerIndex,
+      parallelIndex: result.parallelIndex,
       totalWorkers: maxWorkers,
       configFile: this.config.configFile,
       metadata: this.config.metadata
@@ -371,11 +800,19 @@ export class PlaywrightPulseReporter implements Reporter {
         : undefined,
     };
 
+    // Annotations parsed into their own fields are not listed again
+    const displayedAnnotations = (test.annotations ?? []).filter(
+      (annotation) => !PULSE_METADATA_ANNOTATIONS.has(annotation.type),
+    );
+
     const pulseResult: TestResult = {
       id: uniqueTestId,
       runId: "TBD",
       describe: describeBlockName,
+      describePath: describePath.length > 0 ? describePath : undefined,
       spec_file: specFileName,
+      file: relativeFile,
+      project: project?.name || undefined,
       name: test.titlePath().join(" > "),
       suiteName:
         project?.name || this.config.projects[0]?.name || "Default Suite",
@@ -387,11 +824,26 @@ export class PlaywrightPulseReporter implements Reporter {
       endTime: endTime,
       browser: browserDetails,
       retries: result.retry,
+      repeatEachIndex: test.repeatEachIndex > 0 ? test.repeatEachIndex : undefined,
       steps: result.steps ? await processAllSteps(result.steps) : [],
       errorMessage: result.error?.message,
       stackTrace: result.error?.stack,
       snippet: result.error?.snippet,
-      codeSnippet: codeSnippet,
+      errors:
+        result.errors.length > 0
+          ? result.errors.map((error) => ({
+              message: error.message ?? error.value,
+              stack: error.stack,
+              snippet: error.snippet,
+              location: error.location,
+              sourceRef: error.location
+                ? this._getSourceRef(error.location)
+                : undefined,
+              matcherFailure: parseMatcherFailure(error.message),
+            }))
+          : undefined,
+      sourceRef,
+      codeSnippet: this._getCodeSnippet(sourceRef),
       tags: test.tags.map((tag) =>
         tag.startsWith("@") ? tag.substring(1) : tag,
       ),
@@ -402,114 +854,217 @@ export class PlaywrightPulseReporter implements Reporter {
       attachments: [],
       stdout: stdoutMessages.length > 0 ? stdoutMessages : undefined,
       stderr: stderrMessages.length > 0 ? stderrMessages : undefined,
-      annotations: test.annotations?.length > 0 ? test.annotations : undefined,
+      ...this._getPulseMetadata(test.annotations),
+      annotations:
+        displayedAnnotations.length > 0 ? displayedAnnotations : undefined,
+      logs: this._getLogs(test.annotations, result),
+      customFields: await this._getCustomFields(test, result),
+      ...(await this._getBrowserCapture(test, result)),
       ...testSpecificData,
     };
 
-    for (const [index, attachment] of result.attachments.entries()) {
-      if (!attachment.path) continue;
-
-      try {
-        const testSubfolder = uniqueTestId.replace(/[^a-zA-Z0-9_-]/g, "_");
-        const safeAttachmentName = path
-          .basename(attachment.path)
-          .replace(/[^a-zA-Z0-9_.-]/g, "_");
-        const uniqueFileName = `${index}-${Date.now()}-${safeAttachmentName}`;
-        const relativeDestPath = path.join(
-          ATTACHMENTS_SUBDIR,
-          testSubfolder,
-          uniqueFileName,
-        );
-        const absoluteDestPath = path.join(this.outputDir, relativeDestPath);
-        await this._ensureDirExists(path.dirname(absoluteDestPath));
-
-        // Copy file first
-        await fs.copyFile(attachment.path, absoluteDestPath);
+    // All tests share one pool; files are classified in their original order
+    // once every attachment of this test has been processed
+    const storedAttachments = await Promise.all(
+      result.attachments.map((attachment, index) => {
+        if (!attachment.path && !attachment.body) return undefined;
+        // Shown in the Browser Console and Network panels instead
+        if (isBrowserCaptureAttachment(attachment)) return undefined;
+        return this.attachmentPool
+          .run(() => this._storeAttachment(attachment, index, uniqueTestId))
+          .catch((err: any) => {
+            console.error(
+              `Pulse Reporter: Failed to process attachment "${attachment.name}" for test ${pulseResult.name}. Error: ${err.message}`,
+            );
+            return undefined;
+          });
+      }),
+    );
 
-        // Compress in-place (preserves path/name)
-        await compressAttachment(absoluteDestPath, attachment.contentType);
+    for (const [index, stored] of storedAttachments.entries()) {
+      if (!stored) continue;
+      const attachment = result.attachments[index];
 
-        if (attachment.contentType.startsWith("image/")) {
-          pulseResult.screenshots?.push(relativeDestPath);
-        } else if (attachment.contentType.startsWith("video/")) {
-          pulseResult.videoPath?.push(relativeDestPath);
-        } else if (attachment.name === "trace") {
-          pulseResult.tracePath = relativeDestPath;
-        } else {
-          pulseResult.attachments?.push({
-            name: attachment.name,
-            path: relativeDestPath,
-            contentType: attachment.contentType,
-          });
-        }
-      } catch (err: any) {
-        console.error(
-          `Pulse Reporter: Failed to process attachment "${attachment.name}" for test ${pulseResult.name}. Error: ${err.message}`,
-        );
+      if (attachment.contentType.startsWith("image/")) {
+        pulseResult.screenshots?.push(stored);
+      } else if (attachment.contentType.startsWith("video/")) {
+        pulseResult.videoPath?.push(stored);
+      } else if (attachment.name === "trace") {
+        pulseResult.tracePath = stored;
+      } else {
+        pulseResult.attachments?.push({
+          name: attachment.name,
+          path: stored,
+          contentType: attachment.contentType,
+        });
       }
     }
 
+    // Last step before the result is kept in memory or written to the journal
+    this.redactor?.redactObject(pulseResult);
     this.results.push(pulseResult);
+    await this._appendToJournal({ type: "result", result: pulseResult });
   }
 
-  private _getFinalizedResults(allResults: TestResult[]): TestResult[] {
-    const resultsMap = new Map<string, TestResult[]>();
+  /**
+   * Copies (or writes) one attachment into the report and compresses it in place.
+   * @returns The path relative to outputDir, or a data URI for inlined screenshots
+   */
+  private async _storeAttachment(
+    attachment: PwTestResult["attachments"][number],
+    index: number,
+    testId: string,
+  ): Promise<string> {
+    const testSubfolder = testId.replace(/[^a-zA-Z0-9_-]/g, "_");
+    // In-memory attachments (testInfo.attach(name, { body })) only have a name,
+    // so the extension comes from the content type unless the name has one
+    const sourceName = attachment.path
+      ? path.basename(attachment.path)
+      : path.extname(attachment.name)
+        ? attachment.name
+        : `${attachment.name}.${getFileExtension(attachment.contentType)}`;
+    const safeAttachmentName = sourceName.replace(/[^a-zA-Z0-9_.-]/g, "_");
+    const inlineImage =
+      attachment.contentType.startsWith("image/") && !!this.options.base64Images;
+
+    if (this.options.dedupeAttachments && !inlineImage) {
+      return this._storeContentAddressed(attachment, path.extname(safeAttachmentName));
+    }
 
-    for (const result of allResults) {
-      if (!resultsMap.has(result.id)) {
-        resultsMap.set(result.id, []);
-      }
-      resultsMap.get(result.id)!.push(result);
+    const uniqueFileName = `${index}-${Date.now()}-${safeAttachmentName}`;
+    const relativeDestPath = path.join(
+      ATTACHMENTS_SUBDIR,
+      testSubfolder,
+      uniqueFileName,
+    );
+    const absoluteDestPath = path.join(this.outputDir, relativeDestPath);
+    await this._ensureDirExists(path.dirname(absoluteDestPath));
+
+    // Copy (or write) the file first
+    if (attachment.path) {
+      await fs.copyFile(attachment.path, absoluteDestPath);
+    } else {
+      await fs.writeFile(absoluteDestPath, attachment.body!);
     }
+    const originalBytes = (await fs.stat(absoluteDestPath)).size;
 
-    const finalResults: TestResult[] = [];
+    // Compress in-place (preserves path/name)
+    await compressAttachment(absoluteDestPath, attachment.contentType);
 
-    for (const [testId, attempts] of resultsMap.entries()) {
-      // Sort by retry count (ASC) then timestamp (DESC) to ensure stable resolution
-      attempts.sort((a, b) => {
-        if (a.retries !== b.retries) return a.retries - b.retries;
-        return (
-          new Date(b.startTime).getTime() - new Date(a.startTime).getTime()
-        );
-      });
+    if (inlineImage) {
+      // Inline the (compressed) image so the JSON renders without attachments/
+      const imageData = await fs.readFile(absoluteDestPath);
+      await fs.unlink(absoluteDestPath).catch(() => undefined);
+      this.attachmentPool.recordBytes(originalBytes, imageData.length);
+      return `data:${attachment.contentType};base64,${imageData.toString("base64")}`;
+    }
 
-      const firstAttempt = attempts[0];
-      const retryAttempts = attempts.slice(1);
-
-      // Only populate retryHistory if there were actual failures that triggered retries
-      // If all attempts passed, we don't need to show retry history
-      const hasActualRetries =
-        retryAttempts.length > 0 &&
-        retryAttempts.some(
-          (attempt) =>
-            attempt.status === "failed" ||
-            attempt.status === "flaky" ||
-            firstAttempt.status === "failed" ||
-            firstAttempt.status === "flaky",
-        );
+    this.attachmentPool.recordBytes(
+      originalBytes,
+      (await fs.stat(absoluteDestPath)).size,
+    );
+    return relativeDestPath;
+  }
 
-      if (hasActualRetries) {
-        firstAttempt.retryHistory = retryAttempts;
+  /**
+   * Stores an attachment once per distinct content under
+   * `attachments/sha256/<first two hex chars>/<hash><ext>`. The hash is taken
+   * from the original bytes, so a duplicate skips copying and compression.
+   * @returns The path relative to outputDir
+   */
+  private async _storeContentAddressed(
+    attachment: PwTestResult["attachments"][number],
+    extension: string,
+  ): Promise<string> {
+    const hash = createHash("sha256");
+    if (attachment.path) {
+      for await (const chunk of createReadStream(attachment.path)) {
+        hash.update(chunk);
+      }
+    } else {
+      hash.update(attachment.body!);
+    }
+    const digest = hash.digest("hex");
+    const relativeDestPath = path.join(
+      ATTACHMENTS_SUBDIR,
+      CONTENT_STORE_SUBDIR,
+      digest.slice(0, 2),
+      `${digest}${extension}`,
+    );
+    const absoluteDestPath = path.join(this.outputDir, relativeDestPath);
+
+    // Looked up and registered without an await in between, so concurrent duplicates find the write
+    const pendingWrite = this._contentStoreWrites.get(absoluteDestPath);
+    if (pendingWrite) {
+      await pendingWrite;
+      this.attachmentPool.recordDuplicate(
+        (await fs.stat(absoluteDestPath)).size,
+      );
+      return relativeDestPath;
+    }
 
-        // Calculate final status and outcome from the last attempt if retries exist
-        const lastAttempt = attempts[attempts.length - 1];
-        firstAttempt.final_status = lastAttempt.status;
+    const write = this._writeToContentStore(attachment, absoluteDestPath, extension);
+    this._contentStoreWrites.set(absoluteDestPath, write);
+    try {
+      await write;
+    } finally {
+      this._contentStoreWrites.delete(absoluteDestPath);
+    }
+    return relativeDestPath;
+  }
 
-        // If the last attempt was flaky, ensure outcome is set on the main result
-        if (lastAttempt.outcome === "flaky" || lastAttempt.status === "flaky") {
-          firstAttempt.outcome = "flaky";
-          firstAttempt.status = "flaky";
-        }
+  private async _writeToContentStore(
+    attachment: PwTestResult["attachments"][number],
+    absoluteDestPath: string,
+    extension: string,
+  ): Promise<void> {
+    // Stored by an earlier run (resetOnEachRun: false) or another shard process
+    const existing = await fs.stat(absoluteDestPath).catch(() => undefined);
+    if (existing) {
+      this.attachmentPool.recordDuplicate(existing.size);
+      return;
+    }
+
+    // Work on a temporary name so another shard process never sees a half-written file
+    await this._ensureDirExists(path.dirname(absoluteDestPath));
+    // The temporary name keeps the extension, compression picks the format from it
+    const tempPath = path.join(
+      path.dirname(absoluteDestPath),
+      `.tmp-${randomUUID()}${extension}`,
+    );
+    try {
+      if (attachment.path) {
+        await fs.copyFile(attachment.path, tempPath);
       } else {
-        // If no actual retries (all attempts passed), ensure final_status and retryHistory are removed
-        delete firstAttempt.final_status;
-        delete firstAttempt.retryHistory;
+        await fs.writeFile(tempPath, attachment.body!);
       }
-
-      finalResults.push(firstAttempt);
+      const originalBytes = (await fs.stat(tempPath)).size;
+      await compressAttachment(tempPath, attachment.contentType);
+      const finalBytes = (await fs.stat(tempPath)).size;
+      await fs.rename(tempPath, absoluteDestPath);
+      this.attachmentPool.recordBytes(originalBytes, finalBytes);
+    } finally {
+      await fs.unlink(tempPath).catch(() => undefined);
     }
+  }
 
-    return finalResults;
+  /**
+   * Appends a finalized result (or a global error) to the on-disk NDJSON journal, so that a run
+   * killed before `onEnd` (CI timeout, OOM) can still be turned into a report.
+   */
+  private _appendToJournal(entry: {
+    type: string;
+    [key: string]: unknown;
+  }): Promise<void> {
+    const line = JSON.stringify(entry, jsonReplacer) + "\n";
+    this._journalQueue = this._journalQueue
+      .then(() => fs.appendFile(this.journalPath, line))
+      .catch((err: any) =>
+        console.warn(
+          `Pulse Reporter: Could not append to result journal ${this.journalPath}. Error: ${err.message}`,
+        ),
+      );
+    return this._journalQueue;
   }
 
   onError(error: any): void {
@@ -522,9 +1077,27 @@ export class PlaywrightPulseReporter implements Reporter {
     if (error?.stack) {
       console.error(error.stack);
     }
+
+    const globalError: PulseTestError = {
+      message: error?.message ?? error?.value ?? String(error),
+      stack: error?.stack,
+      snippet: error?.snippet,
+      location: error?.location,
+      // Without a config (onError before onBegin) file paths cannot be made relative
+      sourceRef:
+        error?.location && this.config
+          ? this._getSourceRef(error.location)
+          : undefined,
+    };
+    this.redactor?.redactObject(globalError);
+    this.globalErrors.push(globalError);
+    // onError can fire before onBegin (e.g. a broken config), when there is no journal yet
+    if (this.journalPath) {
+      this._appendToJournal({ type: "error", error: globalError });
+    }
   }
 
-  private _getEnvDetails() {
+  private _getEnvDetails(): EnvDetails {
     return {
       host: os.hostname(),
       os: `${os.platform()} ${os.release()}`,
@@ -551,7 +1124,7 @@ export class PlaywrightPulseReporter implements Reporter {
       await fs.writeFile(
         tempFilePath,
         JSON.stringify(
-          this.results,
+          { results: this.results, sources: this.sources },
           (key, value) => (value instanceof Date ? value.toISOString() : value),
           2,
         ),
@@ -568,6 +1141,7 @@ export class PlaywrightPulseReporter implements Reporter {
     finalRunData: TestRun,
   ): Promise<PlaywrightPulseReport> {
     let allShardProcessedResults: TestResult[] = [];
+    const allShardSources: Record<string, SourceSnippet> = {};
     const totalShards = this.config.shard ? this.config.shard.total : 1;
 
     for (let i = 0; i < totalShards; i++) {
@@ -577,9 +1151,14 @@ export class PlaywrightPulseReporter implements Reporter {
       );
       try {
         const content = await fs.readFile(tempFilePath, "utf-8");
-        const shardResults = JSON.parse(content) as TestResult[];
+        const shardData = JSON.parse(content);
+        // Older shard files hold just the results array
+        const shardResults: TestResult[] = Array.isArray(shardData)
+          ? shardData
+          : shardData.results;
         allShardProcessedResults =
           allShardProcessedResults.concat(shardResults);
+        Object.assign(allShardSources, shardData.sources);
       } catch (error: any) {
         if (error?.code === "ENOENT") {
           console.warn(
@@ -594,23 +1173,12 @@ export class PlaywrightPulseReporter implements Reporter {
       }
     }
 
-    const finalResultsList = this._getFinalizedResults(
+    const finalResultsList = finalizeResults(
       allShardProcessedResults,
     );
     finalResultsList.forEach((r) => (r.runId = finalRunData.id));
 
-    finalRunData.passed = finalResultsList.filter(
-      (r) => (r.final_status || r.status) === "passed",
-    ).length;
-    finalRunData.failed = finalResultsList.filter(
-      (r) => (r.final_status || r.status) === "failed",
-    ).length;
-    finalRunData.skipped = finalResultsList.filter(
-      (r) => (r.final_status || r.status) === "skipped",
-    ).length;
-    finalRunData.flaky = finalResultsList.filter(
-      (r) => (r.final_status || r.status) === "flaky",
-    ).length;
+    Object.assign(finalRunData, getStatusCounts(finalResultsList));
     finalRunData.totalTests = finalResultsList.length;
 
     const reviveDates = (key: string, value: any): any => {
@@ -629,6 +1197,7 @@ export class PlaywrightPulseReporter implements Reporter {
     return {
       run: finalRunData,
       results: properlyTypedResults,
+      sources: allShardSources,
       metadata: {
         generatedAt: new Date().toISOString(),
         reportDescription: this.options.reportDescription,
@@ -666,7 +1235,7 @@ export class PlaywrightPulseReporter implements Reporter {
    * `pulse-results/` and then `_mergeAllRunReports()` merges them all. However,
    * if files from *older* sessions accumulate there (e.g. because a previous run
    * was interrupted before the post-merge cleanup, or because the user ran tests
-   * on a previous day), `_getFinalizedResults()` de-duplicates by `test.id` and
+   * on a previous day), `finalizeResults()` de-duplicates by `test.id` and
    * collapses results from both sessions into a single entry — producing a
    * `totalTests` count lower than the actual number of tests that ran.
    *
@@ -687,45 +1256,225 @@ export class PlaywrightPulseReporter implements Reporter {
     }
   }
 
+  /**
+   * Writes a finished report either as the main JSON (`resetOnEachRun: true`)
+   * or as an individual run file in `individualReportsSubDir` for deferred merging.
+   * Resolves to `true` once the file is on disk.
+   */
+  private async _writeReport(
+    finalReport: PlaywrightPulseReport,
+  ): Promise<boolean> {
+    if (this.resetOnEachRun) {
+      const finalOutputPath = path.join(this.outputDir, this.baseOutputFile);
+      try {
+        await this._ensureDirExists(this.outputDir);
+        await fs.writeFile(
+          finalOutputPath,
+          JSON.stringify(finalReport, jsonReplacer, 2),
+        );
+        if (this.printsToStdio()) {
+          console.log(
+            `PlaywrightPulseReporter: JSON report written to ${finalOutputPath}`,
+          );
+        }
+        return true;
+      } catch (error: any) {
+        console.error(
+          `Pulse Reporter: Failed to write final JSON report to ${finalOutputPath}. Error: ${error.message}`,
+        );
+        return false;
+      }
+    }
+
+    // Logic for appending/merging reports
+    const pulseResultsDir = path.join(
+      this.outputDir,
+      this.individualReportsSubDir,
+    );
+    const shardPrefix = this.baseOutputFile.replace(".json", "-");
+    const individualReportPath = path.join(
+      pulseResultsDir,
+      `${shardPrefix}${Date.now()}.json`,
+    );
+
+    try {
+      await this._ensureDirExists(pulseResultsDir);
+      await fs.writeFile(
+        individualReportPath,
+        JSON.stringify(finalReport, jsonReplacer, 2),
+      );
+
+      if (this.printsToStdio()) {
+        console.log(
+          `PlaywrightPulseReporter: Individual run report for merging written to ${individualReportPath}`,
+        );
+      }
+      // DEFERRED MERGING: 
+      // We do not call _mergeAllRunReports() here anymore when resetOnEachRun is false.
+      // The individual JSON files in pulse-results/ will be collected and merged
+      // into the main JSON when the user next runs one of the report generator commands.
+      return true;
+    } catch (error: any) {
+      console.error(
+        `Pulse Reporter: Failed to write report. Error: ${error.message}`,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Rebuilds a report from the NDJSON journal left behind by a previous run
+   * that never reached `onEnd`. The recovered run is flagged as `incomplete`.
+   *
+   * It is written to its own file in `individualReportsSubDir`, never to the main
+   * JSON, which the current run's `onEnd` would overwrite. The sequential merge
+   * or, with `resetOnEachRun: true`, the report scripts pick it up from there.
+   */
+  private async _recoverJournal(): Promise<void> {
+    let content: string;
+    try {
+      content = await fs.readFile(this.journalPath, "utf-8");
+    } catch (error: any) {
+      if (error?.code !== "ENOENT") {
+        console.warn(
+          `Pulse Reporter: Could not read result journal ${this.journalPath}. Error: ${error.message}`,
+        );
+      }
+      return;
+    }
+
+    const recoveredReport = buildRecoveredReport(parseJournals([content]));
+    if (recoveredReport) {
+      const recoveredPath = path.join(
+        this.outputDir,
+        this.individualReportsSubDir,
+        getRecoveredReportFileName(this.baseOutputFile, recoveredReport),
+      );
+      try {
+        await this._ensureDirExists(path.dirname(recoveredPath));
+        await fs.writeFile(
+          recoveredPath,
+          JSON.stringify(recoveredReport, jsonReplacer, 2),
+        );
+      } catch (error: any) {
+        console.error(
+          `Pulse Reporter: Failed to write recovered report to ${recoveredPath}. Error: ${error.message}`,
+        );
+        return;
+      }
+      console.warn(
+        `PlaywrightPulseReporter: Recovered ${recoveredReport.results.length} test result(s) from an incomplete previous run (${recoveredReport.run?.id}) to ${recoveredPath}.`,
+      );
+    }
+
+    await fs.unlink(this.journalPath).catch(() => undefined);
+  }
+
+  /**
+   * Finds worker processes that replaced an earlier one on the same parallel slot.
+   * Playwright starts a new worker after a test failure (and when a slot switches
+   * to tests that need a different worker setup), so the test that ran last on the
+   * old worker is recorded as the trigger.
+   * @param allAttempts - Every attempt of the run, retries included
+   */
+  private _detectWorkerRestarts(allAttempts: TestResult[]): WorkerRestart[] {
+    const restarts: WorkerRestart[] = [];
+    const lastAttemptBySlot = new Map<number, TestResult>();
+    const chronological = allAttempts
+      .filter(
+        (attempt) =>
+          attempt.parallelIndex !== undefined && attempt.parallelIndex >= 0,
+      )
+      .sort(
+        (a, b) =>
+          new Date(a.startTime).getTime() - new Date(b.startTime).getTime(),
+      );
+
+    for (const attempt of chronological) {
+      const previous = lastAttemptBySlot.get(attempt.parallelIndex!);
+      if (previous && previous.workerIndex !== attempt.workerIndex) {
+        restarts.push({
+          workerId: attempt.parallelIndex! + 1,
+          parallelIndex: attempt.parallelIndex!,
+          previousWorkerIndex: previous.workerIndex!,
+          workerIndex: attempt.workerIndex!,
+          timestamp: new Date(attempt.startTime),
+          afterFailure: isUnsuccessful(previous.status),
+          triggeredBy: {
+            id: previous.id,
+            name: previous.name,
+            status: previous.status,
+            retry: previous.retries,
+          },
+        });
+      }
+      lastAttemptBySlot.set(attempt.parallelIndex!, attempt);
+    }
+    return restarts;
+  }
+
   async onEnd(result: FullResult): Promise<void> {
     // Wait for ALL in-flight onTestEnd calls to finish before reading this.results.
     // This guards against Playwright calling onEnd() concurrently with (or just
     // before) the last onTestEnd() finishing its async attachment I/O — which
     // would cause that test to be silently dropped from the report.
     await Promise.allSettled(this._pendingTestEnds);
+    await this.attachmentPool.drain();
+    await this._journalQueue;
+
+    const attachmentStats = this.attachmentPool.getStats();
+    if (
+      this.printsToStdio() &&
+      attachmentStats.processed + attachmentStats.failed > 0
+    ) {
+      const toMB = (bytes: number) => (bytes / 1024 ** 2).toFixed(2);
+      console.log(
+        `PlaywrightPulseReporter: Processed ${attachmentStats.processed} attachment(s)${
+          attachmentStats.failed > 0 ? ` (${attachmentStats.failed} failed)` : ""
+        }${
+          attachmentStats.deduplicated > 0
+            ? ` (${attachmentStats.deduplicated} deduplicated)`
+            : ""
+        } in ${(attachmentStats.wallMs / 1000).toFixed(1)}s with concurrency ${
+          attachmentStats.concurrency
+        }, ${toMB(attachmentStats.originalBytes)}MB -> ${toMB(
+          attachmentStats.finalBytes,
+        )}MB (saved ${toMB(attachmentStats.bytesSaved)}MB).`,
+      );
+    }
 
     if (this.shardIndex !== undefined) {
       await this._writeShardResults();
+      await fs.unlink(this.journalPath).catch(() => undefined);
       return;
     }
 
+    // Needs every attempt, so it runs before retries are folded into retryHistory
+    const workerRestarts = this._detectWorkerRestarts(this.results);
+
     // De-duplicate and handle retries here, in a safe, single-threaded context.
-    const finalResults = this._getFinalizedResults(this.results);
+    const finalResults = finalizeResults(this.results);
 
     const runEndTime = Date.now();
     const duration = runEndTime - this.runStartTime;
-    const runId = `run-${this.runStartTime}-581d5ad8-ce75-4ca5-94a6-ed29c466c815`;
-    const environmentDetails = this._getEnvDetails();
+    const runId = this.runId;
+    const environmentDetails = this.environment;
 
     const runData: TestRun = {
       id: runId,
+      parentRunId: this.parentRunId,
       timestamp: new Date(this.runStartTime),
       // Use the length of the de-duplicated array for all counts
       totalTests: finalResults.length,
-      passed: finalResults.filter(
-        (r) => (r.final_status || r.status) === "passed",
-      ).length,
-      failed: finalResults.filter(
-        (r) => (r.final_status || r.status) === "failed",
-      ).length,
-      skipped: finalResults.filter(
-        (r) => (r.final_status || r.status) === "skipped",
-      ).length,
-      flaky: finalResults.filter(
-        (r) => (r.final_status || r.status) === "flaky",
-      ).length,
+      ...getStatusCounts(finalResults),
       duration,
       environment: environmentDetails,
+      ci: this.ci,
+      git: this.git,
+      status: result.status,
+      workerRestarts: workerRestarts.length > 0 ? workerRestarts : undefined,
+      globalErrors:
+        this.globalErrors.length > 0 ? this.globalErrors : undefined,
     };
 
     finalResults.forEach((r) => (r.runId = runId));
@@ -740,6 +1489,7 @@ export class PlaywrightPulseReporter implements Reporter {
         run: runData,
         // Use the de-duplicated results
         results: finalResults,
+        sources: this.sources,
         metadata: {
           generatedAt: new Date().toISOString(),
           reportDescription: this.options.reportDescription,
@@ -754,64 +1504,14 @@ export class PlaywrightPulseReporter implements Reporter {
       );
       return;
     }
+    finalReport.metadata.attachmentStats = attachmentStats;
+    if (this.redactor) {
+      finalReport.metadata.redactions = this.redactor.getStats();
+    }
 
-    const jsonReplacer = (key: string, value: any) => {
-      if (value instanceof Date) return value.toISOString();
-      if (typeof value === "bigint") return value.toString();
-      return value;
-    };
-
-    if (this.resetOnEachRun) {
-      const finalOutputPath = path.join(this.outputDir, this.baseOutputFile);
-      try {
-        await this._ensureDirExists(this.outputDir);
-        await fs.writeFile(
-          finalOutputPath,
-          JSON.stringify(finalReport, jsonReplacer, 2),
-        );
-        if (this.printsToStdio()) {
-          console.log(
-            `PlaywrightPulseReporter: JSON report written to ${finalOutputPath}`,
-          );
-        }
-      } catch (error: any) {
-        console.error(
-          `Pulse Reporter: Failed to write final JSON report to ${finalOutputPath}. Error: ${error.message}`,
-        );
-      }
-    } else {
-      // Logic for appending/merging reports
-      const pulseResultsDir = path.join(
-        this.outputDir,
-        this.individualReportsSubDir,
-      );
-      const shardPrefix = this.baseOutputFile.replace(".json", "-");
-      const individualReportPath = path.join(
-        pulseResultsDir,
-        `${shardPrefix}${Date.now()}.json`,
-      );
-
-      try {
-        await this._ensureDirExists(pulseResultsDir);
-        await fs.writeFile(
-          individualReportPath,
-          JSON.stringify(finalReport, jsonReplacer, 2),
-        );
-
-        if (this.printsToStdio()) {
-          console.log(
-            `PlaywrightPulseReporter: Individual run report for merging written to ${individualReportPath}`,
-          );
-        }
-        // DEFERRED MERGING: 
-        // We do not call _mergeAllRunReports() here anymore when resetOnEachRun is false.
-        // The individual JSON files in pulse-results/ will be collected and merged
-        // into the main JSON when the user next runs one of the report generator commands.
-      } catch (error: any) {
-        console.error(
-          `Pulse Reporter: Failed to write report. Error: ${error.message}`,
-        );
-      }
+    if (await this._writeReport(finalReport)) {
+      // The report is safely on disk, so the crash-recovery journal is no longer needed
+      await fs.unlink(this.journalPath).catch(() => undefined);
     }
 
     if (this.isSharded) {
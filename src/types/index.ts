@@ -1,3 +1,8 @@
+import type {
+  TestCase,
+  TestResult as PwTestResult,
+} from "@playwright/test/reporter";
+
 export type TestStatus =
   | "passed"
   | "failed"
@@ -5,7 +10,9 @@ export type TestStatus =
   | "expected-failure"
   | "unexpected-success"
   | "explicitly-skipped"
-  | "flaky";
+  | "flaky"
+  | "timedOut"
+  | "interrupted";
 
 export interface TestStep {
   id: string;
@@ -18,31 +25,154 @@ export interface TestStep {
   errorMessage?: string;
   stackTrace?: string;
   codeLocation?: string;
-  codeSnippet?: string; // Code snippet from source file with line numbers
+  sourceRef?: string; // Key into the report's sources
+  /** @deprecated Use sourceRef and the report's sources */
+  codeSnippet?: string; // Trimmed line the step points at
+  category?: StepCategory; // Playwright step category, absent in reports written before it was recorded
   isHook?: boolean;
-  hookType?: "before" | "after";
+  // "before"/"after" for the "Before Hooks"/"After Hooks" groups and hooks whose kind cannot be told from the title
+  hookType?: HookType;
   steps?: TestStep[]; // Nested steps
 }
 
+// Playwright's TestStep.category; other values may appear in future Playwright versions
+export type StepCategory =
+  | "hook"
+  | "fixture"
+  | "expect"
+  | "pw:api"
+  | "test.step"
+  | "test.attach"
+  | (string & {});
+
+export type HookType =
+  | "before"
+  | "after"
+  | "beforeAll"
+  | "afterAll"
+  | "beforeEach"
+  | "afterEach";
+
+export interface TestError {
+  message?: string;
+  stack?: string;
+  snippet?: string;
+  location?: {
+    file: string;
+    line: number;
+    column: number;
+  };
+  sourceRef?: string; // Key into the report's sources
+  matcherFailure?: MatcherFailure; // Set when the error is a failed expect matcher
+}
+
+export interface MatcherFailure {
+  matcher: string; // e.g. "toEqual" or "not.toHaveText"
+  subject?: string; // What was asserted on when it is not a plain value, e.g. "locator"
+  expected?: string;
+  received?: string;
+  diff?: string; // Unified diff as printed by Playwright: "- " expected, "+ " received, "  " common lines
+}
+
+// Source lines around a step, test or error location, stored once per file and line
+export interface SourceSnippet {
+  file: string; // Relative to the Playwright rootDir, with forward slashes
+  line: number; // The referenced line
+  startLine: number; // Line number of lines[0]
+  lines: string[];
+}
+
+export interface TestIssue {
+  id: string;
+  url?: string; // From the issueUrlTemplate option, or the id itself when it is a URL
+}
+
+export interface TestLink {
+  url: string;
+  label?: string;
+}
+
+export interface TestMetric {
+  name: string;
+  value: number;
+  unit?: string;
+  threshold?: number; // Values above it, or below it when higherIsBetter, are regressions
+  higherIsBetter?: boolean;
+}
+
+export interface TestParameter {
+  name: string;
+  value: string; // Objects are JSON-encoded; masked values are stored as "******"
+  masked?: boolean;
+}
+
+export type LogLevel = "info" | "warn" | "error" | "stdout" | "stderr";
+
+export interface LogEntry {
+  level: LogLevel;
+  message: string;
+  timestamp: Date;
+  data?: unknown; // JSON details passed to pulse.log.*()
+}
+
+// Captured by the fixtures in "@arghajit/playwright-pulse-report/fixtures"
+export interface BrowserConsoleEntry {
+  type: string; // Console message type ('log', 'warning', 'error', ...) or 'pageerror' for uncaught exceptions
+  text: string;
+  location?: string; // "url:line:column" of the script that logged it
+  stack?: string; // Only for page errors
+  timestamp: Date;
+}
+
+export interface NetworkEntry {
+  method: string;
+  url: string;
+  resourceType?: string;
+  status?: number; // Set for 4xx/5xx responses
+  statusText?: string;
+  failure?: string; // Set for requests that failed without a response, e.g. net::ERR_CONNECTION_REFUSED
+  timestamp: Date;
+}
+
 export interface TestResult {
   id: string;
-  describe?: string; // Add this
-  spec_file?: string; // Add this
+  describe?: string; // Title of the immediate describe block, "n/a" when there is none
+  describePath?: string[]; // Titles of all enclosing describe blocks, outermost first
+  spec_file?: string; // Spec file name without its directory
+  file?: string; // Spec file path relative to the Playwright rootDir
+  project?: string; // Playwright project name
   name: string;
   status: TestStatus;
   duration: number; // in milliseconds
   startTime: Date;
   endTime: Date;
   retries: number;
+  repeatEachIndex?: number; // Iteration of --repeat-each, absent for the first one
   steps: TestStep[];
   errorMessage?: string;
   stackTrace?: string;
   snippet?: string; // For AI analysis
-  codeSnippet?: string; // For AI analysis
+  errors?: TestError[]; // Every error of the attempt, e.g. one per failed expect.soft()
+  sourceRef?: string; // Key into the report's sources for the test declaration
+  /** @deprecated Use sourceRef and the report's sources */
+  codeSnippet?: string; // Trimmed test declaration line
   tags?: string[];
   severity?: "Minor" | "Low" | "Medium" | "High" | "Critical";
+  owner?: string; // Set with pulse.owner()
+  epic?: string; // epic, feature and story place the test in the report's Features view
+  feature?: string;
+  story?: string;
+  description?: string; // Markdown set with pulse.description()
+  issues?: TestIssue[]; // Set with pulse.issue()
+  links?: TestLink[]; // Set with pulse.link()
+  metrics?: TestMetric[]; // Set with pulse.metric(), one entry per name
+  logs?: LogEntry[]; // pulse.log entries and stdout/stderr chunks, oldest first
+  parameters?: TestParameter[]; // Input data set with pulse.parameter(), one entry per name
+  browserConsole?: BrowserConsoleEntry[]; // Console messages and page errors, oldest first
+  network?: NetworkEntry[]; // Failed requests and 4xx/5xx responses, oldest first
   suiteName?: string;
   runId: string; // Identifier for the test run this belongs to
+  parentRunId?: string; // Merged run this result's sub-run was folded into
   browser: string; // Browser name (e.g., "chromium", "firefox", "webkit")
 
   outcome?: string; // Captures Playwright's testCase.outcome()
@@ -62,7 +192,10 @@ export interface TestResult {
 
   stdout?: string[]; // Standard output captured during the test
   stderr?: string[]; // Standard error captured during the test
-  workerId?: number;
+  customFields?: CustomFields; // Returned by the customFields reporter option
+  workerId?: number; // Worker slot shown in the reports: parallelIndex + 1, -1 when no worker ran the test
+  workerIndex?: number; // Playwright worker process index, changes when a worker is restarted
+  parallelIndex?: number; // Playwright worker slot, 0..workers-1
   totalWorkers?: number;
   configFile?: string;
   metadata?: string;
@@ -82,22 +215,42 @@ export interface TestResult {
 
 export interface TestRun {
   id: string;
+  parentRunId?: string; // Set on shard/sequential sub-runs: the id of the run they merge into
+  subRunIds?: string[]; // Set on merged runs: the ids of the sub-runs they were built from
   timestamp: Date;
   totalTests: number;
   passed: number;
   failed: number;
   skipped: number;
   flaky?: number;
+  timedOut?: number;
+  interrupted?: number;
+  expectedFailures?: number; // test.fail() tests that failed as declared
+  unexpectedSuccesses?: number; // test.fail() tests that passed
+  explicitlySkipped?: number; // test.skip() / test.fixme() tests
   duration: number; // total duration for the run
   environment?: EnvDetails | EnvDetails[]; // Single for non-sharded, array for merged sharded reports
+  ci?: CIInfo; // CI provider and build, absent for local runs
+  git?: GitInfo; // Commit the run was executed against
+  status?: RunStatus; // Overall outcome reported by Playwright, absent for recovered runs
+  workerRestarts?: WorkerRestart[]; // Worker processes that replaced an earlier one on the same slot
+  globalErrors?: TestError[]; // Errors outside of any test: global setup, worker crashes, maxFailures
+  incomplete?: boolean; // True when the report was rebuilt from a partial result journal
 }
 
+export type RunStatus = "passed" | "failed" | "timedout" | "interrupted";
+
 export interface TrendDataPoint {
   date: string; // e.g., "YYYY-MM-DD" or run ID
   passed: number;
   failed: number;
   skipped: number;
   flaky?: number;
+  timedOut?: number;
+  interrupted?: number;
+  expectedFailures?: number;
+  unexpectedSuccesses?: number;
+  explicitlySkipped?: number;
 }
 
 // Options for the reporter
@@ -119,6 +272,11 @@ export interface PlaywrightPulseReporterOptions {
 
   /**
    * Whether to embed images directly as base64 strings in the report.
+   *
+   * Screenshots are stored as `data:` URIs in the JSON instead of files in `attachments/`,
+   * so the JSON alone is enough to render them on another machine.
+   * Videos, traces and other attachments are still written to `attachments/`.
+   *
    * @default false
    */
   base64Images?: boolean;
@@ -157,6 +315,97 @@ export interface PlaywrightPulseReporterOptions {
    * @default "pulse-results"
    */
   individualReportsSubDir?: string;
+
+  /**
+   * A custom identifier for the test run, e.g. a CI build number.
+   *
+   * example: `runId: process.env.GITHUB_RUN_ID`
+   *
+   * For sharded runs or when `resetOnEachRun` is `false`, each sub-run still gets its own
+   * random id and this value becomes the `parentRunId` (and the id of the merged report).
+   *
+   * If not added, a random id is generated for every run.
+   */
+  runId?: string;
+
+  /**
+   * How many attachments are copied and compressed at the same time.
+   *
+   * Lower it if image compression uses too much memory on small CI machines.
+   *
+   * @default 4
+   */
+  attachmentConcurrency?: number;
+
+  /**
+   * Store each distinct attachment only once, under `attachments/sha256/<hash>`.
+   *
+   * Useful when the same file (e.g. a visual-regression baseline) is attached by many tests,
+   * retries or projects. Result paths point to the shared file.
+   *
+   * @default false
+   */
+  dedupeAttachments?: boolean;
+
+  /**
+   * How many lines of source are kept before and after each step, test and error location.
+   *
+   * Every file and line is stored once in the report's `sources` and shown in the
+   * test details and the AI failure analyzer. Set it to `0` to keep only the line itself.
+   *
+   * @default 3
+   */
+  sourceContextLines?: number;
+
+  /**
+   * Masks secrets and personal data before results are written to the JSON and HTML reports.
+   *
+   * Applies to test and step titles, errors, stdout/stderr, source snippets and `config.metadata`.
+   * `true` enables the built-in rules (bearer tokens, JWTs, AWS keys, email addresses);
+   * pass an object to add your own literal or regex rules. Attachment files are not changed.
+   *
+   * example: `redact: { rules: [process.env.API_KEY!, /customer-\d+/] }`
+   *
+   * @default false
+   */
+  redact?: boolean | RedactionOptions;
+
+  /**
+   * Turns the ids passed to `pulse.issue()` into links; `{id}` is replaced by the issue id.
+   * Without it, only issue ids that are URLs themselves are linked.
+   *
+   * example: `issueUrlTemplate: "https://your-company.atlassian.net/browse/{id}"`
+   */
+  issueUrlTemplate?: string;
+
+  /**
+   * Adds your own key/value fields to every test result, e.g. tenant, feature flag or team.
+   *
+   * Called once per test attempt; the fields are shown in the test details and can be used to
+   * filter and group the Test Run Summary. Only string, number and boolean values are kept.
+   *
+   * example: `customFields: (test) => ({ tenant: process.env.TENANT ?? "default" })`
+   */
+  customFields?: (
+    test: TestCase,
+    result: PwTestResult,
+  ) => CustomFields | undefined | Promise<CustomFields | undefined>;
+}
+
+export type CustomFields = Record<string, string | number | boolean>;
+
+export type BuiltInRedactionRule = "bearer" | "jwt" | "aws" | "email";
+
+export interface RedactionOptions {
+  // Strings are matched literally; rules are counted as "custom-<n>" unless they have a name
+  rules?: (string | RegExp | { name: string; pattern: string | RegExp })[];
+  builtIn?: boolean | BuiltInRedactionRule[]; // Defaults to all built-in rules
+  replacement?: string; // Defaults to "[REDACTED]"
+}
+
+export interface RedactionStats {
+  total: number;
+  byRule: Record<string, number>; // Built-in rule name or the custom rule's name
 }
 
 // Add this new interface
@@ -172,3 +421,53 @@ export interface EnvDetails {
   v8: string;
   cwd: string;
 }
+
+export interface AttachmentStats {
+  processed: number;
+  failed: number;
+  originalBytes: number; // Total size before compression
+  finalBytes: number; // Total size written to the report
+  deduplicated: number; // Attachments already in the content-addressed store
+  dedupedBytes: number; // Size of the files that did not have to be written again
+  bytesSaved: number; // Compression savings plus dedupedBytes
+  processingMs: number; // Sum of the time spent on each attachment
+  wallMs: number; // Time from the first attachment started to the last one finished
+  concurrency: number;
+}
+
+export interface WorkerRestart {
+  workerId: number; // Same numbering as TestResult.workerId
+  parallelIndex: number;
+  previousWorkerIndex: number;
+  workerIndex: number; // The new worker process
+  timestamp: Date; // When the new worker started its first test
+  afterFailure: boolean; // True when the last test of the previous worker did not pass
+  triggeredBy: {
+    id: string;
+    name: string;
+    status: TestStatus;
+    retry: number;
+  };
+}
+
+export interface CIInfo {
+  provider: string; // e.g. "GitHub Actions", "GitLab CI", "Jenkins"
+  buildId?: string;
+  buildNumber?: string;
+  buildUrl?: string;
+  pipeline?: string; // Workflow / pipeline / job definition name
+  job?: string;
+  branch?: string;
+  commit?: string;
+}
+
+export interface GitInfo {
+  sha: string;
+  shortSha: string;
+  branch?: string;
+  author?: string;
+  authorEmail?: string;
+  commitDate?: string;
+  message?: string; // Subject line of the commit message
+  dirty?: boolean; // True when tracked files had uncommitted changes
+}
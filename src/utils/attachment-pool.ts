@@ -0,0 +1,131 @@
+// src/utils/attachment-pool.ts
+/**
+ * Bounded-concurrency pool for attachment copy/compression work
+ * Shared by all tests of a run so large visual suites do not process files one at a time
+ */
+
+import type { AttachmentStats } from "../types";
+
+export const DEFAULT_ATTACHMENT_CONCURRENCY = 4;
+
+export class AttachmentPool {
+  private readonly concurrency: number;
+  private readonly maxWaiting: number;
+  private active = 0;
+  // Tasks that have been accepted and wait for a free slot
+  private waiting: (() => void)[] = [];
+  // Callers held back because the waiting list is full (back-pressure)
+  private blocked: (() => void)[] = [];
+  private idleResolvers: (() => void)[] = [];
+  private stats = {
+    processed: 0,
+    failed: 0,
+    originalBytes: 0,
+    finalBytes: 0,
+    deduplicated: 0,
+    dedupedBytes: 0,
+    processingMs: 0,
+  };
+  private firstStart: number | undefined;
+  private lastEnd: number | undefined;
+
+  /**
+   * @param concurrency - Maximum number of tasks running at the same time
+   * @param maxWaiting - Maximum number of tasks queued behind the running ones before callers are held back
+   */
+  constructor(
+    concurrency: number = DEFAULT_ATTACHMENT_CONCURRENCY,
+    maxWaiting?: number,
+  ) {
+    this.concurrency =
+      Number.isFinite(concurrency) && concurrency >= 1
+        ? Math.floor(concurrency)
+        : DEFAULT_ATTACHMENT_CONCURRENCY;
+    this.maxWaiting = maxWaiting ?? this.concurrency * 4;
+  }
+
+  /**
+   * Runs a task once a slot is free
+   * @param task - The attachment work to run
+   * @returns The task's result; a rejected task is counted as failed and rethrown
+   */
+  async run<T>(task: () => Promise<T>): Promise<T> {
+    while (this.waiting.length >= this.maxWaiting) {
+      await new Promise<void>((resolve) => this.blocked.push(resolve));
+    }
+    if (this.active >= this.concurrency) {
+      // The finishing task hands its slot over, so active is not incremented here
+      await new Promise<void>((resolve) => this.waiting.push(resolve));
+      this.blocked.shift()?.();
+    } else {
+      this.active++;
+    }
+
+    const start = Date.now();
+    this.firstStart ??= start;
+    try {
+      const value = await task();
+      this.stats.processed++;
+      return value;
+    } catch (error) {
+      this.stats.failed++;
+      throw error;
+    } finally {
+      this.lastEnd = Date.now();
+      this.stats.processingMs += this.lastEnd - start;
+      this._release();
+    }
+  }
+
+  /**
+   * Records the size of an attachment before and after compression
+   */
+  recordBytes(originalBytes: number, finalBytes: number): void {
+    this.stats.originalBytes += originalBytes;
+    this.stats.finalBytes += finalBytes;
+  }
+
+  /**
+   * Records an attachment that was already in the content-addressed store
+   */
+  recordDuplicate(storedBytes: number): void {
+    this.stats.deduplicated++;
+    this.stats.dedupedBytes += storedBytes;
+  }
+
+  /**
+   * Resolves once every accepted task has finished
+   */
+  drain(): Promise<void> {
+    if (this.active === 0 && this.waiting.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleResolvers.push(resolve));
+  }
+
+  getStats(): AttachmentStats {
+    return {
+      ...this.stats,
+      bytesSaved:
+        Math.max(0, this.stats.originalBytes - this.stats.finalBytes) +
+        this.stats.dedupedBytes,
+      wallMs:
+        this.firstStart !== undefined && this.lastEnd !== undefined
+          ? this.lastEnd - this.firstStart
+          : 0,
+      concurrency: this.concurrency,
+    };
+  }
+
+  private _release(): void {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+      return;
+    }
+    this.active--;
+    if (this.active === 0) {
+      this.idleResolvers.splice(0).forEach((resolve) => resolve());
+    }
+  }
+}
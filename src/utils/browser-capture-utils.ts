@@ -0,0 +1,68 @@
+// src/utils/browser-capture-utils.ts
+/**
+ * Reads the browser console and network activity recorded by the Pulse fixtures
+ * The fixtures store it as one JSON attachment per test, which is turned back into result fields here
+ */
+
+import type { TestResult as PwTestResult } from "@playwright/test/reporter";
+import * as fs from "fs/promises";
+import type { BrowserConsoleEntry, NetworkEntry } from "../types";
+
+export const BROWSER_CAPTURE_ATTACHMENT = "pulse-browser-capture";
+export const BROWSER_CAPTURE_CONTENT_TYPE = "application/json";
+
+export interface BrowserCapture {
+  console: BrowserConsoleEntry[];
+  network: NetworkEntry[];
+}
+
+/**
+ * Tells whether an attachment was written by the Pulse fixtures
+ */
+export function isBrowserCaptureAttachment(
+  attachment: PwTestResult["attachments"][number],
+): boolean {
+  return (
+    attachment.name === BROWSER_CAPTURE_ATTACHMENT &&
+    attachment.contentType === BROWSER_CAPTURE_CONTENT_TYPE
+  );
+}
+
+/**
+ * Parses the capture attachments of a test attempt
+ * @param attachments - The attempt's attachments
+ * @returns The console and network entries, oldest first, or undefined when nothing was captured
+ */
+export async function readBrowserCapture(
+  attachments: PwTestResult["attachments"],
+): Promise<Partial<BrowserCapture> | undefined> {
+  const captured: BrowserCapture = { console: [], network: [] };
+  for (const attachment of attachments.filter(isBrowserCaptureAttachment)) {
+    const content = attachment.body
+      ? attachment.body.toString("utf8")
+      : attachment.path
+        ? await fs.readFile(attachment.path, "utf8")
+        : undefined;
+    if (!content) continue;
+    const capture: Partial<BrowserCapture> = JSON.parse(content);
+    captured.console.push(...(capture.console ?? []));
+    captured.network.push(...(capture.network ?? []));
+  }
+
+  const byTime = (a: { timestamp: Date }, b: { timestamp: Date }) =>
+    new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime();
+  const toDates = <T extends { timestamp: Date }>(entries: T[]) =>
+    entries
+      .map((entry) => ({ ...entry, timestamp: new Date(entry.timestamp) }))
+      .sort(byTime);
+
+  if (captured.console.length === 0 && captured.network.length === 0) {
+    return undefined;
+  }
+  return {
+    console:
+      captured.console.length > 0 ? toDates(captured.console) : undefined,
+    network:
+      captured.network.length > 0 ? toDates(captured.network) : undefined,
+  };
+}
@@ -0,0 +1,213 @@
+// src/utils/journal-utils.ts
+/**
+ * Folds retry attempts into final results and rebuilds reports from the NDJSON result journal
+ * Shared by the reporter and the report scripts (which import the compiled copy from dist/)
+ */
+
+import type { PlaywrightPulseReport } from "../lib/report-types";
+import type {
+  SourceSnippet,
+  TestError,
+  TestResult,
+  TestStatus,
+} from "../types";
+
+export const JOURNAL_FILE_PREFIX = ".pulse-journal-";
+// Recovered runs are written next to the sequential run files, e.g. "playwright-pulse-report-recovered-<ms>.json"
+export const RECOVERED_REPORT_MARKER = "recovered-";
+
+// Statuses that trigger a retry and therefore belong in retryHistory
+export const isUnsuccessful = (status: TestStatus): boolean =>
+  status === "failed" ||
+  status === "timedOut" ||
+  status === "interrupted" ||
+  status === "unexpected-success" ||
+  status === "flaky";
+
+/**
+ * Collapses the attempts of each test into one result (Last-Run-Wins).
+ * Retries of one iteration are collapsed, --repeat-each iterations are kept apart.
+ * @param allResults - Every attempt, retries included
+ */
+export function finalizeResults(allResults: TestResult[]): TestResult[] {
+  const resultsMap = new Map<string, TestResult[]>();
+
+  for (const result of allResults) {
+    const key = `${result.id}::${result.repeatEachIndex ?? 0}`;
+    if (!resultsMap.has(key)) {
+      resultsMap.set(key, []);
+    }
+    resultsMap.get(key)!.push(result);
+  }
+
+  const finalResults: TestResult[] = [];
+
+  for (const attempts of resultsMap.values()) {
+    // Sort by retry count (ASC) then timestamp (DESC) to ensure stable resolution
+    attempts.sort((a, b) => {
+      if (a.retries !== b.retries) return a.retries - b.retries;
+      return (
+        new Date(b.startTime).getTime() - new Date(a.startTime).getTime()
+      );
+    });
+
+    const firstAttempt = attempts[0];
+    const retryAttempts = attempts.slice(1);
+
+    // Only populate retryHistory if there were actual failures that triggered retries
+    // If all attempts passed, we don't need to show retry history
+    const hasActualRetries =
+      retryAttempts.length > 0 &&
+      retryAttempts.some(
+        (attempt) =>
+          isUnsuccessful(attempt.status) || isUnsuccessful(firstAttempt.status),
+      );
+
+    if (hasActualRetries) {
+      firstAttempt.retryHistory = retryAttempts;
+
+      // Calculate final status and outcome from the last attempt if retries exist
+      const lastAttempt = attempts[attempts.length - 1];
+      firstAttempt.final_status = lastAttempt.status;
+
+      // If the last attempt was flaky, ensure outcome is set on the main result
+      if (lastAttempt.outcome === "flaky" || lastAttempt.status === "flaky") {
+        firstAttempt.outcome = "flaky";
+        firstAttempt.status = "flaky";
+      }
+    } else {
+      // If no actual retries (all attempts passed), ensure final_status and retryHistory are removed
+      delete firstAttempt.final_status;
+      delete firstAttempt.retryHistory;
+    }
+
+    finalResults.push(firstAttempt);
+  }
+
+  return finalResults;
+}
+
+/**
+ * Counts the final results per status, as stored on the run object
+ */
+export function getStatusCounts(results: TestResult[]) {
+  const count = (status: TestStatus) =>
+    results.filter((r) => (r.final_status || r.status) === status).length;
+  return {
+    passed: count("passed"),
+    failed: count("failed"),
+    skipped: count("skipped"),
+    flaky: count("flaky"),
+    timedOut: count("timedOut"),
+    interrupted: count("interrupted"),
+    expectedFailures: count("expected-failure"),
+    unexpectedSuccesses: count("unexpected-success"),
+    explicitlySkipped: count("explicitly-skipped"),
+  };
+}
+
+export interface ParsedJournal {
+  headers: any[]; // The "run" lines, one per journal file
+  results: TestResult[];
+  errors: TestError[];
+  sources: Record<string, SourceSnippet>;
+}
+
+/**
+ * Reads the entries of one or more journal files
+ * @param contents - The text of each journal file
+ */
+export function parseJournals(contents: string[]): ParsedJournal {
+  const journal: ParsedJournal = {
+    headers: [],
+    results: [],
+    errors: [],
+    sources: {},
+  };
+  for (const content of contents) {
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.type === "run") {
+          journal.headers.push(entry);
+        } else if (entry.type === "result" && entry.result) {
+          journal.results.push(entry.result);
+        } else if (entry.type === "error" && entry.error) {
+          journal.errors.push(entry.error);
+        } else if (entry.type === "source" && entry.key) {
+          journal.sources[entry.key] = entry.source;
+        }
+      } catch {
+        // The last line is usually truncated when the process was killed mid-write
+      }
+    }
+  }
+  return journal;
+}
+
+/**
+ * Turns the entries of a journal into a report flagged as `incomplete`
+ * @returns The report, or undefined when the journal holds no results
+ */
+export function buildRecoveredReport(
+  journal: ParsedJournal,
+): PlaywrightPulseReport | undefined {
+  if (journal.results.length === 0) return undefined;
+
+  const finalResults = finalizeResults(journal.results);
+  const header = journal.headers[0] ?? {};
+  const runId = header.id ?? `run-${Date.now()}-recovered`;
+  const startTimes = [
+    ...journal.headers.map((h) => new Date(h.timestamp).getTime()),
+    ...finalResults.map((r) => new Date(r.startTime).getTime()),
+  ].filter((time) => !Number.isNaN(time));
+  const timestamp = new Date(Math.min(...startTimes));
+  const lastEndTime = Math.max(
+    ...finalResults.map((r) => new Date(r.endTime).getTime()),
+  );
+  finalResults.forEach((r) => (r.runId = runId));
+  // Shards each write their own journal header
+  const environments = journal.headers
+    .map((h) => h.environment)
+    .filter(Boolean);
+
+  return {
+    run: {
+      id: runId,
+      parentRunId: header.parentRunId,
+      timestamp,
+      totalTests: finalResults.length,
+      ...getStatusCounts(finalResults),
+      duration: Math.max(0, lastEndTime - timestamp.getTime()),
+      environment: environments.length > 1 ? environments : environments[0],
+      ci: header.ci,
+      git: header.git,
+      globalErrors: journal.errors.length > 0 ? journal.errors : undefined,
+      incomplete: true,
+    },
+    results: finalResults,
+    sources: journal.sources,
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      reportDescription: header.reportDescription,
+      logo: header.logo,
+    },
+  };
+}
+
+/**
+ * Name of the file a recovered run is written to, inside `individualReportsSubDir`.
+ * It starts like the sequential run files, so the sequential merge picks it up.
+ * @param outputFile - The reporter's outputFile, e.g. "playwright-pulse-report.json"
+ * @param report - The recovered report
+ */
+export function getRecoveredReportFileName(
+  outputFile: string,
+  report: PlaywrightPulseReport,
+): string {
+  const time = new Date(report.run?.timestamp ?? Date.now()).getTime();
+  return `${outputFile.replace(".json", "-")}${RECOVERED_REPORT_MARKER}${
+    Number.isNaN(time) ? Date.now() : time
+  }.json`;
+}
@@ -0,0 +1,114 @@
+// src/utils/matcher-utils.ts
+/**
+ * Parses the messages of failed `expect` matchers into expected/received values and a diff
+ * Playwright only exposes these as formatted, ANSI-coloured text, so the message layout is matched
+ */
+
+import type { MatcherFailure } from "../types";
+
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+// expect(received).toEqual(expected), expect(locator).not.toHaveText(expected), ...
+const MATCHER_HEADER_PATTERN = /expect(?:\.soft|\.poll)?\((\w+)\)\.((?:not\.)?\w+)\(/;
+const DIFF_HEADER_PATTERN = /^- Expected\b.*\n\+ Received\b.*$/m;
+// Sections Playwright prints after the values of locator assertions
+const TRAILER_PATTERN = /^(Call log:|Timeout:|Locator:|Waiting for|\s+at )/;
+const HUNK_HEADER_PATTERN = /^@@ .* @@$/;
+
+function readLabelledValue(lines: string[], label: "Expected" | "Received") {
+  const labelPattern = new RegExp(`^${label}(?: [\\w ]+)?:\\s*(.*)$`);
+  const start = lines.findIndex((line) => labelPattern.test(line));
+  if (start === -1) return undefined;
+
+  const value = [lines[start].match(labelPattern)![1]];
+  // Multi-line values (arrays of texts, pretty-printed objects) continue until the next section
+  for (let i = start + 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (
+      line.trim() === "" ||
+      /^(Expected|Received)\b.*:/.test(line) ||
+      TRAILER_PATTERN.test(line)
+    ) {
+      break;
+    }
+    value.push(line);
+  }
+  return value.join("\n");
+}
+
+/**
+ * Rebuilds both sides of a diff: "- " lines are only expected, "+ " lines only received,
+ * and context lines belong to both. toEqual and toStrictEqual print objects and arrays
+ * this way, without Expected:/Received: lines. Lines left out between hunks become "...".
+ */
+function splitDiff(diff: string) {
+  const expected: string[] = [];
+  const received: string[] = [];
+  for (const line of diff.split("\n")) {
+    if (HUNK_HEADER_PATTERN.test(line)) {
+      if (expected.length > 0 || received.length > 0) {
+        expected.push("...");
+        received.push("...");
+      }
+      continue;
+    }
+    const marker = line.charAt(0);
+    const text = line.slice(2);
+    if (marker === "-") {
+      expected.push(text);
+    } else if (marker === "+") {
+      received.push(text);
+    } else {
+      expected.push(text);
+      received.push(text);
+    }
+  }
+  return { expected: expected.join("\n"), received: received.join("\n") };
+}
+
+/**
+ * Extracts the matcher, expected and received values and the diff from an expect failure
+ * @param message - The error message, with or without ANSI colours
+ * @returns The structured failure, or undefined when the message is not a matcher failure
+ */
+export function parseMatcherFailure(
+  message: string | undefined,
+): MatcherFailure | undefined {
+  if (!message) return undefined;
+  const text = message.replace(ANSI_PATTERN, "");
+  const header = text.match(MATCHER_HEADER_PATTERN);
+  if (!header) return undefined;
+
+  let diff: string | undefined = undefined;
+  const diffHeader = text.match(DIFF_HEADER_PATTERN);
+  if (diffHeader) {
+    const diffLines: string[] = [];
+    const afterHeader = text
+      .slice(diffHeader.index! + diffHeader[0].length)
+      .replace(/^\n+/, "")
+      .split("\n");
+    for (const line of afterHeader) {
+      if (TRAILER_PATTERN.test(line)) break;
+      diffLines.push(line);
+    }
+    while (diffLines.length > 0 && diffLines[diffLines.length - 1].trim() === "") {
+      diffLines.pop();
+    }
+    diff = diffLines.length > 0 ? diffLines.join("\n") : undefined;
+  }
+
+  const lines = text.split("\n");
+  let expected = readLabelledValue(lines, "Expected");
+  let received = readLabelledValue(lines, "Received");
+  if (expected === undefined && received === undefined) {
+    if (!diff) return undefined;
+    ({ expected, received } = splitDiff(diff));
+  }
+
+  return {
+    matcher: header[2],
+    subject: header[1] !== "received" ? header[1] : undefined,
+    expected,
+    received,
+    diff,
+  };
+}
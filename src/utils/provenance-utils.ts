@@ -0,0 +1,164 @@
+// src/utils/provenance-utils.ts
+/**
+ * CI and git provenance for a test run
+ * CI details come from the provider's environment variables, git details from the local `git` binary
+ */
+
+import { execFileSync } from "child_process";
+import type { CIInfo, GitInfo } from "../types";
+
+type Env = NodeJS.ProcessEnv;
+
+const providers: {
+  name: string;
+  detect: (env: Env) => boolean;
+  read: (env: Env) => Omit<CIInfo, "provider">;
+}[] = [
+  {
+    name: "GitHub Actions",
+    detect: (env) => env.GITHUB_ACTIONS === "true",
+    read: (env) => ({
+      buildId: env.GITHUB_RUN_ID,
+      buildNumber: env.GITHUB_RUN_NUMBER,
+      buildUrl:
+        env.GITHUB_SERVER_URL && env.GITHUB_REPOSITORY && env.GITHUB_RUN_ID
+          ? `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`
+          : undefined,
+      pipeline: env.GITHUB_WORKFLOW,
+      job: env.GITHUB_JOB,
+      // GITHUB_REF_NAME is "<pr>/merge" on pull_request events
+      branch: env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME,
+      commit: env.GITHUB_SHA,
+    }),
+  },
+  {
+    name: "GitLab CI",
+    detect: (env) => !!env.GITLAB_CI,
+    read: (env) => ({
+      buildId: env.CI_PIPELINE_ID,
+      buildNumber: env.CI_PIPELINE_IID,
+      buildUrl: env.CI_PIPELINE_URL,
+      pipeline: env.CI_PROJECT_PATH,
+      job: env.CI_JOB_NAME,
+      branch: env.CI_COMMIT_REF_NAME,
+      commit: env.CI_COMMIT_SHA,
+    }),
+  },
+  {
+    name: "Jenkins",
+    detect: (env) => !!env.JENKINS_URL,
+    read: (env) => ({
+      buildId: env.BUILD_ID,
+      buildNumber: env.BUILD_NUMBER,
+      buildUrl: env.BUILD_URL,
+      pipeline: env.JOB_NAME,
+      job: env.STAGE_NAME,
+      branch: env.BRANCH_NAME || env.GIT_BRANCH,
+      commit: env.GIT_COMMIT,
+    }),
+  },
+  {
+    name: "Azure Pipelines",
+    detect: (env) => !!env.TF_BUILD,
+    read: (env) => ({
+      buildId: env.BUILD_BUILDID,
+      buildNumber: env.BUILD_BUILDNUMBER,
+      buildUrl:
+        env.SYSTEM_COLLECTIONURI && env.SYSTEM_TEAMPROJECT && env.BUILD_BUILDID
+          ? `${env.SYSTEM_COLLECTIONURI}${env.SYSTEM_TEAMPROJECT}/_build/results?buildId=${env.BUILD_BUILDID}`
+          : undefined,
+      pipeline: env.BUILD_DEFINITIONNAME,
+      job: env.SYSTEM_JOBDISPLAYNAME,
+      branch: env.SYSTEM_PULLREQUEST_SOURCEBRANCH || env.BUILD_SOURCEBRANCHNAME,
+      commit: env.BUILD_SOURCEVERSION,
+    }),
+  },
+  {
+    name: "CircleCI",
+    detect: (env) => !!env.CIRCLECI,
+    read: (env) => ({
+      buildId: env.CIRCLE_WORKFLOW_ID,
+      buildNumber: env.CIRCLE_BUILD_NUM,
+      buildUrl: env.CIRCLE_BUILD_URL,
+      pipeline: env.CIRCLE_PROJECT_REPONAME,
+      job: env.CIRCLE_JOB,
+      branch: env.CIRCLE_BRANCH,
+      commit: env.CIRCLE_SHA1,
+    }),
+  },
+  {
+    name: "Buildkite",
+    detect: (env) => !!env.BUILDKITE,
+    read: (env) => ({
+      buildId: env.BUILDKITE_BUILD_ID,
+      buildNumber: env.BUILDKITE_BUILD_NUMBER,
+      buildUrl: env.BUILDKITE_BUILD_URL,
+      pipeline: env.BUILDKITE_PIPELINE_SLUG,
+      job: env.BUILDKITE_LABEL,
+      branch: env.BUILDKITE_BRANCH,
+      commit: env.BUILDKITE_COMMIT,
+    }),
+  },
+];
+
+/**
+ * Detects the CI provider the run is executing on
+ * @returns The provider details, or undefined for local runs
+ */
+export function getCIInfo(env: Env = process.env): CIInfo | undefined {
+  const provider = providers.find((p) => p.detect(env));
+  if (provider) {
+    return { provider: provider.name, ...provider.read(env) };
+  }
+  if (env.CI && env.CI !== "false" && env.CI !== "0") {
+    return { provider: "Unknown CI" };
+  }
+  return undefined;
+}
+
+function git(args: string[], cwd: string): string | undefined {
+  try {
+    return execFileSync("git", args, {
+      cwd,
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "ignore"],
+      timeout: 5000,
+    }).trim();
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Reads the checked-out commit from the local git repository
+ * @param cwd - Directory inside the repository (usually the Playwright rootDir)
+ * @param ci - CI details, used for the branch when the checkout is a detached HEAD
+ * @returns The commit details, or undefined when neither git nor CI can provide them
+ */
+export function getGitInfo(cwd: string, ci?: CIInfo): GitInfo | undefined {
+  const sha = git(["rev-parse", "HEAD"], cwd);
+  if (!sha) {
+    // No git binary or a shallow export without .git: fall back to what CI reports
+    return ci?.commit
+      ? { sha: ci.commit, shortSha: ci.commit.slice(0, 7), branch: ci.branch }
+      : undefined;
+  }
+
+  // %x1f (unit separator) cannot appear in names or the subject line
+  const [author, authorEmail, commitDate, message] = (
+    git(["log", "-1", "--format=%an%x1f%ae%x1f%cI%x1f%s"], cwd) ?? ""
+  ).split("\x1f");
+  const branch = git(["rev-parse", "--abbrev-ref", "HEAD"], cwd);
+  const status = git(["status", "--porcelain", "--untracked-files=no"], cwd);
+
+  return {
+    sha,
+    shortSha: sha.slice(0, 7),
+    branch: branch && branch !== "HEAD" ? branch : ci?.branch,
+    author: author || undefined,
+    authorEmail: authorEmail || undefined,
+    commitDate: commitDate || undefined,
+    message: message || undefined,
+    dirty: status === undefined ? undefined : status.length > 0,
+  };
+}
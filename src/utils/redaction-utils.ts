@@ -0,0 +1,133 @@
+// src/utils/redaction-utils.ts
+/**
+ * Masks secrets and personal data in captured test output before it is written to the report
+ * Built-in rules cover bearer tokens, JWTs, AWS keys and email addresses; custom rules are literals or regexes
+ */
+
+import type {
+  BuiltInRedactionRule,
+  RedactionOptions,
+  RedactionStats,
+} from "../types";
+
+export const DEFAULT_REDACTION_REPLACEMENT = "[REDACTED]";
+
+// JWTs come before bearer tokens so a JWT sent as a bearer token is counted once
+const BUILT_IN_RULES: { name: BuiltInRedactionRule; pattern: RegExp }[] = [
+  {
+    name: "jwt",
+    pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+  },
+  { name: "bearer", pattern: /(?<=\bBearer\s+)[A-Za-z0-9\-._~+/]+=*/gi },
+  { name: "aws", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  {
+    name: "aws",
+    pattern:
+      /(?<=aws_secret_access_key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40}/gi,
+  },
+  {
+    name: "email",
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+];
+
+// Fields that identify or locate things; changing them would break links inside the report
+const SKIPPED_KEYS = new Set([
+  "id",
+  "runId",
+  "parentRunId",
+  "sourceRef",
+  "status",
+  "final_status",
+  "outcome",
+  "screenshots",
+  "videoPath",
+  "tracePath",
+  "attachments",
+]);
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toGlobalRegExp(pattern: string | RegExp): RegExp {
+  if (typeof pattern === "string") {
+    return new RegExp(escapeRegExp(pattern), "g");
+  }
+  return pattern.global
+    ? new RegExp(pattern.source, pattern.flags)
+    : new RegExp(pattern.source, `${pattern.flags}g`);
+}
+
+export class Redactor {
+  private readonly rules: { name: string; pattern: RegExp }[] = [];
+  private readonly replacement: string;
+  private stats: RedactionStats = { total: 0, byRule: {} };
+
+  constructor(options: RedactionOptions = {}) {
+    this.replacement = options.replacement ?? DEFAULT_REDACTION_REPLACEMENT;
+
+    const builtIn = options.builtIn ?? true;
+    if (builtIn) {
+      this.rules.push(
+        ...BUILT_IN_RULES.filter(
+          (rule) => builtIn === true || builtIn.includes(rule.name),
+        ).map((rule) => ({ ...rule, pattern: toGlobalRegExp(rule.pattern) })),
+      );
+    }
+
+    // Custom rules are counted under a name, never under the (possibly secret) pattern itself
+    (options.rules ?? []).forEach((rule, index) => {
+      const { name, pattern } =
+        typeof rule === "string" || rule instanceof RegExp
+          ? { name: `custom-${index + 1}`, pattern: rule }
+          : rule;
+      if (pattern === "") return;
+      this.rules.push({ name, pattern: toGlobalRegExp(pattern) });
+    });
+  }
+
+  /**
+   * Replaces every match of every rule in a string
+   */
+  redact(text: string): string {
+    let redacted = text;
+    for (const rule of this.rules) {
+      redacted = redacted.replace(rule.pattern, () => {
+        this.stats.total++;
+        this.stats.byRule[rule.name] = (this.stats.byRule[rule.name] ?? 0) + 1;
+        return this.replacement;
+      });
+    }
+    return redacted;
+  }
+
+  /**
+   * Redacts every string inside a result, step or error, in place
+   * Identifiers, statuses and attachment paths are left untouched
+   */
+  redactObject<T>(value: T): T {
+    if (typeof value === "string") {
+      return this.redact(value) as T;
+    }
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => {
+        value[index] = this.redactObject(item);
+      });
+      return value;
+    }
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+      const record = value as Record<string, unknown>;
+      for (const key of Object.keys(record)) {
+        if (!SKIPPED_KEYS.has(key)) {
+          record[key] = this.redactObject(record[key]);
+        }
+      }
+    }
+    return value;
+  }
+
+  getStats(): RedactionStats {
+    return { total: this.stats.total, byRule: { ...this.stats.byRule } };
+  }
+}